@@ -2,6 +2,63 @@
  * Authentication middleware - Verify wallet signatures
  */
 import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// isValidSignature(bytes32,bytes) returns this selector when the signature is valid
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+];
+
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000; // 5 minutes
+// A Safe message is only signed once enough owners have confirmed it
+const MAX_CONTRACT_SIGNATURE_AGE_MS = 60 * 60 * 1000; // 1 hour
+
+let provider = null;
+
+function getProvider() {
+  if (!provider && process.env.RPC_URL) {
+    provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  }
+  return provider;
+}
+
+/**
+ * Check a signature made by a contract wallet (Safe...) with EIP-1271
+ * Needs RPC_URL pointing to the network where the wallet is deployed
+ * @returns {Promise<boolean>} false for EOAs, rejected signatures or without RPC_URL
+ */
+export async function isValidContractSignature(walletAddress, message, signature) {
+  const rpc = getProvider();
+  if (!rpc) {
+    return false;
+  }
+
+  try {
+    if (await rpc.getCode(walletAddress) === '0x') {
+      return false;
+    }
+    const wallet = new ethers.Contract(walletAddress, ERC1271_ABI, rpc);
+    return await wallet.isValidSignature(ethers.hashMessage(message), signature) === ERC1271_MAGIC_VALUE;
+  } catch (error) {
+    console.warn(`⚠️ EIP-1271 check failed for ${walletAddress}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Recover the signer of a personal_sign message, or null if the signature
+ * is not a plain ECDSA signature (Safe signatures can be longer)
+ */
+function recoverSigner(message, signature) {
+  try {
+    return ethers.verifyMessage(message, signature);
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Verify wallet signature to prove ownership
@@ -9,6 +66,8 @@ import { ethers } from 'ethers';
  * - walletAddress: The claimed wallet address
  * - message: The original message that was signed
  * - signature: The signature from wallet.signMessage()
+ * Contract wallets (Safe...) cannot produce a recoverable signature, so when
+ * the recovered address does not match, the wallet is asked with EIP-1271
  */
 export async function verifySignature(req, res, next) {
   try {
@@ -45,10 +104,13 @@ export async function verifySignature(req, res, next) {
     }
 
     // Recover the signer's address from the signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
+    const recoveredAddress = recoverSigner(message, signature);
 
-    // Compare recovered address with claimed address
-    if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+    // Compare recovered address with claimed address, then ask the wallet contract
+    const signerMatches = recoveredAddress?.toLowerCase() === walletAddress.toLowerCase();
+    const isContractSignature = !signerMatches
+      && await isValidContractSignature(walletAddress, message, signature);
+    if (!signerMatches && !isContractSignature) {
       return res.status(401).json({
         error: 'Invalid signature',
         message: 'Signature does not match wallet address',
@@ -63,7 +125,7 @@ export async function verifySignature(req, res, next) {
     if (timestampMatch) {
       const timestamp = parseInt(timestampMatch[1]);
       const now = Date.now();
-      const maxAge = 5 * 60 * 1000; // 5 minutes
+      const maxAge = isContractSignature ? MAX_CONTRACT_SIGNATURE_AGE_MS : MAX_SIGNATURE_AGE_MS;
 
       if (now - timestamp > maxAge) {
         return res.status(401).json({
@@ -11,7 +11,7 @@ export function errorHandler(err, req, res, next) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File too large',
-        message: 'Maximum file size is 100MB',
+        message: 'Maximum file size is 100MB. Use /api/upload/resumable for larger files.',
       });
     }
     
@@ -21,8 +21,45 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  // Body larger than the parser limit (resumable chunks)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Chunk too large',
+      message: `Maximum chunk size is ${err.limit} bytes`,
+    });
+  }
+
+  // Resumable upload errors
+  if (err.message.includes('SHA-256 mismatch')) {
+    return res.status(422).json({
+      error: 'Integrity check failed',
+      message: `${err.message}. The upload was discarded, start a new one.`,
+    });
+  }
+
+  if (err.message.includes('Upload busy')) {
+    return res.status(409).json({
+      error: 'Upload busy',
+      message: err.message,
+    });
+  }
+
+  if (err.message.includes('File too large')) {
+    return res.status(413).json({
+      error: 'File too large',
+      message: err.message,
+    });
+  }
+
+  if (err.message.includes('Invalid SHA-256') || err.message.includes('Invalid chunk')) {
+    return res.status(400).json({
+      error: 'Invalid upload',
+      message: err.message,
+    });
+  }
+
   // Custom errors
-  if (err.message.includes('File too small')) {
+  if (err.message.includes('File too small') || err.message.includes('Invalid file size')) {
     return res.status(400).json({
       error: 'Invalid file size',
       message: err.message,
@@ -43,6 +80,14 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  if (err.message.includes('Subgraph unavailable')) {
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Could not reach the subgraph. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    });
+  }
+
   // Synapse SDK errors
   if (err.message.includes('Synapse') || err.message.includes('Filecoin')) {
     return res.status(503).json({
@@ -0,0 +1,36 @@
+/**
+ * Download routes - Serve files stored on Filecoin
+ */
+import express from 'express';
+import { downloadFile } from '../services/filecoin.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/download/:pieceCid
+ * Download a file previously uploaded through /api/upload
+ */
+router.get('/:pieceCid', async (req, res, next) => {
+  try {
+    const { pieceCid } = req.params;
+
+    if (!/^[a-z0-9]+$/i.test(pieceCid)) {
+      return res.status(400).json({
+        error: 'Invalid piece CID',
+        message: 'pieceCid must be alphanumeric',
+      });
+    }
+
+    console.log(`📥 Downloading piece: ${pieceCid}`);
+
+    const data = await downloadFile(pieceCid);
+
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(Buffer.from(data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+/**
+ * F-Droid routes - Serve the repository built by services/fdroid.js
+ * Add it to an F-Droid client as <PUBLIC_URL>/fdroid/repo?fingerprint=<sha256>
+ */
+import express from 'express';
+import { FDROID_REPO_DIR } from '../services/fdroid.js';
+import { IPFS_GATEWAY } from '../services/ipfs.js';
+
+const router = express.Router();
+
+const CID_PATTERN = /^[a-z0-9]+$/i;
+
+/**
+ * GET /fdroid/repo/ipfs/:cid
+ * APKs, icons and screenshots: redirect to the IPFS gateway
+ */
+router.get('/ipfs/:cid', (req, res) => {
+  if (!CID_PATTERN.test(req.params.cid)) {
+    return res.status(400).json({ error: 'Invalid CID', message: 'cid must be alphanumeric' });
+  }
+  res.redirect(302, `${IPFS_GATEWAY}${req.params.cid}`);
+});
+
+/**
+ * GET /fdroid/repo/piece/:pieceCid
+ * Files uploaded to Filecoin: redirect to the download route
+ */
+router.get('/piece/:pieceCid', (req, res) => {
+  if (!CID_PATTERN.test(req.params.pieceCid)) {
+    return res.status(400).json({ error: 'Invalid piece CID', message: 'pieceCid must be alphanumeric' });
+  }
+  res.redirect(302, `/api/download/${req.params.pieceCid}`);
+});
+
+// index-v2.json, entry.json and entry.jar (clients check them with ETag / Last-Modified)
+router.use(express.static(FDROID_REPO_DIR, {
+  dotfiles: 'ignore',
+  index: false,
+  maxAge: 0,
+}));
+
+export default router;
@@ -0,0 +1,192 @@
+/**
+ * Resumable upload routes - Chunked uploads for large APKs
+ *
+ * 1. POST   /api/upload/resumable              - Start (signed), returns uploadId
+ * 2. PUT    /api/upload/resumable/:id          - Send bytes (Content-Range)
+ * 3. POST   /api/upload/resumable/:id/finalize - Verify SHA-256 and store on Filecoin
+ *
+ * The uploadId is an unguessable token, so chunk and finalize requests do not
+ * need a fresh signature (the client can resume after the 5 minute window).
+ */
+import express from 'express';
+import { verifySignature } from '../middleware/auth.js';
+import { uploadFile } from '../services/filecoin.js';
+import {
+  MAX_CHUNK_SIZE,
+  createUpload,
+  getUpload,
+  writeChunk,
+  finalizeUpload,
+  deleteUpload,
+  describeUpload,
+} from '../services/chunkedUpload.js';
+
+const router = express.Router();
+
+/**
+ * Parse "bytes <start>-<end>/<total>"
+ */
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  const [start, end, total] = match.slice(1).map(Number);
+  if (end < start || end >= total) {
+    return null;
+  }
+  return { start, end, total };
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    error: 'Upload not found',
+    message: 'Unknown or expired upload. Start a new one.',
+  });
+}
+
+/**
+ * POST /api/upload/resumable
+ * Start a resumable upload
+ *
+ * Body (application/json):
+ * - filename: Original file name
+ * - size: Total size in bytes
+ * - sha256: SHA-256 (hex) of the whole file, checked on finalize
+ * - mimetype: Optional MIME type
+ * - metadata: Optional JSON metadata
+ * - walletAddress, signature, message: Signed "Upload file: ..." message
+ */
+router.post('/', verifySignature, async (req, res, next) => {
+  try {
+    const { filename, size, sha256, mimetype, metadata } = req.body;
+
+    const upload = await createUpload({
+      filename,
+      size: Number(size),
+      sha256,
+      mimetype,
+      metadata: metadata && typeof metadata === 'object' ? metadata : {},
+      uploader: req.walletAddress,
+    });
+
+    res.status(201).json({
+      success: true,
+      ...describeUpload(upload),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/upload/resumable/:uploadId
+ * Current state of an upload (offset = bytes received so far)
+ */
+router.get('/:uploadId', async (req, res, next) => {
+  try {
+    const upload = await getUpload(req.params.uploadId);
+    if (!upload) {
+      return notFound(res);
+    }
+    res.json(describeUpload(upload));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/upload/resumable/:uploadId
+ * Append a byte range. Chunks must be sent in order; a 409 response
+ * includes the offset the client has to resume from.
+ *
+ * Headers:
+ * - Content-Range: bytes <start>-<end>/<total>
+ * Body: raw bytes (application/octet-stream)
+ */
+router.put(
+  '/:uploadId',
+  express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+  async (req, res, next) => {
+    try {
+      const range = parseContentRange(req.get('Content-Range'));
+      const chunk = req.body;
+
+      if (!range || !Buffer.isBuffer(chunk) || chunk.length !== range.end - range.start + 1) {
+        return res.status(400).json({
+          error: 'Invalid chunk',
+          message: 'Content-Range must be "bytes <start>-<end>/<total>" and match the body length',
+        });
+      }
+
+      const upload = await writeChunk(req.params.uploadId, range.start, chunk);
+      if (!upload) {
+        return notFound(res);
+      }
+
+      res.json(describeUpload(upload));
+    } catch (error) {
+      if (error.offset !== undefined) {
+        return res.status(409).json({
+          error: 'Offset mismatch',
+          message: error.message,
+          offset: error.offset,
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/upload/resumable/:uploadId/finalize
+ * Verify the SHA-256 of the staged file and upload it to Filecoin
+ */
+router.post('/:uploadId/finalize', async (req, res, next) => {
+  try {
+    const finalized = await finalizeUpload(req.params.uploadId, uploadFile);
+    if (!finalized) {
+      return notFound(res);
+    }
+
+    const { upload, result } = finalized;
+    console.log(`✅ Resumable upload ${upload.uploadId} stored: ${result.pieceCid}`);
+
+    res.json({
+      success: true,
+      pieceCid: result.pieceCid,
+      size: result.size,
+      datasetId: result.datasetId,
+      sha256: upload.sha256,
+      uploadedBy: upload.uploader,
+    });
+  } catch (error) {
+    if (error.offset !== undefined) {
+      return res.status(409).json({
+        error: 'Upload incomplete',
+        message: error.message,
+        offset: error.offset,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/upload/resumable/:uploadId
+ * Abort an upload and discard the staged data
+ */
+router.delete('/:uploadId', async (req, res, next) => {
+  try {
+    const upload = await getUpload(req.params.uploadId);
+    if (!upload) {
+      return notFound(res);
+    }
+    await deleteUpload(upload.uploadId);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
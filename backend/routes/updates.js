@@ -0,0 +1,80 @@
+/**
+ * Update routes - Let devices ask which of their installed apps have updates
+ */
+import express from 'express';
+import { checkForUpdates } from '../services/updates.js';
+
+const router = express.Router();
+
+// Packages per request (the subgraph query returns at most 1000 manifests)
+const MAX_APPS = 200;
+
+const PACKAGE_PATTERN = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+const CERT_PATTERN = /^([0-9a-f]{2}:?){31}[0-9a-f]{2}$/i;
+
+/**
+ * Check one { package, versionCode, signingCertSha256 } entry
+ * @returns {string|null} Error message, or null if it is valid
+ */
+function validateEntry(entry, index) {
+  if (!entry || typeof entry !== 'object') {
+    return `apps[${index}] must be an object`;
+  }
+  if (typeof entry.package !== 'string' || !PACKAGE_PATTERN.test(entry.package)) {
+    return `apps[${index}].package must be an Android package name`;
+  }
+  if (!Number.isInteger(entry.versionCode) || entry.versionCode < 0) {
+    return `apps[${index}].versionCode must be a non-negative integer`;
+  }
+  if (entry.signingCertSha256 !== undefined
+    && (typeof entry.signingCertSha256 !== 'string' || !CERT_PATTERN.test(entry.signingCertSha256))) {
+    return `apps[${index}].signingCertSha256 must be a SHA-256 fingerprint`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/updates
+ * Body: { apps: [{ package, versionCode, signingCertSha256? }] }
+ * Returns one result per app, in the same order
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { apps } = req.body || {};
+
+    if (!Array.isArray(apps) || apps.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'apps must be a non-empty array',
+      });
+    }
+    if (apps.length > MAX_APPS) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `At most ${MAX_APPS} apps per request`,
+      });
+    }
+
+    for (let i = 0; i < apps.length; i++) {
+      const message = validateEntry(apps[i], i);
+      if (message) {
+        return res.status(400).json({ error: 'Invalid request', message });
+      }
+    }
+
+    const updates = await checkForUpdates(apps.map(({ package: packageName, versionCode, signingCertSha256 }) => ({
+      package: packageName,
+      versionCode,
+      signingCertSha256,
+    })));
+
+    res.json({
+      updates,
+      available: updates.filter((update) => update.status === 'update_available').length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Write a static F-Droid repository (index-v2.json, entry.json, entry.jar)
+ * Host the output directory anywhere, as long as /ipfs/<cid> and
+ * /piece/<pieceCid> under the repo URL redirect like routes/fdroid.js does
+ *
+ * Usage:
+ *   node scripts/build-fdroid-repo.js --out ./repo --address https://example.com/fdroid/repo \
+ *     [--keystore keystore.p12] [--alias repokey]
+ * Passwords are read from FDROID_KEYSTORE_PASS / FDROID_KEY_PASS
+ */
+
+import { parseArgs } from 'util';
+import { resolve } from 'path';
+import { FDROID_REPO_DIR, getSigningConfig, writeRepo } from '../services/fdroid.js';
+
+const { values } = parseArgs({
+  options: {
+    out: { type: 'string', default: FDROID_REPO_DIR },
+    address: { type: 'string' },
+    keystore: { type: 'string' },
+    alias: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+if (values.help || !values.address) {
+  console.log('Usage: node scripts/build-fdroid-repo.js --address <repo URL> [--out <dir>] [--keystore <file>] [--alias <alias>]');
+  process.exit(values.help ? 0 : 1);
+}
+
+try {
+  const signing = getSigningConfig({ keystore: values.keystore, alias: values.alias });
+  if (!signing) {
+    throw new Error('No keystore: pass --keystore or set FDROID_KEYSTORE');
+  }
+
+  const out = resolve(values.out);
+  const address = values.address.replace(/\/+$/, '');
+  console.log(`📦 Building F-Droid repo in ${out}...`);
+
+  const { numPackages, fingerprint } = await writeRepo(out, { address, signing });
+
+  console.log(`✅ ${numPackages} packages written`);
+  console.log(`🔑 Fingerprint: ${fingerprint}`);
+  console.log(`📱 Add to F-Droid: ${address}?fingerprint=${fingerprint}`);
+} catch (error) {
+  console.error('❌ Error building the F-Droid repo:', error.message);
+  process.exit(1);
+}
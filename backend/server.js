@@ -10,7 +10,13 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import uploadRoutes from './routes/upload.js';
+import resumableRoutes from './routes/resumable.js';
+import downloadRoutes from './routes/download.js';
+import updateRoutes from './routes/updates.js';
+import fdroidRoutes from './routes/fdroid.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { startCleanupSchedule } from './services/chunkedUpload.js';
+import { startFdroidRepo } from './services/fdroid.js';
 
 dotenv.config();
 
@@ -29,20 +35,33 @@ app.use(cors({
 app.use(express.json({ limit: '1mb' }));
 
 // Rate limiting - prevent abuse
+// Requests on an existing resumable upload (chunks, status, finalize) have
+// their own limit, otherwise a large APK would exhaust the per-upload quota
+const isResumableRequest = (req) => /\/upload\/resumable\/./.test(req.originalUrl);
+
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  skip: isResumableRequest,
 });
 
 const uploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // Limit each IP to 10 uploads per hour
   message: 'Upload limit reached. Please try again later.',
+  skip: isResumableRequest,
+});
+
+const chunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // ~8GB of 8MB chunks per IP
+  message: 'Too many chunk requests, please slow down.',
 });
 
 app.use('/api/', apiLimiter);
 app.use('/api/upload', uploadLimiter);
+app.use('/api/upload/resumable/:uploadId', chunkLimiter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -54,8 +73,18 @@ app.get('/health', (req, res) => {
 });
 
 // Upload routes
+app.use('/api/upload/resumable', resumableRoutes);
 app.use('/api/upload', uploadRoutes);
 
+// Download routes
+app.use('/api/download', downloadRoutes);
+
+// Update checks
+app.use('/api/updates', updateRoutes);
+
+// F-Droid repository (outside /api: clients poll it and follow redirects for every APK)
+app.use('/fdroid/repo', fdroidRoutes);
+
 // Error handling
 app.use(errorHandler);
 
@@ -67,6 +96,12 @@ app.use((req, res) => {
   });
 });
 
+// Expire abandoned resumable uploads
+startCleanupSchedule();
+
+// Build the F-Droid repo and rebuild it when apps change (needs FDROID_KEYSTORE)
+startFdroidRepo();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`
@@ -81,6 +116,9 @@ app.listen(PORT, () => {
 ║  GET  /health                  - Health check            ║
 ║  POST /api/upload/file         - Upload single file      ║
 ║  POST /api/upload/json         - Upload JSON data        ║
+║  POST /api/upload/resumable    - Start chunked upload    ║
+║  POST /api/updates             - Check for app updates   ║
+║  GET  /fdroid/repo             - F-Droid repository      ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
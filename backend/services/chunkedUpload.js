@@ -0,0 +1,294 @@
+/**
+ * Chunked Upload Service - Stage resumable uploads on disk
+ *
+ * Each upload lives in its own directory under UPLOAD_STAGING_DIR:
+ * - meta.json: filename, declared size and SHA-256, uploader, bytes received
+ * - data.part: the bytes received so far
+ *
+ * Chunks must arrive in order (the client resumes from `offset`), so the
+ * staged file is always a contiguous prefix of the original.
+ */
+import { createHash, randomBytes } from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Configuration
+const STAGING_DIR = process.env.UPLOAD_STAGING_DIR || join(os.tmpdir(), 'dappstore-uploads');
+const EXPIRY_MS = (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+export const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB suggested chunk size
+export const MAX_CHUNK_SIZE = 16 * 1024 * 1024; // 16MB per PUT
+// The Synapse SDK uploads from memory and refuses more than 200 MiB, so a
+// larger upload could never be finalized: reject it at init instead
+const STORAGE_MAX_UPLOAD_SIZE = 200 * 1024 * 1024;
+export const MAX_UPLOAD_SIZE = Math.min(
+  (Number(process.env.UPLOAD_MAX_SIZE_MB) || 200) * 1024 * 1024,
+  STORAGE_MAX_UPLOAD_SIZE
+);
+
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Uploads with a chunk write or finalize in progress
+const busyUploads = new Set();
+
+function uploadDir(uploadId) {
+  return join(STAGING_DIR, uploadId);
+}
+
+async function writeMeta(meta) {
+  await fs.writeFile(join(uploadDir(meta.uploadId), 'meta.json'), JSON.stringify(meta));
+}
+
+function isExpired(meta) {
+  return Date.now() - meta.updatedAt > EXPIRY_MS;
+}
+
+/**
+ * Public view of an upload (what the routes return)
+ */
+export function describeUpload(meta) {
+  return {
+    uploadId: meta.uploadId,
+    filename: meta.filename,
+    size: meta.size,
+    offset: meta.offset,
+    chunkSize: CHUNK_SIZE,
+    expiresAt: new Date(meta.updatedAt + EXPIRY_MS).toISOString(),
+  };
+}
+
+/**
+ * Start a new upload
+ * @param {Object} params
+ * @param {string} params.filename - Original file name
+ * @param {number} params.size - Total size in bytes
+ * @param {string} params.sha256 - Expected SHA-256 (hex) of the whole file
+ * @param {string} params.uploader - Wallet that signed the init request
+ * @param {string} [params.mimetype] - MIME type
+ * @param {Object} [params.metadata] - Extra metadata for Filecoin
+ */
+export async function createUpload({ filename, size, sha256, uploader, mimetype, metadata = {} }) {
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw new Error('Invalid file size: size must be a positive integer');
+  }
+  if (size > MAX_UPLOAD_SIZE) {
+    throw new Error(`File too large: maximum size is ${MAX_UPLOAD_SIZE} bytes`);
+  }
+  if (!/^[a-f0-9]{64}$/i.test(sha256 || '')) {
+    throw new Error('Invalid SHA-256: expected 64 hex characters');
+  }
+
+  const uploadId = randomBytes(16).toString('hex');
+  const now = Date.now();
+  const meta = {
+    uploadId,
+    filename: filename || 'file',
+    mimetype: mimetype || 'application/octet-stream',
+    size,
+    sha256: sha256.toLowerCase(),
+    uploader,
+    metadata,
+    offset: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await fs.mkdir(uploadDir(uploadId), { recursive: true });
+  await fs.writeFile(join(uploadDir(uploadId), 'data.part'), '');
+  await writeMeta(meta);
+
+  console.log(`📦 Resumable upload ${uploadId} started: ${meta.filename} (${size} bytes)`);
+  return meta;
+}
+
+/**
+ * Load an upload's state
+ * @returns {Promise<Object|null>} null if unknown or expired
+ */
+export async function getUpload(uploadId) {
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    return null;
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(join(uploadDir(uploadId), 'meta.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+
+  if (isExpired(meta)) {
+    await deleteUpload(uploadId);
+    return null;
+  }
+  return meta;
+}
+
+/**
+ * Append a chunk at `start`
+ * Throws with `offset` set when the chunk does not continue the staged data,
+ * so the route can tell the client where to resume from.
+ * @param {string} uploadId
+ * @param {number} start - First byte of the chunk
+ * @param {Buffer} chunk - Chunk data
+ * @returns {Promise<Object|null>} Updated state, null if unknown or expired
+ */
+export async function writeChunk(uploadId, start, chunk) {
+  if (busyUploads.has(uploadId)) {
+    throw new Error('Upload busy: another request is using this upload');
+  }
+
+  busyUploads.add(uploadId);
+  try {
+    // Read the state while holding the upload so concurrent PUTs can't both match
+    const meta = await getUpload(uploadId);
+    if (!meta) {
+      return null;
+    }
+    if (start !== meta.offset) {
+      const error = new Error(`Offset mismatch: expected chunk at byte ${meta.offset}`);
+      error.offset = meta.offset;
+      throw error;
+    }
+    if (start + chunk.length > meta.size) {
+      throw new Error('Invalid chunk: range exceeds the declared file size');
+    }
+
+    const handle = await fs.open(join(uploadDir(uploadId), 'data.part'), 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, start);
+    } finally {
+      await handle.close();
+    }
+
+    const updated = { ...meta, offset: start + chunk.length, updatedAt: Date.now() };
+    await writeMeta(updated);
+    return updated;
+  } finally {
+    busyUploads.delete(uploadId);
+  }
+}
+
+/**
+ * SHA-256 of the staged file, streamed from disk
+ */
+function hashStagedFile(uploadId) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(join(uploadDir(uploadId), 'data.part'))
+      .on('data', (data) => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Verify a complete upload and hand it to storage
+ * The staging directory is removed once storage accepts the file, or when
+ * the hash does not match (the data is unusable).
+ * @param {string} uploadId
+ * @param {Function} store - async (buffer, metadata) => result (e.g. filecoin uploadFile)
+ * @returns {Promise<Object|null>} { upload, result }, null if unknown or expired
+ */
+export async function finalizeUpload(uploadId, store) {
+  if (busyUploads.has(uploadId)) {
+    throw new Error('Upload busy: another request is using this upload');
+  }
+
+  busyUploads.add(uploadId);
+  try {
+    const meta = await getUpload(uploadId);
+    if (!meta) {
+      return null;
+    }
+    if (meta.offset !== meta.size) {
+      const error = new Error(`Upload incomplete: ${meta.offset} of ${meta.size} bytes received`);
+      error.offset = meta.offset;
+      throw error;
+    }
+
+    const actualHash = await hashStagedFile(uploadId);
+    if (actualHash !== meta.sha256) {
+      await deleteUpload(uploadId);
+      throw new Error(`SHA-256 mismatch: expected ${meta.sha256}, got ${actualHash}`);
+    }
+
+    // MAX_UPLOAD_SIZE keeps this within what the storage SDK accepts
+    const buffer = await fs.readFile(join(uploadDir(uploadId), 'data.part'));
+    const result = await store(buffer, {
+      ...meta.metadata,
+      filename: meta.filename,
+      mimetype: meta.mimetype,
+      size: meta.size,
+      sha256: meta.sha256,
+      uploader: meta.uploader,
+    });
+
+    await deleteUpload(uploadId);
+    return { upload: meta, result };
+  } finally {
+    busyUploads.delete(uploadId);
+  }
+}
+
+/**
+ * Discard an upload and its staged data
+ */
+export async function deleteUpload(uploadId) {
+  await fs.rm(uploadDir(uploadId), { recursive: true, force: true });
+}
+
+/**
+ * Remove uploads that have not received data within UPLOAD_EXPIRY_HOURS
+ * @returns {Promise<number>} Number of uploads removed
+ */
+export async function cleanupExpiredUploads() {
+  let entries;
+  try {
+    entries = await fs.readdir(STAGING_DIR);
+  } catch {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const uploadId of entries) {
+    if (busyUploads.has(uploadId)) continue;
+
+    let expired;
+    try {
+      const meta = JSON.parse(await fs.readFile(join(uploadDir(uploadId), 'meta.json'), 'utf8'));
+      expired = isExpired(meta);
+    } catch {
+      // Directory without readable metadata: fall back to its mtime
+      const stats = await fs.stat(uploadDir(uploadId)).catch(() => null);
+      expired = !stats || Date.now() - stats.mtimeMs > EXPIRY_MS;
+    }
+
+    if (expired) {
+      await deleteUpload(uploadId);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} expired upload(s)`);
+  }
+  return removed;
+}
+
+/**
+ * Run cleanupExpiredUploads periodically
+ * @param {number} intervalMs - Default: every hour
+ */
+export function startCleanupSchedule(intervalMs = 60 * 60 * 1000) {
+  cleanupExpiredUploads().catch(err => console.error('❌ Upload cleanup failed:', err));
+  const timer = setInterval(() => {
+    cleanupExpiredUploads().catch(err => console.error('❌ Upload cleanup failed:', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,485 @@
+/**
+ * F-Droid Service - Build a signed F-Droid repository (index-v2) from the store
+ *
+ * F-Droid clients (F-Droid, Neo Store, Droid-ify) read two files:
+ * - entry.jar: entry.json signed with the repo key. Users add the repo with
+ *   its URL plus the SHA-256 fingerprint of that key's certificate
+ * - index-v2.json: repo info and packages, checked against the hash in entry.json
+ *
+ * Apps come from the subgraph and their details from the IPFS manifests.
+ * Every file is named /ipfs/<cid> (or /piece/<pieceCid> for Filecoin uploads)
+ * and the fdroid routes redirect those paths to an IPFS gateway or to
+ * /api/download. Signing uses `jar` and `jarsigner` from a JDK, like fdroidserver.
+ */
+import { createHash } from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import { join, resolve } from 'path';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { querySubgraph, getIndexedBlock } from './subgraph.js';
+import { fetchJSONFromIPFS, isPieceCid } from './ipfs.js';
+
+dotenv.config();
+
+const execFileAsync = promisify(execFile);
+
+// Configuration
+export const FDROID_REPO_DIR = process.env.FDROID_REPO_DIR || join(os.tmpdir(), 'dappstore-fdroid');
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+const REPO_NAME = process.env.FDROID_REPO_NAME || 'DApp Store';
+const REPO_DESCRIPTION = process.env.FDROID_REPO_DESCRIPTION
+  || 'Free apps published on the DApp Store smart contract. APKs are downloaded from IPFS.';
+
+// entry.json format version written by current fdroidserver
+const ENTRY_VERSION = 20002;
+// Newest non-deprecated versions listed per app
+const MAX_VERSIONS_PER_APP = 3;
+const DEFAULT_LOCALE = 'en-US';
+const SUMMARY_MAX_LENGTH = 80;
+
+// Wait for bursts of events (e.g. publish + deprecate) before rebuilding
+const REBUILD_DEBOUNCE_MS = 10 * 1000;
+// How long to wait for the subgraph to index the block of an event
+const SUBGRAPH_WAIT_MS = 2 * 60 * 1000;
+const SUBGRAPH_POLL_MS = 5 * 1000;
+// Without RPC_URL/APPSTORE_ADDRESS the repo is rebuilt on a timer instead
+const REBUILD_INTERVAL_MS = (Number(process.env.FDROID_REBUILD_MINUTES) || 60) * 60 * 1000;
+
+// Events that change what the index lists
+const STORE_EVENTS_ABI = [
+  'event AppRegistered(bytes32 indexed appKey, string slug, address indexed publisher, string manifestCid, uint256 priceWei)',
+  'event VersionPublished(bytes32 indexed appKey, string manifestCid, uint256 versionCode, address indexed publishedBy)',
+  'event VersionDeprecated(bytes32 indexed appKey, uint256 versionIndex, uint256 versionCode)',
+  'event LatestVersionChanged(bytes32 indexed appKey, string manifestCid, uint256 versionCode)',
+  'event AppStatusChanged(bytes32 indexed appKey, bool active)',
+  'event AppUpdated(bytes32 indexed appKey, uint256 oldPrice, uint256 newPrice)',
+];
+
+const STORE_APPS_QUERY = `
+  query FdroidApps($skip: Int!) {
+    apps(first: 1000, skip: $skip, where: { active: true, priceWei: "0" }, orderBy: createdAt, orderDirection: asc) {
+      id
+      slug
+      createdAt
+      packageName
+      latestVersion {
+        versionCode
+        deprecated
+      }
+      versions(first: 20, where: { deprecated: false }, orderBy: versionCode, orderDirection: desc) {
+        versionCode
+        manifestCid
+        publishedAt
+      }
+    }
+  }
+`;
+
+/**
+ * Repo signing key, from the environment unless overridden (CLI flags)
+ * @returns {{keystore: string, storePass: string, alias: string, keyPass: string}|null}
+ *   null when no keystore is configured
+ */
+export function getSigningConfig(overrides = {}) {
+  const keystore = overrides.keystore || process.env.FDROID_KEYSTORE;
+  if (!keystore) {
+    return null;
+  }
+
+  const storePass = overrides.storePass || process.env.FDROID_KEYSTORE_PASS;
+  if (!storePass) {
+    throw new Error('FDROID_KEYSTORE_PASS is required to sign the F-Droid repo');
+  }
+
+  return {
+    keystore: resolve(keystore),
+    storePass,
+    alias: overrides.alias || process.env.FDROID_KEY_ALIAS || 'repokey',
+    keyPass: overrides.keyPass || process.env.FDROID_KEY_PASS || storePass,
+  };
+}
+
+// Passwords go to the JDK tools through the environment, not the command line
+function signingEnv(signing) {
+  return { ...process.env, FDROID_KEYSTORE_PASS: signing.storePass, FDROID_KEY_PASS: signing.keyPass };
+}
+
+/**
+ * SHA-256 fingerprint of the repo certificate (what users paste next to the URL)
+ * @returns {Promise<string>} lowercase hex
+ */
+export async function getRepoFingerprint(signing) {
+  const { stdout } = await execFileAsync('keytool', [
+    '-exportcert',
+    '-keystore', signing.keystore,
+    '-storepass:env', 'FDROID_KEYSTORE_PASS',
+    '-alias', signing.alias,
+  ], { env: signingEnv(signing), encoding: 'buffer' });
+
+  return createHash('sha256').update(stdout).digest('hex');
+}
+
+/**
+ * Free, active apps with their newest non-deprecated versions
+ * Sorted by registration date, so without an on-chain claim the first app to declare a package keeps it
+ */
+async function fetchStoreApps() {
+  const apps = [];
+  for (let skip = 0; ; skip += 1000) {
+    const data = await querySubgraph(STORE_APPS_QUERY, { skip });
+    apps.push(...data.apps);
+    if (data.apps.length < 1000) {
+      return apps;
+    }
+  }
+}
+
+/**
+ * Path of a file inside the repo (see the fdroid routes for the redirects)
+ */
+function repoFile(cid) {
+  if (!cid) {
+    return null;
+  }
+  if (isPieceCid(cid)) {
+    return { name: `/piece/${cid}` };
+  }
+
+  const file = { name: `/ipfs/${cid}` };
+  // Clients can fetch from IPFS directly, but only understand CIDv1 (v0 starts with Qm)
+  if (cid.startsWith('b')) {
+    file.ipfsCIDv1 = cid;
+  }
+  return file;
+}
+
+function manifestLocale(manifest) {
+  return manifest.default_locale || DEFAULT_LOCALE;
+}
+
+function localized(manifest, value) {
+  return value ? { [manifestLocale(manifest)]: value } : undefined;
+}
+
+// First line of the description, cut to the length F-Droid allows for summaries
+function summarize(text) {
+  const line = (text || '').split('\n').map((part) => part.trim()).find(Boolean) || '';
+  return line.length > SUMMARY_MAX_LENGTH ? `${line.slice(0, SUMMARY_MAX_LENGTH - 1).trimEnd()}…` : line;
+}
+
+// "android.permission.CAMERA" from the APK, or "CAMERA" typed by hand
+function permissionName(permission) {
+  return permission.includes('.') ? permission : `android.permission.${permission}`;
+}
+
+// Store taxonomy id (e.g. "multimedia") to an F-Droid category name ("Multimedia")
+function categoryName(id) {
+  return id.split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function manifestCategories(manifest) {
+  const categories = Array.isArray(manifest.categories)
+    ? manifest.categories
+    : String(manifest.categories || '').split(',');
+  return [...new Set(categories.map((id) => id.trim().toLowerCase()).filter(Boolean))].map(categoryName);
+}
+
+// Drop undefined and empty values so the index only has what the manifest had
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    value !== undefined && value !== null && value !== ''
+    && !(typeof value === 'object' && Object.keys(value).length === 0)));
+}
+
+function isUsableManifest(manifest) {
+  return manifest
+    && typeof manifest.package === 'string'
+    && typeof manifest.apk_cid === 'string'
+    && /^[0-9a-f]{64}$/i.test(manifest.apk_sha256 || '')
+    && Number.isInteger(Number(manifest.versionCode));
+}
+
+/**
+ * One index-v2 package from an app and its manifests (newest first)
+ */
+function buildPackage(app, entries) {
+  const latest = entries[0].manifest;
+  const locale = manifestLocale(latest);
+
+  const descriptions = { [locale]: latest.description, ...(latest.localized_descriptions || {}) };
+  const description = compact(descriptions);
+  const summary = compact(Object.fromEntries(
+    Object.entries(description).map(([key, text]) => [key, summarize(text)])
+  ));
+
+  const screenshots = (latest.screenshots || [])
+    .map((screenshot) => repoFile(typeof screenshot === 'string' ? screenshot : screenshot?.cid))
+    .filter(Boolean);
+
+  const metadata = compact({
+    added: Number(app.createdAt) * 1000,
+    lastUpdated: Number(entries[0].version.publishedAt) * 1000,
+    name: localized(latest, latest.name),
+    summary,
+    description,
+    icon: latest.icon_cid ? { [locale]: repoFile(latest.icon_cid) } : undefined,
+    featureGraphic: latest.feature_graphic?.cid ? { [locale]: repoFile(latest.feature_graphic.cid) } : undefined,
+    screenshots: screenshots.length > 0 ? { phone: { [locale]: screenshots } } : undefined,
+    categories: manifestCategories(latest),
+    authorName: latest.publisher_name,
+    license: latest.license,
+    webSite: latest.website,
+    sourceCode: latest.source_code,
+  });
+
+  const versions = {};
+  for (const { version, manifest } of entries) {
+    const sha256 = manifest.apk_sha256.toLowerCase();
+    versions[sha256] = compact({
+      added: Number(version.publishedAt) * 1000,
+      file: { ...repoFile(manifest.apk_cid), sha256, size: Number(manifest.apk_size) || undefined },
+      manifest: compact({
+        versionName: manifest.version,
+        versionCode: Number(manifest.versionCode),
+        usesSdk: compact({
+          minSdkVersion: Number(manifest.min_sdk) || undefined,
+          targetSdkVersion: Number(manifest.target_sdk) || undefined,
+        }),
+        signer: manifest.signing_cert_sha256
+          ? { sha256: [manifest.signing_cert_sha256.toLowerCase().replace(/:/g, '')] }
+          : undefined,
+        usesPermission: (manifest.permissions || []).map((name) => ({ name: permissionName(name) })),
+      }),
+      whatsNew: localized(manifest, manifest.changelog),
+    });
+  }
+
+  return { metadata, versions };
+}
+
+/**
+ * Build the index-v2 document
+ * @param {Object} options
+ * @param {string} options.address - Public URL of the repo (where entry.jar is served)
+ * @returns {Promise<Object>}
+ */
+export async function buildIndex({ address }) {
+  const apps = await fetchStoreApps();
+  const packages = {};
+  const owners = {};
+
+  for (const app of apps) {
+    // Versions the app actually serves: after a rollback, nothing above the served one
+    // versionCode is a BigInt in the subgraph, so it comes back as a string
+    const servedCode = app.latestVersion && !app.latestVersion.deprecated
+      ? BigInt(app.latestVersion.versionCode)
+      : null;
+    const versions = app.versions
+      .filter((version) => (servedCode === null || BigInt(version.versionCode) <= servedCode)
+        && !isPieceCid(version.manifestCid))
+      .slice(0, MAX_VERSIONS_PER_APP);
+
+    const entries = [];
+    for (const version of versions) {
+      try {
+        const manifest = await fetchJSONFromIPFS(version.manifestCid);
+        if (isUsableManifest(manifest)) {
+          entries.push({ version, manifest });
+        }
+      } catch (error) {
+        console.warn(`⚠️ F-Droid: skipping ${app.slug} v${version.versionCode}:`, error.message);
+      }
+    }
+
+    // Every listed version must be the same Android package as the newest one
+    const packageName = entries[0]?.manifest.package;
+    const sameEntries = entries.filter(({ manifest }) => manifest.package === packageName);
+    if (sameEntries.length === 0) {
+      continue;
+    }
+    // The app that claimed the package on-chain wins, otherwise the first registered
+    const claimed = app.packageName === packageName;
+    const owner = owners[packageName];
+    if (owner && (owner.claimed || !claimed)) {
+      console.warn(`⚠️ F-Droid: ${app.slug} declares ${packageName}, already listed for ${owner.slug}`);
+      continue;
+    }
+    if (owner) {
+      console.warn(`⚠️ F-Droid: ${owner.slug} declares ${packageName}, claimed by ${app.slug}`);
+    }
+
+    packages[packageName] = buildPackage(app, sameEntries);
+    owners[packageName] = { slug: app.slug, claimed };
+  }
+
+  const categories = {};
+  for (const { metadata } of Object.values(packages)) {
+    for (const name of metadata.categories || []) {
+      categories[name] = { name: { [DEFAULT_LOCALE]: name } };
+    }
+  }
+
+  return {
+    repo: {
+      name: { [DEFAULT_LOCALE]: REPO_NAME },
+      description: { [DEFAULT_LOCALE]: REPO_DESCRIPTION },
+      address,
+      timestamp: Date.now(),
+      categories,
+    },
+    packages,
+  };
+}
+
+/**
+ * Pack entry.json into entry.jar and sign it with the repo key
+ */
+async function signEntry(dir, signing) {
+  await execFileAsync('jar', ['cf', 'entry.jar', 'entry.json'], { cwd: dir });
+  await execFileAsync('jarsigner', [
+    '-keystore', signing.keystore,
+    '-storepass:env', 'FDROID_KEYSTORE_PASS',
+    '-keypass:env', 'FDROID_KEY_PASS',
+    '-digestalg', 'SHA-256',
+    '-sigalg', 'SHA256withRSA',
+    'entry.jar',
+    signing.alias,
+  ], { cwd: dir, env: signingEnv(signing) });
+}
+
+/**
+ * Build and write a complete repo (index-v2.json, entry.json, entry.jar)
+ * Files are built in a staging directory and moved in when all of them are ready
+ * @param {string} dir - Output directory
+ * @param {Object} options
+ * @param {string} options.address - Public URL the repo will be served from
+ * @param {Object} options.signing - getSigningConfig()
+ * @returns {Promise<{numPackages: number, fingerprint: string, timestamp: number}>}
+ */
+export async function writeRepo(dir, { address, signing }) {
+  if (!signing) {
+    throw new Error('F-Droid signing key not configured (FDROID_KEYSTORE)');
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const staging = await fs.mkdtemp(join(dir, '.build-'));
+
+  try {
+    const index = await buildIndex({ address });
+    const indexJson = JSON.stringify(index);
+    const numPackages = Object.keys(index.packages).length;
+
+    const entry = {
+      timestamp: index.repo.timestamp,
+      version: ENTRY_VERSION,
+      index: {
+        name: '/index-v2.json',
+        sha256: createHash('sha256').update(indexJson).digest('hex'),
+        size: Buffer.byteLength(indexJson),
+        numPackages,
+      },
+      diffs: {},
+    };
+
+    await fs.writeFile(join(staging, 'index-v2.json'), indexJson);
+    await fs.writeFile(join(staging, 'entry.json'), JSON.stringify(entry));
+    await signEntry(staging, signing);
+
+    // Index first, so a new entry.jar never points at the old index
+    for (const name of ['index-v2.json', 'entry.json', 'entry.jar']) {
+      await fs.rename(join(staging, name), join(dir, name));
+    }
+
+    return { numPackages, fingerprint: await getRepoFingerprint(signing), timestamp: entry.timestamp };
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Wait until the subgraph has indexed a block (gives up after SUBGRAPH_WAIT_MS)
+ */
+async function waitForSubgraph(blockNumber) {
+  const deadline = Date.now() + SUBGRAPH_WAIT_MS;
+  while (Date.now() < deadline) {
+    try {
+      if (await getIndexedBlock() >= blockNumber) {
+        return;
+      }
+    } catch (error) {
+      console.warn('⚠️ F-Droid: could not read the subgraph block:', error.message);
+    }
+    await new Promise((resolveWait) => setTimeout(resolveWait, SUBGRAPH_POLL_MS));
+  }
+  console.warn(`⚠️ F-Droid: subgraph still behind block ${blockNumber}, rebuilding anyway`);
+}
+
+/**
+ * Build the repo served under /fdroid/repo and keep it up to date
+ * Rebuilds after store events (RPC_URL + APPSTORE_ADDRESS), or every
+ * FDROID_REBUILD_MINUTES without them. Does nothing without FDROID_KEYSTORE
+ * @returns {boolean} Whether the repo is enabled
+ */
+export function startFdroidRepo() {
+  const signing = getSigningConfig();
+  if (!signing) {
+    console.log('ℹ️  F-Droid repo disabled: set FDROID_KEYSTORE to enable it');
+    return false;
+  }
+
+  const address = `${PUBLIC_URL}/fdroid/repo`;
+  let building = false;
+  let pendingBlock = null;
+  let debounceTimer = null;
+  let latestEventBlock = 0;
+
+  const rebuild = async (blockNumber) => {
+    if (building) {
+      pendingBlock = Math.max(pendingBlock ?? 0, blockNumber);
+      return;
+    }
+
+    building = true;
+    try {
+      if (blockNumber > 0) {
+        await waitForSubgraph(blockNumber);
+      }
+      const result = await writeRepo(FDROID_REPO_DIR, { address, signing });
+      console.log(`✅ F-Droid repo built: ${result.numPackages} packages, ${address}?fingerprint=${result.fingerprint}`);
+    } catch (error) {
+      console.error('❌ F-Droid repo build failed:', error.message);
+    } finally {
+      building = false;
+      if (pendingBlock !== null) {
+        const next = pendingBlock;
+        pendingBlock = null;
+        rebuild(next);
+      }
+    }
+  };
+
+  rebuild(0);
+
+  const rpcUrl = process.env.RPC_URL;
+  const contractAddress = process.env.APPSTORE_ADDRESS;
+  if (!rpcUrl || !contractAddress) {
+    console.log(`ℹ️  F-Droid repo: RPC_URL/APPSTORE_ADDRESS not set, rebuilding every ${REBUILD_INTERVAL_MS / 60000} minutes`);
+    setInterval(() => rebuild(0), REBUILD_INTERVAL_MS).unref();
+    return true;
+  }
+
+  const contract = new ethers.Contract(contractAddress, STORE_EVENTS_ABI, new ethers.JsonRpcProvider(rpcUrl));
+  for (const fragment of contract.interface.fragments.filter((item) => item.type === 'event')) {
+    contract.on(fragment.name, (...args) => {
+      const { log } = args[args.length - 1];
+      console.log(`📦 F-Droid: ${fragment.name} in block ${log.blockNumber}, rebuilding soon`);
+      latestEventBlock = Math.max(latestEventBlock, log.blockNumber);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => rebuild(latestEventBlock), REBUILD_DEBOUNCE_MS);
+    });
+  }
+  return true;
+}
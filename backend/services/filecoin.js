@@ -216,6 +216,16 @@ export async function uploadJSON(jsonData, metadata = {}) {
   }
 }
 
+/**
+ * Download a file from Filecoin by its piece CID
+ * @param {string} pieceCid - Piece CID returned by uploadFile/uploadJSON
+ * @returns {Promise<Uint8Array>}
+ */
+export async function downloadFile(pieceCid) {
+  const synapse = await initSynapse();
+  return synapse.storage.download(pieceCid);
+}
+
 /**
  * Get current balance (for monitoring)
  */
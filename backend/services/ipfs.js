@@ -0,0 +1,41 @@
+/**
+ * IPFS Service - Read manifests through a public gateway
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const IPFS_GATEWAY = process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+// Manifests are immutable: a CID always has the same content
+const jsonCache = new Map();
+
+/**
+ * Filecoin piece CIDs (v1 baga6ea4sea..., v2 bafkzcib...) are not on IPFS
+ */
+export function isPieceCid(cid) {
+  return /^(baga6ea4sea|bafkzcib)/.test(cid);
+}
+
+/**
+ * Fetch and parse a JSON document (cached by CID)
+ * @param {string} cid
+ * @returns {Promise<Object>}
+ */
+export async function fetchJSONFromIPFS(cid) {
+  if (jsonCache.has(cid)) {
+    return jsonCache.get(cid);
+  }
+
+  const response = await fetch(`${IPFS_GATEWAY}${cid}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`IPFS gateway returned HTTP ${response.status} for ${cid}`);
+  }
+
+  const data = await response.json();
+  jsonCache.set(cid, data);
+  return data;
+}
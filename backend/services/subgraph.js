@@ -0,0 +1,39 @@
+/**
+ * Subgraph Service - GraphQL queries against the store's subgraph
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const SUBGRAPH_URL = process.env.SUBGRAPH_URL || 'http://localhost:8000/subgraphs/name/dappstore';
+
+/**
+ * Run a GraphQL query
+ * @throws {Error} "Subgraph unavailable: ..." if the request or the query fails
+ */
+export async function querySubgraph(queryString, variables = {}) {
+  const response = await fetch(SUBGRAPH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: queryString, variables }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Subgraph unavailable: HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(`Subgraph unavailable: ${result.errors[0].message}`);
+  }
+  return result.data;
+}
+
+/**
+ * Latest block indexed by the subgraph
+ * @returns {Promise<number>}
+ */
+export async function getIndexedBlock() {
+  const data = await querySubgraph('{ _meta { block { number } } }');
+  return data._meta.block.number;
+}
@@ -0,0 +1,128 @@
+/**
+ * Updates Service - Resolve installed packages to their latest version in the subgraph
+ * Same rules as checkForUpdates in src/services/graphql.js, so a device asking
+ * the backend gets the same answer as the web store
+ */
+import dotenv from 'dotenv';
+import { querySubgraph } from './subgraph.js';
+import { IPFS_GATEWAY, isPieceCid } from './ipfs.js';
+
+dotenv.config();
+
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// Page size of the subgraph (graph-node caps `first` at 1000)
+const PAGE_SIZE = 1000;
+
+// Apps whose served manifest (App.metadata) declares one of the packages:
+// the manifests of older versions don't match, so they can't fill the page
+const UPDATES_QUERY = `
+  query CheckForUpdates($packages: [String!]!, $skip: Int!) {
+    apps(first: ${PAGE_SIZE}, skip: $skip, orderBy: id, where: { active: true, metadata_: { packageName_in: $packages } }) {
+      id
+      slug
+      name
+      packageName
+      latestVersion {
+        versionCode
+        manifestCid
+        deprecated
+      }
+      metadata {
+        id
+        packageName
+        versionName
+        apkCid
+        apkSha256
+        apkSize
+        signingCertSha256
+      }
+    }
+  }
+`;
+
+/**
+ * Normalize a signing certificate fingerprint: lowercase hex without ":"
+ */
+export function normalizeCert(cert) {
+  return (cert || '').toLowerCase().replace(/:/g, '');
+}
+
+/**
+ * Where to download an APK: Filecoin piece CIDs are served by this backend,
+ * everything else by an IPFS gateway
+ */
+function apkDownloadUrl(apkCid) {
+  return isPieceCid(apkCid)
+    ? `${PUBLIC_URL}/api/download/${apkCid}`
+    : `${IPFS_GATEWAY}${apkCid}`;
+}
+
+/**
+ * Check which installed apps have an update
+ * @param {Array<{package: string, versionCode: number, signingCertSha256?: string}>} installed
+ * @returns {Promise<Array<Object>>} One result per entry, in the same order
+ */
+export async function checkForUpdates(installed) {
+  const packages = [...new Set(installed.map((entry) => entry.package))];
+  const served = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const data = await querySubgraph(UPDATES_QUERY, { packages, skip });
+    const apps = data.apps || [];
+    // The contract only serves a deprecated version when every version is
+    // deprecated: nothing to update to then
+    served.push(...apps.filter((app) => app.latestVersion && !app.latestVersion.deprecated));
+    if (apps.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return installed.map((entry) => {
+    const result = { package: entry.package, installedVersionCode: entry.versionCode };
+    let candidates = served.filter(({ metadata }) => metadata.packageName === entry.package);
+    if (candidates.length === 0) {
+      return { ...result, status: 'not_found' };
+    }
+
+    // Anyone can publish a manifest with someone else's package name:
+    // only the app signed with the installed certificate is an update
+    if (entry.signingCertSha256) {
+      const cert = normalizeCert(entry.signingCertSha256);
+      candidates = candidates.filter(({ metadata }) => metadata.signingCertSha256 === cert);
+      if (candidates.length === 0) {
+        return { ...result, status: 'signature_mismatch' };
+      }
+    }
+    // Still several: the one that claimed the package on-chain wins
+    if (candidates.length > 1) {
+      const claimant = candidates.filter((app) => app.packageName === entry.package);
+      if (claimant.length === 0) {
+        return { ...result, status: 'ambiguous', slugs: candidates.map((app) => app.slug) };
+      }
+      candidates = claimant;
+    }
+
+    const [app] = candidates;
+    const { latestVersion: version, metadata } = app;
+    const info = {
+      ...result,
+      slug: app.slug,
+      name: app.name,
+      versionCode: Number(version.versionCode),
+      versionName: metadata.versionName,
+    };
+    if (BigInt(version.versionCode) <= BigInt(entry.versionCode)) {
+      return { ...info, status: 'up_to_date' };
+    }
+    return {
+      ...info,
+      status: 'update_available',
+      manifestCid: version.manifestCid,
+      apkCid: metadata.apkCid,
+      apkSha256: metadata.apkSha256,
+      apkSize: Number(metadata.apkSize),
+      signingCertSha256: metadata.signingCertSha256,
+      downloadUrl: apkDownloadUrl(metadata.apkCid),
+    };
+  });
+}
@@ -2,13 +2,24 @@
 pragma solidity ^0.8.24;
 
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title AppStore
- * @dev Decentralized App Store con registro de apps y versiones
- * @notice Almacena referencias IPFS a manifests de apps, gestiona versiones
+ * @dev Decentralized App Store con registro de apps, versiones y pagos en ETH
+ * @notice Almacena referencias IPFS a manifests de apps, gestiona versiones y compras
  */
-contract AppStore is Ownable {
+contract AppStore is Ownable, ReentrancyGuard {
+    
+    // ============ Enums ============
+    
+    // Rol de un maintainer en una app (el publisher tiene todos)
+    enum MaintainerRole {
+        None,      // Sin rol
+        Viewer,    // Solo lectura (acceso al dashboard)
+        Releaser,  // Publica, depreca y restaura versiones
+        Admin      // Releaser + precio + gestiona releasers y viewers
+    }
     
     // ============ Structs ============
     
@@ -17,18 +28,26 @@ contract AppStore is Ownable {
         uint256 timestamp;       // Timestamp de publicación
         uint256 versionCode;     // Código de versión numérico
         bool deprecated;         // Si la versión está deprecada
+        address publishedBy;     // Cuenta que la publicó (publisher o releaser, puede ser una Safe)
     }
     
     struct App {
         address publisher;       // Address del desarrollador
         string slug;            // Identificador único (ej: "my-app")
         string latestManifestCid; // CID del manifest más reciente
+        uint256 priceWei;       // Precio en wei (0 = gratuita)
         uint256 totalDownloads; // Total de descargas
+        uint256 totalRevenue;   // Revenue total (bruto, antes del fee)
         bool exists;            // Si la app existe
         bool active;            // Si la app está activa (no baneada)
         uint256 createdAt;      // Timestamp de creación
     }
     
+    struct PackageClaim {
+        bytes32 appKey;            // App que reclamó el package (0 = libre)
+        bytes32 signingCertSha256; // SHA-256 del certificado de firma del APK
+    }
+    
     // ============ State Variables ============
     
     // Mapeo de slug hash a App
@@ -37,22 +56,69 @@ contract AppStore is Ownable {
     // Mapeo de slug hash a array de versiones
     mapping(bytes32 => Version[]) public versions;
     
+    // Mapeo de slug hash al índice de la versión servida (latestManifestCid)
+    mapping(bytes32 => uint256) public currentVersion;
+    
+    // Mapeo de slug hash a compradores
+    mapping(bytes32 => mapping(address => bool)) public purchases;
+    
+    // Mapeo de slug hash a número de compras
+    mapping(bytes32 => uint256) public purchaseCount;
+    
+    // Mapeo de publisher a número de apps registradas
+    mapping(address => uint256) public publisherAppCount;
+    
+    // Mapeo de publisher al CID de su perfil (JSON firmado en IPFS, "" = sin perfil)
+    mapping(address => string) public publisherProfiles;
+    
+    // Mapeo de hash del package name de Android a la app que lo reclamó primero
+    mapping(bytes32 => PackageClaim) public packageClaims;
+    
+    // Mapeo de slug hash al package name reclamado ("" = sin reclamar)
+    mapping(bytes32 => string) public appPackages;
+    
+    // Mapeo de slug hash al publisher propuesto en una transferencia (address(0) = ninguna)
+    mapping(bytes32 => address) public pendingPublishers;
+    
+    // Mapeo de slug hash a los publishers anteriores, del más antiguo al más reciente
+    mapping(bytes32 => address[]) private previousPublishers;
+    
+    // Mapeo de slug hash a maintainer a su rol
+    mapping(bytes32 => mapping(address => MaintainerRole)) public maintainerRoles;
+    
+    // Mapeo de slug hash a sus maintainers (para listarlos sin el subgraph)
+    mapping(bytes32 => address[]) private maintainers;
+    
+    // Posición + 1 de cada maintainer en maintainers (0 = no está)
+    mapping(bytes32 => mapping(address => uint256)) private maintainerIndex;
+    
     // Total de apps registradas
     uint256 public totalApps;
     
+    // Fee de plataforma en basis points (250 = 2.5%)
+    uint256 public platformFee = 250;
+    
+    // Fee máximo permitido (1000 = 10%)
+    uint256 public constant MAX_PLATFORM_FEE = 1000;
+    
+    // Address que recibe los fees de plataforma
+    address public feeCollector;
+    
     // ============ Events ============
     
     event AppRegistered(
         bytes32 indexed appKey,
         string slug,
         address indexed publisher,
-        string manifestCid
+        string manifestCid,
+        uint256 priceWei
     );
     
     event VersionPublished(
         bytes32 indexed appKey,
         string manifestCid,
-        uint256 versionCode
+        uint256 versionCode,
+        address indexed publishedBy
     );
     
     event AppDownloaded(
@@ -60,11 +126,76 @@ contract AppStore is Ownable {
         address indexed downloader
     );
     
+    event VersionDeprecated(
+        bytes32 indexed appKey,
+        uint256 versionIndex,
+        uint256 versionCode
+    );
+    
+    event LatestVersionChanged(
+        bytes32 indexed appKey,
+        string manifestCid,
+        uint256 versionCode
+    );
+    
     event AppStatusChanged(
         bytes32 indexed appKey,
         bool active
     );
     
+    event AppPurchased(
+        bytes32 indexed appKey,
+        address indexed buyer,
+        uint256 price,
+        uint256 platformFee
+    );
+    
+    event AppUpdated(
+        bytes32 indexed appKey,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+    
+    event PublisherProfileUpdated(
+        address indexed publisher,
+        string profileCid
+    );
+    
+    event PackageClaimed(
+        bytes32 indexed appKey,
+        string packageName,
+        bytes32 signingCertSha256
+    );
+    
+    event PackageReleased(
+        bytes32 indexed appKey,
+        string packageName
+    );
+    
+    event AppTransferProposed(
+        bytes32 indexed appKey,
+        address indexed publisher,
+        address indexed pendingPublisher
+    );
+    
+    event AppOwnershipTransferred(
+        bytes32 indexed appKey,
+        address indexed previousPublisher,
+        address indexed newPublisher,
+        bool recovered
+    );
+    
+    event MaintainerRoleChanged(
+        bytes32 indexed appKey,
+        address indexed maintainer,
+        MaintainerRole role,
+        address indexed changedBy
+    );
+    
+    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
+    
+    event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
+    
     // ============ Modifiers ============
     
     modifier onlyPublisher(bytes32 appKey) {
@@ -84,51 +215,74 @@ contract AppStore is Ownable {
     
     // ============ Constructor ============
     
-    constructor() Ownable(msg.sender) {}
+    constructor() Ownable(msg.sender) {
+        feeCollector = msg.sender;
+    }
     
     // ============ Main Functions ============
     
     /**
      * @notice Registra una nueva app en el store
+     * @dev Sin reclamar package: queda libre para quien lo reclame primero
      * @param slug Identificador único de la app
      * @param manifestCid CID del manifest en IPFS
+     * @param priceWei Precio en wei (0 para apps gratuitas)
      * @param versionCode Código de versión inicial
      */
     function registerApp(
         string calldata slug,
         string calldata manifestCid,
+        uint256 priceWei,
         uint256 versionCode
+    ) external {
+        _registerApp(slug, manifestCid, priceWei, versionCode);
+    }
+    
+    /**
+     * @notice Registra una nueva app y reclama su package name de Android
+     * @dev Falla si otra app ya reclamó el package
+     * @param slug Identificador único de la app
+     * @param manifestCid CID del manifest en IPFS
+     * @param priceWei Precio en wei (0 para apps gratuitas)
+     * @param versionCode Código de versión inicial
+     * @param packageName Package name del APK (com.example.app)
+     * @param signingCertSha256 SHA-256 del certificado con el que está firmado el APK
+     */
+    function registerAppWithPackage(
+        string calldata slug,
+        string calldata manifestCid,
+        uint256 priceWei,
+        uint256 versionCode,
+        string calldata packageName,
+        bytes32 signingCertSha256
+    ) external {
+        bytes32 key = _registerApp(slug, manifestCid, priceWei, versionCode);
+        _claimPackage(key, packageName, signingCertSha256);
+    }
+    
+    /**
+     * @notice Reclama el package name de una app ya registrada
+     * @dev Para apps registradas con registerApp. Cada app reclama un solo
+     *      package y cada package pertenece a una sola app; no se puede cambiar
+     * @param slug Slug de la app
+     * @param packageName Package name del APK (com.example.app)
+     * @param signingCertSha256 SHA-256 del certificado con el que está firmado el APK
+     */
+    function claimPackage(
+        string calldata slug,
+        string calldata packageName,
+        bytes32 signingCertSha256
     ) external {
         bytes32 key = keccak256(abi.encodePacked(slug));
-        require(!apps[key].exists, "App slug already exists");
-        require(bytes(slug).length > 0, "Slug cannot be empty");
-        require(bytes(manifestCid).length > 0, "Manifest CID cannot be empty");
-        
-        apps[key] = App({
-            publisher: msg.sender,
-            slug: slug,
-            latestManifestCid: manifestCid,
-            totalDownloads: 0,
-            exists: true,
-            active: true,
-            createdAt: block.timestamp
-        });
-        
-        versions[key].push(Version({
-            manifestCid: manifestCid,
-            timestamp: block.timestamp,
-            versionCode: versionCode,
-            deprecated: false
-        }));
-        
-        totalApps++;
+        require(apps[key].exists, "App does not exist");
+        require(apps[key].publisher == msg.sender, "Not the publisher");
         
-        emit AppRegistered(key, slug, msg.sender, manifestCid);
-        emit VersionPublished(key, manifestCid, versionCode);
+        _claimPackage(key, packageName, signingCertSha256);
     }
     
     /**
      * @notice Publica una nueva versión de la app
+     * @dev Publisher o maintainer con rol Releaser o Admin
      * @param slug Slug de la app
      * @param manifestCid CID del nuevo manifest
      * @param versionCode Código de la nueva versión
@@ -140,7 +294,7 @@ contract AppStore is Ownable {
     ) external {
         bytes32 key = keccak256(abi.encodePacked(slug));
         require(apps[key].exists, "App does not exist");
-        require(apps[key].publisher == msg.sender, "Not the publisher");
+        require(_canRelease(key, msg.sender), "Not the publisher");
         require(bytes(manifestCid).length > 0, "Manifest CID cannot be empty");
         
         // Verificar que el versionCode sea mayor que el anterior
@@ -157,14 +311,59 @@ contract AppStore is Ownable {
             manifestCid: manifestCid,
             timestamp: block.timestamp,
             versionCode: versionCode,
-            deprecated: false
+            deprecated: false,
+            publishedBy: msg.sender
         }));
+        currentVersion[key] = versions[key].length - 1;
         
-        emit VersionPublished(key, manifestCid, versionCode);
+        emit VersionPublished(key, manifestCid, versionCode, msg.sender);
+    }
+    
+    /**
+     * @notice Compra una app de pago o descarga una gratuita
+     * @dev Reparte el pago entre publisher y feeCollector y devuelve el exceso
+     * @param slug Slug de la app
+     */
+    function purchaseApp(string calldata slug) 
+        external 
+        payable 
+        nonReentrant 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(apps[key].active, "App is not active");
+        
+        uint256 price = apps[key].priceWei;
+        
+        // Apps gratuitas: solo se registra la descarga
+        if (price == 0) {
+            _recordDownload(key);
+            emit AppDownloaded(key, msg.sender);
+            _transferETH(msg.sender, msg.value);
+            return;
+        }
+        
+        require(!purchases[key][msg.sender], "Already purchased");
+        require(msg.value >= price, "Insufficient payment");
+        
+        uint256 fee = (price * platformFee) / 10000;
+        
+        purchases[key][msg.sender] = true;
+        purchaseCount[key]++;
+        apps[key].totalRevenue += price;
+        _recordDownload(key);
+        
+        emit AppPurchased(key, msg.sender, price, fee);
+        emit AppDownloaded(key, msg.sender);
+        
+        _transferETH(apps[key].publisher, price - fee);
+        _transferETH(feeCollector, fee);
+        _transferETH(msg.sender, msg.value - price);
     }
     
     /**
      * @notice Descarga una app (registra estadística)
+     * @dev En apps de pago solo pueden descargar quienes la hayan comprado
      * @param slug Slug de la app
      */
     function downloadApp(string calldata slug) 
@@ -173,13 +372,42 @@ contract AppStore is Ownable {
         bytes32 key = keccak256(abi.encodePacked(slug));
         require(apps[key].exists, "App does not exist");
         require(apps[key].active, "App is not active");
+        require(
+            apps[key].priceWei == 0 || purchases[key][msg.sender],
+            "App not purchased"
+        );
         
         _recordDownload(key);
         emit AppDownloaded(key, msg.sender);
     }
     
+    /**
+     * @notice Actualiza el precio de una app
+     * @dev Publisher o maintainer con rol Admin
+     * @param slug Slug de la app
+     * @param newPriceWei Nuevo precio en wei (0 = gratuita)
+     */
+    function updatePrice(string calldata slug, uint256 newPriceWei) 
+        external 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(
+            apps[key].publisher == msg.sender || maintainerRoles[key][msg.sender] == MaintainerRole.Admin,
+            "Not the publisher"
+        );
+        
+        uint256 oldPrice = apps[key].priceWei;
+        apps[key].priceWei = newPriceWei;
+        
+        emit AppUpdated(key, oldPrice, newPriceWei);
+    }
+    
     /**
      * @notice Depreca una versión específica
+     * @dev Si es la versión servida, latestManifestCid pasa a la versión
+     *      no deprecada más reciente (si queda alguna).
+     *      Publisher o maintainer con rol Releaser o Admin
      * @param slug Slug de la app
      * @param versionIndex Índice de la versión a deprecar
      */
@@ -188,10 +416,113 @@ contract AppStore is Ownable {
     {
         bytes32 key = keccak256(abi.encodePacked(slug));
         require(apps[key].exists, "App does not exist");
-        require(apps[key].publisher == msg.sender, "Not the publisher");
+        require(_canRelease(key, msg.sender), "Not the publisher");
         require(versionIndex < versions[key].length, "Invalid version index");
         
         versions[key][versionIndex].deprecated = true;
+        emit VersionDeprecated(key, versionIndex, versions[key][versionIndex].versionCode);
+        
+        if (versionIndex == currentVersion[key]) {
+            for (uint256 i = versions[key].length; i > 0; i--) {
+                if (!versions[key][i - 1].deprecated) {
+                    _setCurrentVersion(key, i - 1);
+                    break;
+                }
+            }
+        }
+    }
+    
+    /**
+     * @notice Vuelve a servir una versión anterior no deprecada
+     * @dev Publisher o maintainer con rol Releaser o Admin
+     * @param slug Slug de la app
+     * @param versionIndex Índice de la versión a servir
+     */
+    function rollbackToVersion(string calldata slug, uint256 versionIndex) 
+        external 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(_canRelease(key, msg.sender), "Not the publisher");
+        require(versionIndex < versions[key].length, "Invalid version index");
+        require(!versions[key][versionIndex].deprecated, "Version is deprecated");
+        
+        _setCurrentVersion(key, versionIndex);
+    }
+    
+    /**
+     * @notice Publica o borra el perfil del publisher (nombre, web, avatar)
+     * @dev El perfil es un JSON firmado por el publisher; la UI comprueba la firma.
+     *      Solo pueden tener perfil quienes han registrado alguna app
+     * @param profileCid CID del perfil en IPFS ("" para borrarlo)
+     */
+    function setPublisherProfile(string calldata profileCid) external {
+        require(publisherAppCount[msg.sender] > 0, "Not a publisher");
+        
+        publisherProfiles[msg.sender] = profileCid;
+        
+        emit PublisherProfileUpdated(msg.sender, profileCid);
+    }
+    
+    /**
+     * @notice Propone un nuevo publisher para la app (paso 1 de 2)
+     * @dev La app no cambia de manos hasta que el nuevo publisher llama a
+     *      acceptAppTransfer. Una nueva propuesta sustituye a la anterior y
+     *      address(0) la cancela
+     * @param slug Slug de la app
+     * @param newPublisher Address que recibirá la app
+     */
+    function proposeAppTransfer(string calldata slug, address newPublisher) external {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(apps[key].publisher == msg.sender, "Not the publisher");
+        require(newPublisher != msg.sender, "Already the publisher");
+        
+        pendingPublishers[key] = newPublisher;
+        
+        emit AppTransferProposed(key, msg.sender, newPublisher);
+    }
+    
+    /**
+     * @notice Acepta una transferencia propuesta (paso 2 de 2)
+     * @dev Desde este momento las versiones, el precio y los pagos son del nuevo publisher
+     * @param slug Slug de la app
+     */
+    function acceptAppTransfer(string calldata slug) external {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(pendingPublishers[key] == msg.sender, "Not the pending publisher");
+        
+        _transferApp(key, msg.sender, false);
+    }
+    
+    /**
+     * @notice Da, cambia o quita (MaintainerRole.None) el rol de un maintainer
+     * @dev El publisher gestiona todos los roles; un Admin solo releasers y
+     *      viewers. Cualquier maintainer puede renunciar a su propio rol
+     * @param slug Slug de la app
+     * @param maintainer Address del maintainer
+     * @param role Nuevo rol
+     */
+    function setMaintainerRole(string calldata slug, address maintainer, MaintainerRole role) external {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(maintainer != address(0), "Invalid maintainer");
+        require(maintainer != apps[key].publisher, "Publisher already has every role");
+        
+        MaintainerRole current = maintainerRoles[key][maintainer];
+        require(current != role, "Role unchanged");
+        
+        bool renouncing = maintainer == msg.sender && role == MaintainerRole.None;
+        if (apps[key].publisher != msg.sender && !renouncing) {
+            require(maintainerRoles[key][msg.sender] == MaintainerRole.Admin, "Not an app admin");
+            require(
+                current != MaintainerRole.Admin && role != MaintainerRole.Admin,
+                "Only the publisher manages admins"
+            );
+        }
+        
+        _setMaintainerRole(key, maintainer, role);
     }
     
     // ============ View Functions ============
@@ -234,6 +565,89 @@ contract AppStore is Ownable {
         return versions[key][index];
     }
     
+    /**
+     * @notice Indica si un usuario ha comprado una app
+     */
+    function hasUserPurchased(address user, string calldata slug) 
+        external 
+        view 
+        returns (bool) 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        return purchases[key][user];
+    }
+    
+    /**
+     * @notice Obtiene el número de compras de una app
+     */
+    function getPurchaseCount(string calldata slug) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        return purchaseCount[key];
+    }
+    
+    /**
+     * @notice Obtiene la app que reclamó un package name
+     * @return slug Slug de la app ("" si nadie lo ha reclamado)
+     * @return signingCertSha256 Certificado de firma registrado con el package
+     */
+    function getPackageClaim(string calldata packageName) 
+        external 
+        view 
+        returns (string memory slug, bytes32 signingCertSha256) 
+    {
+        PackageClaim memory claim = packageClaims[keccak256(abi.encodePacked(packageName))];
+        if (claim.appKey == bytes32(0)) {
+            return ("", bytes32(0));
+        }
+        return (apps[claim.appKey].slug, claim.signingCertSha256);
+    }
+    
+    /**
+     * @notice Obtiene los publishers anteriores de una app (del más antiguo al más reciente)
+     * @dev Los manifests firmados por ellos siguen siendo válidos: solo el
+     *      publisher del momento pudo registrarlos on-chain
+     */
+    function getPreviousPublishers(string calldata slug) 
+        external 
+        view 
+        returns (address[] memory) 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        return previousPublishers[key];
+    }
+    
+    /**
+     * @notice Obtiene los maintainers de una app y sus roles (sin el publisher)
+     */
+    function getMaintainers(string calldata slug) 
+        external 
+        view 
+        returns (address[] memory accounts, MaintainerRole[] memory roles) 
+    {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        accounts = maintainers[key];
+        roles = new MaintainerRole[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            roles[i] = maintainerRoles[key][accounts[i]];
+        }
+    }
+    
+    /**
+     * @notice Comprueba si una address puede publicar versiones de la app
+     * @dev El publisher y los maintainers Releaser o Admin. La UI acepta los
+     *      manifests firmados por cualquiera de ellos
+     */
+    function canRelease(string calldata slug, address account) 
+        external 
+        view 
+        returns (bool) 
+    {
+        return _canRelease(keccak256(abi.encodePacked(slug)), account);
+    }
     
     /**
      * @notice Obtiene información completa de una app
@@ -260,9 +674,183 @@ contract AppStore is Ownable {
         emit AppStatusChanged(key, active);
     }
     
+    /**
+     * @notice Reasigna una app sin el paso de aceptación (recuperación, solo owner)
+     * @dev Para publishers que han perdido su clave. Cancela cualquier transferencia
+     *      pendiente y quita a todos los maintainers: el nuevo publisher vuelve a
+     *      formar su equipo
+     */
+    function recoverApp(string calldata slug, address newPublisher) external onlyOwner {
+        bytes32 key = keccak256(abi.encodePacked(slug));
+        require(apps[key].exists, "App does not exist");
+        require(newPublisher != address(0), "Invalid publisher");
+        require(newPublisher != apps[key].publisher, "Already the publisher");
+        
+        _transferApp(key, newPublisher, true);
+    }
+    
+    /**
+     * @notice Quita un package name a la app que lo reclamó y, opcionalmente, se lo da a otra (solo owner)
+     * @dev Los reclamos no se comprueban on-chain: el primero que registra un
+     *      package se lo queda. Para disputas (squatting de un package conocido)
+     *      el owner lo reasigna en la misma transacción, sin dejarlo libre
+     * @param packageName Package name reclamado
+     * @param slug App que lo recibe ("" = dejarlo libre)
+     * @param signingCertSha256 Certificado de firma de la app que lo recibe
+     */
+    function reassignPackage(
+        string calldata packageName,
+        string calldata slug,
+        bytes32 signingCertSha256
+    ) external onlyOwner {
+        bytes32 packageKey = keccak256(abi.encodePacked(packageName));
+        bytes32 previousKey = packageClaims[packageKey].appKey;
+        require(previousKey != bytes32(0), "Package not claimed");
+        
+        delete packageClaims[packageKey];
+        delete appPackages[previousKey];
+        emit PackageReleased(previousKey, packageName);
+        
+        if (bytes(slug).length > 0) {
+            bytes32 key = keccak256(abi.encodePacked(slug));
+            require(apps[key].exists, "App does not exist");
+            _claimPackage(key, packageName, signingCertSha256);
+        }
+    }
+    
+    /**
+     * @notice Cambia el fee de plataforma en basis points (solo owner)
+     */
+    function setPlatformFee(uint256 newFee) external onlyOwner {
+        require(newFee <= MAX_PLATFORM_FEE, "Fee too high (max 10%)");
+        emit PlatformFeeUpdated(platformFee, newFee);
+        platformFee = newFee;
+    }
+    
+    /**
+     * @notice Cambia la address que recibe los fees (solo owner)
+     */
+    function setFeeCollector(address newCollector) external onlyOwner {
+        require(newCollector != address(0), "Invalid fee collector");
+        emit FeeCollectorUpdated(feeCollector, newCollector);
+        feeCollector = newCollector;
+    }
+    
     // ============ Internal Functions ============
     
+    function _registerApp(
+        string calldata slug,
+        string calldata manifestCid,
+        uint256 priceWei,
+        uint256 versionCode
+    ) internal returns (bytes32 key) {
+        key = keccak256(abi.encodePacked(slug));
+        require(!apps[key].exists, "App slug already exists");
+        require(bytes(slug).length > 0, "Slug cannot be empty");
+        require(bytes(manifestCid).length > 0, "Manifest CID cannot be empty");
+        
+        apps[key] = App({
+            publisher: msg.sender,
+            slug: slug,
+            latestManifestCid: manifestCid,
+            priceWei: priceWei,
+            totalDownloads: 0,
+            totalRevenue: 0,
+            exists: true,
+            active: true,
+            createdAt: block.timestamp
+        });
+        
+        versions[key].push(Version({
+            manifestCid: manifestCid,
+            timestamp: block.timestamp,
+            versionCode: versionCode,
+            deprecated: false,
+            publishedBy: msg.sender
+        }));
+        
+        totalApps++;
+        publisherAppCount[msg.sender]++;
+        
+        emit AppRegistered(key, slug, msg.sender, manifestCid, priceWei);
+        emit VersionPublished(key, manifestCid, versionCode, msg.sender);
+    }
+    
+    function _claimPackage(bytes32 key, string calldata packageName, bytes32 signingCertSha256) internal {
+        require(bytes(packageName).length > 0, "Package name cannot be empty");
+        require(signingCertSha256 != bytes32(0), "Signing certificate cannot be empty");
+        require(bytes(appPackages[key]).length == 0, "App already has a package");
+        
+        bytes32 packageKey = keccak256(abi.encodePacked(packageName));
+        require(packageClaims[packageKey].appKey == bytes32(0), "Package already claimed");
+        
+        packageClaims[packageKey] = PackageClaim({appKey: key, signingCertSha256: signingCertSha256});
+        appPackages[key] = packageName;
+        
+        emit PackageClaimed(key, packageName, signingCertSha256);
+    }
+    
+    function _transferApp(bytes32 key, address newPublisher, bool recovered) internal {
+        address previousPublisher = apps[key].publisher;
+        
+        apps[key].publisher = newPublisher;
+        delete pendingPublishers[key];
+        previousPublishers[key].push(previousPublisher);
+        publisherAppCount[previousPublisher]--;
+        publisherAppCount[newPublisher]++;
+        
+        if (recovered) {
+            // La clave anterior puede estar comprometida: fuera todos los
+            // maintainers que añadió (cada uno emite MaintainerRoleChanged)
+            address[] storage team = maintainers[key];
+            while (team.length > 0) {
+                _setMaintainerRole(key, team[team.length - 1], MaintainerRole.None);
+            }
+        } else if (maintainerRoles[key][newPublisher] != MaintainerRole.None) {
+            // El nuevo publisher ya tiene todos los roles
+            _setMaintainerRole(key, newPublisher, MaintainerRole.None);
+        }
+        
+        emit AppOwnershipTransferred(key, previousPublisher, newPublisher, recovered);
+    }
+    
+    function _canRelease(bytes32 key, address account) internal view returns (bool) {
+        return apps[key].publisher == account || maintainerRoles[key][account] >= MaintainerRole.Releaser;
+    }
+    
+    function _setMaintainerRole(bytes32 key, address maintainer, MaintainerRole role) internal {
+        maintainerRoles[key][maintainer] = role;
+        
+        uint256 index = maintainerIndex[key][maintainer];
+        if (role == MaintainerRole.None && index > 0) {
+            // Quitar de la lista moviendo el último a su sitio
+            address last = maintainers[key][maintainers[key].length - 1];
+            maintainers[key][index - 1] = last;
+            maintainerIndex[key][last] = index;
+            maintainers[key].pop();
+            delete maintainerIndex[key][maintainer];
+        } else if (role != MaintainerRole.None && index == 0) {
+            maintainers[key].push(maintainer);
+            maintainerIndex[key][maintainer] = maintainers[key].length;
+        }
+        
+        emit MaintainerRoleChanged(key, maintainer, role, msg.sender);
+    }
+    
     function _recordDownload(bytes32 key) internal {
         apps[key].totalDownloads++;
     }
+    
+    function _setCurrentVersion(bytes32 key, uint256 versionIndex) internal {
+        Version storage version = versions[key][versionIndex];
+        currentVersion[key] = versionIndex;
+        apps[key].latestManifestCid = version.manifestCid;
+        emit LatestVersionChanged(key, version.manifestCid, version.versionCode);
+    }
+    
+    function _transferETH(address to, uint256 amount) internal {
+        if (amount == 0) return;
+        (bool success, ) = payable(to).call{value: amount}("");
+        require(success, "Transfer failed");
+    }
 }
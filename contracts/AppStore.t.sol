@@ -11,22 +11,32 @@ contract AppStoreTest is Test {
     address owner = address(this);
     address publisher = address(0x1);
     address user = address(0x2);
+    address buyer = address(0xB0B);
+    address collector = address(0xFEE);
     
     // Test data
     string constant TEST_SLUG = "my-awesome-app";
     string constant TEST_CID = "QmTest123";
     string constant TEST_CID_V2 = "QmTest456";
     uint256 constant TEST_VERSION = 1;
+    uint256 constant FREE_PRICE = 0;
+    uint256 constant TEST_PRICE = 0.1 ether;
+    string constant TEST_PACKAGE = "com.example.awesome";
+    bytes32 constant TEST_CERT = keccak256("test-signing-cert");
     
     function setUp() public {
         appStore = new AppStore();
+        vm.deal(buyer, 10 ether);
     }
     
+    // El test contract es el owner y feeCollector inicial
+    receive() external payable {}
+    
     // ============ Register App Tests ============
     
     function test_RegisterApp() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Verify app was registered
         AppStore.App memory app = appStore.getApp(TEST_SLUG);
@@ -46,23 +56,23 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_RegisterDuplicateSlug() public {
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         vm.expectRevert("App slug already exists");
-        appStore.registerApp(TEST_SLUG, TEST_CID_V2, 2);
+        appStore.registerApp(TEST_SLUG, TEST_CID_V2, FREE_PRICE, 2);
         vm.stopPrank();
     }
     
     function test_RevertWhen_RegisterEmptySlug() public {
         vm.prank(publisher);
         vm.expectRevert("Slug cannot be empty");
-        appStore.registerApp("", TEST_CID, TEST_VERSION);
+        appStore.registerApp("", TEST_CID, FREE_PRICE, TEST_VERSION);
     }
     
     function test_RevertWhen_RegisterEmptyCid() public {
         vm.prank(publisher);
         vm.expectRevert("Manifest CID cannot be empty");
-        appStore.registerApp(TEST_SLUG, "", TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, "", FREE_PRICE, TEST_VERSION);
     }
     
     // ============ Publish Version Tests ============
@@ -70,7 +80,7 @@ contract AppStoreTest is Test {
     function test_PublishVersion() public {
         // Register app first
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Publish new version
         appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
@@ -87,11 +97,12 @@ contract AppStoreTest is Test {
         assertEq(version.manifestCid, TEST_CID_V2);
         assertEq(version.versionCode, 2);
         assertFalse(version.deprecated);
+        assertEq(version.publishedBy, publisher);
     }
     
     function test_RevertWhen_PublishVersionNotPublisher() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         vm.prank(user);
         vm.expectRevert("Not the publisher");
@@ -100,7 +111,7 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_PublishVersionLowerCode() public {
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, 10);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, 10);
         
         vm.expectRevert("Version code must be greater than previous");
         appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 5);
@@ -118,7 +129,7 @@ contract AppStoreTest is Test {
     function test_DownloadApp() public {
         // Register app
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Download app
         vm.prank(user);
@@ -131,7 +142,7 @@ contract AppStoreTest is Test {
     
     function test_MultipleDownloads() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Download multiple times
         vm.prank(user);
@@ -153,7 +164,7 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_DownloadInactiveApp() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Deactivate app
         appStore.setAppStatus(TEST_SLUG, false);
@@ -167,7 +178,7 @@ contract AppStoreTest is Test {
     
     function test_DeprecateVersion() public {
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
         
         // Deprecate first version
@@ -180,7 +191,7 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_DeprecateVersionNotPublisher() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         vm.prank(user);
         vm.expectRevert("Not the publisher");
@@ -189,18 +200,189 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_DeprecateInvalidVersionIndex() public {
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         vm.expectRevert("Invalid version index");
         appStore.deprecateVersion(TEST_SLUG, 5);
         vm.stopPrank();
     }
     
+    function test_DeprecateCurrentVersionFallsBack() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        
+        // Deprecar la versión servida vuelve a la anterior no deprecada
+        appStore.deprecateVersion(TEST_SLUG, 1);
+        vm.stopPrank();
+        
+        assertEq(appStore.getLatestManifest(TEST_SLUG), TEST_CID);
+    }
+    
+    function test_DeprecateOlderVersionKeepsLatest() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        appStore.deprecateVersion(TEST_SLUG, 0);
+        vm.stopPrank();
+        
+        assertEq(appStore.getLatestManifest(TEST_SLUG), TEST_CID_V2);
+    }
+    
+    function test_RollbackToVersion() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        appStore.rollbackToVersion(TEST_SLUG, 0);
+        vm.stopPrank();
+        
+        assertEq(appStore.getLatestManifest(TEST_SLUG), TEST_CID);
+        
+        // Una versión nueva vuelve a ser la servida
+        vm.prank(publisher);
+        appStore.publishVersion(TEST_SLUG, "QmTest789", 3);
+        assertEq(appStore.getLatestManifest(TEST_SLUG), "QmTest789");
+    }
+    
+    function test_RevertWhen_RollbackToDeprecatedVersion() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        appStore.deprecateVersion(TEST_SLUG, 0);
+        
+        vm.expectRevert("Version is deprecated");
+        appStore.rollbackToVersion(TEST_SLUG, 0);
+        vm.stopPrank();
+    }
+    
+    function test_RevertWhen_RollbackNotPublisher() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        vm.expectRevert("Not the publisher");
+        appStore.rollbackToVersion(TEST_SLUG, 0);
+    }
+    
+    // ============ Purchase Tests ============
+    
+    function test_PurchaseApp() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        uint256 publisherBefore = publisher.balance;
+        uint256 collectorBefore = owner.balance;
+        
+        vm.prank(buyer);
+        appStore.purchaseApp{value: TEST_PRICE}(TEST_SLUG);
+        
+        // 2.5% para la plataforma, el resto para el publisher
+        uint256 fee = (TEST_PRICE * 250) / 10000;
+        assertEq(publisher.balance - publisherBefore, TEST_PRICE - fee);
+        assertEq(owner.balance - collectorBefore, fee);
+        
+        assertTrue(appStore.hasUserPurchased(buyer, TEST_SLUG));
+        assertEq(appStore.getPurchaseCount(TEST_SLUG), 1);
+        
+        AppStore.App memory app = appStore.getApp(TEST_SLUG);
+        assertEq(app.totalDownloads, 1);
+        assertEq(app.totalRevenue, TEST_PRICE);
+    }
+    
+    function test_PurchaseAppRefundsExcess() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        uint256 buyerBefore = buyer.balance;
+        
+        vm.prank(buyer);
+        appStore.purchaseApp{value: 1 ether}(TEST_SLUG);
+        
+        assertEq(buyerBefore - buyer.balance, TEST_PRICE);
+        assertEq(address(appStore).balance, 0);
+    }
+    
+    function test_PurchaseFreeAppRecordsDownload() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.prank(buyer);
+        appStore.purchaseApp(TEST_SLUG);
+        
+        assertFalse(appStore.hasUserPurchased(buyer, TEST_SLUG));
+        assertEq(appStore.getPurchaseCount(TEST_SLUG), 0);
+        assertEq(appStore.getApp(TEST_SLUG).totalDownloads, 1);
+    }
+    
+    function test_RevertWhen_PurchaseInsufficientPayment() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.prank(buyer);
+        vm.expectRevert("Insufficient payment");
+        appStore.purchaseApp{value: TEST_PRICE - 1}(TEST_SLUG);
+    }
+    
+    function test_RevertWhen_PurchaseTwice() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.startPrank(buyer);
+        appStore.purchaseApp{value: TEST_PRICE}(TEST_SLUG);
+        
+        vm.expectRevert("Already purchased");
+        appStore.purchaseApp{value: TEST_PRICE}(TEST_SLUG);
+        vm.stopPrank();
+    }
+    
+    function test_RevertWhen_DownloadPaidAppNotPurchased() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.prank(user);
+        vm.expectRevert("App not purchased");
+        appStore.downloadApp(TEST_SLUG);
+    }
+    
+    function test_DownloadPaidAppAfterPurchase() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.startPrank(buyer);
+        appStore.purchaseApp{value: TEST_PRICE}(TEST_SLUG);
+        appStore.downloadApp(TEST_SLUG);
+        vm.stopPrank();
+        
+        assertEq(appStore.getApp(TEST_SLUG).totalDownloads, 2);
+    }
+    
+    // ============ Price Tests ============
+    
+    function test_UpdatePrice() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        appStore.updatePrice(TEST_SLUG, 0.2 ether);
+        vm.stopPrank();
+        
+        assertEq(appStore.getApp(TEST_SLUG).priceWei, 0.2 ether);
+    }
+    
+    function test_RevertWhen_UpdatePriceNotPublisher() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.prank(user);
+        vm.expectRevert("Not the publisher");
+        appStore.updatePrice(TEST_SLUG, 0.2 ether);
+    }
+    
     // ============ Admin Functions Tests ============
     
     function test_SetAppStatus() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // Deactivate app
         appStore.setAppStatus(TEST_SLUG, false);
@@ -222,18 +404,439 @@ contract AppStoreTest is Test {
     
     function test_RevertWhen_SetAppStatusNotOwner() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         vm.prank(user);
         vm.expectRevert();
         appStore.setAppStatus(TEST_SLUG, false);
     }
     
+    function test_SetPlatformFeeAndCollector() public {
+        appStore.setPlatformFee(1000);
+        appStore.setFeeCollector(collector);
+        
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_PRICE, TEST_VERSION);
+        
+        vm.prank(buyer);
+        appStore.purchaseApp{value: TEST_PRICE}(TEST_SLUG);
+        
+        assertEq(collector.balance, TEST_PRICE / 10);
+    }
+    
+    function test_RevertWhen_SetPlatformFeeTooHigh() public {
+        vm.expectRevert("Fee too high (max 10%)");
+        appStore.setPlatformFee(1001);
+    }
+    
+    function test_RevertWhen_SetPlatformFeeNotOwner() public {
+        vm.prank(user);
+        vm.expectRevert();
+        appStore.setPlatformFee(100);
+    }
+    
+    // ============ Publisher Profile Tests ============
+    
+    function test_SetPublisherProfile() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.expectEmit(true, false, false, true);
+        emit AppStore.PublisherProfileUpdated(publisher, TEST_CID_V2);
+        appStore.setPublisherProfile(TEST_CID_V2);
+        vm.stopPrank();
+        
+        assertEq(appStore.publisherProfiles(publisher), TEST_CID_V2);
+        assertEq(appStore.publisherAppCount(publisher), 1);
+    }
+    
+    function test_ClearPublisherProfile() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setPublisherProfile(TEST_CID_V2);
+        appStore.setPublisherProfile("");
+        vm.stopPrank();
+        
+        assertEq(appStore.publisherProfiles(publisher), "");
+    }
+    
+    function test_RevertWhen_SetPublisherProfileNotPublisher() public {
+        vm.prank(user);
+        vm.expectRevert("Not a publisher");
+        appStore.setPublisherProfile(TEST_CID);
+    }
+    
+    // ============ Package Claim Tests ============
+    
+    function test_RegisterAppWithPackage() public {
+        vm.prank(publisher);
+        vm.expectEmit(true, false, false, true);
+        emit AppStore.PackageClaimed(keccak256(abi.encodePacked(TEST_SLUG)), TEST_PACKAGE, TEST_CERT);
+        appStore.registerAppWithPackage(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        (string memory slug, bytes32 cert) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(slug, TEST_SLUG);
+        assertEq(cert, TEST_CERT);
+        assertEq(appStore.appPackages(keccak256(abi.encodePacked(TEST_SLUG))), TEST_PACKAGE);
+        assertEq(appStore.getApp(TEST_SLUG).publisher, publisher);
+        assertEq(appStore.publisherAppCount(publisher), 1);
+    }
+    
+    function test_RevertWhen_PackageAlreadyClaimed() public {
+        vm.prank(publisher);
+        appStore.registerAppWithPackage(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        // Otra app (de otro publisher) no puede quedarse el mismo package
+        vm.prank(user);
+        vm.expectRevert("Package already claimed");
+        appStore.registerAppWithPackage("fake-app", TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        // Y el registro fallido no deja la app a medias
+        assertEq(appStore.totalApps(), 1);
+        assertEq(appStore.publisherAppCount(user), 0);
+    }
+    
+    function test_ClaimPackageForExistingApp() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        (string memory unclaimed, ) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(unclaimed, "");
+        
+        appStore.claimPackage(TEST_SLUG, TEST_PACKAGE, TEST_CERT);
+        vm.stopPrank();
+        
+        (string memory slug, ) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(slug, TEST_SLUG);
+    }
+    
+    function test_RevertWhen_ClaimPackageNotPublisher() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.prank(user);
+        vm.expectRevert("Not the publisher");
+        appStore.claimPackage(TEST_SLUG, TEST_PACKAGE, TEST_CERT);
+    }
+    
+    function test_RevertWhen_ClaimSecondPackage() public {
+        vm.startPrank(publisher);
+        appStore.registerAppWithPackage(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        vm.expectRevert("App already has a package");
+        appStore.claimPackage(TEST_SLUG, "com.example.other", TEST_CERT);
+        vm.stopPrank();
+    }
+    
+    function test_RevertWhen_ClaimPackageWithoutCertificate() public {
+        vm.prank(publisher);
+        vm.expectRevert("Signing certificate cannot be empty");
+        appStore.registerAppWithPackage(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, bytes32(0));
+    }
+    
+    function test_ReassignPackage() public {
+        vm.prank(user);
+        appStore.registerAppWithPackage("squatter", TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, keccak256("other-cert"));
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.expectEmit(true, false, false, true);
+        emit AppStore.PackageReleased(keccak256(abi.encodePacked("squatter")), TEST_PACKAGE);
+        appStore.reassignPackage(TEST_PACKAGE, TEST_SLUG, TEST_CERT);
+        
+        (string memory slug, bytes32 cert) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(slug, TEST_SLUG);
+        assertEq(cert, TEST_CERT);
+        assertEq(appStore.appPackages(keccak256(abi.encodePacked("squatter"))), "");
+        assertEq(appStore.appPackages(keccak256(abi.encodePacked(TEST_SLUG))), TEST_PACKAGE);
+    }
+    
+    function test_ReleasePackage() public {
+        vm.prank(user);
+        appStore.registerAppWithPackage("squatter", TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        appStore.reassignPackage(TEST_PACKAGE, "", bytes32(0));
+        
+        (string memory slug, ) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(slug, "");
+        
+        // Libre: la app legítima lo puede reclamar
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.claimPackage(TEST_SLUG, TEST_PACKAGE, TEST_CERT);
+        vm.stopPrank();
+        (slug, ) = appStore.getPackageClaim(TEST_PACKAGE);
+        assertEq(slug, TEST_SLUG);
+    }
+    
+    function test_RevertWhen_ReassignPackageNotOwner() public {
+        vm.prank(user);
+        appStore.registerAppWithPackage("squatter", TEST_CID, FREE_PRICE, TEST_VERSION, TEST_PACKAGE, TEST_CERT);
+        
+        vm.prank(user);
+        vm.expectRevert();
+        appStore.reassignPackage(TEST_PACKAGE, "", bytes32(0));
+    }
+    
+    function test_RevertWhen_ReassignUnclaimedPackage() public {
+        vm.expectRevert("Package not claimed");
+        appStore.reassignPackage(TEST_PACKAGE, "", bytes32(0));
+    }
+    
+    // ============ Ownership Transfer Tests ============
+    
+    function test_TransferApp() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+        vm.stopPrank();
+        
+        // Hasta que acepta, la app sigue siendo del publisher
+        assertEq(appStore.getApp(TEST_SLUG).publisher, publisher);
+        assertEq(appStore.pendingPublishers(keccak256(abi.encodePacked(TEST_SLUG))), user);
+        
+        vm.prank(user);
+        appStore.acceptAppTransfer(TEST_SLUG);
+        
+        assertEq(appStore.getApp(TEST_SLUG).publisher, user);
+        assertEq(appStore.pendingPublishers(keccak256(abi.encodePacked(TEST_SLUG))), address(0));
+        assertEq(appStore.publisherAppCount(publisher), 0);
+        assertEq(appStore.publisherAppCount(user), 1);
+        
+        address[] memory previous = appStore.getPreviousPublishers(TEST_SLUG);
+        assertEq(previous.length, 1);
+        assertEq(previous[0], publisher);
+        
+        // El nuevo publisher ya puede publicar versiones
+        vm.prank(user);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        assertEq(appStore.getVersionCount(TEST_SLUG), 2);
+    }
+    
+    function test_CancelTransfer() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+        appStore.proposeAppTransfer(TEST_SLUG, address(0));
+        vm.stopPrank();
+        
+        vm.prank(user);
+        vm.expectRevert("Not the pending publisher");
+        appStore.acceptAppTransfer(TEST_SLUG);
+    }
+    
+    function test_RevertWhen_ProposeTransferNotPublisher() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.prank(user);
+        vm.expectRevert("Not the publisher");
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+    }
+    
+    function test_RevertWhen_OldPublisherPublishesAfterTransfer() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        appStore.acceptAppTransfer(TEST_SLUG);
+        
+        vm.prank(publisher);
+        vm.expectRevert("Not the publisher");
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+    }
+    
+    function test_RecoverApp() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.proposeAppTransfer(TEST_SLUG, buyer);
+        vm.stopPrank();
+        
+        appStore.recoverApp(TEST_SLUG, user);
+        
+        assertEq(appStore.getApp(TEST_SLUG).publisher, user);
+        // La recuperación cancela la transferencia pendiente
+        assertEq(appStore.pendingPublishers(keccak256(abi.encodePacked(TEST_SLUG))), address(0));
+    }
+    
+    function test_RecoverAppRemovesMaintainers() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Admin);
+        appStore.setMaintainerRole(TEST_SLUG, buyer, AppStore.MaintainerRole.Releaser);
+        vm.stopPrank();
+        
+        vm.expectEmit(true, true, true, true);
+        emit AppStore.MaintainerRoleChanged(keccak256(abi.encodePacked(TEST_SLUG)), buyer, AppStore.MaintainerRole.None, owner);
+        vm.expectEmit(true, true, true, true);
+        emit AppStore.MaintainerRoleChanged(keccak256(abi.encodePacked(TEST_SLUG)), user, AppStore.MaintainerRole.None, owner);
+        appStore.recoverApp(TEST_SLUG, collector);
+        
+        (address[] memory accounts, ) = appStore.getMaintainers(TEST_SLUG);
+        assertEq(accounts.length, 0);
+        assertFalse(appStore.canRelease(TEST_SLUG, user));
+        assertFalse(appStore.canRelease(TEST_SLUG, buyer));
+        
+        vm.prank(buyer);
+        vm.expectRevert("Not the publisher");
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+    }
+    
+    function test_TransferKeepsMaintainers() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, buyer, AppStore.MaintainerRole.Releaser);
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        appStore.acceptAppTransfer(TEST_SLUG);
+        
+        assertTrue(appStore.canRelease(TEST_SLUG, buyer));
+    }
+    
+    function test_RevertWhen_RecoverAppNotOwner() public {
+        vm.prank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        
+        vm.prank(user);
+        vm.expectRevert();
+        appStore.recoverApp(TEST_SLUG, user);
+    }
+    
+    // ============ Maintainer Tests ============
+    
+    function test_ReleaserCanPublishVersion() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Releaser);
+        vm.stopPrank();
+        
+        assertTrue(appStore.canRelease(TEST_SLUG, user));
+        
+        vm.startPrank(user);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        appStore.rollbackToVersion(TEST_SLUG, 0);
+        
+        // Un releaser no puede cambiar el precio
+        vm.expectRevert("Not the publisher");
+        appStore.updatePrice(TEST_SLUG, TEST_PRICE);
+        vm.stopPrank();
+        
+        assertEq(appStore.getVersionCount(TEST_SLUG), 2);
+    }
+    
+    function test_VersionRecordsReleaser() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Releaser);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        vm.expectEmit(true, true, false, true);
+        emit AppStore.VersionPublished(keccak256(abi.encodePacked(TEST_SLUG)), TEST_CID_V2, 2, user);
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+        
+        // Sigue constando aunque pierda el rol
+        vm.prank(publisher);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.None);
+        
+        assertEq(appStore.getVersion(TEST_SLUG, 0).publishedBy, publisher);
+        assertEq(appStore.getVersion(TEST_SLUG, 1).publishedBy, user);
+    }
+    
+    function test_RevertWhen_ViewerPublishesVersion() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Viewer);
+        vm.stopPrank();
+        
+        assertFalse(appStore.canRelease(TEST_SLUG, user));
+        
+        vm.prank(user);
+        vm.expectRevert("Not the publisher");
+        appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
+    }
+    
+    function test_AdminManagesReleasers() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Admin);
+        vm.stopPrank();
+        
+        vm.startPrank(user);
+        appStore.setMaintainerRole(TEST_SLUG, buyer, AppStore.MaintainerRole.Releaser);
+        appStore.updatePrice(TEST_SLUG, TEST_PRICE);
+        
+        vm.expectRevert("Only the publisher manages admins");
+        appStore.setMaintainerRole(TEST_SLUG, collector, AppStore.MaintainerRole.Admin);
+        vm.stopPrank();
+        
+        assertEq(appStore.getApp(TEST_SLUG).priceWei, TEST_PRICE);
+        assertTrue(appStore.canRelease(TEST_SLUG, buyer));
+    }
+    
+    function test_RevertWhen_ReleaserManagesRoles() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Releaser);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        vm.expectRevert("Not an app admin");
+        appStore.setMaintainerRole(TEST_SLUG, buyer, AppStore.MaintainerRole.Releaser);
+    }
+    
+    function test_RemoveMaintainer() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Releaser);
+        appStore.setMaintainerRole(TEST_SLUG, buyer, AppStore.MaintainerRole.Viewer);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.None);
+        vm.stopPrank();
+        
+        (address[] memory accounts, AppStore.MaintainerRole[] memory roles) = appStore.getMaintainers(TEST_SLUG);
+        assertEq(accounts.length, 1);
+        assertEq(accounts[0], buyer);
+        assertTrue(roles[0] == AppStore.MaintainerRole.Viewer);
+        assertFalse(appStore.canRelease(TEST_SLUG, user));
+    }
+    
+    function test_MaintainerCanRenounce() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Viewer);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.None);
+        
+        (address[] memory accounts, ) = appStore.getMaintainers(TEST_SLUG);
+        assertEq(accounts.length, 0);
+    }
+    
+    function test_TransferToMaintainerDropsRole() public {
+        vm.startPrank(publisher);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
+        appStore.setMaintainerRole(TEST_SLUG, user, AppStore.MaintainerRole.Admin);
+        appStore.proposeAppTransfer(TEST_SLUG, user);
+        vm.stopPrank();
+        
+        vm.prank(user);
+        appStore.acceptAppTransfer(TEST_SLUG);
+        
+        assertTrue(appStore.maintainerRoles(keccak256(abi.encodePacked(TEST_SLUG)), user) == AppStore.MaintainerRole.None);
+        (address[] memory accounts, ) = appStore.getMaintainers(TEST_SLUG);
+        assertEq(accounts.length, 0);
+    }
+    
     // ============ View Functions Tests ============
     
     function test_GetLatestManifest() public {
         vm.prank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         string memory manifest = appStore.getLatestManifest(TEST_SLUG);
         assertEq(manifest, TEST_CID);
@@ -241,7 +844,7 @@ contract AppStoreTest is Test {
     
     function test_GetVersionCount() public {
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
         vm.stopPrank();
         
@@ -253,7 +856,7 @@ contract AppStoreTest is Test {
     function test_CompleteAppLifecycle() public {
         // 1. Register app
         vm.startPrank(publisher);
-        appStore.registerApp(TEST_SLUG, TEST_CID, TEST_VERSION);
+        appStore.registerApp(TEST_SLUG, TEST_CID, FREE_PRICE, TEST_VERSION);
         
         // 2. Publish new version
         appStore.publishVersion(TEST_SLUG, TEST_CID_V2, 2);
@@ -272,9 +875,9 @@ contract AppStoreTest is Test {
     function test_MultipleApps() public {
         // Register multiple apps
         vm.startPrank(publisher);
-        appStore.registerApp("app1", TEST_CID, 1);
-        appStore.registerApp("app2", TEST_CID, 1);
-        appStore.registerApp("app3", TEST_CID, 1);
+        appStore.registerApp("app1", TEST_CID, FREE_PRICE, 1);
+        appStore.registerApp("app2", TEST_CID, FREE_PRICE, 1);
+        appStore.registerApp("app3", TEST_CID, FREE_PRICE, 1);
         vm.stopPrank();
         
         assertEq(appStore.totalApps(), 3);
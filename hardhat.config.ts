@@ -13,6 +13,13 @@ export default defineConfig({
     profiles: {
       default: {
         version: "0.8.28",
+        // Without the optimizer AppStore is over the 24 KB contract size limit (EIP-170)
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
       },
       production: {
         version: "0.8.28",
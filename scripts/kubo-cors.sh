@@ -0,0 +1,6 @@
+#!/bin/sh
+# Allow the Vite dev server to call the Kubo RPC API (storage provider "kubo")
+# Mounted into the ipfs container as /container-init.d/001-cors.sh
+set -e
+ipfs config --json API.HTTPHeaders.Access-Control-Allow-Origin '["http://localhost:5173", "http://127.0.0.1:5173"]'
+ipfs config --json API.HTTPHeaders.Access-Control-Allow-Methods '["PUT", "POST", "GET"]'
@@ -1,82 +1,59 @@
-import React, { useState } from 'react'
+import React from 'react'
 import Home from './pages/Home'
 import Publish from './pages/Publish'
 import AppDetail from './pages/AppDetail'
 import MyApps from './pages/MyApps'
 import PublisherDashboard from './pages/PublisherDashboard'
+import Publisher from './pages/Publisher'
+import Categories from './pages/Categories'
+import Settings from './pages/Settings'
+import Link from './components/Link'
+import P2PStatus from './components/P2PStatus'
 import { useWallet } from './hooks/useWallet'
+import { useRouter, appPath } from './hooks/useRouter'
+
+const NAV_ITEMS = [
+  { route: 'home', path: '/', label: '🏠 Home' },
+  { route: 'categories', path: '/categories', label: '🗂️ Categories', activeFor: ['category'] },
+  { route: 'publish', path: '/publish', label: '📤 Publish' },
+  { route: 'myapps', path: '/my-apps', label: '📱 My Apps' },
+  { route: 'dashboard', path: '/dashboard', label: '📊 Dashboard' },
+  { route: 'settings', path: '/settings', label: '⚙️ Settings' }
+]
 
 export default function App() {
-  const [currentPage, setCurrentPage] = useState('home') // 'home' | 'publish' | 'detail' | 'myapps' | 'dashboard'
-  const [selectedApp, setSelectedApp] = useState(null)
+  const { route, params, navigate, goBack } = useRouter()
   const wallet = useWallet()
 
-  const navigateToDetail = (slug) => {
-    setSelectedApp(slug)
-    setCurrentPage('detail')
-  }
-
-  const navigateToHome = () => {
-    setSelectedApp(null)
-    setCurrentPage('home')
-  }
+  const navigateToDetail = (slug) => navigate(appPath(slug))
 
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white shadow-sm sticky top-0 z-10">
         <div className="max-w-6xl mx-auto px-6 py-4">
           <div className="flex items-center justify-between">
-            <h1 
-              className="text-3xl font-semibold cursor-pointer hover:text-blue-600 transition"
-              onClick={() => setCurrentPage('home')}
-            >
-              📱 DApp Store
+            <h1 className="text-3xl font-semibold">
+              <Link to="/" className="hover:text-blue-600 transition">
+                📱 DApp Store
+              </Link>
             </h1>
             
             <nav className="flex gap-4 items-center">
-              <button
-                onClick={() => setCurrentPage('home')}
-                className={`px-4 py-2 rounded-lg font-medium transition ${
-                  currentPage === 'home' 
-                    ? 'bg-blue-600 text-white' 
-                    : 'text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                🏠 Home
-              </button>
-              
-              <button
-                onClick={() => setCurrentPage('publish')}
-                className={`px-4 py-2 rounded-lg font-medium transition ${
-                  currentPage === 'publish' 
-                    ? 'bg-blue-600 text-white' 
-                    : 'text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                📤 Publish
-              </button>
-              
-              <button
-                onClick={() => setCurrentPage('myapps')}
-                className={`px-4 py-2 rounded-lg font-medium transition ${
-                  currentPage === 'myapps' 
-                    ? 'bg-blue-600 text-white' 
-                    : 'text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                📱 My Apps
-              </button>
-              
-              <button
-                onClick={() => setCurrentPage('dashboard')}
-                className={`px-4 py-2 rounded-lg font-medium transition ${
-                  currentPage === 'dashboard' 
-                    ? 'bg-blue-600 text-white' 
-                    : 'text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                📊 Dashboard
-              </button>
+              {NAV_ITEMS.map(item => (
+                <Link
+                  key={item.route}
+                  to={item.path}
+                  className={`px-4 py-2 rounded-lg font-medium transition ${
+                    route === item.route || item.activeFor?.includes(route)
+                      ? 'bg-blue-600 text-white' 
+                      : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {item.label}
+                </Link>
+              ))}
+
+              <P2PStatus />
               
               {/* Wallet Connection */}
               {wallet.isConnected ? (
@@ -132,12 +109,36 @@ export default function App() {
       </header>
 
       <main>
-        {currentPage === 'home' && <Home wallet={wallet} onAppClick={navigateToDetail} />}
-        {currentPage === 'publish' && <Publish wallet={wallet} />}
-        {currentPage === 'myapps' && <MyApps wallet={wallet} onAppClick={navigateToDetail} />}
-        {currentPage === 'dashboard' && <PublisherDashboard wallet={wallet} />}
-        {currentPage === 'detail' && selectedApp && (
-          <AppDetail slug={selectedApp} wallet={wallet} onBack={navigateToHome} />
+        {route === 'home' && <Home wallet={wallet} onAppClick={navigateToDetail} />}
+        {route === 'publish' && <Publish wallet={wallet} />}
+        {route === 'myapps' && <MyApps wallet={wallet} onAppClick={navigateToDetail} />}
+        {route === 'dashboard' && <PublisherDashboard wallet={wallet} />}
+        {route === 'detail' && (
+          <AppDetail
+            key={params.slug}
+            slug={params.slug}
+            versionCode={params.versionCode}
+            wallet={wallet}
+            onBack={goBack}
+          />
+        )}
+        {route === 'categories' && <Categories onAppClick={navigateToDetail} />}
+        {route === 'category' && (
+          <Categories key={params.id} categoryId={params.id} onAppClick={navigateToDetail} />
+        )}
+        {route === 'settings' && <Settings />}
+        {route === 'publisher' && (
+          <Publisher address={params.address} onBack={goBack} />
+        )}
+        {route === 'notfound' && (
+          <div className="max-w-6xl mx-auto px-6 py-16 text-center">
+            <div className="text-6xl mb-4">🧭</div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Page not found</h2>
+            <p className="text-gray-600 mb-6">There is nothing at this address</p>
+            <Link to="/" className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              Back to home
+            </Link>
+          </div>
         )}
       </main>
     </div>
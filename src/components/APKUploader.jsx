@@ -2,15 +2,25 @@
  * Component for uploading APKs to IPFS and generating manifests
  */
 
-import React, { useState } from 'react';
-import { uploadToPinata, uploadJSONToPinata, calculateSHA256 } from '../services/ipfs.js';
+import React, { useEffect, useMemo, useState } from 'react';
+import { calculateSHA256 } from '../services/ipfs.js';
+import { getStorageProvider, createBackendProvider } from '../services/storage.js';
+import { getPendingUploads, discardPendingUpload } from '../services/backend.js';
 import { createManifest, validateManifest, signManifest, extractAPKInfo, formatFileSize, generateSlug } from '../utils/manifest.js';
+import { extractSigningCertificate } from '../utils/apk.js';
+import { CATEGORIES, MAX_CATEGORIES } from '../utils/categories.js';
+import { IMAGE_RULES, IMAGE_TYPES, MAX_SCREENSHOTS, processImage } from '../utils/images.js';
 
-export default function APKUploader({ onComplete, wallet }) {
+export default function APKUploader({ onComplete, wallet, contractAddress, getPackageClaim }) {
   
   const [step, setStep] = useState(1); // 1: Upload APK, 2: Metadata, 3: Review, 4: Upload to IPFS
   const [apkFile, setApkFile] = useState(null);
   const [iconFile, setIconFile] = useState(null);
+  // Screenshots and feature graphic, already validated and re-encoded (see images.js)
+  const [screenshots, setScreenshots] = useState([]);
+  const [featureGraphic, setFeatureGraphic] = useState(null);
+  const [processingImages, setProcessingImages] = useState(false);
+  const [imageErrors, setImageErrors] = useState([]);
   const [apkInfo, setApkInfo] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -29,12 +39,41 @@ export default function APKUploader({ onComplete, wallet }) {
     license: 'Proprietary',
     categories: [],
     min_sdk: '21',
-    target_sdk: '34'
+    target_sdk: '34',
+    permissions: []
   });
 
   const [manifest, setManifest] = useState(null);
   const [manifestCID, setManifestCID] = useState(null);
 
+  // Storage target: the configured provider, or Filecoin through the backend
+  // (wallet-signed uploads, storage credentials stay on the server)
+  const defaultProvider = getStorageProvider();
+  const backendProvider = useMemo(
+    () => (defaultProvider.name === 'backend' ? defaultProvider : createBackendProvider()),
+    [defaultProvider]
+  );
+  const [useBackend, setUseBackend] = useState(defaultProvider.name === 'backend');
+  const [filecoinInfo, setFilecoinInfo] = useState(null);
+
+  // Chunked backend uploads interrupted by a reload can be resumed by
+  // selecting the same APK again (matched by SHA-256 and size)
+  const [pendingUploads, setPendingUploads] = useState(() => getPendingUploads());
+  const resumableUpload = apkInfo?.sha256 && apkFile
+    ? pendingUploads.find(p => p.sha256 === apkInfo.sha256 && p.size === apkFile.size)
+    : null;
+
+  useEffect(() => {
+    if (resumableUpload) {
+      setUseBackend(true);
+    }
+  }, [resumableUpload]);
+
+  const handleDiscardPending = async (record) => {
+    await discardPendingUpload(record);
+    setPendingUploads(getPendingUploads());
+  };
+
   // Handle APK selection
   const handleAPKSelect = async (e) => {
     const file = e.target.files[0];
@@ -53,18 +92,31 @@ export default function APKUploader({ onComplete, wallet }) {
       const info = await extractAPKInfo(file);
       setApkInfo(info);
       
-      // Pre-fill some fields
+      // Pre-fill fields from the APK manifest
       setFormData(prev => ({
         ...prev,
+        name: prev.name || info.label || '',
+        slug: prev.slug || (info.label ? generateSlug(info.label) : ''),
         package: info.package,
-        version: info.version,
-        versionCode: info.versionCode,
-        min_sdk: info.min_sdk,
-        target_sdk: info.target_sdk
+        version: info.version || prev.version,
+        versionCode: info.versionCode || prev.versionCode,
+        min_sdk: info.min_sdk || prev.min_sdk,
+        target_sdk: info.target_sdk || prev.target_sdk,
+        permissions: info.permissions
       }));
+
+      // Use the launcher icon unless the publisher already picked one
+      if (info.icon) {
+        setIconFile(prev => prev || info.icon);
+      }
     } catch (err) {
       console.error('Error extracting APK info:', err);
       setError('Error parsing APK. Continue manually.');
+
+      // The hash and signing certificate are still needed for the manifest
+      const sha256 = await calculateSHA256(file);
+      const certificate = await extractSigningCertificate(file).catch(() => null);
+      setApkInfo({ size: file.size, sha256, signing_cert_sha256: certificate?.sha256 || null });
     }
   };
 
@@ -81,6 +133,64 @@ export default function APKUploader({ onComplete, wallet }) {
     setIconFile(file);
   };
 
+  // Handle screenshot selection: each file is validated and re-encoded to WebP
+  const handleScreenshotsSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const room = MAX_SCREENSHOTS - screenshots.length;
+    const errors = [];
+    if (files.length > room) {
+      errors.push(`Up to ${MAX_SCREENSHOTS} screenshots: ${files.length - Math.max(room, 0)} ignored`);
+    }
+
+    setProcessingImages(true);
+    const processed = [];
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      try {
+        const image = await processImage(file, 'screenshot');
+        processed.push({ ...image, previewUrl: URL.createObjectURL(image.thumbnail) });
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+    setScreenshots(prev => [...prev, ...processed]);
+    setImageErrors(errors);
+    setProcessingImages(false);
+  };
+
+  const handleRemoveScreenshot = (screenshot) => {
+    URL.revokeObjectURL(screenshot.previewUrl);
+    setScreenshots(prev => prev.filter(item => item !== screenshot));
+  };
+
+  // Handle feature graphic selection (exactly 1024x500)
+  const handleFeatureGraphicSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setProcessingImages(true);
+    try {
+      const image = await processImage(file, 'feature_graphic');
+      if (featureGraphic) {
+        URL.revokeObjectURL(featureGraphic.previewUrl);
+      }
+      setFeatureGraphic({ ...image, previewUrl: URL.createObjectURL(image.thumbnail) });
+      setImageErrors([]);
+    } catch (err) {
+      setImageErrors([`${file.name}: ${err.message}`]);
+    } finally {
+      setProcessingImages(false);
+    }
+  };
+
+  const handleRemoveFeatureGraphic = () => {
+    URL.revokeObjectURL(featureGraphic.previewUrl);
+    setFeatureGraphic(null);
+  };
+
   // Handle form changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -104,12 +214,40 @@ export default function APKUploader({ onComplete, wallet }) {
       setError('Please select an APK file');
       return;
     }
+    if (!apkInfo?.signing_cert_sha256) {
+      setError('This APK is not signed. Sign it with apksigner before publishing.');
+      return;
+    }
     setError(null);
     setStep(2);
   };
 
+  // Toggle a category (at most MAX_CATEGORIES)
+  const toggleCategory = (categoryId) => {
+    setFormData(prev => {
+      if (prev.categories.includes(categoryId)) {
+        return { ...prev, categories: prev.categories.filter(id => id !== categoryId) };
+      }
+      if (prev.categories.length >= MAX_CATEGORIES) {
+        return prev;
+      }
+      return { ...prev, categories: [...prev.categories, categoryId] };
+    });
+  };
+
+  // Who claimed the package on-chain (undefined = not checked, e.g. no contract)
+  const lookupPackageClaim = async () => {
+    if (!getPackageClaim) return undefined;
+    try {
+      return await getPackageClaim(formData.package);
+    } catch (err) {
+      console.warn('⚠️ Could not check the package claim:', err.message);
+      return undefined;
+    }
+  };
+
   // Step 2 -> 3
-  const handleNextToReview = () => {
+  const handleNextToReview = async () => {
     // Validate required fields
     if (!formData.name || !formData.slug || !formData.package) {
       setError('Please complete all required fields');
@@ -121,6 +259,19 @@ export default function APKUploader({ onComplete, wallet }) {
       return;
     }
 
+    if (processingImages) {
+      setError('Wait until the images are processed');
+      return;
+    }
+
+    // The first app to register a package name owns it
+    const claim = await lookupPackageClaim();
+    if (claim) {
+      setError(`The package ${formData.package} is already registered by the app "${claim.slug}". ` +
+        'If it is yours, publish a new version of that app instead.');
+      return;
+    }
+
     setError(null);
     setStep(3);
   };
@@ -132,21 +283,38 @@ export default function APKUploader({ onComplete, wallet }) {
       return;
     }
 
+    // Manifests are signed for a specific AppStore deployment
+    if (!contractAddress) {
+      setError('AppStore contract not found on this network. Deploy it or switch networks.');
+      return;
+    }
+
+    const provider = useBackend ? backendProvider : defaultProvider;
+
     setUploading(true);
     setError(null);
     setUploadProgress(0);
+    setFilecoinInfo(null);
 
     try {
-      // 1. Upload APK to IPFS
+      // 1. Upload APK (10% -> 40% follows the bytes sent)
       setUploadProgress(10);
-      console.log('📤 Uploading APK to IPFS...');
+      console.log(`📤 Uploading APK to ${provider.name}...`);
       
-      const apkResult = await uploadToPinata(apkFile, {
+      const apkResult = await provider.uploadFile(apkFile, {
         name: `${formData.slug}-${formData.version}.apk`,
         keyvalues: {
           type: 'apk',
           slug: formData.slug,
           version: formData.version
+        },
+        signer: wallet.signer,
+        resumable: true,
+        sha256: apkInfo.sha256,
+        onProgress: (loaded, total) => {
+          if (total) {
+            setUploadProgress(10 + Math.round((loaded / total) * 30));
+          }
         }
       });
 
@@ -155,60 +323,100 @@ export default function APKUploader({ onComplete, wallet }) {
       // 2. Upload icon to IPFS (if exists)
       let iconCID = '';
       if (iconFile) {
-        console.log('📤 Uploading icon to IPFS...');
-        const iconResult = await uploadToPinata(iconFile, {
+        console.log('📤 Uploading icon...');
+        const iconResult = await provider.uploadFile(iconFile, {
           name: `${formData.slug}-icon.png`,
           keyvalues: {
             type: 'icon',
             slug: formData.slug
-          }
+          },
+          signer: wallet.signer
         });
         iconCID = iconResult.cid;
       }
 
+      setUploadProgress(50);
+
+      // 3. Upload screenshots and feature graphic (image + thumbnail each)
+      const uploadImage = async (image, name, type) => {
+        const options = (suffix) => ({
+          name: `${formData.slug}-${name}${suffix}.webp`,
+          keyvalues: {
+            type,
+            slug: formData.slug
+          },
+          signer: wallet.signer
+        });
+        const imageResult = await provider.uploadFile(image.image, options(''));
+        const thumbnailResult = await provider.uploadFile(image.thumbnail, options('-thumb'));
+        return {
+          cid: imageResult.cid,
+          thumbnail_cid: thumbnailResult.cid,
+          width: image.width,
+          height: image.height,
+          mime_type: image.mime_type
+        };
+      };
+
+      const screenshotImages = [];
+      for (const [index, screenshot] of screenshots.entries()) {
+        console.log(`📤 Uploading screenshot ${index + 1}/${screenshots.length}...`);
+        screenshotImages.push(await uploadImage(screenshot, `screenshot-${index + 1}`, 'screenshot'));
+      }
+
+      let featureGraphicImage = null;
+      if (featureGraphic) {
+        console.log('📤 Uploading feature graphic...');
+        featureGraphicImage = await uploadImage(featureGraphic, 'feature-graphic', 'feature_graphic');
+      }
+
       setUploadProgress(60);
 
-      // 3. Create manifest
+      // 4. Create manifest
       console.log('📝 Creating manifest...');
       const manifestData = createManifest(
         {
           ...formData,
           publisher: wallet.address,
-          icon_cid: iconCID
+          icon_cid: iconCID,
+          screenshots: screenshotImages,
+          feature_graphic: featureGraphicImage
         },
         {
           cid: apkResult.cid,
           sha256: apkInfo.sha256,
-          size: apkFile.size
+          size: apkFile.size,
+          signing_cert_sha256: apkInfo.signing_cert_sha256
         }
       );
 
       setUploadProgress(70);
 
-      // 4. Sign manifest
+      // 5. Sign manifest
       console.log('✍️ Signing manifest...');
-      const signature = await signManifest(manifestData, wallet.signer, wallet.chainId);
+      const signature = await signManifest(manifestData, wallet.signer, wallet.chainId, contractAddress);
       manifestData.signature = signature;
 
       setUploadProgress(80);
 
-      // 5. Validate manifest
-      const validation = validateManifest(manifestData);
+      // 6. Validate manifest (also against the package claims, in case one appeared meanwhile)
+      const validation = validateManifest(manifestData, { packageClaim: await lookupPackageClaim() });
       if (!validation.valid) {
         throw new Error(`Invalid manifest: ${validation.errors.join(', ')}`);
       }
 
       setUploadProgress(90);
 
-      // 6. Upload manifest to IPFS
-      console.log('📤 Uploading manifest to IPFS...');
-      const manifestResult = await uploadJSONToPinata(manifestData, {
+      // 7. Upload manifest to IPFS
+      console.log('📤 Uploading manifest...');
+      const manifestResult = await provider.uploadJSON(manifestData, {
         name: `${formData.slug}-manifest.json`,
         keyvalues: {
           type: 'manifest',
           slug: formData.slug,
           version: formData.version
-        }
+        },
+        signer: wallet.signer
       });
 
       setUploadProgress(100);
@@ -216,6 +424,9 @@ export default function APKUploader({ onComplete, wallet }) {
       console.log('✅ Upload complete!');
       setManifest(manifestData);
       setManifestCID(manifestResult.cid);
+      if (manifestResult.pieceCid) {
+        setFilecoinInfo({ datasetId: manifestResult.datasetId });
+      }
       setStep(4);
 
       // Callback with results
@@ -224,15 +435,18 @@ export default function APKUploader({ onComplete, wallet }) {
           manifest: manifestData,
           manifestCID: manifestResult.cid,
           apkCID: apkResult.cid,
-          iconCID
+          iconCID,
+          storage: provider.name,
+          datasetId: manifestResult.datasetId || null
         });
       }
 
     } catch (err) {
       console.error('❌ Upload error:', err);
-      setError(err.message || 'Error uploading files to IPFS');
+      setError(err.message || `Error uploading files to ${provider.name}`);
     } finally {
       setUploading(false);
+      setPendingUploads(getPendingUploads());
     }
   };
 
@@ -274,6 +488,28 @@ export default function APKUploader({ onComplete, wallet }) {
         {step === 1 && (
           <div className="space-y-6">
             <h2 className="text-2xl font-bold">1. Select APK</h2>
+
+            {resumableUpload ? (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <p className="text-sm text-blue-800">
+                  🔁 This APK was partially uploaded before ({Math.floor((resumableUpload.offset / resumableUpload.size) * 100)}%).
+                  The upload will resume where it stopped.
+                </p>
+              </div>
+            ) : pendingUploads.map((pending) => (
+              <div key={pending.uploadId} className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between gap-4">
+                <p className="text-sm text-blue-800">
+                  ⏸️ Interrupted upload: <strong>{pending.filename}</strong> ({formatFileSize(pending.offset)} of {formatFileSize(pending.size)}).
+                  Select the same APK to resume it.
+                </p>
+                <button
+                  onClick={() => handleDiscardPending(pending)}
+                  className="text-sm text-blue-700 hover:text-blue-900 underline shrink-0"
+                >
+                  Discard
+                </button>
+              </div>
+            ))}
             
             <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
               <input
@@ -300,10 +536,17 @@ export default function APKUploader({ onComplete, wallet }) {
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <h3 className="font-semibold mb-2">APK Information:</h3>
                 <ul className="text-sm space-y-1">
-                  <li>Package: {apkInfo.package}</li>
-                  <li>Version: {apkInfo.version} (code: {apkInfo.versionCode})</li>
-                  <li>SDK: {apkInfo.min_sdk} - {apkInfo.target_sdk}</li>
+                  {apkInfo.label && <li>Label: {apkInfo.label}</li>}
+                  {apkInfo.package && <li>Package: {apkInfo.package}</li>}
+                  {apkInfo.versionCode && <li>Version: {apkInfo.version} (code: {apkInfo.versionCode})</li>}
+                  {apkInfo.min_sdk && <li>SDK: {apkInfo.min_sdk} - {apkInfo.target_sdk}</li>}
+                  {apkInfo.permissions && <li>Permissions: {apkInfo.permissions.length}</li>}
                   <li>SHA-256: {apkInfo.sha256.slice(0, 16)}...</li>
+                  <li>
+                    Signing certificate: {apkInfo.signing_cert_sha256
+                      ? `${apkInfo.signing_cert_sha256.slice(0, 16)}... (${apkInfo.signing_scheme || 'unknown'} scheme)`
+                      : 'not signed'}
+                  </li>
                 </ul>
               </div>
             )}
@@ -372,6 +615,32 @@ export default function APKUploader({ onComplete, wallet }) {
                 />
               </div>
 
+              <div className="col-span-2">
+                <label className="block text-sm font-medium mb-2">
+                  Categories <span className="text-gray-500 font-normal">(up to {MAX_CATEGORIES})</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {CATEGORIES.map(category => {
+                    const selected = formData.categories.includes(category.id);
+                    return (
+                      <button
+                        key={category.id}
+                        type="button"
+                        onClick={() => toggleCategory(category.id)}
+                        disabled={!selected && formData.categories.length >= MAX_CATEGORIES}
+                        className={`px-3 py-1 rounded-full text-sm border transition disabled:opacity-40 disabled:cursor-not-allowed ${
+                          selected
+                            ? 'bg-blue-600 text-white border-blue-600'
+                            : 'bg-white text-gray-700 hover:bg-gray-100'
+                        }`}
+                      >
+                        {category.icon} {category.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+
               <div className="col-span-2">
                 <label className="block text-sm font-medium mb-2">Icon</label>
                 <input
@@ -385,6 +654,91 @@ export default function APKUploader({ onComplete, wallet }) {
                 )}
               </div>
 
+              <div className="col-span-2">
+                <label className="block text-sm font-medium mb-2">
+                  Screenshots <span className="text-gray-500 font-normal">({screenshots.length}/{MAX_SCREENSHOTS})</span>
+                </label>
+                <input
+                  type="file"
+                  accept={IMAGE_TYPES.join(',')}
+                  multiple
+                  onChange={handleScreenshotsSelect}
+                  disabled={processingImages || screenshots.length >= MAX_SCREENSHOTS}
+                  className="w-full"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  PNG, JPEG or WebP, {IMAGE_RULES.screenshot.minSide}-{IMAGE_RULES.screenshot.maxSide} px per side,
+                  long side at most {IMAGE_RULES.screenshot.maxAspectRatio}x the short side. Converted to WebP.
+                </p>
+                {screenshots.length > 0 && (
+                  <div className="flex gap-2 mt-3 overflow-x-auto">
+                    {screenshots.map((screenshot, index) => (
+                      <div key={screenshot.previewUrl} className="relative flex-shrink-0">
+                        <img
+                          src={screenshot.previewUrl}
+                          alt={`Screenshot ${index + 1}`}
+                          className="h-32 rounded border"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveScreenshot(screenshot)}
+                          className="absolute top-1 right-1 w-6 h-6 bg-black bg-opacity-60 text-white rounded-full text-xs hover:bg-opacity-80"
+                          title="Remove"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="col-span-2">
+                <label className="block text-sm font-medium mb-2">Feature Graphic</label>
+                <input
+                  type="file"
+                  accept={IMAGE_TYPES.join(',')}
+                  onChange={handleFeatureGraphicSelect}
+                  disabled={processingImages}
+                  className="w-full"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Banner shown at the top of the app page, exactly {IMAGE_RULES.feature_graphic.width}x{IMAGE_RULES.feature_graphic.height} px
+                </p>
+                {featureGraphic && (
+                  <div className="relative inline-block mt-3">
+                    <img
+                      src={featureGraphic.previewUrl}
+                      alt="Feature graphic"
+                      className="h-24 rounded border"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleRemoveFeatureGraphic}
+                      className="absolute top-1 right-1 w-6 h-6 bg-black bg-opacity-60 text-white rounded-full text-xs hover:bg-opacity-80"
+                      title="Remove"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {(processingImages || imageErrors.length > 0) && (
+                <div className="col-span-2">
+                  {processingImages && (
+                    <p className="text-sm text-blue-700">⏳ Processing images...</p>
+                  )}
+                  {imageErrors.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                      {imageErrors.map((message) => (
+                        <p key={message} className="text-sm text-red-800">⚠️ {message}</p>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium mb-2">Publisher Name</label>
                 <input
@@ -443,6 +797,14 @@ export default function APKUploader({ onComplete, wallet }) {
                   <li><strong>Slug:</strong> {formData.slug}</li>
                   <li><strong>Package:</strong> {formData.package}</li>
                   <li><strong>Version:</strong> {formData.version} (code: {formData.versionCode})</li>
+                  <li><strong>Screenshots:</strong> {screenshots.length}</li>
+                  <li><strong>Feature graphic:</strong> {featureGraphic ? 'Yes' : 'No'}</li>
+                  <li>
+                    <strong>Categories:</strong>{' '}
+                    {formData.categories.length > 0
+                      ? CATEGORIES.filter(c => formData.categories.includes(c.id)).map(c => c.name).join(', ')
+                      : 'None'}
+                  </li>
                 </ul>
               </div>
 
@@ -452,9 +814,49 @@ export default function APKUploader({ onComplete, wallet }) {
               </div>
             </div>
 
+            <div>
+              <h3 className="font-semibold mb-2">Storage</h3>
+              <div className="space-y-2">
+                <label className="flex items-start gap-3 text-sm cursor-pointer">
+                  <input
+                    type="radio"
+                    name="storage"
+                    checked={!useBackend}
+                    onChange={() => setUseBackend(false)}
+                    disabled={uploading || defaultProvider.name === 'backend'}
+                    className="mt-1"
+                  />
+                  <span>
+                    <strong>{defaultProvider.name === 'backend' ? 'IPFS' : defaultProvider.name}</strong>
+                    <span className="block text-gray-500">
+                      {defaultProvider.name === 'backend'
+                        ? 'Set VITE_STORAGE_PROVIDER to kubo or pinata to upload directly'
+                        : 'Configured storage provider (VITE_STORAGE_PROVIDER)'}
+                    </span>
+                  </span>
+                </label>
+                <label className="flex items-start gap-3 text-sm cursor-pointer">
+                  <input
+                    type="radio"
+                    name="storage"
+                    checked={useBackend}
+                    onChange={() => setUseBackend(true)}
+                    disabled={uploading}
+                    className="mt-1"
+                  />
+                  <span>
+                    <strong>Filecoin via backend</strong>
+                    <span className="block text-gray-500">
+                      Each upload is signed with your wallet; storage credentials stay on the server
+                    </span>
+                  </span>
+                </label>
+              </div>
+            </div>
+
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
               <p className="text-sm text-yellow-800">
-                ⚠️ Files will be uploaded to IPFS (Pinata) and a signed manifest will be generated.
+                ⚠️ Files will be uploaded to storage ({useBackend ? 'Filecoin via backend' : defaultProvider.name}) and a signed manifest will be generated.
                 This process may take several minutes depending on APK size.
               </p>
             </div>
@@ -471,7 +873,7 @@ export default function APKUploader({ onComplete, wallet }) {
                 disabled={uploading}
                 className="flex-1 bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 disabled:bg-gray-400"
               >
-                {uploading ? 'Uploading...' : 'Upload to IPFS →'}
+                {uploading ? 'Uploading...' : useBackend ? 'Upload to Filecoin →' : 'Upload to IPFS →'}
               </button>
             </div>
           </div>
@@ -487,19 +889,31 @@ export default function APKUploader({ onComplete, wallet }) {
               <h3 className="font-semibold mb-4">Manifest Information:</h3>
               <div className="space-y-2 text-sm">
                 <div>
-                  <strong>Manifest CID:</strong>
+                  <strong>Manifest {filecoinInfo ? 'Piece CID' : 'CID'}:</strong>
                   <p className="font-mono break-all">{manifestCID}</p>
                 </div>
                 <div>
-                  <strong>APK CID:</strong>
+                  <strong>APK {filecoinInfo ? 'Piece CID' : 'CID'}:</strong>
                   <p className="font-mono break-all">{manifest?.apk_cid}</p>
                 </div>
                 {manifest?.icon_cid && (
                   <div>
-                    <strong>Icon CID:</strong>
+                    <strong>Icon {filecoinInfo ? 'Piece CID' : 'CID'}:</strong>
                     <p className="font-mono break-all">{manifest.icon_cid}</p>
                   </div>
                 )}
+                {manifest?.screenshots?.length > 0 && (
+                  <div>
+                    <strong>Screenshots:</strong>
+                    <p>{manifest.screenshots.length} uploaded (WebP + thumbnails)</p>
+                  </div>
+                )}
+                {filecoinInfo?.datasetId && (
+                  <div>
+                    <strong>Filecoin Dataset ID:</strong>
+                    <p className="font-mono break-all">{filecoinInfo.datasetId}</p>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -514,8 +928,16 @@ export default function APKUploader({ onComplete, wallet }) {
                 setStep(1);
                 setApkFile(null);
                 setIconFile(null);
+                screenshots.forEach(screenshot => URL.revokeObjectURL(screenshot.previewUrl));
+                setScreenshots([]);
+                if (featureGraphic) {
+                  URL.revokeObjectURL(featureGraphic.previewUrl);
+                }
+                setFeatureGraphic(null);
+                setImageErrors([]);
                 setManifest(null);
                 setManifestCID(null);
+                setFilecoinInfo(null);
               }}
               className="bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700"
             >
@@ -8,7 +8,7 @@ export default function AppCard({ app }) {
         src={app.icon}
         alt={app.name}
         slug={app.slug}
-        category={app.category}
+        category={app.categories?.[0]}
         size="lg"
       />
       <div className="flex-1">
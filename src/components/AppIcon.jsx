@@ -1,4 +1,5 @@
 import React from 'react';
+import { getCategory } from '../utils/categories';
 
 /**
  * Componente para mostrar el ícono de una aplicación
@@ -13,31 +14,9 @@ export default function AppIcon({ src, alt, slug, category, size = 'md' }) {
     xl: 'w-20 h-20 text-4xl'
   };
 
-  // Colores por categoría
-  const categoryColors = {
-    games: 'from-purple-500 to-pink-500',
-    social: 'from-blue-500 to-cyan-500',
-    finance: 'from-green-500 to-emerald-500',
-    productivity: 'from-orange-500 to-yellow-500',
-    utilities: 'from-gray-500 to-slate-500',
-    entertainment: 'from-red-500 to-pink-500',
-    default: 'from-indigo-500 to-purple-500'
-  };
-
-  // Emojis por defecto según categoría
-  const categoryEmojis = {
-    games: '🎮',
-    social: '💬',
-    finance: '💰',
-    productivity: '📊',
-    utilities: '🔧',
-    entertainment: '🎬',
-    default: '📱'
-  };
-
   const sizeClass = sizeClasses[size] || sizeClasses.md;
-  const bgColor = categoryColors[category] || categoryColors.default;
-  const defaultEmoji = categoryEmojis[category] || categoryEmojis.default;
+  // Color y emoji por defecto según categoría (taxonomía compartida)
+  const { color: bgColor, icon: defaultEmoji } = getCategory(category);
 
   // Si es un emoji (1-2 caracteres unicode)
   const isEmoji = src && src.length <= 4 && /[\p{Emoji}]/u.test(src);
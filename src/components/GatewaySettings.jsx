@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_GATEWAYS,
+  addCustomGateway,
+  removeCustomGateway,
+  getGatewayStats,
+  getRankedGateways,
+  isGatewayCoolingDown,
+  probeGateway,
+  resetGatewayStats
+} from '../services/gateways';
+
+/**
+ * IPFS gateway settings
+ * Lists the gateways in the order downloads will try them, with the health
+ * recorded in this browser, and lets the user add or remove their own.
+ */
+export default function GatewaySettings() {
+  const [gateways, setGateways] = useState(getRankedGateways);
+  const [stats, setStats] = useState(getGatewayStats);
+  const [newGateway, setNewGateway] = useState('');
+  const [error, setError] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  const refresh = () => {
+    setGateways(getRankedGateways());
+    setStats(getGatewayStats());
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      addCustomGateway(newGateway);
+      setNewGateway('');
+      setError(null);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (gateway) => {
+    removeCustomGateway(gateway);
+    refresh();
+  };
+
+  const handleTestAll = async () => {
+    setTesting(true);
+    await Promise.all(gateways.map((gateway) => probeGateway(gateway)));
+    setTesting(false);
+    refresh();
+  };
+
+  const handleReset = () => {
+    resetGatewayStats();
+    refresh();
+  };
+
+  const now = Date.now();
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">IPFS Gateways</h2>
+          <p className="text-sm text-gray-600">
+            Downloads race the top gateways in this order. Health is measured on every download and stored in this browser.
+          </p>
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          <button
+            onClick={handleTestAll}
+            disabled={testing}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:bg-gray-400"
+          >
+            {testing ? 'Testing...' : 'Test all'}
+          </button>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm font-medium"
+          >
+            Reset stats
+          </button>
+        </div>
+      </div>
+
+      <div className="divide-y border rounded-lg">
+        {gateways.map((gateway, index) => {
+          const gatewayStats = stats[gateway];
+          const attempts = gatewayStats ? gatewayStats.successes + gatewayStats.failures : 0;
+          const coolingDown = isGatewayCoolingDown(gatewayStats, now);
+          const isCustom = !DEFAULT_GATEWAYS.includes(gateway);
+
+          return (
+            <div key={gateway} className="p-3 flex items-center gap-4">
+              <span className="w-6 text-sm text-gray-400">{index + 1}</span>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-mono text-sm truncate">{gateway}</span>
+                  {isCustom && (
+                    <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded text-xs">Custom</span>
+                  )}
+                  {coolingDown && (
+                    <span className="px-2 py-0.5 bg-red-100 text-red-700 rounded text-xs">Recently failed</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {attempts === 0
+                    ? 'No measurements yet'
+                    : `${gatewayStats.latencyMs ?? '–'} ms avg · ${gatewayStats.successes}/${attempts} ok`}
+                </div>
+              </div>
+              {isCustom && (
+                <button
+                  onClick={() => handleRemove(gateway)}
+                  className="text-sm text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleAdd} className="mt-4 flex gap-2">
+        <input
+          type="url"
+          value={newGateway}
+          onChange={(e) => setNewGateway(e.target.value)}
+          placeholder="https://my-gateway.example/ipfs/"
+          className="flex-1 px-4 py-2 border rounded-lg font-mono text-sm"
+          required
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium"
+        >
+          Add gateway
+        </button>
+      </form>
+      {error && <p className="mt-2 text-sm text-red-700">⚠️ {error}</p>}
+    </div>
+  );
+}
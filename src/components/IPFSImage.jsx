@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { getRankedGateways } from '../services/gateways';
+
+/**
+ * Image stored on IPFS
+ * Loads lazily from the healthiest gateway and, if it fails, retries with
+ * the next one; shows a placeholder once all of them have failed.
+ */
+export default function IPFSImage({ cid, alt, className = '', loading = 'lazy', ...props }) {
+  // Ranked once per image so a health update mid-load does not reshuffle the fallbacks
+  const [gateways] = useState(getRankedGateways);
+  const [gatewayIndex, setGatewayIndex] = useState(0);
+
+  if (gatewayIndex >= gateways.length) {
+    return (
+      <div
+        className={`${className} flex items-center justify-center bg-gray-100 text-gray-400 text-sm`}
+        title={alt}
+      >
+        🖼️ Image unavailable
+      </div>
+    );
+  }
+
+  return (
+    <img
+      key={gatewayIndex}
+      src={`${gateways[gatewayIndex]}${cid}`}
+      alt={alt}
+      loading={loading}
+      className={className}
+      onError={() => setGatewayIndex(index => index + 1)}
+      {...props}
+    />
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { navigate } from '../hooks/useRouter';
+
+/**
+ * Anchor for in-app navigation
+ * Plain clicks are routed without a reload; ctrl/cmd/shift/middle clicks keep
+ * the browser behaviour (open in new tab/window).
+ */
+export default function Link({ to, replace = false, onClick, children, ...props }) {
+  const handleClick = (event) => {
+    if (onClick) onClick(event);
+    if (
+      event.defaultPrevented ||
+      event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey ||
+      (props.target && props.target !== '_self')
+    ) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useP2PStatus } from '../hooks/useP2PStatus';
+import { MAX_SEEDED, getHelia, isP2PEnabled, setP2PEnabled } from '../services/helia';
+import { formatFileSize } from '../utils/manifest';
+
+/**
+ * Peer-to-peer settings
+ * Turns the in-browser Helia node on or off and shows what it is sharing.
+ */
+export default function P2PSettings() {
+  const status = useP2PStatus();
+  const [enabled, setEnabled] = useState(isP2PEnabled);
+  const [starting, setStarting] = useState(false);
+
+  const handleToggle = async (e) => {
+    setEnabled(e.target.checked);
+    await setP2PEnabled(e.target.checked);
+  };
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await getHelia();
+    } catch {
+      // The error is shown from the status
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Peer-to-peer</h2>
+          <p className="text-sm text-gray-600">
+            Runs an IPFS node in this tab. Apps are fetched from other users first, with every block checked
+            against its CID, and public gateways are only used when that fails. While the tab is open, the
+            last {MAX_SEEDED} APKs you downloaded are shared with other users.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 flex-shrink-0 ml-4 text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={handleToggle}
+            className="w-4 h-4"
+          />
+          Enabled
+        </label>
+      </div>
+
+      {enabled && (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Status</div>
+              <div className="font-medium capitalize">{status.state}</div>
+            </div>
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Connected peers</div>
+              <div className="font-medium">{status.peers}</div>
+            </div>
+            <div className="border rounded-lg p-3">
+              <div className="text-xs text-gray-500">Shared this session</div>
+              <div className="font-medium">{formatFileSize(status.bytesShared)}</div>
+            </div>
+          </div>
+
+          {status.peerId && (
+            <p className="text-xs text-gray-500 font-mono break-all mb-4">Peer ID: {status.peerId}</p>
+          )}
+
+          {status.error && (
+            <p className="text-sm text-red-700 mb-4">⚠️ {status.error}</p>
+          )}
+
+          {(status.state === 'idle' || status.state === 'error') && (
+            <button
+              onClick={handleStart}
+              disabled={starting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:bg-gray-400 mb-4"
+            >
+              {starting ? 'Starting...' : 'Start node now'}
+            </button>
+          )}
+
+          <h3 className="font-medium text-gray-900 mb-2">Sharing</h3>
+          {status.seeding.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Nothing yet. APKs downloaded from other users are shared here until you close the tab.
+            </p>
+          ) : (
+            <div className="divide-y border rounded-lg">
+              {status.seeding.map((item) => (
+                <div key={item.cid} className="p-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="font-medium text-sm">{item.name || 'APK'}</div>
+                    <div className="font-mono text-xs text-gray-500 truncate">{item.cid}</div>
+                  </div>
+                  <span className="text-sm text-gray-500 flex-shrink-0">{formatFileSize(item.size)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
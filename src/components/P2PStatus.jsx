@@ -0,0 +1,37 @@
+import React from 'react';
+import Link from './Link';
+import { useP2PStatus } from '../hooks/useP2PStatus';
+import { formatFileSize } from '../utils/manifest';
+
+const STATE_LABELS = {
+  off: { dot: 'bg-gray-300', label: 'P2P off' },
+  idle: { dot: 'bg-gray-400', label: 'P2P ready' },
+  starting: { dot: 'bg-yellow-400 animate-pulse', label: 'P2P starting' },
+  online: { dot: 'bg-green-500', label: 'P2P' },
+  error: { dot: 'bg-red-500', label: 'P2P error' }
+};
+
+/**
+ * Compact peer-to-peer indicator for the header
+ * Shows connected peers and data shared with them; links to the settings page.
+ */
+export default function P2PStatus() {
+  const status = useP2PStatus();
+  const { dot, label } = STATE_LABELS[status.state];
+
+  return (
+    <Link
+      to="/settings"
+      className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100 transition"
+      title={status.error || 'In-browser IPFS node: fetches apps from other users and shares the ones you download'}
+    >
+      <span className={`w-2 h-2 rounded-full ${dot}`}></span>
+      <span>{label}</span>
+      {status.state === 'online' && (
+        <span className="text-xs text-gray-500">
+          {status.peers} peers · {formatFileSize(status.bytesShared)} shared
+        </span>
+      )}
+    </Link>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import IPFSImage from './IPFSImage';
+
+/**
+ * Horizontal strip of screenshot thumbnails with a full-screen lightbox
+ * Thumbnails use thumbnail_cid when the manifest has one (older manifests
+ * only have the full image). Arrow keys move between images, Escape closes.
+ */
+export default function ScreenshotGallery({ screenshots, name }) {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const close = useCallback(() => setOpenIndex(null), []);
+  const showPrevious = useCallback(
+    () => setOpenIndex(index => (index - 1 + screenshots.length) % screenshots.length),
+    [screenshots.length]
+  );
+  const showNext = useCallback(
+    () => setOpenIndex(index => (index + 1) % screenshots.length),
+    [screenshots.length]
+  );
+
+  useEffect(() => {
+    if (openIndex === null) {
+      return;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+      if (event.key === 'ArrowLeft') showPrevious();
+      if (event.key === 'ArrowRight') showNext();
+    };
+
+    // Keep the page behind the lightbox from scrolling
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [openIndex, close, showPrevious, showNext]);
+
+  const current = openIndex !== null ? screenshots[openIndex] : null;
+
+  return (
+    <>
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {screenshots.map((screenshot, index) => (
+          <button
+            key={screenshot.cid}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="flex-shrink-0 rounded-lg border overflow-hidden hover:opacity-90 transition focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <IPFSImage
+              key={screenshot.thumbnail_cid || screenshot.cid}
+              cid={screenshot.thumbnail_cid || screenshot.cid}
+              alt={`${name} screenshot ${index + 1}`}
+              width={screenshot.width}
+              height={screenshot.height}
+              className="h-80 w-auto"
+            />
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <div
+          className="fixed inset-0 z-50 bg-black bg-opacity-90 flex items-center justify-center"
+          onClick={close}
+          role="dialog"
+          aria-modal="true"
+          aria-label={`${name} screenshots`}
+        >
+          <IPFSImage
+            key={current.cid}
+            cid={current.cid}
+            alt={`${name} screenshot ${openIndex + 1}`}
+            loading="eager"
+            className="max-h-[90vh] max-w-[90vw] object-contain rounded-lg"
+            onClick={(event) => event.stopPropagation()}
+          />
+
+          <button
+            type="button"
+            onClick={close}
+            className="absolute top-4 right-4 w-10 h-10 rounded-full bg-white bg-opacity-10 text-white text-xl hover:bg-opacity-20"
+            title="Close"
+          >
+            ✕
+          </button>
+
+          {screenshots.length > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(event) => {
+                  event.stopPropagation();
+                  showPrevious();
+                }}
+                className="absolute left-4 top-1/2 -translate-y-1/2 w-12 h-12 rounded-full bg-white bg-opacity-10 text-white text-2xl hover:bg-opacity-20"
+                title="Previous"
+              >
+                ‹
+              </button>
+              <button
+                type="button"
+                onClick={(event) => {
+                  event.stopPropagation();
+                  showNext();
+                }}
+                className="absolute right-4 top-1/2 -translate-y-1/2 w-12 h-12 rounded-full bg-white bg-opacity-10 text-white text-2xl hover:bg-opacity-20"
+                title="Next"
+              >
+                ›
+              </button>
+              <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-white text-sm">
+                {openIndex + 1} / {screenshots.length}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
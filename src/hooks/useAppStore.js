@@ -3,30 +3,78 @@
  * Functional version - replaces useAppStore.example.js
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
+import { normalizeCertificate } from '../utils/manifest.js';
+import { isSafeAccount, waitForSafeTransaction } from '../services/safe.js';
 
 // AppStore contract ABI (only the functions we use)
 const APP_STORE_ABI = [
-  "function registerApp(string calldata slug, string calldata manifestCid, uint256 versionCode) external",
+  "function registerApp(string calldata slug, string calldata manifestCid, uint256 priceWei, uint256 versionCode) external",
+  "function registerAppWithPackage(string calldata slug, string calldata manifestCid, uint256 priceWei, uint256 versionCode, string calldata packageName, bytes32 signingCertSha256) external",
+  "function claimPackage(string calldata slug, string calldata packageName, bytes32 signingCertSha256) external",
   "function publishVersion(string calldata slug, string calldata manifestCid, uint256 versionCode) external",
+  "function purchaseApp(string calldata slug) external payable",
   "function downloadApp(string calldata slug) external",
+  "function updatePrice(string calldata slug, uint256 newPriceWei) external",
   "function deprecateVersion(string calldata slug, uint256 versionIndex) external",
-  "function getApp(string calldata slug) external view returns (tuple(address publisher, string slug, string latestManifestCid, uint256 totalDownloads, bool exists, bool active, uint256 createdAt))",
+  "function rollbackToVersion(string calldata slug, uint256 versionIndex) external",
+  "function setPublisherProfile(string calldata profileCid) external",
+  "function proposeAppTransfer(string calldata slug, address newPublisher) external",
+  "function acceptAppTransfer(string calldata slug) external",
+  "function recoverApp(string calldata slug, address newPublisher) external",
+  "function setMaintainerRole(string calldata slug, address maintainer, uint8 role) external",
+  "function setPlatformFee(uint256 newFee) external",
+  "function setFeeCollector(address newCollector) external",
+  "function getApp(string calldata slug) external view returns (tuple(address publisher, string slug, string latestManifestCid, uint256 priceWei, uint256 totalDownloads, uint256 totalRevenue, bool exists, bool active, uint256 createdAt))",
+  "function hasUserPurchased(address user, string calldata slug) external view returns (bool)",
+  "function getPurchaseCount(string calldata slug) external view returns (uint256)",
+  "function platformFee() external view returns (uint256)",
+  "function feeCollector() external view returns (address)",
   "function getLatestManifest(string calldata slug) external view returns (string memory)",
   "function getVersionCount(string calldata slug) external view returns (uint256)",
-  "function getVersion(string calldata slug, uint256 index) external view returns (tuple(string manifestCid, uint256 timestamp, uint256 versionCode, bool deprecated))",
+  "function getVersion(string calldata slug, uint256 index) external view returns (tuple(string manifestCid, uint256 timestamp, uint256 versionCode, bool deprecated, address publishedBy))",
+  "function currentVersion(bytes32 appKey) external view returns (uint256)",
   "function totalApps() external view returns (uint256)",
-  "event AppRegistered(bytes32 indexed appKey, string slug, address indexed publisher, string manifestCid)",
+  "function publisherProfiles(address publisher) external view returns (string memory)",
+  "function getPackageClaim(string calldata packageName) external view returns (string memory slug, bytes32 signingCertSha256)",
+  "function appPackages(bytes32 appKey) external view returns (string memory)",
+  "function pendingPublishers(bytes32 appKey) external view returns (address)",
+  "function getPreviousPublishers(string calldata slug) external view returns (address[] memory)",
+  "function maintainerRoles(bytes32 appKey, address maintainer) external view returns (uint8)",
+  "function getMaintainers(string calldata slug) external view returns (address[] memory accounts, uint8[] memory roles)",
+  "function canRelease(string calldata slug, address account) external view returns (bool)",
+  "event AppRegistered(bytes32 indexed appKey, string slug, address indexed publisher, string manifestCid, uint256 priceWei)",
   "event AppDownloaded(bytes32 indexed appKey, address indexed downloader)",
-  "event VersionPublished(bytes32 indexed appKey, string manifestCid, uint256 versionCode)"
+  "event AppPurchased(bytes32 indexed appKey, address indexed buyer, uint256 price, uint256 platformFee)",
+  "event AppUpdated(bytes32 indexed appKey, uint256 oldPrice, uint256 newPrice)",
+  "event VersionPublished(bytes32 indexed appKey, string manifestCid, uint256 versionCode, address indexed publishedBy)",
+  "event VersionDeprecated(bytes32 indexed appKey, uint256 versionIndex, uint256 versionCode)",
+  "event LatestVersionChanged(bytes32 indexed appKey, string manifestCid, uint256 versionCode)",
+  "event PublisherProfileUpdated(address indexed publisher, string profileCid)",
+  "event PackageClaimed(bytes32 indexed appKey, string packageName, bytes32 signingCertSha256)",
+  "event PackageReleased(bytes32 indexed appKey, string packageName)",
+  "event AppTransferProposed(bytes32 indexed appKey, address indexed publisher, address indexed pendingPublisher)",
+  "event AppOwnershipTransferred(bytes32 indexed appKey, address indexed previousPublisher, address indexed newPublisher, bool recovered)",
+  "event MaintainerRoleChanged(bytes32 indexed appKey, address indexed maintainer, uint8 role, address indexed changedBy)"
 ];
 
+// Roles de AppStore.MaintainerRole, por su valor
+const MAINTAINER_ROLES = ['none', 'viewer', 'releaser', 'admin'];
+
+// SHA-256 del certificado (hex, con o sin ":") como bytes32 para el contrato
+function certToBytes32(cert) {
+  return `0x${normalizeCertificate(cert)}`;
+}
+
 export function useAppStore(wallet) {
   const [contract, setContract] = useState(null);
   const [contractAddress, setContractAddress] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [safeAccount, setSafeAccount] = useState(false);
+  // Espera de la propuesta multisig en curso, para poder cortarla
+  const safeWaitRef = useRef(null);
 
   // Load contract address from Ignition deployments
   useEffect(() => {
@@ -74,8 +122,68 @@ export function useAppStore(wallet) {
     }
   }, [wallet?.signer, contractAddress]);
 
-  // Registrar nueva app
-  const registerApp = useCallback(async ({ slug, manifestCid, versionCode }) => {
+  // Detectar si la wallet conectada es una Safe; el resto de smart accounts
+  // envían transacciones normales
+  useEffect(() => {
+    setSafeAccount(false);
+    if (!wallet?.address || !wallet?.provider) return;
+
+    let cancelled = false;
+    isSafeAccount(wallet.address, wallet.provider)
+      .then((isSafe) => {
+        if (!cancelled) setSafeAccount(isSafe);
+      })
+      .catch((err) => console.warn('⚠️ Could not check the account type:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [wallet?.address, wallet?.provider, wallet?.chainId]);
+
+  // Dejar de esperar al desmontar: la propuesta sigue en la Safe
+  useEffect(() => () => safeWaitRef.current?.abort(), []);
+
+  // Enviar una transacción al contrato y devolver algo con hash y wait()
+  // Con una Safe, eth_sendTransaction devuelve el safeTxHash de una propuesta:
+  // no hay transacción que esperar hasta que los owners la confirman y se
+  // ejecuta, así que wait() sigue la propuesta (onStatus recibe cada paso)
+  // hasta que se ejecuta, se rechaza, se agota el tiempo o se cancela con
+  // cancelSafeTransaction
+  const sendTransaction = useCallback(async (method, args, onStatus) => {
+    if (!safeAccount) {
+      return contract[method](...args);
+    }
+
+    const request = await contract[method].populateTransaction(...args);
+    const safeTxHash = await wallet.signer.sendUncheckedTransaction(request);
+    return {
+      hash: safeTxHash,
+      wait: async () => {
+        const controller = new AbortController();
+        safeWaitRef.current = controller;
+        try {
+          return await waitForSafeTransaction(safeTxHash, {
+            provider: wallet.provider,
+            chainId: wallet.chainId,
+            onStatus,
+            signal: controller.signal
+          });
+        } finally {
+          if (safeWaitRef.current === controller) safeWaitRef.current = null;
+        }
+      }
+    };
+  }, [contract, safeAccount, wallet?.signer, wallet?.provider, wallet?.chainId]);
+
+  // Dejar de esperar la propuesta multisig en curso (no la retira de la Safe)
+  const cancelSafeTransaction = useCallback(() => {
+    safeWaitRef.current?.abort(new Error('Stopped waiting for the Safe transaction. It stays proposed in the Safe and takes effect if its owners execute it'));
+  }, []);
+
+  // Registrar nueva app (priceEth en ETH, '0' = gratuita)
+  // onStatus recibe el progreso de la propuesta si la wallet es una Safe
+  // Con packageName y signingCertSha256 reclama también el package name en la misma transacción
+  const registerApp = useCallback(async ({ slug, manifestCid, priceEth = '0', versionCode, packageName, signingCertSha256, onStatus }) => {
     if (!contract) {
       return { success: false, error: 'Contrato no inicializado' };
     }
@@ -84,9 +192,12 @@ export function useAppStore(wallet) {
     setError(null);
 
     try {
-      console.log('📝 Registering app:', { slug, manifestCid, versionCode });
+      const priceWei = ethers.parseEther(String(priceEth || '0'));
+      console.log('📝 Registering app:', { slug, manifestCid, priceWei: priceWei.toString(), versionCode, packageName });
 
-      const tx = await contract.registerApp(slug, manifestCid, versionCode);
+      const tx = packageName && signingCertSha256
+        ? await sendTransaction('registerAppWithPackage', [slug, manifestCid, priceWei, versionCode, packageName, certToBytes32(signingCertSha256)], onStatus)
+        : await sendTransaction('registerApp', [slug, manifestCid, priceWei, versionCode], onStatus);
       console.log('⏳ Transaction sent:', tx.hash);
 
       const receipt = await tx.wait();
@@ -94,7 +205,7 @@ export function useAppStore(wallet) {
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         receipt
       };
     } catch (err) {
@@ -105,10 +216,10 @@ export function useAppStore(wallet) {
     } finally {
       setLoading(false);
     }
-  }, [contract]);
+  }, [contract, sendTransaction]);
 
-  // Publicar nueva versión
-  const publishVersion = useCallback(async ({ slug, manifestCid, versionCode }) => {
+  // Publicar nueva versión (onStatus como en registerApp)
+  const publishVersion = useCallback(async ({ slug, manifestCid, versionCode, onStatus }) => {
     if (!contract) {
       return { success: false, error: 'Contrato no inicializado' };
     }
@@ -119,7 +230,7 @@ export function useAppStore(wallet) {
     try {
       console.log('📝 Publishing version:', { slug, manifestCid, versionCode });
 
-      const tx = await contract.publishVersion(slug, manifestCid, versionCode);
+      const tx = await sendTransaction('publishVersion', [slug, manifestCid, versionCode], onStatus);
       console.log('⏳ Transaction sent:', tx.hash);
 
       const receipt = await tx.wait();
@@ -127,7 +238,7 @@ export function useAppStore(wallet) {
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         receipt
       };
     } catch (err) {
@@ -138,7 +249,7 @@ export function useAppStore(wallet) {
     } finally {
       setLoading(false);
     }
-  }, [contract]);
+  }, [contract, sendTransaction]);
 
   // Descargar app
   const downloadApp = useCallback(async (slug) => {
@@ -152,7 +263,7 @@ export function useAppStore(wallet) {
     try {
       console.log('📥 Downloading app:', { slug });
 
-      const tx = await contract.downloadApp(slug);
+      const tx = await sendTransaction('downloadApp', [slug]);
       console.log('⏳ Transaction sent:', tx.hash);
 
       const receipt = await tx.wait();
@@ -160,7 +271,7 @@ export function useAppStore(wallet) {
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         receipt
       };
     } catch (err) {
@@ -171,7 +282,411 @@ export function useAppStore(wallet) {
     } finally {
       setLoading(false);
     }
-  }, [contract]);
+  }, [contract, sendTransaction]);
+
+  // Deprecar una versión (si es la servida, el contrato vuelve a la anterior no deprecada)
+  const deprecateVersion = useCallback(async (slug, versionIndex) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Deprecating version:', { slug, versionIndex });
+
+      const tx = await sendTransaction('deprecateVersion', [slug, versionIndex]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Version deprecated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error deprecating version:', err);
+      const errorMessage = err.reason || err.message || 'Error al deprecar versión';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Volver a servir una versión anterior no deprecada
+  const rollbackToVersion = useCallback(async (slug, versionIndex) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Rolling back to version:', { slug, versionIndex });
+
+      const tx = await sendTransaction('rollbackToVersion', [slug, versionIndex]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Rollback done! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error rolling back version:', err);
+      const errorMessage = err.reason || err.message || 'Error al hacer rollback';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Comprar app de pago (o descargar una gratuita)
+  const purchaseApp = useCallback(async (slug) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      // Leer el precio on-chain para no depender de datos del subgraph desactualizados
+      const app = await contract.getApp(slug);
+      console.log('💰 Purchasing app:', { slug, priceWei: app.priceWei.toString() });
+
+      const tx = await sendTransaction('purchaseApp', [slug, { value: app.priceWei }]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ App purchased! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error purchasing app:', err);
+      const errorMessage = err.reason || err.message || 'Error al comprar app';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Actualizar precio (newPriceEth en ETH)
+  const updatePrice = useCallback(async (slug, newPriceEth) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const newPriceWei = ethers.parseEther(String(newPriceEth));
+      console.log('📝 Updating price:', { slug, newPriceWei: newPriceWei.toString() });
+
+      const tx = await sendTransaction('updatePrice', [slug, newPriceWei]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Price updated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error updating price:', err);
+      const errorMessage = err.reason || err.message || 'Error al actualizar precio';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Publicar el perfil del publisher (CID del JSON firmado, '' lo borra)
+  const setPublisherProfile = useCallback(async (profileCid) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Updating publisher profile:', { profileCid });
+
+      const tx = await sendTransaction('setPublisherProfile', [profileCid]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Profile updated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error updating profile:', err);
+      const errorMessage = err.reason || err.message || 'Error al actualizar perfil';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Reclamar el package name de una app ya registrada (apps anteriores a registerAppWithPackage)
+  const claimPackage = useCallback(async (slug, packageName, signingCertSha256) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Claiming package:', { slug, packageName });
+
+      const tx = await sendTransaction('claimPackage', [slug, packageName, certToBytes32(signingCertSha256)]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Package claimed! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error claiming package:', err);
+      const errorMessage = err.reason || err.message || 'Error al reclamar el package';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Proponer un nuevo publisher para la app (ethers.ZeroAddress cancela la propuesta)
+  const proposeAppTransfer = useCallback(async (slug, newPublisher) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Proposing app transfer:', { slug, newPublisher });
+
+      const tx = await sendTransaction('proposeAppTransfer', [slug, newPublisher]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Transfer proposed! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error proposing transfer:', err);
+      const errorMessage = err.reason || err.message || 'Error al proponer la transferencia';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Aceptar una transferencia propuesta a la wallet conectada
+  const acceptAppTransfer = useCallback(async (slug) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Accepting app transfer:', slug);
+
+      const tx = await sendTransaction('acceptAppTransfer', [slug]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Transfer accepted! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error accepting transfer:', err);
+      const errorMessage = err.reason || err.message || 'Error al aceptar la transferencia';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Reasignar una app sin aceptación, para publishers que han perdido su clave (solo owner)
+  const recoverApp = useCallback(async (slug, newPublisher) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Recovering app:', { slug, newPublisher });
+
+      const tx = await sendTransaction('recoverApp', [slug, newPublisher]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ App recovered! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error recovering app:', err);
+      const errorMessage = err.reason || err.message || 'Error al recuperar la app';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Dar, cambiar o quitar ('none') el rol de un maintainer: 'viewer' | 'releaser' | 'admin'
+  const setMaintainerRole = useCallback(async (slug, maintainer, role) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    const roleValue = MAINTAINER_ROLES.indexOf(role);
+    if (roleValue === -1) {
+      return { success: false, error: `Rol desconocido: ${role}` };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Setting maintainer role:', { slug, maintainer, role });
+
+      const tx = await sendTransaction('setMaintainerRole', [slug, maintainer, roleValue]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Maintainer role updated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error setting maintainer role:', err);
+      const errorMessage = err.reason || err.message || 'Error al cambiar el rol';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Cambiar fee de plataforma en basis points (solo owner)
+  const setPlatformFee = useCallback(async (feeBps) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Setting platform fee:', { feeBps });
+
+      const tx = await sendTransaction('setPlatformFee', [feeBps]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Platform fee updated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error setting platform fee:', err);
+      const errorMessage = err.reason || err.message || 'Error al cambiar el fee';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
+
+  // Cambiar la address que recibe los fees (solo owner)
+  const setFeeCollector = useCallback(async (address) => {
+    if (!contract) {
+      return { success: false, error: 'Contrato no inicializado' };
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      console.log('📝 Setting fee collector:', { address });
+
+      const tx = await sendTransaction('setFeeCollector', [address]);
+      console.log('⏳ Transaction sent:', tx.hash);
+
+      const receipt = await tx.wait();
+      console.log('✅ Fee collector updated! Block:', receipt.blockNumber);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        receipt
+      };
+    } catch (err) {
+      console.error('❌ Error setting fee collector:', err);
+      const errorMessage = err.reason || err.message || 'Error al cambiar el fee collector';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, [contract, sendTransaction]);
 
   // Obtener información de app
   const getApp = useCallback(async (slug) => {
@@ -186,7 +701,10 @@ export function useAppStore(wallet) {
         publisher: app.publisher,
         slug: app.slug,
         latestManifestCid: app.latestManifestCid,
+        priceWei: app.priceWei,
+        priceEth: ethers.formatEther(app.priceWei),
         totalDownloads: Number(app.totalDownloads),
+        totalRevenue: app.totalRevenue,
         exists: app.exists,
         active: app.active,
         createdAt: new Date(Number(app.createdAt) * 1000)
@@ -197,6 +715,52 @@ export function useAppStore(wallet) {
     }
   }, [contract]);
 
+  // Verificar si un usuario compró una app
+  const hasUserPurchased = useCallback(async (userAddress, slug) => {
+    if (!contract || !userAddress) {
+      return false;
+    }
+
+    try {
+      return await contract.hasUserPurchased(userAddress, slug);
+    } catch (err) {
+      console.error('❌ Error checking purchase:', err);
+      return false;
+    }
+  }, [contract]);
+
+  // Obtener número de compras de una app
+  const getPurchaseCount = useCallback(async (slug) => {
+    if (!contract) {
+      return 0;
+    }
+
+    try {
+      const count = await contract.getPurchaseCount(slug);
+      return Number(count);
+    } catch (err) {
+      console.error('❌ Error getting purchase count:', err);
+      return 0;
+    }
+  }, [contract]);
+
+  // Obtener configuración de fees de la plataforma
+  const getFeeConfig = useCallback(async () => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const [fee, collector] = await Promise.all([
+      contract.platformFee(),
+      contract.feeCollector()
+    ]);
+
+    return {
+      platformFeeBps: Number(fee),
+      feeCollector: collector
+    };
+  }, [contract]);
+
 
   // Obtener versiones de una app
   const getVersions = useCallback(async (slug) => {
@@ -214,7 +778,8 @@ export function useAppStore(wallet) {
           manifestCid: version.manifestCid,
           timestamp: new Date(Number(version.timestamp) * 1000),
           versionCode: Number(version.versionCode),
-          deprecated: version.deprecated
+          deprecated: version.deprecated,
+          publishedBy: version.publishedBy
         });
       }
 
@@ -225,6 +790,115 @@ export function useAppStore(wallet) {
     }
   }, [contract]);
 
+  // Buscar una versión por versionCode; null si no existe
+  // Los versionCode son estrictamente crecientes, así que basta una búsqueda binaria
+  const findVersion = useCallback(async (slug, versionCode) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const target = BigInt(versionCode);
+    let low = 0;
+    let high = Number(await contract.getVersionCount(slug)) - 1;
+    while (low <= high) {
+      const index = Math.floor((low + high) / 2);
+      const version = await contract.getVersion(slug, index);
+      if (version.versionCode === target) {
+        return {
+          index,
+          manifestCid: version.manifestCid,
+          timestamp: new Date(Number(version.timestamp) * 1000),
+          versionCode: Number(version.versionCode),
+          deprecated: version.deprecated,
+          publishedBy: version.publishedBy
+        };
+      }
+      if (version.versionCode < target) {
+        low = index + 1;
+      } else {
+        high = index - 1;
+      }
+    }
+    return null;
+  }, [contract]);
+
+  // Obtener el índice de la versión servida (latestManifestCid)
+  const getCurrentVersionIndex = useCallback(async (slug) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const appKey = ethers.keccak256(ethers.toUtf8Bytes(slug));
+    return Number(await contract.currentVersion(appKey));
+  }, [contract]);
+
+  // Obtener el CID del perfil de un publisher ('' si no tiene)
+  const getPublisherProfile = useCallback(async (address) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    return contract.publisherProfiles(address);
+  }, [contract]);
+
+  // Obtener quién ha reclamado un package name (null si está libre)
+  const getPackageClaim = useCallback(async (packageName) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const [slug, signingCertSha256] = await contract.getPackageClaim(packageName);
+    return slug ? { slug, signingCertSha256: normalizeCertificate(signingCertSha256) } : null;
+  }, [contract]);
+
+  // Obtener el package name reclamado por una app ('' si no tiene)
+  const getAppPackage = useCallback(async (slug) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    return contract.appPackages(ethers.keccak256(ethers.toUtf8Bytes(slug)));
+  }, [contract]);
+
+  // Obtener el publisher propuesto en una transferencia pendiente (null si no hay)
+  const getPendingPublisher = useCallback(async (slug) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const pending = await contract.pendingPublishers(ethers.keccak256(ethers.toUtf8Bytes(slug)));
+    return pending === ethers.ZeroAddress ? null : pending;
+  }, [contract]);
+
+  // Obtener los publishers anteriores de una app (del más antiguo al más reciente)
+  const getPreviousPublishers = useCallback(async (slug) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    return [...await contract.getPreviousPublishers(slug)];
+  }, [contract]);
+
+  // Obtener los maintainers de una app: [{ address, role }] (sin el publisher)
+  const getMaintainers = useCallback(async (slug) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const [accounts, roles] = await contract.getMaintainers(slug);
+    return accounts.map((address, i) => ({ address, role: MAINTAINER_ROLES[Number(roles[i])] }));
+  }, [contract]);
+
+  // Obtener el rol de una address en una app ('none' si no es maintainer)
+  const getMaintainerRole = useCallback(async (slug, address) => {
+    if (!contract) {
+      throw new Error('Contrato no inicializado');
+    }
+
+    const role = await contract.maintainerRoles(ethers.keccak256(ethers.toUtf8Bytes(slug)), address);
+    return MAINTAINER_ROLES[Number(role)];
+  }, [contract]);
+
   // Obtener total de apps
   const getTotalApps = useCallback(async () => {
     if (!contract) {
@@ -277,6 +951,8 @@ export function useAppStore(wallet) {
                 ...app,
                 publisher: contractApp.publisher,
                 latestManifestCid: contractApp.latestManifestCid,
+                priceWei: contractApp.priceWei,
+                priceEth: ethers.formatEther(contractApp.priceWei),
                 totalDownloads: Number(contractApp.totalDownloads),
                 active: contractApp.active,
                 createdAt: new Date(Number(contractApp.createdAt) * 1000),
@@ -305,15 +981,41 @@ export function useAppStore(wallet) {
     loading,
     error,
     isReady: !!contract,
+    isSafeAccount: safeAccount,
 
     // Métodos de escritura
     registerApp,
     publishVersion,
+    purchaseApp,
     downloadApp,
+    deprecateVersion,
+    rollbackToVersion,
+    updatePrice,
+    setPublisherProfile,
+    claimPackage,
+    proposeAppTransfer,
+    acceptAppTransfer,
+    recoverApp,
+    setMaintainerRole,
+    setPlatformFee,
+    setFeeCollector,
+    cancelSafeTransaction,
 
     // Métodos de lectura
     getApp,
+    hasUserPurchased,
+    getPurchaseCount,
+    getFeeConfig,
     getVersions,
+    findVersion,
+    getCurrentVersionIndex,
+    getPublisherProfile,
+    getPackageClaim,
+    getAppPackage,
+    getPendingPublisher,
+    getPreviousPublishers,
+    getMaintainers,
+    getMaintainerRole,
     getTotalApps,
     getAllAppsFromContract,
     enrichAppsWithContractData
@@ -0,0 +1,16 @@
+/**
+ * Hook React con el estado del nodo Helia (peers, datos compartidos, semillas)
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getP2PStatus, subscribeP2PStatus } from '../services/helia';
+
+/**
+ * Estado del nodo P2P; el componente se vuelve a renderizar en cada cambio
+ * @returns {import('../services/helia').P2PStatus}
+ */
+export function useP2PStatus() {
+  return useSyncExternalStore(subscribeP2PStatus, getP2PStatus);
+}
+
+export default useP2PStatus;
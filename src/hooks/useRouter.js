@@ -0,0 +1,147 @@
+/**
+ * Hook for history-based routing
+ * Maps the URL to a page so apps and publishers can be shared, bookmarked and reloaded
+ */
+
+import { useState, useEffect } from 'react';
+
+// Event fired by navigate() (pushState does not trigger popstate)
+const NAVIGATE_EVENT = 'dappstore:navigate';
+
+// Route table: name + path pattern (":param" segments are captured)
+export const ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'publish', path: '/publish' },
+  { name: 'dashboard', path: '/dashboard' },
+  { name: 'myapps', path: '/my-apps' },
+  { name: 'detail', path: '/app/:slug' },
+  { name: 'detail', path: '/app/:slug/v/:versionCode' },
+  { name: 'publisher', path: '/publisher/:address' },
+  { name: 'categories', path: '/categories' },
+  { name: 'category', path: '/category/:id' },
+  { name: 'settings', path: '/settings' }
+];
+
+/**
+ * Match a pathname against the route table
+ * @param {string} pathname - e.g. /app/my-app/v/3
+ * @returns {{name: string, params: Object}} name is 'notfound' when nothing matches
+ */
+export function matchRoute(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+
+  for (const route of ROUTES) {
+    const parts = route.path.split('/').filter(Boolean);
+    if (parts.length !== segments.length) continue;
+
+    const params = {};
+    const matches = parts.every((part, i) => {
+      if (part.startsWith(':')) {
+        try {
+          params[part.slice(1)] = decodeURIComponent(segments[i]);
+        } catch {
+          return false;
+        }
+        return true;
+      }
+      return part === segments[i];
+    });
+
+    if (matches) {
+      return { name: route.name, params };
+    }
+  }
+
+  return { name: 'notfound', params: {} };
+}
+
+/**
+ * Path of an app page, optionally pinned to one version
+ */
+export function appPath(slug, versionCode) {
+  const base = `/app/${encodeURIComponent(slug)}`;
+  return versionCode !== undefined && versionCode !== null ? `${base}/v/${versionCode}` : base;
+}
+
+/**
+ * Path of a publisher page
+ */
+export function publisherPath(address) {
+  return `/publisher/${address.toLowerCase()}`;
+}
+
+/**
+ * Path of a category page
+ */
+export function categoryPath(id) {
+  return `/category/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Go to a path inside the app without reloading
+ * @param {string} path
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname + window.location.search) {
+    return;
+  }
+
+  // fromApp marks entries we created, so goBack() knows history.back() stays in the store
+  const state = { fromApp: true };
+  if (replace) {
+    window.history.replaceState(state, '', path);
+  } else {
+    window.history.pushState(state, '', path);
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  window.scrollTo(0, 0);
+}
+
+/**
+ * Back to the previous page, or home when the page was opened from a deep link
+ */
+export function goBack() {
+  if (window.history.state?.fromApp) {
+    window.history.back();
+  } else {
+    navigate('/', { replace: true });
+  }
+}
+
+export function useRouter() {
+  const [location, setLocation] = useState(() => ({
+    pathname: window.location.pathname,
+    search: window.location.search
+  }));
+
+  useEffect(() => {
+    const handleChange = () => {
+      setLocation({
+        pathname: window.location.pathname,
+        search: window.location.search
+      });
+    };
+
+    // popstate: back/forward buttons; NAVIGATE_EVENT: navigate()
+    window.addEventListener('popstate', handleChange);
+    window.addEventListener(NAVIGATE_EVENT, handleChange);
+    return () => {
+      window.removeEventListener('popstate', handleChange);
+      window.removeEventListener(NAVIGATE_EVENT, handleChange);
+    };
+  }, []);
+
+  const route = matchRoute(location.pathname);
+
+  return {
+    ...location,
+    route: route.name,
+    params: route.params,
+    navigate,
+    goBack
+  };
+}
+
+export default useRouter;
@@ -2,7 +2,7 @@
  * Hook React para interactuar con el subgraph de The Graph
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import * as graphql from '../services/graphql';
 
 /**
@@ -66,16 +66,20 @@ export function useApp(slug) {
 }
 
 /**
- * Hook para buscar apps
+ * Hook para buscar apps (full-text, ordenadas por relevancia)
  */
 export function useSearchApps(searchTerm, options = {}) {
   const [apps, setApps] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Solo se aplica la respuesta de la última búsqueda (pueden llegar desordenadas)
+  const latestRequest = useRef(0);
 
   const search = useCallback(async () => {
+    const request = ++latestRequest.current;
     if (!searchTerm || searchTerm.length < 2) {
       setApps([]);
+      setLoading(false);
       return;
     }
 
@@ -83,12 +87,12 @@ export function useSearchApps(searchTerm, options = {}) {
     setError(null);
     try {
       const data = await graphql.searchApps(searchTerm, options);
-      setApps(data);
+      if (request === latestRequest.current) setApps(data);
     } catch (err) {
       console.error('Error searching apps:', err);
-      setError(err.message);
+      if (request === latestRequest.current) setError(err.message);
     } finally {
-      setLoading(false);
+      if (request === latestRequest.current) setLoading(false);
     }
   }, [searchTerm, JSON.stringify(options)]);
 
@@ -103,6 +107,70 @@ export function useSearchApps(searchTerm, options = {}) {
   return { apps, loading, error };
 }
 
+/**
+ * Hook para obtener las categorías con su número de apps
+ */
+export function useCategories() {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadCategories = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await graphql.getCategories();
+      setCategories(data);
+    } catch (err) {
+      console.error('Error loading categories:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  return { categories, loading, error, refetch: loadCategories };
+}
+
+/**
+ * Hook para obtener las apps de una categoría
+ */
+export function useCategoryApps(categoryId) {
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadApps = useCallback(async () => {
+    if (!categoryId) {
+      setApps([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await graphql.getAppsByCategory(categoryId);
+      setApps(data);
+    } catch (err) {
+      console.error('Error loading category apps:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [categoryId]);
+
+  useEffect(() => {
+    loadApps();
+  }, [loadApps]);
+
+  return { apps, loading, error, refetch: loadApps };
+}
+
 /**
  * Hook para obtener apps de un publisher
  */
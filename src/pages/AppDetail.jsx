@@ -3,125 +3,418 @@
  * Shows complete information, allows downloading
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useApp } from '../hooks/useSubgraph';
 import { useAppStore } from '../hooks/useAppStore';
-import { downloadFromIPFS, downloadJSONFromIPFS, verifyFileIntegrity } from '../services/ipfs';
+import { appPath, categoryPath, publisherPath } from '../hooks/useRouter';
+import Link from '../components/Link';
+import IPFSImage from '../components/IPFSImage';
+import ScreenshotGallery from '../components/ScreenshotGallery';
+import { downloadJSON } from '../services/storage';
+import { getPackageOwnership } from '../services/graphql';
+import { seedContent } from '../services/helia';
+import {
+  canSaveToDisk,
+  createFileSink,
+  createMemorySink,
+  createVerifiedDownload,
+  pickSaveFile
+} from '../services/download';
+import { checkSigningCertificate, checkPackageClaim, checkApkCertificate, formatFileSize, migrateManifest, getLocalizedDescription, verifyManifestSignature } from '../utils/manifest';
+import { getCategory, isKnownCategory } from '../utils/categories';
+import { extractSigningCertificate } from '../utils/apk';
 
-export default function AppDetail({ slug, wallet, onBack }) {
+/**
+ * Version to serve: the indexed latest version unless it is deprecated,
+ * otherwise the newest non-deprecated one (versions come sorted desc).
+ * Returns null when every version is deprecated.
+ */
+function getServedVersion(app) {
+  const versions = app.versions || [];
+  if (app.latestVersion && !app.latestVersion.deprecated) {
+    return versions.find((v) => v.manifestCid === app.latestManifestCid)
+      || { ...app.latestVersion, manifestCid: app.latestManifestCid };
+  }
+  if (!app.latestVersion && versions.length === 0 && app.latestManifestCid) {
+    return { manifestCid: app.latestManifestCid };
+  }
+  return versions.find((v) => !v.deprecated) || null;
+}
+
+/**
+ * Manifest signature status shown in the header
+ */
+function SignatureBadge({ check, connected }) {
+  if (!check) {
+    return (
+      <span className="inline-block bg-white/20 text-white px-3 py-1 rounded-full text-xs">
+        {connected ? '⏳ Verifying signature...' : '🔌 Connect wallet to verify'}
+      </span>
+    );
+  }
+
+  if (check.status === 'verified') {
+    return (
+      <span className="inline-block bg-green-500 text-white px-3 py-1 rounded-full text-xs font-medium" title={check.recoveredAddress}>
+        ✅ Verified publisher{check.contractSigner && ' (multisig)'}
+      </span>
+    );
+  }
+
+  if (check.status === 'legacy') {
+    return (
+      <span className="inline-block bg-yellow-400 text-yellow-900 px-3 py-1 rounded-full text-xs font-medium" title={check.reason}>
+        ⚠️ Verified (legacy signature)
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-block bg-red-500 text-white px-3 py-1 rounded-full text-xs font-medium" title={check.reason}>
+      ❌ Unverified
+    </span>
+  );
+}
+
+export default function AppDetail({ slug, versionCode, wallet, onBack }) {
   // Subgraph hook to get app data
   const { app: subgraphApp, loading: subgraphLoading, error: subgraphError } = useApp(slug);
   
-  // Contract hook for interactions (downloads, etc)
-  const { downloadApp } = useAppStore(wallet);
+  // Contract hook for interactions (downloads, purchases, etc)
+  const { downloadApp, purchaseApp, hasUserPurchased, getApp, getPreviousPublishers, getMaintainers, findVersion, contractAddress, isReady } = useAppStore(wallet);
   
   const [manifest, setManifest] = useState(null);
-  const [downloading, setDownloading] = useState(false);
-  const [downloadProgress, setDownloadProgress] = useState(0);
+  // Manifest exactly as downloaded: the signature covers this, not the migrated copy
+  const [rawManifest, setRawManifest] = useState(null);
+  const [signatureCheck, setSignatureCheck] = useState(null);
+  // idle | downloading | paused | verifying | done | cancelled | error
+  const [downloadState, setDownloadState] = useState('idle');
+  const [downloadProgress, setDownloadProgress] = useState(null);
+  const [downloadResult, setDownloadResult] = useState(null);
+  // { download, filename } of the download in progress
+  const downloadRef = useRef(null);
   const [error, setError] = useState(null);
   const [txHash, setTxHash] = useState(null);
+  const [certCheck, setCertCheck] = useState(null);
+  // Signing certificate of the downloaded APK against the pinned ones
+  const [apkCertCheck, setApkCertCheck] = useState(null);
+  // Download or purchase transaction in progress (sent once the APK is verified)
+  const [registering, setRegistering] = useState(false);
+  // { status, claim, others }: on-chain claim of the package and other apps declaring it
+  const [packageCheck, setPackageCheck] = useState(null);
+  const [purchased, setPurchased] = useState(false);
+
+  const isPaid = !!subgraphApp && subgraphApp.priceWei !== undefined && subgraphApp.priceWei !== '0';
+  const servedVersion = subgraphApp ? getServedVersion(subgraphApp) : null;
+  // /app/:slug/v/:versionCode pins one version (null when it doesn't exist)
+  const isPinned = versionCode !== undefined && versionCode !== null;
+  const selectedVersion = !subgraphApp
+    ? null
+    : isPinned
+      ? (subgraphApp.versions || []).find((v) => String(v.versionCode) === String(versionCode)) || null
+      : servedVersion;
+  const selectedCid = selectedVersion?.manifestCid || null;
+  const selectedVersionCode = selectedVersion?.versionCode ?? null;
 
   // Load manifest when app is available
   useEffect(() => {
-    if (subgraphApp && subgraphApp.latestManifestCid) {
-      loadManifest();
+    setManifest(null);
+    setRawManifest(null);
+    setCertCheck(null);
+    if (selectedCid) {
+      loadManifest(selectedCid);
     }
-  }, [subgraphApp]);
+  }, [subgraphApp, selectedCid]);
 
-  const loadManifest = async () => {
+  const loadManifest = async (manifestCid) => {
     try {
-      console.log('📦 Loading manifest from IPFS:', subgraphApp.latestManifestCid);
-      const manifestData = await downloadJSONFromIPFS(subgraphApp.latestManifestCid);
+      console.log('📦 Loading manifest from IPFS:', manifestCid);
+      // Older manifests are upgraded so every version renders the same way
+      const downloaded = await downloadJSON(manifestCid);
+      const manifestData = migrateManifest(downloaded);
       console.log('✅ Manifest loaded:', manifestData);
+      setRawManifest(downloaded);
       setManifest(manifestData);
+
+      // Compare the signing certificate with the app's first version
+      const [firstVersion] = subgraphApp.firstVersion || [];
+      const firstManifest = !firstVersion || firstVersion.manifestCid === manifestCid
+        ? manifestData
+        : await downloadJSON(firstVersion.manifestCid);
+
+      const check = checkSigningCertificate(manifestData, firstManifest);
+      if (check.match === false) {
+        console.warn('⚠️ Signing certificate differs from the first version:', check);
+      }
+      setCertCheck(check);
     } catch (err) {
       console.error('❌ Error loading manifest:', err);
       // Not critical, we continue with subgraph data
     }
   };
 
-  // Download app (register on contract)
+  // Verify the manifest signature against the publisher recorded on-chain,
+  // bound to this chain id and AppStore contract. Versions published before an
+  // ownership transfer are signed by an earlier publisher, and team apps may be
+  // signed by any current releaser or by the maintainer who published the version
+  useEffect(() => {
+    setSignatureCheck(null);
+    if (!rawManifest || !isReady || !contractAddress) {
+      return;
+    }
+
+    let cancelled = false;
+    const verify = async () => {
+      try {
+        const [onChainApp, previousPublishers, maintainers, onChainVersion] = await Promise.all([
+          getApp(slug),
+          getPreviousPublishers(slug),
+          getMaintainers(slug),
+          selectedVersionCode !== null ? findVersion(slug, selectedVersionCode) : null
+        ]);
+        const check = await verifyManifestSignature(rawManifest, {
+          chainId: wallet.chainId,
+          verifyingContract: contractAddress,
+          expectedPublisher: onChainApp.publisher,
+          previousPublishers,
+          releasers: maintainers
+            .filter((maintainer) => maintainer.role === 'releaser' || maintainer.role === 'admin')
+            .map((maintainer) => maintainer.address),
+          // Whoever published this exact manifest on-chain, even if no longer a maintainer
+          versionPublisher: onChainVersion?.manifestCid === selectedCid ? onChainVersion.publishedBy : undefined,
+          // Safes and other contract wallets sign through EIP-1271
+          provider: wallet.provider
+        });
+        if (!cancelled) setSignatureCheck(check);
+      } catch (err) {
+        console.error('❌ Error verifying manifest signature:', err);
+        if (!cancelled) {
+          setSignatureCheck({ status: 'invalid', valid: false, reason: `Could not verify: ${err.message}` });
+        }
+      }
+    };
+    verify();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rawManifest, isReady, contractAddress, wallet?.chainId, wallet?.provider, slug, selectedCid, selectedVersionCode, getApp, getPreviousPublishers, getMaintainers, findVersion]);
+
+  // Look for other apps declaring the same Android package
+  useEffect(() => {
+    setPackageCheck(null);
+    if (!manifest?.package) {
+      return;
+    }
+
+    let cancelled = false;
+    getPackageOwnership(manifest.package)
+      .then(({ claim, apps }) => {
+        if (cancelled) return;
+        setPackageCheck({
+          ...checkPackageClaim({ ...manifest, slug }, claim),
+          others: apps.filter((other) => other.slug !== slug)
+        });
+      })
+      .catch((err) => {
+        // Not critical: the page works without the warning
+        console.warn('⚠️ Could not check the package name:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [manifest, slug]);
+
+  // Check whether the connected wallet already bought this app
+  useEffect(() => {
+    if (!isPaid || !isReady || !wallet?.address) {
+      setPurchased(false);
+      return;
+    }
+    hasUserPurchased(wallet.address, slug).then(setPurchased);
+  }, [isPaid, isReady, wallet?.address, slug, hasUserPurchased]);
+
+  // Stop any download still running when leaving the page
+  useEffect(() => () => {
+    downloadRef.current?.download.cancel();
+  }, []);
+
+  // Download app: fetch and verify the APK, then register the download on the
+  // contract (paying if needed) before handing the file over
   const handleDownloadApp = async () => {
     if (!wallet?.isConnected) {
       setError('Connect your wallet to download');
       return;
     }
 
+    if (certCheck?.match === false) {
+      setError('This version is signed with a different key than the first version');
+      return;
+    }
+
+    if (!signatureCheck?.valid) {
+      setError(signatureCheck
+        ? `Manifest signature not valid: ${signatureCheck.reason}`
+        : 'The manifest signature is still being verified');
+      return;
+    }
+
+    // The save dialog needs the click's user activation, which is gone once
+    // the download finishes, so ask for the destination first
+    const filename = `${manifest.slug}-v${manifest.version}.apk`;
+    let fileHandle = null;
+    if (canSaveToDisk()) {
+      try {
+        fileHandle = await pickSaveFile(filename);
+        if (!fileHandle) {
+          return;
+        }
+      } catch (err) {
+        console.warn('⚠️ Could not open the save dialog, keeping the APK in memory:', err.message);
+      }
+    }
+
+    await handleDownloadAPK(filename, fileHandle);
+  };
+
+  // Register the download on the contract, paying first if needed.
+  // Resolves to false when the transaction failed or was rejected
+  const registerDownload = async () => {
+    setRegistering(true);
     try {
-      setError(null);
-      console.log('📥 Registering download on blockchain...');
-      
-      const result = await downloadApp(slug);
-      
-      if (result.success) {
-        setTxHash(result.txHash);
-        console.log('✅ Download registered! Tx:', result.txHash);
-        
-        // Now download the APK
-        await handleDownloadAPK();
+      let result;
+      if (isPaid && !purchased) {
+        // purchaseApp also records the download
+        console.log('💰 Purchasing app on blockchain...');
+        result = await purchaseApp(slug);
+        if (result.success) {
+          setPurchased(true);
+        }
       } else {
+        console.log('📥 Registering download on blockchain...');
+        result = await downloadApp(slug);
+      }
+
+      if (!result.success) {
         setError(result.error || 'Error registering download');
+        return false;
       }
+      setTxHash(result.txHash);
+      console.log('✅ Download registered! Tx:', result.txHash);
+      return true;
     } catch (err) {
       console.error('❌ Error registering download:', err);
       setError(err.message || 'Error registering download');
+      return false;
+    } finally {
+      setRegistering(false);
     }
   };
 
-  // Download APK from IPFS
-  const handleDownloadAPK = async () => {
+  // Take back an APK the File System Access API already wrote to disk
+  const discardSavedFile = async (fileHandle) => {
+    await fileHandle.remove?.().catch((err) => {
+      console.warn('⚠️ Could not delete the downloaded APK:', err.message);
+    });
+  };
+
+  // Stream the APK, checking the CID block by block and the SHA-256 at the end
+  const handleDownloadAPK = async (filename, fileHandle) => {
     if (!manifest) {
       setError('Manifest not loaded');
       return;
     }
 
-    setDownloading(true);
-    setDownloadProgress(0);
     setError(null);
+    setDownloadResult(null);
+    setDownloadProgress(null);
+    setApkCertCheck(null);
+
+    console.log('📥 Downloading APK:', manifest.apk_cid);
+    const download = createVerifiedDownload(manifest.apk_cid, {
+      expectedSha256: manifest.apk_sha256,
+      expectedSize: manifest.apk_size,
+      sink: fileHandle ? createFileSink(fileHandle) : createMemorySink(),
+      onProgress: setDownloadProgress,
+      onStateChange: setDownloadState
+    });
+    downloadRef.current = { download, filename, fileHandle };
+    await runDownload(() => download.start());
+  };
 
+  // Wait for start() or resume(); they resolve with null when paused or cancelled
+  const runDownload = async (step) => {
+    const { filename, fileHandle } = downloadRef.current;
     try {
-      console.log('📥 Downloading APK from IPFS:', manifest.apk_cid);
-
-      // 1. Download APK
-      setDownloadProgress(20);
-      const apkBlob = await downloadFromIPFS(manifest.apk_cid);
-      
-      setDownloadProgress(60);
-      console.log('✅ APK downloaded, size:', apkBlob.size);
-
-      // 2. Verify integrity
-      if (manifest.apk_sha256) {
-        console.log('🔍 Verifying integrity...');
-        const isValid = await verifyFileIntegrity(apkBlob, manifest.apk_sha256);
-        
-        setDownloadProgress(80);
-
-        if (!isValid) {
-          throw new Error('Invalid APK integrity');
+      const result = await step();
+      if (!result) {
+        return;
+      }
+
+      // The SHA-256 only proves this is the APK the manifest points to: it must
+      // also be signed with the key pinned by the first version and the package claim
+      const apk = result.blob || await fileHandle.getFile();
+      const { sha256 } = await extractSigningCertificate(apk).catch((err) => {
+        console.warn('⚠️ Could not read the APK signing certificate:', err.message);
+        return { sha256: null };
+      });
+      const claim = packageCheck?.claim?.slug === slug ? packageCheck.claim : null;
+      const apkCheck = checkApkCertificate(sha256, [
+        manifest.signing_cert_sha256,
+        certCheck?.expected,
+        claim?.signingCertSha256
+      ]);
+      setApkCertCheck(apkCheck);
+      if (apkCheck.match === false) {
+        console.warn('⚠️ APK signed with an unexpected certificate:', apkCheck);
+        if (!result.blob) {
+          await discardSavedFile(fileHandle);
         }
+        return;
       }
 
-      // 3. Download file
-      setDownloadProgress(90);
-      const url = URL.createObjectURL(apkBlob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${manifest.slug}-v${manifest.version}.apk`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      console.log('✅ Download complete!');
+      // Only a verified APK is paid for
+      if (!await registerDownload()) {
+        if (!result.blob) {
+          await discardSavedFile(fileHandle);
+        }
+        return;
+      }
+
+      // Written to disk already when the File System Access API was used
+      if (result.blob) {
+        const url = URL.createObjectURL(result.blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      }
+
+      setDownloadResult(result);
+      console.log('✅ Download complete!', result.cidVerified ? '(verified against the CID)' : '(SHA-256 only)');
+
+      // Every block is in the Helia node already: keep sharing it with other users
+      if (result.cidVerified) {
+        seedContent(manifest.apk_cid, { name: manifest.name, size: result.size }).catch((err) => {
+          console.warn('⚠️ Could not share the APK over P2P:', err.message);
+        });
+      }
     } catch (err) {
       console.error('❌ Error downloading:', err);
       setError(err.message || 'Error downloading APK');
-    } finally {
-      setDownloading(false);
-      setDownloadProgress(0);
     }
   };
 
+  const handlePauseDownload = () => downloadRef.current?.download.pause();
+
+  const handleResumeDownload = () => runDownload(() => downloadRef.current.download.resume());
+
+  const handleCancelDownload = () => downloadRef.current?.download.cancel();
+
   // Loading state
   if (subgraphLoading) {
     return (
@@ -153,8 +446,16 @@ export default function AppDetail({ slug, wallet, onBack }) {
     );
   }
 
-  // In the simplified contract, all apps are free
-  const canDownload = true;
+  // Block downloads of versions signed with a different key than the first one,
+  // of manifests not signed by the on-chain publisher, of deprecated versions
+  // and of apps whose versions have all been deprecated
+  const canDownload = !!selectedVersion && !selectedVersion.deprecated
+    && certCheck?.match !== false && !!signatureCheck?.valid;
+
+  const downloading = ['downloading', 'paused', 'verifying'].includes(downloadState);
+  const downloadPercent = downloadProgress?.total
+    ? Math.floor((downloadProgress.loaded / downloadProgress.total) * 100)
+    : null;
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -169,15 +470,30 @@ export default function AppDetail({ slug, wallet, onBack }) {
 
         {/* Main Card */}
         <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
+          {/* Feature Graphic */}
+          {manifest?.feature_graphic && (
+            <IPFSImage
+              key={manifest.feature_graphic.cid}
+              cid={manifest.feature_graphic.cid}
+              alt={`${manifest.name} feature graphic`}
+              width={manifest.feature_graphic.width}
+              height={manifest.feature_graphic.height}
+              loading="eager"
+              className="w-full aspect-[1024/500] object-cover"
+            />
+          )}
+
           {/* Header */}
           <div className="bg-gradient-to-r from-blue-600 to-purple-600 p-8 text-white">
             <div className="flex items-start gap-6">
               {/* Icon */}
               <div className="w-24 h-24 bg-white rounded-2xl flex items-center justify-center text-4xl flex-shrink-0">
                 {manifest?.icon_cid ? (
-                  <img
-                    src={`https://gateway.pinata.cloud/ipfs/${manifest.icon_cid}`}
+                  <IPFSImage
+                    key={manifest.icon_cid}
+                    cid={manifest.icon_cid}
                     alt={manifest?.name || subgraphApp.name}
+                    loading="eager"
                     className="w-full h-full object-cover rounded-2xl"
                   />
                 ) : (
@@ -188,13 +504,17 @@ export default function AppDetail({ slug, wallet, onBack }) {
               {/* Info */}
               <div className="flex-1">
                 <h1 className="text-3xl font-bold mb-2">{manifest?.name || subgraphApp.name}</h1>
-                <p className="text-blue-100 mb-3">{manifest?.description || 'Decentralized app'}</p>
+                <p className="text-blue-100 mb-3">{getLocalizedDescription(manifest) || 'Decentralized app'}</p>
                 
                 <div className="flex items-center gap-4 text-sm">
                   <span className="bg-white/20 px-3 py-1 rounded-full">
                     {manifest ? `v${manifest.version}` : 'v1.0'}
                   </span>
-                  {manifest?.package && <span>📦 {manifest.package}</span>}
+                  {manifest?.package && (
+                    <span title={packageCheck?.status === 'owned' ? 'Package name registered to this app on-chain' : undefined}>
+                      📦 {manifest.package}{packageCheck?.status === 'owned' && ' ✓'}
+                    </span>
+                  )}
                   <span>⬇️ {subgraphApp.totalDownloads} downloads</span>
                 </div>
               </div>
@@ -205,8 +525,13 @@ export default function AppDetail({ slug, wallet, onBack }) {
                   ⛓️ On-Chain
                 </div>
                 <div className="mt-2 text-blue-100 text-sm">
-                  FREE
+                  {isPaid ? `${subgraphApp.priceEth} ETH` : 'FREE'}
                 </div>
+                {rawManifest && (
+                  <div className="mt-2">
+                    <SignatureBadge check={signatureCheck} connected={!!wallet?.isConnected} />
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -216,17 +541,163 @@ export default function AppDetail({ slug, wallet, onBack }) {
             <div className="flex gap-4">
               <button
                 onClick={handleDownloadApp}
-                disabled={downloading || !wallet?.isConnected}
+                disabled={downloading || registering || !wallet?.isConnected || !canDownload}
                 className="flex-1 bg-green-600 text-white py-4 px-6 rounded-lg font-semibold hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
               >
                 {downloading ? (
-                  <span>📥 Downloading... {downloadProgress}%</span>
+                  <span>
+                    {downloadState === 'paused' ? '⏸️ Paused' : downloadState === 'verifying' ? '🔍 Verifying...' : '📥 Downloading...'}
+                    {downloadPercent !== null && ` ${downloadPercent}%`}
+                  </span>
+                ) : registering ? (
+                  <span>⛓️ Confirm the transaction in your wallet...</span>
+                ) : isPaid && !purchased ? (
+                  <span>💰 Buy for {subgraphApp.priceEth} ETH</span>
                 ) : (
                   <span>📥 Download APK</span>
                 )}
               </button>
             </div>
 
+            {isPinned && !selectedVersion && (
+              <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+                <p className="text-sm text-yellow-800">
+                  ⚠️ This app has no version with code {versionCode}.{' '}
+                  <Link to={appPath(slug)} className="font-medium underline">See the current version</Link>
+                </p>
+              </div>
+            )}
+
+            {isPinned && selectedVersion?.deprecated && (
+              <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+                <p className="text-sm text-yellow-800">
+                  ⚠️ Version {selectedVersion.versionCode} has been deprecated by its publisher and can't be downloaded.{' '}
+                  <Link to={appPath(slug)} className="font-medium underline">See the current version</Link>
+                </p>
+              </div>
+            )}
+
+            {isPinned && selectedVersion && !selectedVersion.deprecated
+              && selectedVersion.manifestCid !== servedVersion?.manifestCid && (
+              <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <p className="text-sm text-blue-800">
+                  ℹ️ You are viewing version {selectedVersion.versionCode}, not the current one.{' '}
+                  <Link to={appPath(slug)} className="font-medium underline">See the current version</Link>
+                </p>
+              </div>
+            )}
+
+            {!isPinned && !servedVersion && (
+              <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+                <p className="text-sm text-yellow-800">
+                  ⚠️ Every version of this app has been deprecated by its publisher. There is nothing to install.
+                </p>
+              </div>
+            )}
+
+            {signatureCheck && !signatureCheck.valid && (
+              <div className="mt-4 bg-red-50 border-2 border-red-400 rounded-lg p-4">
+                <p className="text-sm font-bold text-red-800 mb-1">
+                  🚨 Unverified manifest
+                </p>
+                <p className="text-sm text-red-700 mb-2">
+                  {signatureCheck.reason}. This manifest may have been forged, so downloads are blocked.
+                </p>
+                {signatureCheck.expectedPublisher && (
+                  <p className="text-xs font-mono text-red-700 break-all">Publisher: {signatureCheck.expectedPublisher}</p>
+                )}
+                {signatureCheck.recoveredAddress && (
+                  <p className="text-xs font-mono text-red-700 break-all">Signed by: {signatureCheck.recoveredAddress}</p>
+                )}
+              </div>
+            )}
+
+            {signatureCheck?.valid && signatureCheck.previousPublisher && (
+              <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <p className="text-sm text-blue-800">
+                  ℹ️ This version was signed by a previous publisher of the app, before it was transferred to {signatureCheck.expectedPublisher}.
+                </p>
+              </div>
+            )}
+
+            {signatureCheck?.valid && signatureCheck.releaser && (
+              <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <p className="text-sm text-blue-800">
+                  ℹ️ This version was signed by <span className="font-mono break-all">{signatureCheck.releaser}</span>, a maintainer who released it on behalf of the publisher.
+                </p>
+              </div>
+            )}
+
+            {signatureCheck?.valid && signatureCheck.signatureVersion === 1 && (
+              <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+                <p className="text-sm text-yellow-800">
+                  ⚠️ Signed by the publisher with an older signature format
+                  {signatureCheck.status === 'legacy' && ' that is not bound to this contract'}.
+                  Permissions, SDK levels, icon and screenshots are not covered by it.
+                  Republishing the version upgrades it.
+                </p>
+              </div>
+            )}
+
+            {certCheck?.match === false && (
+              <div className="mt-4 bg-red-50 border-2 border-red-400 rounded-lg p-4">
+                <p className="text-sm font-bold text-red-800 mb-1">
+                  🚨 Signing key changed
+                </p>
+                <p className="text-sm text-red-700 mb-2">
+                  This version is signed with a different certificate than the app's first version.
+                  Android would refuse to install it as an update. It may not come from the original developer.
+                </p>
+                <p className="text-xs font-mono text-red-700 break-all">Expected: {certCheck.expected}</p>
+                <p className="text-xs font-mono text-red-700 break-all">Found: {certCheck.actual}</p>
+              </div>
+            )}
+
+            {packageCheck?.status === 'claimed_by_other' && (
+              <div className="mt-4 bg-red-50 border-2 border-red-400 rounded-lg p-4">
+                <p className="text-sm font-bold text-red-800 mb-1">
+                  🚨 Package name registered to another app
+                </p>
+                <p className="text-sm text-red-700">
+                  <span className="font-mono">{manifest.package}</span> is registered on-chain to{' '}
+                  <Link to={appPath(packageCheck.claim.slug)} className="font-medium underline">
+                    {packageCheck.claim.name || packageCheck.claim.slug}
+                  </Link>
+                  . This app declares the same package and may be impersonating it.
+                </p>
+              </div>
+            )}
+
+            {packageCheck?.status === 'cert_mismatch' && (
+              <div className="mt-4 bg-red-50 border-2 border-red-400 rounded-lg p-4">
+                <p className="text-sm font-bold text-red-800 mb-1">
+                  🚨 Signing key differs from the registered one
+                </p>
+                <p className="text-sm text-red-700 mb-2">
+                  This version is signed with a different certificate than the one registered with{' '}
+                  <span className="font-mono">{manifest.package}</span>.
+                </p>
+                <p className="text-xs font-mono text-red-700 break-all">Registered: {packageCheck.claim.signingCertSha256}</p>
+                <p className="text-xs font-mono text-red-700 break-all">Found: {manifest.signing_cert_sha256}</p>
+              </div>
+            )}
+
+            {packageCheck?.status === 'unclaimed' && packageCheck.others.length > 0 && (
+              <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+                <p className="text-sm text-yellow-800">
+                  ⚠️ {packageCheck.others.length === 1 ? 'Another app declares' : `${packageCheck.others.length} other apps declare`}{' '}
+                  <span className="font-mono">{manifest.package}</span>:{' '}
+                  {packageCheck.others.map((other, index) => (
+                    <React.Fragment key={other.slug}>
+                      {index > 0 && ', '}
+                      <Link to={appPath(other.slug)} className="font-medium underline">{other.name || other.slug}</Link>
+                    </React.Fragment>
+                  ))}
+                  . None has registered the package name on-chain, so check the publisher before installing.
+                </p>
+              </div>
+            )}
+
             {!wallet?.isConnected && (
               <p className="text-sm text-yellow-600 mt-2 text-center">
                 ⚠️ Connect your wallet to register the download on blockchain
@@ -235,14 +706,87 @@ export default function AppDetail({ slug, wallet, onBack }) {
 
             {downloading && (
               <div className="mt-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>
+                    {downloadProgress?.source === 'helia'
+                      ? '🔒 From the IPFS network, every block checked against its CID'
+                      : downloadProgress?.source === 'gateway'
+                        ? '🌐 From public gateways, checked by SHA-256'
+                        : downloadProgress?.source === 'backend'
+                          ? '🗄️ From Filecoin storage, checked by SHA-256'
+                          : 'Starting...'}
+                  </span>
+                  {downloadProgress && (
+                    <span>
+                      {formatFileSize(downloadProgress.loaded)}
+                      {downloadProgress.total && ` / ${formatFileSize(downloadProgress.total)}`}
+                    </span>
+                  )}
+                </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div
-                    className="bg-green-600 h-2 rounded-full transition-all duration-300"
-                    style={{ width: `${downloadProgress}%` }}
+                    className={`h-2 rounded-full transition-all duration-300 ${
+                      downloadState === 'paused' ? 'bg-yellow-500' : 'bg-green-600'
+                    }`}
+                    style={{ width: `${downloadPercent ?? 0}%` }}
                   ></div>
                 </div>
+                {downloadState !== 'verifying' && (
+                  <div className="flex justify-end gap-2 mt-2">
+                    {downloadState === 'paused' ? (
+                      <button
+                        onClick={handleResumeDownload}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                      >
+                        ▶️ Resume
+                      </button>
+                    ) : (
+                      <button
+                        onClick={handlePauseDownload}
+                        className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                      >
+                        ⏸️ Pause
+                      </button>
+                    )}
+                    <button
+                      onClick={handleCancelDownload}
+                      className="px-3 py-1 text-sm bg-red-100 text-red-700 rounded-lg hover:bg-red-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             )}
+
+            {apkCertCheck?.match === false && (
+              <div className="mt-4 bg-red-50 border-2 border-red-400 rounded-lg p-4">
+                <p className="text-sm font-bold text-red-800 mb-1">
+                  🚨 Downloaded APK signed with an unexpected key
+                </p>
+                <p className="text-sm text-red-700 mb-2">
+                  The file matches the manifest, but its signing certificate is not the one pinned for this app.
+                  It was discarded: do not install it from another source either.
+                </p>
+                <p className="text-xs font-mono text-red-700 break-all">Expected: {apkCertCheck.expected.join(', ')}</p>
+                <p className="text-xs font-mono text-red-700 break-all">Found: {apkCertCheck.actual || 'no signature'}</p>
+              </div>
+            )}
+
+            {downloadState === 'done' && downloadResult && (
+              <div className="mt-4 bg-green-50 border border-green-200 rounded-lg p-4">
+                <p className="text-sm text-green-800">
+                  ✅ APK verified ({formatFileSize(downloadResult.size)}): the SHA-256 matches the signed manifest
+                  {downloadResult.cidVerified && ' and every block was checked against its CID'}.
+                  {apkCertCheck?.match && ' Signed with the pinned certificate.'}
+                  {!downloadResult.blob && ' Saved to the location you chose.'}
+                </p>
+              </div>
+            )}
+
+            {downloadState === 'cancelled' && (
+              <p className="text-sm text-gray-600 mt-2 text-center">Download cancelled</p>
+            )}
           </div>
 
           {/* Error Message */}
@@ -264,6 +808,22 @@ export default function AppDetail({ slug, wallet, onBack }) {
             </div>
           )}
 
+          {/* Screenshots */}
+          {manifest?.screenshots?.length > 0 && (
+            <div className="p-6 border-b">
+              <h3 className="text-lg font-bold mb-4">Screenshots</h3>
+              <ScreenshotGallery screenshots={manifest.screenshots} name={manifest.name} />
+            </div>
+          )}
+
+          {/* What's new */}
+          {manifest?.changelog && (
+            <div className="p-6 border-b">
+              <h3 className="text-lg font-bold mb-2">What's new in {manifest.version}</h3>
+              <p className="text-sm text-gray-700 whitespace-pre-line">{manifest.changelog}</p>
+            </div>
+          )}
+
           {/* Details */}
           <div className="p-6 grid grid-cols-2 gap-6">
             {/* Left Column */}
@@ -274,7 +834,14 @@ export default function AppDetail({ slug, wallet, onBack }) {
                 <div>
                   <span className="text-gray-600">Publisher:</span>
                   <p className="font-medium">{manifest?.publisher_name || 'Anonymous'}</p>
-                  <p className="text-xs font-mono text-gray-500">{subgraphApp.publisher?.address || subgraphApp.publisher?.id}</p>
+                  {(subgraphApp.publisher?.address || subgraphApp.publisher?.id) && (
+                    <Link
+                      to={publisherPath(subgraphApp.publisher.address || subgraphApp.publisher.id)}
+                      className="text-xs font-mono text-blue-600 hover:underline break-all"
+                    >
+                      {subgraphApp.publisher.address || subgraphApp.publisher.id}
+                    </Link>
+                  )}
                 </div>
 
                 {manifest && (
@@ -298,6 +865,18 @@ export default function AppDetail({ slug, wallet, onBack }) {
                       <span className="text-gray-600">License:</span>
                       <p className="font-medium">{manifest.license || 'Not specified'}</p>
                     </div>
+
+                    <div>
+                      <span className="text-gray-600">Signing certificate (SHA-256):</span>
+                      {manifest.signing_cert_sha256 ? (
+                        <p className="text-xs font-mono text-gray-700 break-all">
+                          {certCheck?.match === true && '✅ '}
+                          {manifest.signing_cert_sha256}
+                        </p>
+                      ) : (
+                        <p className="font-medium text-yellow-700">Not recorded</p>
+                      )}
+                    </div>
                   </>
                 )}
 
@@ -352,17 +931,18 @@ export default function AppDetail({ slug, wallet, onBack }) {
               )}
 
               {/* Categories */}
-              {manifest?.categories && manifest.categories.length > 0 && (
+              {manifest?.categories?.some(isKnownCategory) && (
                 <div className="mt-6">
                   <h3 className="text-lg font-bold mb-3">Categories</h3>
                   <div className="flex flex-wrap gap-2">
-                    {manifest.categories.map((category, index) => (
-                      <span
-                        key={index}
-                        className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-sm"
+                    {manifest.categories.filter(isKnownCategory).map((categoryId) => (
+                      <Link
+                        key={categoryId}
+                        to={categoryPath(categoryId)}
+                        className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-sm hover:bg-blue-200"
                       >
-                        {category}
-                      </span>
+                        {getCategory(categoryId).icon} {getCategory(categoryId).name}
+                      </Link>
                     ))}
                   </div>
                 </div>
@@ -376,12 +956,22 @@ export default function AppDetail({ slug, wallet, onBack }) {
               <h3 className="text-lg font-bold mb-4">Version History</h3>
               <div className="space-y-3">
                 {subgraphApp.versions.map((version, index) => (
-                  <div
+                  <Link
                     key={version.id || index}
-                    className="flex items-center justify-between bg-gray-50 px-4 py-3 rounded-lg"
+                    to={appPath(slug, version.versionCode)}
+                    className={`flex items-center justify-between px-4 py-3 rounded-lg transition ${
+                      selectedVersion && version.manifestCid === selectedVersion.manifestCid
+                        ? 'bg-blue-50 ring-1 ring-blue-300'
+                        : 'bg-gray-50 hover:bg-gray-100'
+                    }`}
                   >
                     <div>
                       <span className="font-medium">Version {version.versionCode}</span>
+                      {servedVersion && version.manifestCid === servedVersion.manifestCid && (
+                        <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-1 rounded">
+                          Current
+                        </span>
+                      )}
                       {version.deprecated && (
                         <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-1 rounded">
                           Deprecated
@@ -391,7 +981,7 @@ export default function AppDetail({ slug, wallet, onBack }) {
                     <div className="text-sm text-gray-600">
                       {new Date(Number(version.publishedAt) * 1000).toLocaleDateString()}
                     </div>
-                  </div>
+                  </Link>
                 ))}
               </div>
             </div>
@@ -422,7 +1012,7 @@ export default function AppDetail({ slug, wallet, onBack }) {
             <div className="mt-4 pt-4 border-t">
               <span className="text-gray-600 text-sm">Manifest CID:</span>
               <p className="font-mono text-xs text-gray-700 break-all mt-1">
-                {subgraphApp.latestManifestCid}
+                {selectedCid || subgraphApp.latestManifestCid}
               </p>
             </div>
           </div>
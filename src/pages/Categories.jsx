@@ -0,0 +1,144 @@
+/**
+ * Categories page
+ * Without categoryId (/categories): every category of the taxonomy with its
+ * number of active apps. With categoryId (/category/:id): the apps in it.
+ */
+
+import React, { useMemo } from 'react'
+import AppCard from '../components/AppCard'
+import Link from '../components/Link'
+import { useCategories, useCategoryApps } from '../hooks/useSubgraph'
+import { categoryPath } from '../hooks/useRouter'
+import { CATEGORIES, getCategory, isKnownCategory } from '../utils/categories'
+
+// Map a subgraph app (with its indexed manifest) to the card format
+function toCardApp(app) {
+  return {
+    slug: app.slug,
+    name: app.metadata?.name || app.name || app.slug,
+    price: app.priceWei && app.priceWei !== '0' ? `${app.priceEth} ETH` : 'Free',
+    icon: `/mockup-assets/${app.slug}.png`,
+    categories: app.metadata?.categories || [],
+    totalDownloads: app.totalDownloads || 0,
+    onChain: true
+  }
+}
+
+function CategoryList() {
+  const { categories, loading, error } = useCategories()
+
+  const counts = useMemo(
+    () => Object.fromEntries(categories.map(category => [category.id, category.appCount])),
+    [categories]
+  )
+
+  return (
+    <div className="max-w-6xl mx-auto px-6 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Categories</h1>
+
+      {error && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+          <p className="text-sm text-yellow-800">ℹ️ Subgraph unavailable: app counts cannot be loaded</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-4">
+        {CATEGORIES.map(category => (
+          <Link
+            key={category.id}
+            to={categoryPath(category.id)}
+            className="bg-white rounded-2xl p-6 shadow-sm flex items-center gap-4 hover:shadow-md transition"
+          >
+            <div className={`w-12 h-12 rounded-xl bg-gradient-to-br ${category.color} flex items-center justify-center text-2xl`}>
+              {category.icon}
+            </div>
+            <div className="flex-1">
+              <div className="font-semibold text-gray-900">{category.name}</div>
+              <div className="text-sm text-gray-500">
+                {loading ? '...' : error ? '–' : `${counts[category.id] || 0} ${counts[category.id] === 1 ? 'app' : 'apps'}`}
+              </div>
+            </div>
+            <span className="text-gray-400">→</span>
+          </Link>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function CategoryApps({ categoryId, onAppClick }) {
+  const category = getCategory(categoryId)
+  const { apps, loading, error } = useCategoryApps(categoryId)
+
+  return (
+    <div className="max-w-6xl mx-auto px-6 py-8">
+      <Link to="/categories" className="mb-6 inline-flex items-center gap-2 text-gray-600 hover:text-gray-900 transition">
+        <span>←</span> All categories
+      </Link>
+
+      <div className="flex items-center gap-4 mb-6">
+        <div className={`w-14 h-14 rounded-xl bg-gradient-to-br ${category.color} flex items-center justify-center text-3xl`}>
+          {category.icon}
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">{category.name}</h1>
+          {!loading && !error && (
+            <p className="text-sm text-gray-600">{apps.length} {apps.length === 1 ? 'app' : 'apps'}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl p-6 shadow-sm">
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading apps...</p>
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <div className="text-6xl mb-4">⚠️</div>
+            <p className="text-red-700">{error}</p>
+          </div>
+        ) : apps.length > 0 ? (
+          <div className="grid grid-cols-3 gap-4">
+            {apps.map(app => (
+              <div
+                key={app.slug}
+                onClick={() => onAppClick && onAppClick(app.slug)}
+                className="cursor-pointer transform hover:scale-105 transition"
+              >
+                <AppCard app={toCardApp(app)} />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <div className="text-6xl mb-4">{category.icon}</div>
+            <p className="text-gray-600">No apps in this category yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function Categories({ categoryId, onAppClick }) {
+  if (!categoryId) {
+    return <CategoryList />
+  }
+
+  if (!isKnownCategory(categoryId)) {
+    return (
+      <div className="max-w-6xl mx-auto px-6 py-16 text-center">
+        <div className="text-6xl mb-4">🗂️</div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Category not found</h2>
+        <p className="text-gray-600 mb-6">"{categoryId}" is not one of the store categories</p>
+        <Link to="/categories" className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+          See all categories
+        </Link>
+      </div>
+    )
+  }
+
+  return <CategoryApps categoryId={categoryId} onAppClick={onAppClick} />
+}
@@ -1,30 +1,22 @@
 import React, { useState, useMemo, useEffect } from 'react'
 import AppCard from '../components/AppCard'
 import { useAppStore } from '../hooks/useAppStore'
-import { useAllApps } from '../hooks/useSubgraph'
+import { useAllApps, useSearchApps } from '../hooks/useSubgraph'
+import { CATEGORIES, getCategory } from '../utils/categories'
 
 // Example apps - will be enriched with contract data if they exist
-// Note: All apps are free because the simplified contract doesn't handle prices
 const MOCK_APPS = [
-  { slug: 'dicegame', name: 'DiceGame', price: 'Free', icon: '/mockup-assets/dice.png', category: 'games', description: 'Fun dice rolling game' },
-  { slug: 'chatty', name: 'Chatty', price: 'Free', icon: '/mockup-assets/chatty.png', category: 'social', description: 'Decentralized messaging' },
-  { slug: 'taskmaster', name: 'TaskMaster', price: 'Free', icon: '/mockup-assets/task.png', category: 'productivity', description: 'Task management app' },
-  { slug: 'smiles', name: 'Smiles', price: 'Free', icon: '/mockup-assets/smiles.png', category: 'entertainment', description: 'Emoji collection' },
-  { slug: 'cryptowallet', name: 'CryptoWallet', price: 'Free', icon: '/mockup-assets/wallet.png', category: 'finance', description: 'Secure crypto wallet' },
-  { slug: 'nftgallery', name: 'NFT Gallery', price: 'Free', icon: '/mockup-assets/nft.png', category: 'entertainment', description: 'View your NFTs' },
-  { slug: 'defi-tracker', name: 'DeFi Tracker', price: 'Free', icon: '/mockup-assets/defi.png', category: 'finance', description: 'Track DeFi positions' },
-  { slug: 'web3-browser', name: 'Web3 Browser', price: 'Free', icon: '/mockup-assets/browser.png', category: 'tools', description: 'Browse Web3' }
+  { slug: 'dicegame', name: 'DiceGame', price: 'Free', icon: '/mockup-assets/dice.png', categories: ['games'], description: 'Fun dice rolling game' },
+  { slug: 'chatty', name: 'Chatty', price: 'Free', icon: '/mockup-assets/chatty.png', categories: ['social'], description: 'Decentralized messaging' },
+  { slug: 'taskmaster', name: 'TaskMaster', price: 'Free', icon: '/mockup-assets/task.png', categories: ['productivity'], description: 'Task management app' },
+  { slug: 'smiles', name: 'Smiles', price: 'Free', icon: '/mockup-assets/smiles.png', categories: ['entertainment'], description: 'Emoji collection' },
+  { slug: 'cryptowallet', name: 'CryptoWallet', price: 'Free', icon: '/mockup-assets/wallet.png', categories: ['finance'], description: 'Secure crypto wallet' },
+  { slug: 'nftgallery', name: 'NFT Gallery', price: 'Free', icon: '/mockup-assets/nft.png', categories: ['entertainment'], description: 'View your NFTs' },
+  { slug: 'defi-tracker', name: 'DeFi Tracker', price: 'Free', icon: '/mockup-assets/defi.png', categories: ['finance'], description: 'Track DeFi positions' },
+  { slug: 'web3-browser', name: 'Web3 Browser', price: 'Free', icon: '/mockup-assets/browser.png', categories: ['tools'], description: 'Browse Web3' }
 ]
 
-const CATEGORIES = [
-  { id: 'all', name: 'All', icon: '📱' },
-  { id: 'games', name: 'Games', icon: '🎮' },
-  { id: 'social', name: 'Social', icon: '💬' },
-  { id: 'productivity', name: 'Productivity', icon: '📊' },
-  { id: 'entertainment', name: 'Entertainment', icon: '🎬' },
-  { id: 'finance', name: 'Finance', icon: '💰' },
-  { id: 'tools', name: 'Tools', icon: '🔧' }
-]
+const CATEGORY_FILTERS = [{ id: 'all', name: 'All', icon: '📱' }, ...CATEGORIES]
 
 const PRICE_FILTERS = [
   { id: 'all', name: 'All' },
@@ -32,6 +24,25 @@ const PRICE_FILTERS = [
   { id: 'paid', name: 'Paid' }
 ]
 
+// Map a subgraph app to the card format; name, description and categories
+// come from the indexed manifest (the on-chain name is just the slug)
+function toHomeApp(app) {
+  return {
+    slug: app.slug,
+    name: app.metadata?.name || app.name || app.slug,
+    price: app.priceWei && app.priceWei !== '0' ? `${app.priceEth} ETH` : 'Free',
+    icon: `/mockup-assets/${app.slug}.png`,
+    categories: app.metadata?.categories || [],
+    description: app.metadata?.description || `Decentralized app: ${app.slug}`,
+    publisher: app.publisher?.address,
+    latestManifestCid: app.latestManifestCid,
+    totalDownloads: app.totalDownloads || 0,
+    active: app.active,
+    createdAt: app.createdAt,
+    onChain: true
+  }
+}
+
 export default function Home({ wallet, onAppClick }) {
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('all')
@@ -52,20 +63,7 @@ export default function Home({ wallet, onAppClick }) {
       console.log(`✅ ${subgraphApps.length} apps loaded from subgraph`)
       
       // Map subgraph apps to UI format
-      const onChainApps = subgraphApps.map(app => ({
-        slug: app.slug,
-        name: app.name || app.slug,
-        price: 'Free',
-        icon: `/mockup-assets/${app.slug}.png`,
-        category: 'apps',
-        description: `Decentralized app: ${app.slug}`,
-        publisher: app.publisher?.address,
-        latestManifestCid: app.latestManifestCid,
-        totalDownloads: app.totalDownloads || 0,
-        active: app.active,
-        createdAt: app.createdAt,
-        onChain: true
-      }))
+      const onChainApps = subgraphApps.map(toHomeApp)
       
       // Merge: if a mock app exists on-chain, replace it with real data
       // Otherwise, add on-chain apps at the end
@@ -95,22 +93,35 @@ export default function Home({ wallet, onAppClick }) {
     }
   }, [subgraphError])
 
+  // Full-text search in the subgraph (debounced, ranked by relevance)
+  const { apps: searchResults, loading: searching, error: searchError } = useSearchApps(searchQuery.trim())
+  const useSubgraphSearch = searchQuery.trim().length >= 2 && !subgraphError && !searchError
+
   // Filter and sort apps
   const filteredApps = useMemo(() => {
     let filtered = [...apps]
 
-    // Search by name or description
     if (searchQuery) {
       const query = searchQuery.toLowerCase()
-      filtered = filtered.filter(app =>
+      const matchesText = app =>
         app.name.toLowerCase().includes(query) ||
         app.description.toLowerCase().includes(query)
-      )
+
+      if (useSubgraphSearch) {
+        // On-chain apps come from the subgraph in relevance order; demos are matched locally
+        const rankedApps = searchResults.map(toHomeApp)
+        const rankedSlugs = new Set(rankedApps.map(app => app.slug))
+        const demoMatches = filtered.filter(app => !app.onChain && !rankedSlugs.has(app.slug) && matchesText(app))
+        filtered = [...rankedApps, ...demoMatches]
+      } else {
+        // Search by name or description
+        filtered = filtered.filter(matchesText)
+      }
     }
 
     // Filter by category
     if (selectedCategory !== 'all') {
-      filtered = filtered.filter(app => app.category === selectedCategory)
+      filtered = filtered.filter(app => app.categories.includes(selectedCategory))
     }
 
     // Filter by price
@@ -132,7 +143,7 @@ export default function Home({ wallet, onAppClick }) {
     }
 
     return filtered
-  }, [apps, searchQuery, selectedCategory, selectedPriceFilter, sortBy])
+  }, [apps, searchQuery, useSubgraphSearch, searchResults, selectedCategory, selectedPriceFilter, sortBy])
 
   // Count subgraph apps
   const onChainAppsCount = apps.filter(app => app.onChain).length
@@ -194,6 +205,9 @@ export default function Home({ wallet, onAppClick }) {
             <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 text-xl">
               🔍
             </span>
+            {searching && (
+              <div className="absolute right-4 top-1/2 -translate-y-1/2 animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+            )}
           </div>
           
           <select
@@ -201,7 +215,7 @@ export default function Home({ wallet, onAppClick }) {
             onChange={(e) => setSortBy(e.target.value)}
             className="px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
           >
-            <option value="popular">Most popular</option>
+            <option value="popular">{useSubgraphSearch ? 'Best match' : 'Most popular'}</option>
             <option value="name">Name A-Z</option>
             <option value="price">Price (low to high)</option>
           </select>
@@ -215,7 +229,7 @@ export default function Home({ wallet, onAppClick }) {
           <div className="bg-white rounded-2xl p-6 shadow-sm">
             <h3 className="text-lg font-bold mb-4">Categories</h3>
             <div className="space-y-2">
-              {CATEGORIES.map(category => (
+              {CATEGORY_FILTERS.map(category => (
                 <button
                   key={category.id}
                   onClick={() => setSelectedCategory(category.id)}
@@ -276,7 +290,7 @@ export default function Home({ wallet, onAppClick }) {
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold">
                 {searchQuery ? `Results for "${searchQuery}"` : 
-                 selectedCategory !== 'all' ? CATEGORIES.find(c => c.id === selectedCategory)?.name : 
+                 selectedCategory !== 'all' ? getCategory(selectedCategory).name : 
                  'All Apps'}
               </h2>
               <span className="text-sm text-gray-600">
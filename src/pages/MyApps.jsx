@@ -6,6 +6,7 @@
 import React, { useState } from 'react';
 import { usePublisherApps } from '../hooks/useSubgraph';
 import AppIcon from '../components/AppIcon';
+import { navigate } from '../hooks/useRouter';
 
 export default function MyApps({ wallet, onAppClick }) {
   const [downloading, setDownloading] = useState(null);
@@ -197,7 +198,7 @@ export default function MyApps({ wallet, onAppClick }) {
               Publish your first app on blockchain and share it with the world
             </p>
             <button
-              onClick={() => window.location.href = '/publish'}
+              onClick={() => navigate('/publish')}
               className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-semibold"
             >
               Publish App
@@ -6,12 +6,15 @@
 import React, { useState } from 'react';
 import APKUploader from '../components/APKUploader';
 import { useAppStore } from '../hooks/useAppStore';
+import { describeMultisigStatus } from '../services/safe';
 
 export default function Publish({ wallet }) {
-  const { registerApp } = useAppStore(wallet);
+  const { registerApp, getPackageClaim, contractAddress, isReady, isSafeAccount, cancelSafeTransaction } = useAppStore(wallet);
   const [uploadResult, setUploadResult] = useState(null);
   const [registering, setRegistering] = useState(false);
   const [txHash, setTxHash] = useState(null);
+  const [multisigStatus, setMultisigStatus] = useState(null);
+  const [priceEth, setPriceEth] = useState('0');
 
   const handleUploadComplete = async ({ manifest, manifestCID, apkCID, iconCID }) => {
     console.log('✅ Upload complete!');
@@ -24,12 +27,23 @@ export default function Publish({ wallet }) {
   const handleRegisterOnChain = async () => {
     if (!uploadResult) return;
 
+    if (priceEth === '' || isNaN(Number(priceEth)) || Number(priceEth) < 0) {
+      alert('Enter a valid price (0 for a free app)');
+      return;
+    }
+
     setRegistering(true);
+    setMultisigStatus(null);
     try {
       const result = await registerApp({
         slug: uploadResult.manifest.slug,
         manifestCid: uploadResult.manifestCID,
-        versionCode: uploadResult.manifest.versionCode
+        priceEth,
+        versionCode: uploadResult.manifest.versionCode,
+        packageName: uploadResult.manifest.package,
+        signingCertSha256: uploadResult.manifest.signing_cert_sha256,
+        // A Safe only proposes the transaction: show the confirmations until it is executed
+        onStatus: setMultisigStatus
       });
 
       if (result.success) {
@@ -42,6 +56,7 @@ export default function Publish({ wallet }) {
       alert(`Error: ${error.message}`);
     } finally {
       setRegistering(false);
+      setMultisigStatus(null);
     }
   };
 
@@ -56,7 +71,12 @@ export default function Publish({ wallet }) {
         </div>
 
         {/* APK Uploader */}
-        <APKUploader onComplete={handleUploadComplete} wallet={wallet} />
+        <APKUploader
+          onComplete={handleUploadComplete}
+          wallet={wallet}
+          contractAddress={contractAddress}
+          getPackageClaim={isReady ? getPackageClaim : undefined}
+        />
 
         {/* Register on Blockchain */}
         {uploadResult && !txHash && (
@@ -71,7 +91,30 @@ export default function Publish({ wallet }) {
                 <div><strong>Manifest CID:</strong> {uploadResult.manifestCID}</div>
                 <div><strong>Slug:</strong> {uploadResult.manifest.slug}</div>
                 <div><strong>Version:</strong> {uploadResult.manifest.version}</div>
+                <div><strong>Package:</strong> {uploadResult.manifest.package}</div>
               </div>
+              <p className="text-xs text-blue-800 mt-2">
+                The package name is registered to this app together with your signing certificate:
+                no other app will be able to claim it.
+              </p>
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Price (ETH)
+              </label>
+              <input
+                type="number"
+                step="0.001"
+                min="0"
+                value={priceEth}
+                onChange={(e) => setPriceEth(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Use 0 for a free app. A platform fee (at most 10%) is deducted from each sale.
+              </p>
             </div>
 
             <button
@@ -82,6 +125,27 @@ export default function Publish({ wallet }) {
               {registering ? 'Registering on Blockchain...' : 'Register App on Blockchain'}
             </button>
 
+            {multisigStatus && (
+              <p className="text-sm text-blue-700 mt-2">
+                🔐 {describeMultisigStatus(multisigStatus)}
+                {['proposed', 'confirming'].includes(multisigStatus.state) && (
+                  <button
+                    type="button"
+                    onClick={cancelSafeTransaction}
+                    className="ml-2 font-medium underline"
+                  >
+                    Stop waiting
+                  </button>
+                )}
+              </p>
+            )}
+
+            {isSafeAccount && !registering && (
+              <p className="text-xs text-gray-500 mt-2">
+                Your wallet is a Safe: the registration is proposed to it and completes once its owners confirm and execute it.
+              </p>
+            )}
+
             {!wallet.isConnected && (
               <p className="text-sm text-red-600 mt-2">
                 ⚠️ Connect your wallet to register the app
@@ -109,6 +173,7 @@ export default function Publish({ wallet }) {
               onClick={() => {
                 setUploadResult(null);
                 setTxHash(null);
+                setPriceEth('0');
               }}
               className="mt-4 bg-blue-600 text-white py-2 px-6 rounded-lg hover:bg-blue-700"
             >
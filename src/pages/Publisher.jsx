@@ -0,0 +1,276 @@
+/**
+ * Publisher page
+ * Public profile of one address (/publisher/:address): signed profile
+ * metadata, ENS name, aggregate stats, the apps it has registered and
+ * the apps it has transferred to other publishers
+ */
+
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { usePublisherApps } from '../hooks/useSubgraph';
+import { appPath, publisherPath } from '../hooks/useRouter';
+import { downloadJSON } from '../services/storage';
+import { getIPFSUrl } from '../services/ipfs';
+import { lookupENSName } from '../services/ens';
+import { verifyProfile } from '../utils/profile';
+import AppIcon from '../components/AppIcon';
+import Link from '../components/Link';
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Earlier publishers of an app, oldest first, from its transfer history
+function previousPublishers(app) {
+  return [...new Set((app.ownershipTransfers || []).map((transfer) => transfer.from.id))];
+}
+
+export default function Publisher({ address, onBack }) {
+  const isValidAddress = ethers.isAddress(address || '');
+
+  const { publisher, apps, loading, error } = usePublisherApps(isValidAddress ? address : null);
+
+  const [profile, setProfile] = useState(null);
+  const [profileError, setProfileError] = useState(null);
+  const [ensName, setEnsName] = useState(null);
+
+  const profileCid = publisher?.profileCid || null;
+
+  // Load the profile referenced on-chain; it is only shown if the publisher signed it
+  useEffect(() => {
+    setProfile(null);
+    setProfileError(null);
+    if (!profileCid) {
+      return;
+    }
+
+    let cancelled = false;
+    downloadJSON(profileCid)
+      .then((data) => {
+        if (cancelled) return;
+        const check = verifyProfile(data, address);
+        if (check.valid) {
+          setProfile(data);
+        } else {
+          console.warn('⚠️ Ignoring publisher profile:', check.reason);
+          setProfileError(check.reason);
+        }
+      })
+      .catch((err) => {
+        console.error('❌ Error loading publisher profile:', err);
+        if (!cancelled) setProfileError('Could not load the profile');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [profileCid, address]);
+
+  useEffect(() => {
+    setEnsName(null);
+    if (!isValidAddress) {
+      return;
+    }
+
+    let cancelled = false;
+    lookupENSName(address).then((name) => {
+      if (!cancelled) setEnsName(name);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [address, isValidAddress]);
+
+  if (!isValidAddress || (!loading && !error && !publisher)) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-6xl mb-4">❌</div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Publisher not found</h2>
+          <p className="text-gray-600 mb-6 font-mono text-sm break-all">
+            {isValidAddress ? `${address} has not published any apps` : 'This is not a valid address'}
+          </p>
+          <button
+            onClick={onBack}
+            className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading publisher...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-4xl mx-auto px-4">
+          <div className="bg-red-50 border border-red-200 rounded-2xl p-8 text-center">
+            <div className="text-6xl mb-4">⚠️</div>
+            <h2 className="text-2xl font-bold text-red-900 mb-2">Error loading publisher</h2>
+            <p className="text-red-700">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const activeApps = apps.filter((app) => app.active);
+  const transfersOut = publisher.transfersOut || [];
+  const checksumAddress = ethers.getAddress(address);
+  const title = profile?.display_name || ensName || `${checksumAddress.slice(0, 6)}...${checksumAddress.slice(-4)}`;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        {/* Back Button */}
+        <button
+          onClick={onBack}
+          className="mb-6 flex items-center gap-2 text-gray-600 hover:text-gray-900 transition"
+        >
+          <span>←</span> Back
+        </button>
+
+        {/* Header */}
+        <div className="bg-white rounded-2xl shadow-lg p-8 mb-8">
+          <div className="flex items-start gap-6">
+            <div className="w-20 h-20 bg-gray-100 rounded-full flex items-center justify-center text-4xl flex-shrink-0 overflow-hidden">
+              {profile?.avatar_cid ? (
+                <img
+                  src={getIPFSUrl(profile.avatar_cid)}
+                  alt={title}
+                  className="w-full h-full object-cover"
+                />
+              ) : (
+                '👤'
+              )}
+            </div>
+
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-3 mb-1">
+                <h1 className="text-3xl font-bold text-gray-900 truncate">{title}</h1>
+                {profile && (
+                  <span
+                    className="inline-block bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium"
+                    title="Profile signed by this address"
+                  >
+                    ✅ Signed profile
+                  </span>
+                )}
+              </div>
+              {ensName && ensName !== title && (
+                <p className="text-sm text-gray-700">{ensName}</p>
+              )}
+              <p className="font-mono text-xs text-gray-500 break-all">{checksumAddress}</p>
+              {profile?.website && (
+                <a
+                  href={profile.website}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  {profile.website}
+                </a>
+              )}
+            </div>
+          </div>
+
+          {profileError && (
+            <div className="mt-4 bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+              <p className="text-sm text-yellow-800">⚠️ Profile not shown: {profileError}</p>
+            </div>
+          )}
+
+          <div className="mt-6 pt-6 border-t grid grid-cols-3 gap-4 text-center">
+            <div>
+              <div className="text-2xl font-bold text-gray-900">{publisher.totalApps}</div>
+              <div className="text-sm text-gray-600">Apps published</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900">{publisher.totalDownloads}</div>
+              <div className="text-sm text-gray-600">Total downloads</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900">
+                {new Date(Number(publisher.createdAt) * 1000).toLocaleDateString()}
+              </div>
+              <div className="text-sm text-gray-600">Publisher since</div>
+            </div>
+          </div>
+        </div>
+
+        {/* Apps */}
+        {activeApps.length > 0 ? (
+          <div className="bg-white rounded-2xl shadow-lg overflow-hidden divide-y">
+            {activeApps.map((app) => (
+              <Link
+                key={app.slug}
+                to={appPath(app.slug)}
+                className="p-6 flex items-center gap-6 hover:bg-gray-50 transition"
+              >
+                <AppIcon src={null} alt={app.name} slug={app.slug} size="lg" />
+                <div className="flex-1">
+                  <h3 className="text-lg font-bold text-gray-900 mb-1">{app.name}</h3>
+                  <div className="flex items-center gap-4 text-sm text-gray-600">
+                    <span>📥 {app.totalDownloads} downloads</span>
+                    <span>📅 {new Date(Number(app.createdAt) * 1000).toLocaleDateString()}</span>
+                    <span>{app.priceWei && app.priceWei !== '0' ? `${app.priceEth} ETH` : 'FREE'}</span>
+                  </div>
+                  {previousPublishers(app).length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1" title={previousPublishers(app).join('\n')}>
+                      Previously published by {previousPublishers(app).map(shortAddress).join(', ')}
+                    </p>
+                  )}
+                </div>
+                <span className="text-gray-400">→</span>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <div className="bg-white rounded-2xl shadow-lg p-12 text-center">
+            <div className="text-6xl mb-4">📱</div>
+            <p className="text-gray-600">This publisher has no active apps</p>
+          </div>
+        )}
+
+        {/* Apps handed over to other publishers */}
+        {transfersOut.length > 0 && (
+          <div className="mt-8 bg-white rounded-2xl shadow-lg overflow-hidden">
+            <div className="p-6 border-b bg-gray-50">
+              <h2 className="text-xl font-bold">Transferred apps</h2>
+            </div>
+            <div className="divide-y">
+              {transfersOut.map((transfer) => (
+                <div key={transfer.id} className="p-6 flex items-center justify-between gap-4 text-sm">
+                  <Link to={appPath(transfer.app.slug)} className="font-medium text-gray-900 hover:underline">
+                    {transfer.app.name}
+                  </Link>
+                  <span className="text-gray-600">
+                    {transfer.recovered ? 'Reassigned by the store to ' : 'Transferred to '}
+                    <Link to={publisherPath(transfer.to.id)} className="font-mono text-blue-600 hover:underline">
+                      {shortAddress(transfer.to.id)}
+                    </Link>
+                    {' · '}
+                    {new Date(Number(transfer.timestamp) * 1000).toLocaleDateString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
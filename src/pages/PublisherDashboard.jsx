@@ -1,70 +1,182 @@
 /**
  * Dashboard para publishers
- * Gestión de apps, versiones, precios y estadísticas
+ * Gestión de apps, versiones, precios, equipo y estadísticas
+ * También lista las apps en las que la wallet es maintainer, con las
+ * acciones que permite su rol
  */
 
 import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import { useAppStore } from '../hooks/useAppStore';
-import { uploadToPinata, uploadJSONToPinata } from '../services/ipfs';
-import { createManifest, signManifest } from '../utils/manifest';
+import { navigate, publisherPath } from '../hooks/useRouter';
+import { getPublisherApps, getIncomingTransfers, getMaintainedApps } from '../services/graphql';
+import { describeMultisigStatus } from '../services/safe';
+import { uploadFile, uploadJSON, downloadJSON } from '../services/storage';
+import { signManifest, extractAPKInfo, checkSigningCertificate, checkPackageClaim, migrateManifest, validateManifest } from '../utils/manifest';
+import { createProfile, validateProfile, signProfile, verifyProfile } from '../utils/profile';
+import Link from '../components/Link';
+
+/**
+ * Merge a subgraph app with its on-chain state.
+ * The contract is authoritative for status, downloads and the version list;
+ * the subgraph fills in whatever the contract can't provide (name, revenue, updatedAt).
+ */
+function toDashboardApp(app, onChainApp, onChainVersions, onChainCurrentIndex, onChainPackage, onChainPendingPublisher) {
+  const versions = onChainVersions || (app.versions || []).map((v) => ({
+    manifestCid: v.manifestCid,
+    timestamp: new Date(Number(v.publishedAt) * 1000),
+    versionCode: Number(v.versionCode),
+    deprecated: v.deprecated
+  }));
+
+  const lastVersionTime = versions.length > 0 ? versions[versions.length - 1].timestamp : null;
+  const updatedAt = app.updatedAt ? new Date(Number(app.updatedAt) * 1000) : null;
+  const lastUpdate = [updatedAt, lastVersionTime]
+    .filter(Boolean)
+    .reduce((latest, d) => (!latest || d > latest ? d : latest), null);
+
+  // Index of the version currently served as latestManifestCid
+  const latestManifestCid = onChainApp?.latestManifestCid || app.latestManifestCid;
+  let currentIndex = onChainCurrentIndex;
+  if (currentIndex === undefined || currentIndex === null) {
+    currentIndex = versions.map((v) => v.manifestCid).lastIndexOf(latestManifestCid);
+  }
+
+  return {
+    slug: app.slug,
+    name: app.name || app.slug,
+    latestManifestCid,
+    priceEth: onChainApp ? onChainApp.priceEth : (app.priceEth ?? '0'),
+    totalDownloads: onChainApp ? onChainApp.totalDownloads : Number(app.totalDownloads || 0),
+    totalPurchases: Number(app.totalPurchases || 0),
+    totalRevenue: ethers.formatEther(onChainApp ? onChainApp.totalRevenue : (app.totalRevenue || '0')),
+    versions: versions.map((v, index) => ({ ...v, index, current: index === currentIndex })),
+    lastUpdate,
+    active: onChainApp ? onChainApp.active : app.active,
+    // Package name claimed on-chain ('' = not claimed yet)
+    packageName: onChainPackage ?? app.packageName ?? '',
+    // Proposed new publisher that hasn't accepted yet (null = no transfer)
+    pendingPublisher: onChainPendingPublisher !== undefined ? onChainPendingPublisher : (app.pendingPublisher || null),
+    onChain: !!onChainApp
+  };
+}
+
+// What each role can do from the dashboard (mirrors the checks in AppStore.sol)
+const ROLE_LABELS = { publisher: 'Publisher', admin: 'Admin', releaser: 'Releaser', viewer: 'Viewer' };
+const canReleaseApp = (app) => ['publisher', 'admin', 'releaser'].includes(app.role);
+const canManageApp = (app) => app.role === 'publisher' || app.role === 'admin';
+const isAppPublisher = (app) => app.role === 'publisher';
 
 export default function PublisherDashboard({ wallet }) {
-  const { getApp, publishVersion, updatePrice } = useAppStore(wallet);
+  const {
+    getApp,
+    getVersions,
+    getCurrentVersionIndex,
+    publishVersion,
+    deprecateVersion,
+    rollbackToVersion,
+    updatePrice,
+    setPublisherProfile,
+    claimPackage,
+    getPackageClaim,
+    getAppPackage,
+    proposeAppTransfer,
+    acceptAppTransfer,
+    getPendingPublisher,
+    setMaintainerRole,
+    getMaintainers,
+    getMaintainerRole,
+    contractAddress,
+    isReady,
+    isSafeAccount,
+    cancelSafeTransaction
+  } = useAppStore(wallet);
   
   const [myApps, setMyApps] = useState([]);
+  const [publisherRevenue, setPublisherRevenue] = useState('0');
+  const [profileCid, setProfileCid] = useState(null);
+  const [incomingTransfers, setIncomingTransfers] = useState([]);
+  const [loadError, setLoadError] = useState(null);
   const [selectedApp, setSelectedApp] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('overview'); // 'overview' | 'versions' | 'pricing' | 'stats'
+  const [activeTab, setActiveTab] = useState('overview'); // 'overview' | 'versions' | 'team'
+  const [maintainers, setMaintainers] = useState(null);
   
   // Modals
   const [showVersionModal, setShowVersionModal] = useState(false);
   const [showPriceModal, setShowPriceModal] = useState(false);
+  const [showProfileModal, setShowProfileModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
   
   // Form states
   const [newVersion, setNewVersion] = useState({ apkFile: null, versionCode: '', changelog: '' });
   const [newPrice, setNewPrice] = useState('');
+  const [transferAddress, setTransferAddress] = useState('');
+  const [maintainerForm, setMaintainerForm] = useState({ address: '', role: 'releaser' });
+  const [profileForm, setProfileForm] = useState({ displayName: '', website: '', avatarCid: '', avatarFile: null });
   const [processing, setProcessing] = useState(false);
-
-  // Mock data - en producción vendría del subgraph
-  const MOCK_PUBLISHER_APPS = [
-    {
-      slug: 'my-game',
-      name: 'My Game',
-      priceEth: '0.05',
-      totalDownloads: 150,
-      totalRevenue: '7.5',
-      versions: 3,
-      lastUpdate: '2024-01-15',
-      active: true
-    },
-    {
-      slug: 'my-tool',
-      name: 'My Tool',
-      priceEth: '0',
-      totalDownloads: 500,
-      totalRevenue: '0',
-      versions: 5,
-      lastUpdate: '2024-01-10',
-      active: true
-    }
-  ];
+  const [multisigStatus, setMultisigStatus] = useState(null);
 
   useEffect(() => {
     loadPublisherApps();
-  }, [wallet?.address]);
+  }, [wallet?.address, isReady]);
 
   const loadPublisherApps = async () => {
-    if (!wallet?.isConnected) {
+    if (!wallet?.isConnected || !wallet?.address) {
       setLoading(false);
       return;
     }
 
     setLoading(true);
+    setLoadError(null);
     try {
-      // En producción, filtrar apps por publisher address desde subgraph
-      setMyApps(MOCK_PUBLISHER_APPS);
+      const [publisher, incoming, maintained] = await Promise.all([
+        getPublisherApps(wallet.address),
+        getIncomingTransfers(wallet.address),
+        getMaintainedApps(wallet.address)
+      ]);
+      // Own apps first, then the ones this wallet maintains for another publisher
+      const subgraphApps = [
+        ...(publisher?.apps || []).map((app) => ({ app, publisher: wallet.address, role: 'publisher' })),
+        ...maintained.map(({ app, role }) => ({ app, publisher: app.publisher.id, role: role.toLowerCase() }))
+      ];
+
+      const apps = await Promise.all(subgraphApps.map(async ({ app, publisher: appPublisher, role }) => {
+        if (!isReady) {
+          return { ...toDashboardApp(app, null, null, null), publisher: appPublisher, role };
+        }
+        try {
+          const [onChainApp, onChainVersions, currentIndex, packageName, pendingPublisher, onChainRole] = await Promise.all([
+            getApp(app.slug),
+            getVersions(app.slug),
+            getCurrentVersionIndex(app.slug),
+            getAppPackage(app.slug),
+            getPendingPublisher(app.slug),
+            getMaintainerRole(app.slug, wallet.address)
+          ]);
+          const isPublisher = onChainApp.publisher.toLowerCase() === wallet.address.toLowerCase();
+          return {
+            ...toDashboardApp(app, onChainApp, onChainVersions, currentIndex, packageName, pendingPublisher),
+            publisher: onChainApp.publisher,
+            role: isPublisher ? 'publisher' : onChainRole
+          };
+        } catch (err) {
+          console.warn(`⚠️ Could not read ${app.slug} from contract, using subgraph data:`, err.message);
+          return { ...toDashboardApp(app, null, null, null), publisher: appPublisher, role };
+        }
+      }));
+
+      // The subgraph may lag behind a role change or a transfer
+      setMyApps(apps.filter((app) => app.role !== 'none'));
+      setIncomingTransfers(incoming);
+      setPublisherRevenue(ethers.formatEther(publisher?.totalRevenue || '0'));
+      setProfileCid(publisher?.profileCid || null);
+      setSelectedApp((prev) => (prev ? apps.find((a) => a.slug === prev.slug) || null : null));
     } catch (err) {
       console.error('Error loading apps:', err);
+      setLoadError(err.message);
+      setMyApps([]);
+      setIncomingTransfers([]);
     } finally {
       setLoading(false);
     }
@@ -78,34 +190,94 @@ export default function PublisherDashboard({ wallet }) {
 
     setProcessing(true);
     try {
+      // 0. Verificar que el APK está firmado con la misma clave que la primera versión
+      console.log('🔍 Checking signing certificate...');
+      const apkInfo = await extractAPKInfo(newVersion.apkFile);
+      if (!apkInfo.signing_cert_sha256) {
+        throw new Error('The APK is not signed');
+      }
+
+      const versionCode = parseInt(newVersion.versionCode);
+      if (apkInfo.versionCode && apkInfo.versionCode !== versionCode) {
+        throw new Error(
+          `The APK declares versionCode ${apkInfo.versionCode}, but ${versionCode} was entered`
+        );
+      }
+
+      const [firstVersion] = await getVersions(selectedApp.slug);
+      const firstManifest = firstVersion ? await downloadJSON(firstVersion.manifestCid) : null;
+      const certCheck = checkSigningCertificate(
+        { signing_cert_sha256: apkInfo.signing_cert_sha256 },
+        firstManifest
+      );
+
+      if (certCheck.match === false) {
+        throw new Error(
+          `Signing certificate mismatch: this APK is signed with ${certCheck.actual.slice(0, 16)}..., ` +
+          `but the first version was signed with ${certCheck.expected.slice(0, 16)}.... ` +
+          'Android will refuse to install it as an update.'
+        );
+      }
+
+      if (certCheck.match === null && !confirm(
+        '⚠️ The first version of this app has no recorded signing certificate, so this APK cannot be checked against it. Publish anyway?'
+      )) {
+        return;
+      }
+
       // 1. Upload APK a IPFS
       console.log('📤 Uploading APK...');
-      const apkResult = await uploadToPinata(newVersion.apkFile, {
-        name: `${selectedApp.slug}-v${newVersion.versionCode}.apk`
+      const apkResult = await uploadFile(newVersion.apkFile, {
+        name: `${selectedApp.slug}-v${newVersion.versionCode}.apk`,
+        signer: wallet.signer
       });
 
-      // 2. Crear y firmar manifest
+      // 2. Crear y firmar manifest (a partir del manifest más reciente, migrado al formato actual)
       console.log('📝 Creating manifest...');
+      const { signature: _previousSignature, ...latestManifest } =
+        migrateManifest(await downloadJSON(selectedApp.latestManifestCid));
       const manifest = {
-        ...selectedApp,
-        version: newVersion.versionCode,
-        versionCode: parseInt(newVersion.versionCode),
+        ...latestManifest,
+        // The app may have been transferred since the latest version was published,
+        // and releasers sign on behalf of the publisher
+        publisher: selectedApp.publisher,
+        version: apkInfo.version || latestManifest.version,
+        versionCode,
         apk_cid: apkResult.cid,
-        changelog: newVersion.changelog
+        apk_sha256: apkInfo.sha256,
+        apk_size: apkInfo.size,
+        signing_cert_sha256: apkInfo.signing_cert_sha256,
+        min_sdk: apkInfo.min_sdk || latestManifest.min_sdk,
+        target_sdk: apkInfo.target_sdk || latestManifest.target_sdk,
+        permissions: apkInfo.permissions || latestManifest.permissions,
+        changelog: newVersion.changelog,
+        created_at: new Date().toISOString(),
+        signature: ''
       };
 
-      const signature = await signManifest(manifest, wallet.signer, wallet.chainId);
+      // The package may be claimed by this app (same certificate) or by nobody
+      const validation = validateManifest(manifest, { packageClaim: await getPackageClaim(manifest.package) });
+      if (!validation.valid) {
+        throw new Error(`Invalid manifest: ${validation.errors.join(', ')}`);
+      }
+
+      const signature = await signManifest(manifest, wallet.signer, wallet.chainId, contractAddress);
       manifest.signature = signature;
 
       // 3. Upload manifest
-      const manifestResult = await uploadJSONToPinata(manifest);
+      const manifestResult = await uploadJSON(manifest, {
+        name: `${selectedApp.slug}-manifest.json`,
+        signer: wallet.signer
+      });
 
       // 4. Registrar en blockchain
       console.log('⛓️ Publishing to blockchain...');
       const result = await publishVersion({
         slug: selectedApp.slug,
         manifestCid: manifestResult.cid,
-        versionCode: parseInt(newVersion.versionCode)
+        versionCode,
+        // A Safe only proposes the transaction: show the confirmations until it is executed
+        onStatus: setMultisigStatus
       });
 
       if (result.success) {
@@ -119,6 +291,100 @@ export default function PublisherDashboard({ wallet }) {
     } catch (err) {
       console.error('Error publishing version:', err);
       alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+      setMultisigStatus(null);
+    }
+  };
+
+  // Register the package name of an app published before package claims existed
+  const handleClaimPackage = async () => {
+    if (!selectedApp) return;
+
+    setProcessing(true);
+    try {
+      const manifest = migrateManifest(await downloadJSON(selectedApp.latestManifestCid));
+      if (!manifest.package || !manifest.signing_cert_sha256) {
+        throw new Error('The current manifest has no package name or signing certificate. Publish a new version first.');
+      }
+
+      const check = checkPackageClaim({ ...manifest, slug: selectedApp.slug }, await getPackageClaim(manifest.package));
+      if (check.status === 'claimed_by_other') {
+        throw new Error(`${manifest.package} is already claimed by the app "${check.claim.slug}"`);
+      }
+
+      if (!confirm(
+        `Register ${manifest.package} to ${selectedApp.name}?\n\n` +
+        'No other app will be able to claim it, and this app cannot claim a different package later.'
+      )) {
+        return;
+      }
+
+      const result = await claimPackage(selectedApp.slug, manifest.package, manifest.signing_cert_sha256);
+      if (result.success) {
+        alert('✅ Package name registered');
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error claiming package:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleDeprecateVersion = async (version) => {
+    if (!selectedApp) return;
+
+    const activeVersions = selectedApp.versions.filter((v) => !v.deprecated && v.index !== version.index);
+    const warning = version.current && activeVersions.length === 0
+      ? '\n\n⚠️ This is the only non-deprecated version: users will have no version to install.'
+      : version.current
+        ? '\n\nThis is the version currently served; the newest non-deprecated version will be served instead.'
+        : '';
+
+    if (!confirm(`Deprecate version code ${version.versionCode}? This cannot be undone.${warning}`)) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await deprecateVersion(selectedApp.slug, version.index);
+
+      if (result.success) {
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error deprecating version:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!selectedApp) return;
+
+    if (!confirm(`Serve version code ${version.versionCode} as the latest version of ${selectedApp.name}?`)) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await rollbackToVersion(selectedApp.slug, version.index);
+
+      if (result.success) {
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error rolling back version:', err);
+      alert(`Error: ${err.message}`);
     } finally {
       setProcessing(false);
     }
@@ -150,6 +416,230 @@ export default function PublisherDashboard({ wallet }) {
     }
   };
 
+  // Step 1 of a transfer: the new publisher still has to accept it
+  const handleProposeTransfer = async () => {
+    if (!selectedApp) return;
+
+    const newPublisher = transferAddress.trim();
+    if (!ethers.isAddress(newPublisher)) {
+      alert('Enter a valid address');
+      return;
+    }
+    if (newPublisher.toLowerCase() === wallet.address.toLowerCase()) {
+      alert('You are already the publisher of this app');
+      return;
+    }
+
+    if (!confirm(
+      `Transfer ${selectedApp.name} to ${newPublisher}?\n\n` +
+      'Once they accept, they will control versions, price and revenue, and you will no longer be able to manage the app.'
+    )) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await proposeAppTransfer(selectedApp.slug, newPublisher);
+      if (result.success) {
+        alert('✅ Transfer proposed. The new publisher must accept it from their dashboard.');
+        setShowTransferModal(false);
+        setTransferAddress('');
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error proposing transfer:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCancelTransfer = async () => {
+    if (!selectedApp) return;
+
+    setProcessing(true);
+    try {
+      const result = await proposeAppTransfer(selectedApp.slug, ethers.ZeroAddress);
+      if (result.success) {
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error cancelling transfer:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Step 2 of a transfer, from the receiving wallet
+  const handleAcceptTransfer = async (app) => {
+    if (!confirm(
+      `Accept ${app.name || app.slug} from ${app.publisher.id}?\n\n` +
+      'You will become its publisher: new versions must be signed with the same APK signing key.'
+    )) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await acceptAppTransfer(app.slug);
+      if (result.success) {
+        alert(`✅ ${app.name || app.slug} is now yours`);
+        loadPublisherApps();
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error accepting transfer:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Team members from the contract (the subgraph may lag behind a role change)
+  const loadMaintainers = async (app) => {
+    setMaintainers(null);
+    if (!isReady || !app.onChain) {
+      setMaintainers([]);
+      return;
+    }
+
+    try {
+      setMaintainers(await getMaintainers(app.slug));
+    } catch (err) {
+      console.warn(`⚠️ Could not load maintainers of ${app.slug}:`, err.message);
+      setMaintainers([]);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'team' && selectedApp) {
+      loadMaintainers(selectedApp);
+    }
+  }, [activeTab, selectedApp?.slug, isReady]);
+
+  // Add, change or remove ('none') a maintainer of the selected app
+  const handleSetMaintainerRole = async (address, role) => {
+    if (!selectedApp) return;
+
+    if (!ethers.isAddress(address)) {
+      alert('Enter a valid address');
+      return;
+    }
+    if (address.toLowerCase() === selectedApp.publisher.toLowerCase()) {
+      alert('The publisher already has every role');
+      return;
+    }
+
+    const leaving = role === 'none' && address.toLowerCase() === wallet.address.toLowerCase();
+    if (role === 'none' && !confirm(
+      leaving
+        ? `Leave the team of ${selectedApp.name}? You will lose access to it.`
+        : `Remove ${address} from the team of ${selectedApp.name}?\n\nVersions they signed will no longer verify.`
+    )) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const result = await setMaintainerRole(selectedApp.slug, address, role);
+      if (result.success) {
+        setMaintainerForm({ address: '', role: 'releaser' });
+        if (leaving) {
+          setSelectedApp(null);
+          loadPublisherApps();
+        } else {
+          loadMaintainers(selectedApp);
+        }
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error setting maintainer role:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Open the profile editor pre-filled with the current signed profile
+  const handleOpenProfile = async () => {
+    setProfileForm({ displayName: '', website: '', avatarCid: '', avatarFile: null });
+    setShowProfileModal(true);
+    if (!profileCid) {
+      return;
+    }
+
+    try {
+      const current = await downloadJSON(profileCid);
+      if (verifyProfile(current, wallet.address).valid) {
+        setProfileForm({
+          displayName: current.display_name,
+          website: current.website || '',
+          avatarCid: current.avatar_cid || '',
+          avatarFile: null
+        });
+      }
+    } catch (err) {
+      console.warn('⚠️ Could not load current profile:', err.message);
+    }
+  };
+
+  const handleSaveProfile = async () => {
+    setProcessing(true);
+    try {
+      // 1. Upload avatar (if changed)
+      let avatarCid = profileForm.avatarCid;
+      if (profileForm.avatarFile) {
+        console.log('📤 Uploading avatar...');
+        const avatarResult = await uploadFile(profileForm.avatarFile, {
+          name: `${wallet.address.toLowerCase()}-avatar`,
+          signer: wallet.signer
+        });
+        avatarCid = avatarResult.cid;
+      }
+
+      // 2. Create, validate and sign the profile
+      const profile = createProfile({
+        publisher: wallet.address,
+        displayName: profileForm.displayName,
+        website: profileForm.website,
+        avatarCid
+      });
+      const validation = validateProfile(profile);
+      if (!validation.valid) {
+        throw new Error(`Invalid profile:\n${validation.errors.join('\n')}`);
+      }
+      profile.signature = await signProfile(profile, wallet.signer);
+
+      // 3. Upload profile
+      const profileResult = await uploadJSON(profile, {
+        name: `${wallet.address.toLowerCase()}-profile.json`,
+        signer: wallet.signer
+      });
+
+      // 4. Reference it on-chain
+      const result = await setPublisherProfile(profileResult.cid);
+      if (result.success) {
+        alert('✅ Profile updated!');
+        setShowProfileModal(false);
+        setProfileCid(profileResult.cid);
+      } else {
+        alert(`Error: ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Error updating profile:', err);
+      alert(`Error: ${err.message}`);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   if (!wallet?.isConnected) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
@@ -181,25 +671,46 @@ export default function PublisherDashboard({ wallet }) {
     );
   }
 
-  const totalDownloads = myApps.reduce((sum, app) => sum + app.totalDownloads, 0);
-  const totalRevenue = myApps.reduce((sum, app) => sum + parseFloat(app.totalRevenue), 0);
+  // Stats only count the apps this wallet publishes
+  const ownedApps = myApps.filter(isAppPublisher);
+  const totalDownloads = ownedApps.reduce((sum, app) => sum + app.totalDownloads, 0);
+  const totalPurchases = ownedApps.reduce((sum, app) => sum + app.totalPurchases, 0);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4">
         {/* Header */}
-        <div className="mb-8">
-          <h1 className="text-4xl font-bold text-gray-900 mb-2">Publisher Dashboard</h1>
-          <p className="text-gray-600">
-            Manage your applications, versions and statistics
-          </p>
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Publisher Dashboard</h1>
+            <p className="text-gray-600">
+              Manage your applications, versions and statistics
+            </p>
+          </div>
+          {ownedApps.length > 0 && (
+            <div className="flex gap-3">
+              <Link
+                to={publisherPath(wallet.address)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition"
+              >
+                👤 Public page
+              </Link>
+              <button
+                onClick={handleOpenProfile}
+                disabled={!isReady}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition"
+              >
+                ✏️ Edit profile
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Stats Cards */}
         <div className="grid grid-cols-4 gap-6 mb-8">
           <div className="bg-white rounded-2xl p-6 shadow-sm">
             <div className="text-3xl mb-2">📱</div>
-            <div className="text-3xl font-bold text-gray-900">{myApps.length}</div>
+            <div className="text-3xl font-bold text-gray-900">{ownedApps.length}</div>
             <div className="text-sm text-gray-600">Published apps</div>
           </div>
 
@@ -211,17 +722,48 @@ export default function PublisherDashboard({ wallet }) {
 
           <div className="bg-white rounded-2xl p-6 shadow-sm">
             <div className="text-3xl mb-2">💰</div>
-            <div className="text-3xl font-bold text-gray-900">{totalRevenue.toFixed(2)}</div>
-            <div className="text-sm text-gray-600">ETH earned</div>
+            <div className="text-3xl font-bold text-gray-900">{parseFloat(publisherRevenue).toFixed(4)}</div>
+            <div className="text-sm text-gray-600">ETH earned (after fees)</div>
           </div>
 
           <div className="bg-white rounded-2xl p-6 shadow-sm">
-            <div className="text-3xl mb-2">⭐</div>
-            <div className="text-3xl font-bold text-gray-900">4.5</div>
-            <div className="text-sm text-gray-600">Average rating</div>
+            <div className="text-3xl mb-2">🛒</div>
+            <div className="text-3xl font-bold text-gray-900">{totalPurchases}</div>
+            <div className="text-sm text-gray-600">Total purchases</div>
           </div>
         </div>
 
+        {incomingTransfers.length > 0 && (
+          <div className="mb-8 bg-blue-50 border border-blue-200 rounded-2xl p-6">
+            <h2 className="text-lg font-bold text-blue-900 mb-3">📨 Apps transferred to you</h2>
+            <div className="space-y-3">
+              {incomingTransfers.map((app) => (
+                <div key={app.slug} className="flex items-center justify-between gap-4">
+                  <p className="text-sm text-blue-800 min-w-0">
+                    <span className="font-medium">{app.name || app.slug}</span> from{' '}
+                    <Link to={publisherPath(app.publisher.id)} className="font-mono hover:underline break-all">
+                      {app.publisher.id}
+                    </Link>
+                  </p>
+                  <button
+                    onClick={() => handleAcceptTransfer(app)}
+                    disabled={processing || !isReady}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm whitespace-nowrap"
+                  >
+                    {processing ? 'Accepting...' : 'Accept transfer'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {loadError && (
+          <div className="mb-8 bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-sm text-red-800">⚠️ Could not load your apps from the subgraph: {loadError}</p>
+          </div>
+        )}
+
         {/* Apps List */}
         <div className="bg-white rounded-2xl shadow-lg overflow-hidden">
           <div className="p-6 border-b bg-gray-50">
@@ -248,14 +790,24 @@ export default function PublisherDashboard({ wallet }) {
                           </span>
                         ) : (
                           <span className="px-2 py-1 bg-red-100 text-red-700 rounded text-xs font-medium">
-                            Inactive
+                            Banned
+                          </span>
+                        )}
+                        {!isAppPublisher(app) && (
+                          <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded text-xs font-medium" title={`Published by ${app.publisher}`}>
+                            {ROLE_LABELS[app.role]}
+                          </span>
+                        )}
+                        {app.pendingPublisher && (
+                          <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs font-medium" title={app.pendingPublisher}>
+                            Transfer pending
                           </span>
                         )}
                       </div>
                       
-                      <div className="grid grid-cols-4 gap-4 text-sm text-gray-600">
+                      <div className="grid grid-cols-5 gap-4 text-sm text-gray-600">
                         <div>
-                          <span className="font-medium">Price:</span> {app.priceEth === '0' ? 'Free' : `${app.priceEth} ETH`}
+                          <span className="font-medium">Price:</span> {Number(app.priceEth) === 0 ? 'Free' : `${app.priceEth} ETH`}
                         </div>
                         <div>
                           <span className="font-medium">Downloads:</span> {app.totalDownloads}
@@ -264,40 +816,75 @@ export default function PublisherDashboard({ wallet }) {
                           <span className="font-medium">Revenue:</span> {app.totalRevenue} ETH
                         </div>
                         <div>
-                          <span className="font-medium">Versions:</span> {app.versions}
+                          <span className="font-medium">Versions:</span> {app.versions.length}
+                        </div>
+                        <div>
+                          <span className="font-medium">Updated:</span>{' '}
+                          {app.lastUpdate ? app.lastUpdate.toLocaleDateString() : '—'}
                         </div>
                       </div>
                     </div>
 
                     {/* Actions */}
                     <div className="flex gap-2">
+                      {canReleaseApp(app) && (
+                        <button
+                          onClick={() => {
+                            setSelectedApp(app);
+                            setShowVersionModal(true);
+                          }}
+                          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm"
+                        >
+                          📦 New Version
+                        </button>
+                      )}
+
+                      {canManageApp(app) && (
+                        <button
+                          onClick={() => {
+                            setSelectedApp(app);
+                            setNewPrice(app.priceEth);
+                            setShowPriceModal(true);
+                          }}
+                          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm"
+                        >
+                          💰 Change Price
+                        </button>
+                      )}
+
                       <button
                         onClick={() => {
                           setSelectedApp(app);
-                          setShowVersionModal(true);
+                          setActiveTab('versions');
                         }}
-                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm"
+                        className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition text-sm"
                       >
-                        📦 New Version
+                        🗂️ Versions
                       </button>
 
                       <button
                         onClick={() => {
                           setSelectedApp(app);
-                          setNewPrice(app.priceEth);
-                          setShowPriceModal(true);
+                          setActiveTab('overview');
                         }}
-                        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm"
-                      >
-                        💰 Change Price
-                      </button>
-
-                      <button
-                        onClick={() => setSelectedApp(app)}
                         className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition text-sm"
                       >
                         📊 Statistics
                       </button>
+
+                      {isAppPublisher(app) && (
+                        <button
+                          onClick={() => {
+                            setSelectedApp(app);
+                            setTransferAddress('');
+                            setShowTransferModal(true);
+                          }}
+                          disabled={!app.onChain}
+                          className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition text-sm"
+                        >
+                          ➡️ Transfer
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -313,7 +900,7 @@ export default function PublisherDashboard({ wallet }) {
                 Publish your first app to get started
               </p>
               <button
-                onClick={() => window.location.href = '/publish'}
+                onClick={() => navigate('/publish')}
                 className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-semibold"
               >
                 Publish App
@@ -323,10 +910,10 @@ export default function PublisherDashboard({ wallet }) {
         </div>
 
         {/* Selected App Details */}
-        {selectedApp && !showVersionModal && !showPriceModal && (
+        {selectedApp && !showVersionModal && !showPriceModal && !showTransferModal && (
           <div className="mt-8 bg-white rounded-2xl shadow-lg p-6">
             <div className="flex items-center justify-between mb-6">
-              <h2 className="text-2xl font-bold">{selectedApp.name} - Statistics</h2>
+              <h2 className="text-2xl font-bold">{selectedApp.name}</h2>
               <button
                 onClick={() => setSelectedApp(null)}
                 className="text-gray-600 hover:text-gray-900"
@@ -335,45 +922,250 @@ export default function PublisherDashboard({ wallet }) {
               </button>
             </div>
 
-            <div className="grid grid-cols-3 gap-6">
-              {/* Downloads Chart */}
-              <div className="col-span-2 bg-gray-50 rounded-lg p-6">
-                <h3 className="font-bold mb-4">Downloads per day</h3>
-                <div className="h-48 flex items-end gap-2">
-                  {[20, 35, 28, 42, 38, 50, 45].map((height, i) => (
-                    <div key={i} className="flex-1 bg-blue-600 rounded-t" style={{ height: `${height}%` }}></div>
-                  ))}
+            {/* Tabs */}
+            <div className="flex gap-2 border-b mb-6">
+              {[
+                { id: 'overview', label: '📊 Overview' },
+                { id: 'versions', label: `🗂️ Versions (${selectedApp.versions.length})` },
+                { id: 'team', label: '👥 Team' }
+              ].map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`px-4 py-2 -mb-px border-b-2 text-sm font-medium transition ${
+                    activeTab === tab.id
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+
+            {activeTab === 'overview' && (
+              <div className="grid grid-cols-5 gap-6">
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="text-sm text-gray-600">Downloads</div>
+                  <div className="text-2xl font-bold">{selectedApp.totalDownloads}</div>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="text-sm text-gray-600">Purchases</div>
+                  <div className="text-2xl font-bold">{selectedApp.totalPurchases}</div>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="text-sm text-gray-600">Gross revenue</div>
+                  <div className="text-2xl font-bold">{selectedApp.totalRevenue} ETH</div>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="text-sm text-gray-600">Status</div>
+                  <div className="text-lg font-bold">{selectedApp.active ? '✅ Active' : '⛔ Banned'}</div>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-6">
+                  <div className="text-sm text-gray-600">Last update</div>
+                  <div className="text-lg font-bold">
+                    {selectedApp.lastUpdate ? selectedApp.lastUpdate.toLocaleString() : '—'}
+                  </div>
                 </div>
-                <div className="flex justify-between mt-2 text-xs text-gray-600">
-                  <span>Mon</span>
-                  <span>Tue</span>
-                  <span>Wed</span>
-                  <span>Thu</span>
-                  <span>Fri</span>
-                  <span>Sat</span>
-                  <span>Sun</span>
+                <div className="col-span-5">
+                  {selectedApp.packageName ? (
+                    <p className="text-sm text-gray-600">
+                      📦 <span className="font-mono">{selectedApp.packageName}</span> is registered to this app on-chain
+                    </p>
+                  ) : !isAppPublisher(selectedApp) ? (
+                    <p className="text-sm text-yellow-800">
+                      ⚠️ This app hasn't claimed its package name. Only the publisher can claim it.
+                    </p>
+                  ) : (
+                    <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 flex items-center justify-between gap-4">
+                      <p className="text-sm text-yellow-800">
+                        ⚠️ This app hasn't claimed its package name. Until it does, another app can register it first.
+                      </p>
+                      <button
+                        onClick={handleClaimPackage}
+                        disabled={processing || !isReady}
+                        className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 disabled:bg-gray-400 text-sm whitespace-nowrap"
+                      >
+                        {processing ? 'Claiming...' : 'Claim package name'}
+                      </button>
+                    </div>
+                  )}
                 </div>
+                {selectedApp.pendingPublisher && (
+                  <div className="col-span-5 bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between gap-4">
+                    <p className="text-sm text-blue-800 min-w-0">
+                      ➡️ Transfer proposed to <span className="font-mono break-all">{selectedApp.pendingPublisher}</span>.
+                      It takes effect when they accept it.
+                    </p>
+                    <button
+                      onClick={handleCancelTransfer}
+                      disabled={processing || !isReady || !isAppPublisher(selectedApp)}
+                      className="px-4 py-2 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-100 disabled:opacity-50 text-sm whitespace-nowrap"
+                    >
+                      {processing ? 'Cancelling...' : 'Cancel transfer'}
+                    </button>
+                  </div>
+                )}
               </div>
+            )}
 
-              {/* Revenue */}
-              <div className="bg-gray-50 rounded-lg p-6">
-                <h3 className="font-bold mb-4">Revenue</h3>
-                <div className="space-y-4">
-                  <div>
-                    <div className="text-sm text-gray-600">This week</div>
-                    <div className="text-2xl font-bold">{(parseFloat(selectedApp.totalRevenue) * 0.2).toFixed(2)} ETH</div>
+            {activeTab === 'versions' && (
+              <div>
+                {!selectedApp.onChain && (
+                  <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                    <p className="text-sm text-yellow-800">
+                      ⚠️ Showing indexed data only. Connect to the contract's network to manage versions.
+                    </p>
                   </div>
-                  <div>
-                    <div className="text-sm text-gray-600">This month</div>
-                    <div className="text-2xl font-bold">{(parseFloat(selectedApp.totalRevenue) * 0.6).toFixed(2)} ETH</div>
+                )}
+                {selectedApp.onChain && !canReleaseApp(selectedApp) && (
+                  <div className="mb-4 bg-gray-50 border border-gray-200 rounded-lg p-3">
+                    <p className="text-sm text-gray-700">
+                      👁️ You have read-only access to this app.
+                    </p>
+                  </div>
+                )}
+
+                {selectedApp.versions.length > 0 ? (
+                  <div className="divide-y border rounded-lg">
+                    {[...selectedApp.versions].reverse().map((version) => (
+                      <div key={version.index} className="p-4 flex items-center justify-between gap-4">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2 mb-1">
+                            <span className="font-medium">Version code {version.versionCode}</span>
+                            <span className="text-xs text-gray-500">#{version.index}</span>
+                            {version.current && (
+                              <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs font-medium">
+                                Served
+                              </span>
+                            )}
+                            {version.deprecated && (
+                              <span className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs font-medium">
+                                Deprecated
+                              </span>
+                            )}
+                          </div>
+                          <p className="text-xs font-mono text-gray-500 break-all">{version.manifestCid}</p>
+                          <p className="text-xs text-gray-500">{version.timestamp.toLocaleString()}</p>
+                        </div>
+
+                        <div className="flex gap-2 shrink-0">
+                          {!version.current && !version.deprecated && (
+                            <button
+                              onClick={() => handleRollback(version)}
+                              disabled={processing || !selectedApp.onChain || !canReleaseApp(selectedApp)}
+                              className="px-3 py-2 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              ↩️ Serve this version
+                            </button>
+                          )}
+                          {!version.deprecated && (
+                            <button
+                              onClick={() => handleDeprecateVersion(version)}
+                              disabled={processing || !selectedApp.onChain || !canReleaseApp(selectedApp)}
+                              className="px-3 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              🚫 Deprecate
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
                   </div>
-                  <div>
-                    <div className="text-sm text-gray-600">Total</div>
-                    <div className="text-2xl font-bold">{selectedApp.totalRevenue} ETH</div>
+                ) : (
+                  <p className="text-sm text-gray-600">No versions found</p>
+                )}
+              </div>
+            )}
+
+            {activeTab === 'team' && (
+              <div>
+                <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                  <p className="text-sm text-blue-800">
+                    💡 Releasers publish, deprecate and roll back versions with their own wallet. Admins can also change the price
+                    and manage releasers and viewers. Viewers only see the app here. Transfers, the package name and revenue stay with the publisher.
+                  </p>
+                </div>
+
+                <div className="divide-y border rounded-lg mb-6">
+                  <div className="p-4 flex items-center justify-between gap-4">
+                    <span className="text-sm font-mono break-all">{selectedApp.publisher}</span>
+                    <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs font-medium">Publisher</span>
                   </div>
+                  {maintainers === null ? (
+                    <p className="p-4 text-sm text-gray-600">Loading team...</p>
+                  ) : maintainers.map((maintainer) => {
+                    const isSelf = maintainer.address.toLowerCase() === wallet.address.toLowerCase();
+                    // Admins can't touch other admins; only the publisher can
+                    const editable = canManageApp(selectedApp) && !isSelf
+                      && (isAppPublisher(selectedApp) || maintainer.role !== 'admin');
+
+                    return (
+                      <div key={maintainer.address} className="p-4 flex items-center justify-between gap-4">
+                        <span className="text-sm font-mono break-all">
+                          {maintainer.address}{isSelf && ' (you)'}
+                        </span>
+                        <div className="flex items-center gap-2 shrink-0">
+                          {editable ? (
+                            <select
+                              value={maintainer.role}
+                              onChange={(e) => handleSetMaintainerRole(maintainer.address, e.target.value)}
+                              disabled={processing}
+                              className="px-2 py-1 border border-gray-300 rounded text-sm"
+                            >
+                              <option value="viewer">Viewer</option>
+                              <option value="releaser">Releaser</option>
+                              {isAppPublisher(selectedApp) && <option value="admin">Admin</option>}
+                            </select>
+                          ) : (
+                            <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded text-xs font-medium">
+                              {ROLE_LABELS[maintainer.role]}
+                            </span>
+                          )}
+                          {(editable || isSelf) && (
+                            <button
+                              onClick={() => handleSetMaintainerRole(maintainer.address, 'none')}
+                              disabled={processing}
+                              className="px-3 py-1 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 text-sm disabled:opacity-50"
+                            >
+                              {isSelf ? 'Leave' : 'Remove'}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
+
+                {canManageApp(selectedApp) && (
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      value={maintainerForm.address}
+                      onChange={(e) => setMaintainerForm({ ...maintainerForm, address: e.target.value })}
+                      placeholder="0x..."
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                    />
+                    <select
+                      value={maintainerForm.role}
+                      onChange={(e) => setMaintainerForm({ ...maintainerForm, role: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="releaser">Releaser</option>
+                      {isAppPublisher(selectedApp) && <option value="admin">Admin</option>}
+                    </select>
+                    <button
+                      onClick={() => handleSetMaintainerRole(maintainerForm.address.trim(), maintainerForm.role)}
+                      disabled={processing || !isReady || !selectedApp.onChain || !maintainerForm.address.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm"
+                    >
+                      {processing ? 'Saving...' : 'Add maintainer'}
+                    </button>
+                  </div>
+                )}
               </div>
-            </div>
+            )}
           </div>
         )}
 
@@ -423,6 +1215,27 @@ export default function PublisherDashboard({ wallet }) {
                 </div>
               </div>
 
+              {isSafeAccount && (
+                <p className="text-xs text-gray-500 mt-4">
+                  Your wallet is a Safe: the new version is proposed to it and goes live once its owners confirm and execute it.
+                </p>
+              )}
+
+              {multisigStatus && (
+                <p className="text-sm text-blue-700 mt-4">
+                  🔐 {describeMultisigStatus(multisigStatus)}
+                  {['proposed', 'confirming'].includes(multisigStatus.state) && (
+                    <button
+                      type="button"
+                      onClick={cancelSafeTransaction}
+                      className="ml-2 font-medium underline"
+                    >
+                      Stop waiting
+                    </button>
+                  )}
+                </p>
+              )}
+
               <div className="flex gap-3 mt-6">
                 <button
                   onClick={() => setShowVersionModal(false)}
@@ -493,6 +1306,136 @@ export default function PublisherDashboard({ wallet }) {
             </div>
           </div>
         )}
+
+        {/* Transfer Modal */}
+        {showTransferModal && selectedApp && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4">
+              <h2 className="text-2xl font-bold mb-6">Transfer {selectedApp.name}</h2>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    New publisher address
+                  </label>
+                  <input
+                    type="text"
+                    value={transferAddress}
+                    onChange={(e) => setTransferAddress(e.target.value)}
+                    placeholder="0x..."
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono"
+                  />
+                  {selectedApp.pendingPublisher && (
+                    <p className="text-xs text-gray-500 mt-1 break-all">
+                      Replaces the pending transfer to {selectedApp.pendingPublisher}
+                    </p>
+                  )}
+                </div>
+
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <p className="text-sm text-blue-800">
+                    💡 Nothing changes until the new publisher accepts from their dashboard. You can cancel the transfer before that.
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={() => setShowTransferModal(false)}
+                  className="flex-1 px-4 py-3 border border-gray-300 rounded-lg hover:bg-gray-100"
+                  disabled={processing}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleProposeTransfer}
+                  disabled={processing || !transferAddress.trim()}
+                  className="flex-1 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {processing ? 'Proposing...' : 'Propose transfer'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Profile Modal */}
+        {showProfileModal && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4">
+              <h2 className="text-2xl font-bold mb-6">Publisher Profile</h2>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Display name *
+                  </label>
+                  <input
+                    type="text"
+                    maxLength={50}
+                    value={profileForm.displayName}
+                    onChange={(e) => setProfileForm({ ...profileForm, displayName: e.target.value })}
+                    placeholder="Acme Apps"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Website
+                  </label>
+                  <input
+                    type="url"
+                    value={profileForm.website}
+                    onChange={(e) => setProfileForm({ ...profileForm, website: e.target.value })}
+                    placeholder="https://example.com"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Avatar
+                  </label>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => setProfileForm({ ...profileForm, avatarFile: e.target.files[0] || null })}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg"
+                  />
+                  {profileForm.avatarCid && !profileForm.avatarFile && (
+                    <p className="text-xs text-gray-500 mt-1 break-all">
+                      Current: {profileForm.avatarCid}
+                    </p>
+                  )}
+                </div>
+
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <p className="text-sm text-blue-800">
+                    💡 The profile is signed with your wallet, stored on IPFS and referenced on blockchain
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex gap-3 mt-6">
+                <button
+                  onClick={() => setShowProfileModal(false)}
+                  className="flex-1 px-4 py-3 border border-gray-300 rounded-lg hover:bg-gray-100"
+                  disabled={processing}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveProfile}
+                  disabled={processing || !profileForm.displayName.trim()}
+                  className="flex-1 px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {processing ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
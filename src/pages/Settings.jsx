@@ -0,0 +1,20 @@
+/**
+ * Settings page
+ * Preferences stored in this browser (no wallet needed)
+ */
+
+import React from 'react';
+import GatewaySettings from '../components/GatewaySettings';
+import P2PSettings from '../components/P2PSettings';
+
+export default function Settings() {
+  return (
+    <div className="max-w-4xl mx-auto px-6 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Settings</h1>
+      <div className="space-y-6">
+        <P2PSettings />
+        <GatewaySettings />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,391 @@
+/**
+ * Cliente del backend de subidas (backend/)
+ * Firma cada subida con la wallet conectada para que las credenciales
+ * de almacenamiento (Filecoin) se queden en el servidor
+ */
+
+import { calculateSHA256 } from './ipfs.js';
+
+const BACKEND_API_URL = import.meta.env.VITE_BACKEND_API_URL || 'http://localhost:3001';
+
+/**
+ * @typedef {Object} BackendUploadResult
+ * @property {string} pieceCid - Piece CID de Filecoin
+ * @property {number} size - Tamaño en bytes
+ * @property {string} datasetId - Dataset de Synapse donde quedó almacenado
+ * @property {string} uploadedBy - Address que firmó la subida
+ */
+
+/**
+ * Firmar el mensaje de subida que espera verifySignature
+ * Formato: "Upload file: <nombre> - Timestamp: <ms>" (caduca a los 5 minutos)
+ * @param {import('ethers').Signer} signer - Signer de la wallet
+ * @param {string} label - Nombre del archivo
+ * @returns {Promise<{walletAddress: string, message: string, signature: string}>}
+ */
+export async function signUploadMessage(signer, label) {
+  if (!signer) {
+    throw new Error('Connect your wallet to upload through the backend');
+  }
+
+  const walletAddress = await signer.getAddress();
+  const message = `Upload file: ${label} - Timestamp: ${Date.now()}`;
+  const signature = await signer.signMessage(message);
+
+  return { walletAddress, message, signature };
+}
+
+/**
+ * Petición con XMLHttpRequest para poder reportar progreso de subida
+ * (fetch no expone el progreso del body)
+ * Los errores HTTP llevan `status` y `data` (cuerpo JSON de la respuesta)
+ */
+function requestWithProgress(method, url, body, { headers = {}, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value);
+    }
+
+    if (onProgress) {
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) {
+          onProgress(event.loaded, event.total);
+        }
+      };
+    }
+
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Respuesta sin JSON (p. ej. rate limit en texto plano)
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        const reason = data.message || data.error || xhr.responseText || `HTTP ${xhr.status}`;
+        const error = new Error(`Backend upload failed: ${reason}`);
+        error.status = xhr.status;
+        error.data = data;
+        reject(error);
+      }
+    };
+    xhr.onerror = () => reject(new Error(`Backend unreachable at ${BACKEND_API_URL}`));
+    xhr.onabort = () => reject(new Error('Upload aborted'));
+
+    xhr.send(body);
+  });
+}
+
+/**
+ * Subir archivo al backend (POST /api/upload/file)
+ * @param {File|Blob} file - Archivo a subir
+ * @param {Object} options
+ * @param {import('ethers').Signer} options.signer - Signer de la wallet
+ * @param {string} [options.name] - Nombre del archivo
+ * @param {Object} [options.metadata] - Metadata adicional
+ * @param {Function} [options.onProgress] - Callback (bytesSubidos, bytesTotales)
+ * @returns {Promise<BackendUploadResult>}
+ */
+export async function uploadFileToBackend(file, { signer, name, metadata, onProgress } = {}) {
+  const filename = name || file.name || 'file';
+  const auth = await signUploadMessage(signer, filename);
+
+  const formData = new FormData();
+  formData.append('file', file, filename);
+  formData.append('walletAddress', auth.walletAddress);
+  formData.append('message', auth.message);
+  formData.append('signature', auth.signature);
+  if (metadata) {
+    formData.append('metadata', JSON.stringify(metadata));
+  }
+
+  const data = await requestWithProgress('POST', `${BACKEND_API_URL}/api/upload/file`, formData, { onProgress });
+  console.log('✅ File uploaded to backend:', data.pieceCid);
+
+  return {
+    pieceCid: data.pieceCid,
+    size: data.size,
+    datasetId: data.datasetId,
+    uploadedBy: data.uploadedBy
+  };
+}
+
+/**
+ * Subir JSON al backend (POST /api/upload/json)
+ * @param {Object} jsonData - Datos a subir
+ * @param {Object} options
+ * @param {import('ethers').Signer} options.signer - Signer de la wallet
+ * @param {string} [options.name] - Nombre para el mensaje firmado
+ * @param {Function} [options.onProgress] - Callback (bytesSubidos, bytesTotales)
+ * @returns {Promise<BackendUploadResult>}
+ */
+export async function uploadJSONToBackend(jsonData, { signer, name, onProgress } = {}) {
+  const auth = await signUploadMessage(signer, name || 'manifest.json');
+
+  const data = await requestWithProgress(
+    'POST',
+    `${BACKEND_API_URL}/api/upload/json`,
+    JSON.stringify({ data: jsonData, ...auth }),
+    { headers: { 'Content-Type': 'application/json' }, onProgress }
+  );
+  console.log('✅ JSON uploaded to backend:', data.pieceCid);
+
+  return {
+    pieceCid: data.pieceCid,
+    size: data.size,
+    datasetId: data.datasetId,
+    uploadedBy: data.uploadedBy
+  };
+}
+
+// ===== Subidas reanudables (POST init -> PUT rangos -> POST finalize) =====
+
+const RESUMABLE_STORAGE_PREFIX = 'dappstore:resumable:';
+const MAX_CHUNK_RETRIES = 3;
+
+function resumableKey(sha256, size) {
+  return `${RESUMABLE_STORAGE_PREFIX}${sha256}:${size}`;
+}
+
+function loadResumable(sha256, size) {
+  try {
+    return JSON.parse(localStorage.getItem(resumableKey(sha256, size)));
+  } catch {
+    return null;
+  }
+}
+
+function saveResumable(record) {
+  localStorage.setItem(resumableKey(record.sha256, record.size), JSON.stringify(record));
+}
+
+function clearResumable(sha256, size) {
+  localStorage.removeItem(resumableKey(sha256, size));
+}
+
+/**
+ * Subidas reanudables pendientes guardadas en este navegador
+ * Sirve para ofrecer reanudar tras recargar la página (hay que volver a elegir el archivo)
+ * @returns {Array<{uploadId: string, filename: string, size: number, sha256: string, offset: number, updatedAt: number}>}
+ */
+export function getPendingUploads() {
+  const pending = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key?.startsWith(RESUMABLE_STORAGE_PREFIX)) continue;
+    try {
+      pending.push(JSON.parse(localStorage.getItem(key)));
+    } catch {
+      // Entrada corrupta, se ignora
+    }
+  }
+  return pending.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Descartar una subida reanudable (en el backend y en localStorage)
+ * @param {{uploadId: string, sha256: string, size: number}} record
+ */
+export async function discardPendingUpload(record) {
+  clearResumable(record.sha256, record.size);
+  await fetch(`${BACKEND_API_URL}/api/upload/resumable/${record.uploadId}`, { method: 'DELETE' })
+    .catch(() => {});
+}
+
+/**
+ * Estado de una subida reanudable en el backend
+ * @param {string} uploadId
+ * @returns {Promise<Object|null>} null si no existe o ha caducado
+ */
+export async function getResumableUpload(uploadId) {
+  const response = await fetch(`${BACKEND_API_URL}/api/upload/resumable/${uploadId}`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Backend status failed: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Subir archivo grande por trozos, reanudable
+ * Si este navegador ya empezó a subir el mismo archivo (mismo SHA-256 y tamaño),
+ * continúa desde el último byte que recibió el backend.
+ * @param {File|Blob} file - Archivo a subir
+ * @param {Object} options
+ * @param {import('ethers').Signer} options.signer - Signer de la wallet (solo para iniciar)
+ * @param {string} [options.name] - Nombre del archivo
+ * @param {Object} [options.metadata] - Metadata adicional
+ * @param {string} [options.sha256] - SHA-256 (hex) si ya se calculó
+ * @param {Function} [options.onProgress] - Callback (bytesSubidos, bytesTotales)
+ * @returns {Promise<BackendUploadResult>}
+ */
+export async function uploadFileResumable(file, { signer, name, metadata, sha256, onProgress } = {}) {
+  const filename = name || file.name || 'file';
+  const hash = sha256 || await calculateSHA256(file);
+
+  // 1. Reanudar la subida guardada o iniciar una nueva
+  let record = loadResumable(hash, file.size);
+  let upload = record ? await getResumableUpload(record.uploadId).catch(() => null) : null;
+
+  if (upload) {
+    console.log(`🔁 Resuming upload ${upload.uploadId} at byte ${upload.offset}`);
+  } else {
+    const auth = await signUploadMessage(signer, filename);
+    upload = await requestWithProgress(
+      'POST',
+      `${BACKEND_API_URL}/api/upload/resumable`,
+      JSON.stringify({
+        filename,
+        size: file.size,
+        sha256: hash,
+        mimetype: file.type || 'application/octet-stream',
+        metadata,
+        ...auth
+      }),
+      { headers: { 'Content-Type': 'application/json' } }
+    );
+    console.log(`📦 Started resumable upload ${upload.uploadId}`);
+  }
+
+  record = {
+    uploadId: upload.uploadId,
+    filename,
+    size: file.size,
+    sha256: hash,
+    offset: upload.offset,
+    updatedAt: Date.now()
+  };
+  saveResumable(record);
+
+  // 2. Enviar los trozos en orden desde el offset del backend
+  let offset = upload.offset;
+  let retries = 0;
+  onProgress?.(offset, file.size);
+
+  while (offset < file.size) {
+    const end = Math.min(offset + upload.chunkSize, file.size);
+    try {
+      const state = await requestWithProgress(
+        'PUT',
+        `${BACKEND_API_URL}/api/upload/resumable/${upload.uploadId}`,
+        file.slice(offset, end),
+        {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`
+          },
+          onProgress: onProgress && ((loaded) => onProgress(offset + loaded, file.size))
+        }
+      );
+      offset = state.offset;
+      retries = 0;
+    } catch (error) {
+      if (error.status === 409 && typeof error.data?.offset === 'number') {
+        // El backend tiene otro offset (chunk repetido o perdido)
+        offset = error.data.offset;
+      } else if (error.status === 404) {
+        clearResumable(hash, file.size);
+        throw new Error('Upload expired on the backend. Please start again.');
+      } else if (retries < MAX_CHUNK_RETRIES && (!error.status || error.status >= 500)) {
+        retries++;
+        console.warn(`⚠️ Chunk failed, retrying (${retries}/${MAX_CHUNK_RETRIES}):`, error.message);
+        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+      } else {
+        throw error;
+      }
+    }
+
+    saveResumable({ ...record, offset, updatedAt: Date.now() });
+    onProgress?.(offset, file.size);
+  }
+
+  // 3. El backend verifica el SHA-256 y lo sube a Filecoin
+  try {
+    const data = await requestWithProgress(
+      'POST',
+      `${BACKEND_API_URL}/api/upload/resumable/${upload.uploadId}/finalize`,
+      null
+    );
+    clearResumable(hash, file.size);
+    console.log('✅ Resumable upload stored:', data.pieceCid);
+
+    return {
+      pieceCid: data.pieceCid,
+      size: data.size,
+      datasetId: data.datasetId,
+      uploadedBy: data.uploadedBy
+    };
+  } catch (error) {
+    // Hash incorrecto o subida caducada: el backend ya la descartó
+    if (error.status === 422 || error.status === 404) {
+      clearResumable(hash, file.size);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pedir un archivo al backend sin leer el body (para descargas por streaming)
+ * @param {string} pieceCid
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response|null>} null si el backend no lo tiene
+ */
+export async function fetchFromBackend(pieceCid, options = {}) {
+  const response = await fetch(`${BACKEND_API_URL}/api/download/${pieceCid}`, { signal: options.signal });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Backend download failed: HTTP ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Descargar un archivo del backend (GET /api/download/:pieceCid)
+ * @param {string} pieceCid
+ * @returns {Promise<Blob|null>} null si el backend no lo tiene
+ */
+export async function downloadFromBackend(pieceCid) {
+  const response = await fetchFromBackend(pieceCid);
+  return response ? response.blob() : null;
+}
+
+/**
+ * Comprobar si el backend está disponible (GET /health)
+ * @returns {Promise<boolean>}
+ */
+export async function isBackendAvailable() {
+  try {
+    const response = await fetch(`${BACKEND_API_URL}/health`, {
+      signal: AbortSignal.timeout(3000)
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+export default {
+  signUploadMessage,
+  uploadFileToBackend,
+  uploadJSONToBackend,
+  uploadFileResumable,
+  getResumableUpload,
+  getPendingUploads,
+  discardPendingUpload,
+  fetchFromBackend,
+  downloadFromBackend,
+  isBackendAvailable,
+  BACKEND_API_URL
+};
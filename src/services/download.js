@@ -0,0 +1,418 @@
+/**
+ * Descarga verificada de APKs por streaming
+ * - Lee el archivo a trozos: el progreso es real (bytes recibidos) y el APK
+ *   no tiene por qué acabar entero en memoria
+ * - Primero lo pide a Helia (si el usuario no ha desactivado la red P2P), que
+ *   comprueba cada bloque UnixFS contra su CID; si Helia no arranca o se
+ *   queda parado, sigue desde el mismo byte por los gateways HTTP (pidiendo
+ *   un Range)
+ * - Calcula el SHA-256 mientras descarga y lo compara con el del manifest
+ *   antes de dar el archivo por bueno
+ * - Se puede pausar, reanudar y cancelar
+ */
+
+import { catVerified, isP2PEnabled } from './helia.js';
+import { fetchFromIPFS } from './ipfs.js';
+import { recordGatewayFailure } from './gateways.js';
+import { fetchFromBackend } from './backend.js';
+import { isPieceCid } from './storage.js';
+import { createSHA256 } from '../utils/sha256.js';
+
+export const APK_MIME_TYPE = 'application/vnd.android.package-archive';
+
+// Sin bytes nuevos durante este tiempo, se abandona la fuente y se prueba la siguiente
+const STALL_TIMEOUT_MS = 30 * 1000;
+// Como mucho un aviso de progreso cada PROGRESS_INTERVAL_MS
+const PROGRESS_INTERVAL_MS = 100;
+
+// Motivo del abort cuando el usuario pausa (para distinguirlo de cancelar)
+const PAUSED = Symbol('paused');
+
+/**
+ * Leer el body de una respuesta saltando los primeros `skip` bytes
+ * (para reanudar en servidores que ignoran la cabecera Range)
+ */
+async function* readBody(response, skip = 0) {
+  const reader = response.body.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      if (skip >= value.length) {
+        skip -= value.length;
+        continue;
+      }
+      yield skip > 0 ? value.subarray(skip) : value;
+      skip = 0;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Gateways HTTP: sin verificación por CID, solo el SHA-256 final
+ * Si un gateway se corta a mitad, se repite la carrera sin él desde el byte actual
+ */
+async function* readFromGateways(cid, offset, signal) {
+  const failed = [];
+  let position = offset;
+
+  while (true) {
+    const headers = position > 0 ? { Range: `bytes=${position}-` } : undefined;
+    const { response, gateway } = await fetchFromIPFS(cid, { signal, headers, exclude: failed });
+
+    let skip = 0;
+    if (position > 0) {
+      if (response.status === 206) {
+        const start = Number(/bytes (\d+)-/.exec(response.headers.get('Content-Range') || '')?.[1]);
+        if (start !== position) {
+          response.body?.cancel().catch(() => {});
+          recordGatewayFailure(gateway);
+          failed.push(gateway);
+          continue;
+        }
+      } else {
+        skip = position;
+      }
+    }
+
+    try {
+      for await (const chunk of readBody(response, skip)) {
+        position += chunk.length;
+        yield chunk;
+      }
+      return;
+    } catch (error) {
+      if (signal.aborted) {
+        throw error;
+      }
+      console.warn(`⚠️ Download from ${gateway} interrupted at byte ${position}, trying another gateway:`, error.message);
+      recordGatewayFailure(gateway);
+      failed.push(gateway);
+    }
+  }
+}
+
+/**
+ * Backend (Piece CIDs de Filecoin): no admite Range, se descartan los bytes ya recibidos
+ */
+async function* readFromBackend(pieceCid, offset, signal) {
+  const response = await fetchFromBackend(pieceCid, { signal });
+  if (!response) {
+    throw new Error(`Piece CID ${pieceCid} is not available from the backend`);
+  }
+
+  yield* readBody(response, offset);
+}
+
+/**
+ * Fuentes de datos, en orden de preferencia
+ * verifiesCid: cada bloque se comprueba contra el CID pedido
+ */
+const SOURCES = {
+  helia: { verifiesCid: true, read: (cid, offset, signal) => catVerified(cid, { offset, signal }) },
+  gateway: { verifiesCid: false, read: readFromGateways },
+  backend: { verifiesCid: false, read: readFromBackend }
+};
+
+/**
+ * Destino en memoria: junta los trozos y al cerrar devuelve un Blob
+ * @param {string} [type]
+ */
+export function createMemorySink(type = APK_MIME_TYPE) {
+  let chunks = [];
+
+  return {
+    kind: 'memory',
+    write(chunk) {
+      chunks.push(chunk);
+    },
+    close() {
+      const blob = new Blob(chunks, { type });
+      chunks = [];
+      return blob;
+    },
+    abort() {
+      chunks = [];
+    }
+  };
+}
+
+/**
+ * Destino en disco con la File System Access API
+ * El navegador escribe en un archivo temporal y solo lo cambia por el
+ * elegido en close(), así que un APK que no pasa la verificación nunca
+ * llega a aparecer en disco
+ * @param {FileSystemFileHandle} handle
+ */
+export function createFileSink(handle) {
+  let writable = null;
+
+  const getWritable = () => {
+    if (!writable) {
+      writable = handle.createWritable();
+    }
+    return writable;
+  };
+
+  return {
+    kind: 'file',
+    name: handle.name,
+    async write(chunk) {
+      await (await getWritable()).write(chunk);
+    },
+    async close() {
+      await (await getWritable()).close();
+      return null;
+    },
+    async abort() {
+      if (writable) {
+        const pending = writable;
+        writable = null;
+        await (await pending).abort();
+      }
+    }
+  };
+}
+
+/**
+ * Comprobar si el navegador puede guardar directamente en disco
+ * @returns {boolean}
+ */
+export function canSaveToDisk() {
+  return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Preguntar al usuario dónde guardar el APK
+ * Hay que llamarla directamente desde el click: los navegadores exigen un
+ * gesto reciente del usuario para abrir el diálogo
+ * @param {string} suggestedName
+ * @returns {Promise<FileSystemFileHandle|null>} null si cierra el diálogo
+ */
+export async function pickSaveFile(suggestedName) {
+  try {
+    return await window.showSaveFilePicker({
+      suggestedName,
+      types: [{ description: 'Android package', accept: { [APK_MIME_TYPE]: ['.apk'] } }]
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @typedef {Object} DownloadProgress
+ * @property {number} loaded - Bytes recibidos y escritos
+ * @property {number|null} total - Tamaño esperado (apk_size del manifest)
+ * @property {string} source - Fuente actual: 'helia' | 'gateway' | 'backend'
+ */
+
+/**
+ * @typedef {Object} DownloadResult
+ * @property {Blob|null} blob - Contenido (null si se escribió en disco)
+ * @property {number} size
+ * @property {string} sha256
+ * @property {boolean} cidVerified - Todos los bytes vinieron de Helia, comprobados contra el CID
+ */
+
+/**
+ * Preparar una descarga verificada
+ * Estados: idle → downloading ⇄ paused → verifying → done
+ * (o cancelled / error). start() y resume() resuelven con el resultado al
+ * terminar, o con null si se pausa o cancela antes
+ * @param {string} cid - CID del archivo (o Piece CID)
+ * @param {Object} options
+ * @param {string} [options.expectedSha256] - Hash del manifest
+ * @param {number} [options.expectedSize] - Tamaño del manifest
+ * @param {Object} [options.sink] - createMemorySink() o createFileSink()
+ * @param {(progress: DownloadProgress) => void} [options.onProgress]
+ * @param {(state: string) => void} [options.onStateChange]
+ */
+export function createVerifiedDownload(cid, options = {}) {
+  const {
+    expectedSha256,
+    sink = createMemorySink(),
+    onProgress,
+    onStateChange
+  } = options;
+  const expectedSize = Number.isFinite(options.expectedSize) && options.expectedSize > 0
+    ? options.expectedSize
+    : null;
+  const sources = isPieceCid(cid)
+    ? ['backend']
+    : isP2PEnabled() ? ['helia', 'gateway'] : ['gateway'];
+
+  const hash = createSHA256();
+  let loaded = 0;
+  let cidVerified = true;
+  let state = 'idle';
+  let controller = null;
+  let lastProgressAt = 0;
+
+  const setState = (next) => {
+    state = next;
+    onStateChange?.(next);
+  };
+
+  const reportProgress = (source, force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    lastProgressAt = now;
+    onProgress?.({ loaded, total: expectedSize, source });
+  };
+
+  // Leer de una fuente desde el byte `loaded` hasta el final
+  const readFrom = async (sourceName) => {
+    const source = SOURCES[sourceName];
+    const attempt = new AbortController();
+    const onAbort = () => attempt.abort(controller.signal.reason);
+    controller.signal.addEventListener('abort', onAbort, { once: true });
+
+    let stalled = false;
+    let timer;
+    const armWatchdog = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        stalled = true;
+        attempt.abort();
+      }, STALL_TIMEOUT_MS);
+    };
+
+    reportProgress(sourceName, true);
+    armWatchdog();
+    try {
+      for await (const chunk of source.read(cid, loaded, attempt.signal)) {
+        armWatchdog();
+        if (expectedSize !== null && loaded + chunk.length > expectedSize) {
+          throw new Error(`${sourceName} sent more than the ${expectedSize} bytes declared in the manifest`);
+        }
+
+        try {
+          await sink.write(chunk);
+        } catch (error) {
+          error.fatal = true;
+          throw error;
+        }
+        hash.update(chunk);
+        loaded += chunk.length;
+        if (!source.verifiesCid) {
+          cidVerified = false;
+        }
+        reportProgress(sourceName);
+      }
+    } catch (error) {
+      if (stalled && !controller.signal.aborted) {
+        throw new Error(`No data from ${sourceName} for ${STALL_TIMEOUT_MS / 1000} s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      controller.signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const finish = async () => {
+    setState('verifying');
+
+    if (expectedSize !== null && loaded !== expectedSize) {
+      throw new Error(`Downloaded ${loaded} bytes but the manifest declares ${expectedSize}`);
+    }
+    const sha256 = hash.digestHex();
+    if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+      throw new Error('Invalid APK integrity: the SHA-256 does not match the manifest');
+    }
+
+    const blob = await sink.close();
+    setState('done');
+    return { blob, size: loaded, sha256, cidVerified };
+  };
+
+  const run = async () => {
+    controller = new AbortController();
+    setState('downloading');
+
+    try {
+      for (let i = 0; ; i++) {
+        try {
+          await readFrom(sources[i]);
+          break;
+        } catch (error) {
+          if (controller.signal.aborted || error.fatal || i === sources.length - 1) {
+            throw error;
+          }
+          console.warn(`⚠️ ${sources[i]} failed at byte ${loaded}, continuing from ${sources[i + 1]}:`, error.message);
+        }
+      }
+      reportProgress(sources[sources.length - 1], true);
+      return await finish();
+    } catch (error) {
+      if (controller.signal.reason === PAUSED) {
+        setState('paused');
+        return null;
+      }
+      await Promise.resolve(sink.abort()).catch(() => {});
+      if (controller.signal.aborted) {
+        setState('cancelled');
+        return null;
+      }
+      setState('error');
+      throw error;
+    }
+  };
+
+  return {
+    /**
+     * Empezar la descarga
+     * @returns {Promise<DownloadResult|null>}
+     */
+    start() {
+      if (state !== 'idle') {
+        throw new Error(`Download already ${state}`);
+      }
+      return run();
+    },
+
+    /**
+     * Seguir desde el último byte recibido (vuelve a probar Helia primero)
+     * @returns {Promise<DownloadResult|null>}
+     */
+    resume() {
+      if (state !== 'paused') {
+        throw new Error('Only a paused download can be resumed');
+      }
+      return run();
+    },
+
+    pause() {
+      if (state === 'downloading') {
+        controller.abort(PAUSED);
+      }
+    },
+
+    async cancel() {
+      if (state === 'downloading') {
+        controller.abort(new DOMException('Download cancelled', 'AbortError'));
+      } else if (state === 'paused' || state === 'idle') {
+        await Promise.resolve(sink.abort()).catch(() => {});
+        setState('cancelled');
+      }
+    },
+
+    getState: () => state,
+    getProgress: () => ({ loaded, total: expectedSize })
+  };
+}
+
+export default {
+  APK_MIME_TYPE,
+  createMemorySink,
+  createFileSink,
+  canSaveToDisk,
+  pickSaveFile,
+  createVerifiedDownload
+};
@@ -0,0 +1,50 @@
+/**
+ * Resolución de nombres ENS (address → nombre)
+ * ENS vive en mainnet, así que no depende de la red de la wallet:
+ * se usa VITE_ENS_RPC_URL o, si no está, el provider por defecto de ethers
+ */
+
+import { ethers } from 'ethers';
+
+const ENS_RPC_URL = import.meta.env.VITE_ENS_RPC_URL;
+
+let ensProvider = null;
+
+// address (minúsculas) → Promise<string|null>, para no repetir lookups
+const nameCache = new Map();
+
+function getENSProvider() {
+  if (!ensProvider) {
+    ensProvider = ENS_RPC_URL
+      ? new ethers.JsonRpcProvider(ENS_RPC_URL, 'mainnet', { staticNetwork: true })
+      : ethers.getDefaultProvider('mainnet');
+  }
+  return ensProvider;
+}
+
+/**
+ * Nombre ENS primario de una address
+ * ethers comprueba que el nombre resuelve de vuelta a la address,
+ * así que un reverse record falso no se muestra
+ * @param {string} address
+ * @returns {Promise<string|null>} null si no tiene nombre o no se pudo resolver
+ */
+export function lookupENSName(address) {
+  const key = address.toLowerCase();
+  if (!nameCache.has(key)) {
+    const lookup = getENSProvider()
+      .lookupAddress(address)
+      .catch((error) => {
+        console.warn('⚠️ ENS lookup failed:', error.message);
+        // Un fallo de red no se cachea: se reintenta en la próxima visita
+        nameCache.delete(key);
+        return null;
+      });
+    nameCache.set(key, lookup);
+  }
+  return nameCache.get(key);
+}
+
+export default {
+  lookupENSName
+};
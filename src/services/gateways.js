@@ -0,0 +1,267 @@
+/**
+ * Gateways IPFS: lista configurable y salud de cada uno
+ * Cada descarga registra la latencia o el fallo del gateway en localStorage;
+ * getRankedGateways ordena la lista para que las siguientes descargas
+ * empiecen por los gateways que mejor han respondido en este navegador
+ */
+
+// Gateways públicos por defecto
+export const DEFAULT_GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://gateway.pinata.cloud/ipfs/',
+  'https://cloudflare-ipfs.com/ipfs/',
+  'https://dweb.link/ipfs/',
+  'https://w3s.link/ipfs/'
+];
+
+const CUSTOM_GATEWAYS_KEY = 'dappstore:gateways:custom';
+const GATEWAY_HEALTH_KEY = 'dappstore:gateways:health';
+
+// Peso de la última medida en las medias móviles (latencia y tasa de fallos)
+const EWMA_WEIGHT = 0.3;
+// Latencia supuesta para un gateway sin medidas
+const UNKNOWN_LATENCY_MS = 1500;
+// Tras un fallo, el gateway pasa al final durante este tiempo
+const FAILURE_COOLDOWN_MS = 60 * 1000;
+const COOLDOWN_PENALTY_MS = 30 * 1000;
+
+// CID del directorio vacío de UnixFS: cualquier gateway lo sirve al instante
+const PROBE_CID = 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354';
+
+/**
+ * @typedef {Object} GatewayStats
+ * @property {number} latencyMs - Media móvil del tiempo hasta la respuesta
+ * @property {number} failureRate - Media móvil de fallos (0 = nunca falla, 1 = siempre)
+ * @property {number} successes - Respuestas correctas
+ * @property {number} failures - Errores y timeouts
+ * @property {number|null} lastFailureAt - Timestamp (ms) del último fallo
+ * @property {number|null} lastSuccessAt - Timestamp (ms) del último acierto
+ */
+
+function readJSON(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Sin localStorage (modo privado, cuota llena): la salud solo dura la sesión
+  }
+}
+
+/**
+ * Normalizar la URL de un gateway a "https://host/ipfs/"
+ * Acepta "https://host", "https://host/" o "https://host/ipfs"
+ * @param {string} url
+ * @returns {string}
+ * @throws {Error} si no es una URL http(s)
+ */
+export function normalizeGatewayUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    throw new Error('Not a valid URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('The gateway URL must start with https:// or http://');
+  }
+  if (parsed.search || parsed.hash) {
+    throw new Error('The gateway URL cannot have a query string or fragment');
+  }
+
+  const path = parsed.pathname.replace(/\/+$/, '');
+  return `${parsed.origin}${path.endsWith('/ipfs') ? path : `${path}/ipfs`}/`;
+}
+
+/**
+ * Gateways añadidos por el usuario
+ * @returns {string[]}
+ */
+export function getCustomGateways() {
+  const gateways = readJSON(CUSTOM_GATEWAYS_KEY, []);
+  return Array.isArray(gateways) ? gateways : [];
+}
+
+/**
+ * Añadir un gateway propio
+ * @param {string} url
+ * @returns {string} - URL normalizada
+ */
+export function addCustomGateway(url) {
+  const gateway = normalizeGatewayUrl(url);
+  const custom = getCustomGateways();
+  if (custom.includes(gateway) || DEFAULT_GATEWAYS.includes(gateway)) {
+    throw new Error('This gateway is already in the list');
+  }
+  writeJSON(CUSTOM_GATEWAYS_KEY, [...custom, gateway]);
+  return gateway;
+}
+
+/**
+ * Quitar un gateway propio (los de por defecto no se pueden quitar)
+ * @param {string} gateway - URL normalizada
+ */
+export function removeCustomGateway(gateway) {
+  writeJSON(CUSTOM_GATEWAYS_KEY, getCustomGateways().filter((item) => item !== gateway));
+
+  const health = readJSON(GATEWAY_HEALTH_KEY, {});
+  delete health[gateway];
+  writeJSON(GATEWAY_HEALTH_KEY, health);
+}
+
+/**
+ * Todos los gateways: primero los del usuario, luego los de por defecto
+ * @returns {string[]}
+ */
+export function getGateways() {
+  return [...new Set([...getCustomGateways(), ...DEFAULT_GATEWAYS])];
+}
+
+/**
+ * Salud registrada de cada gateway
+ * @returns {Object<string, GatewayStats>}
+ */
+export function getGatewayStats() {
+  return readJSON(GATEWAY_HEALTH_KEY, {});
+}
+
+function updateStats(gateway, update) {
+  const health = getGatewayStats();
+  const stats = health[gateway] || {
+    latencyMs: null,
+    failureRate: 0,
+    successes: 0,
+    failures: 0,
+    lastFailureAt: null,
+    lastSuccessAt: null
+  };
+  health[gateway] = update(stats);
+  writeJSON(GATEWAY_HEALTH_KEY, health);
+}
+
+/**
+ * Registrar una respuesta correcta
+ * @param {string} gateway
+ * @param {number} latencyMs - Tiempo hasta recibir la respuesta
+ */
+export function recordGatewaySuccess(gateway, latencyMs) {
+  updateStats(gateway, (stats) => ({
+    ...stats,
+    latencyMs: stats.latencyMs === null
+      ? latencyMs
+      : Math.round(stats.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT),
+    failureRate: stats.failureRate * (1 - EWMA_WEIGHT),
+    successes: stats.successes + 1,
+    lastSuccessAt: Date.now()
+  }));
+}
+
+/**
+ * Registrar un error o timeout
+ * @param {string} gateway
+ */
+export function recordGatewayFailure(gateway) {
+  updateStats(gateway, (stats) => ({
+    ...stats,
+    failureRate: stats.failureRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT,
+    failures: stats.failures + 1,
+    lastFailureAt: Date.now()
+  }));
+}
+
+/**
+ * Olvidar la salud registrada de todos los gateways
+ */
+export function resetGatewayStats() {
+  writeJSON(GATEWAY_HEALTH_KEY, {});
+}
+
+/**
+ * Comprobar si un gateway ha fallado hace menos de FAILURE_COOLDOWN_MS
+ * @param {GatewayStats} [stats]
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isGatewayCoolingDown(stats, now = Date.now()) {
+  return Boolean(stats?.lastFailureAt && now - stats.lastFailureAt < FAILURE_COOLDOWN_MS);
+}
+
+/**
+ * Puntuación de un gateway (menor es mejor): latencia media penalizada por
+ * la tasa de fallos, y al final de la lista si acaba de fallar
+ * @param {GatewayStats} [stats]
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function gatewayScore(stats, now = Date.now()) {
+  if (!stats) {
+    return UNKNOWN_LATENCY_MS;
+  }
+  const latency = stats.latencyMs ?? UNKNOWN_LATENCY_MS;
+  const cooldown = isGatewayCoolingDown(stats, now) ? COOLDOWN_PENALTY_MS : 0;
+  return latency * (1 + 4 * stats.failureRate) + cooldown;
+}
+
+/**
+ * Gateways ordenados por salud (los mejores primero)
+ * Con la misma puntuación se respeta el orden de getGateways
+ * @returns {string[]}
+ */
+export function getRankedGateways() {
+  const health = getGatewayStats();
+  const now = Date.now();
+  return getGateways()
+    .map((gateway, index) => ({ gateway, index, score: gatewayScore(health[gateway], now) }))
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map(({ gateway }) => gateway);
+}
+
+/**
+ * Medir un gateway pidiendo un CID mínimo (registra el resultado)
+ * @param {string} gateway
+ * @param {number} [timeoutMs]
+ * @returns {Promise<{ok: boolean, latencyMs: number|null, error?: string}>}
+ */
+export async function probeGateway(gateway, timeoutMs = 10000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const start = performance.now();
+
+  try {
+    const response = await fetch(`${gateway}${PROBE_CID}`, { method: 'HEAD', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const latencyMs = Math.round(performance.now() - start);
+    recordGatewaySuccess(gateway, latencyMs);
+    return { ok: true, latencyMs };
+  } catch (error) {
+    recordGatewayFailure(gateway);
+    return { ok: false, latencyMs: null, error: controller.signal.aborted ? 'Timed out' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default {
+  DEFAULT_GATEWAYS,
+  normalizeGatewayUrl,
+  getCustomGateways,
+  addCustomGateway,
+  removeCustomGateway,
+  getGateways,
+  getGatewayStats,
+  recordGatewaySuccess,
+  recordGatewayFailure,
+  resetGatewayStats,
+  isGatewayCoolingDown,
+  gatewayScore,
+  getRankedGateways,
+  probeGateway
+};
@@ -46,6 +46,14 @@ export async function getAllApps({ first = 100, skip = 0, orderBy = 'createdAt',
         id
         slug
         name
+        metadata {
+          id
+          name
+          description
+          categories
+          publisherName
+          iconCid
+        }
         publisher {
           id
           address
@@ -55,6 +63,8 @@ export async function getAllApps({ first = 100, skip = 0, orderBy = 'createdAt',
           versionCode
           manifestCid
         }
+        priceWei
+        priceEth
         totalDownloads
         active
         createdAt
@@ -69,6 +79,8 @@ export async function getAllApps({ first = 100, skip = 0, orderBy = 'createdAt',
 
 /**
  * Obtiene una app por slug
+ * firstVersion va aparte porque versions se corta en 100 filas y la primera
+ * versión es la que fija el certificado de firma
  */
 export async function getAppBySlug(slug) {
   const queryString = `
@@ -87,8 +99,13 @@ export async function getAppBySlug(slug) {
           versionCode
           manifestCid
           publishedAt
+          deprecated
         }
+        priceWei
+        priceEth
         totalDownloads
+        totalPurchases
+        totalRevenue
         active
         createdAt
         updatedAt
@@ -99,6 +116,10 @@ export async function getAppBySlug(slug) {
           publishedAt
           deprecated
         }
+        firstVersion: versions(first: 1, orderBy: versionCode, orderDirection: asc) {
+          versionCode
+          manifestCid
+        }
         downloads(first: 10, orderBy: timestamp, orderDirection: desc) {
           id
           user {
@@ -115,34 +136,155 @@ export async function getAppBySlug(slug) {
 }
 
 /**
- * Busca apps por nombre
+ * Convierte lo que escribe el usuario en una query full-text de Postgres:
+ * cada palabra como prefijo ("dice gam" -> "dice:* & gam:*"). Los puntos
+ * dentro de una palabra se conservan para buscar packages (com.example.app)
+ * @returns {string} '' si no queda ninguna palabra
+ */
+export function toFulltextQuery(searchTerm) {
+  const words = searchTerm.toLowerCase().match(/[\p{L}\p{N}]+(?:\.[\p{L}\p{N}]+)*/gu) || [];
+  return words.map((word) => `${word}:*`).join(' & ');
+}
+
+/**
+ * Busca apps por el contenido de su manifest (nombre, descripción, package,
+ * categorías y publisher_name), ordenadas por relevancia
+ * Solo cuenta el manifest servido de cada app: un nombre antiguo no la encuentra
  */
 export async function searchApps(searchTerm, { first = 20 } = {}) {
+  const text = toFulltextQuery(searchTerm);
+  if (!text) {
+    return [];
+  }
+
   const queryString = `
-    query SearchApps($searchTerm: String!, $first: Int!) {
-      apps(
-        first: $first
-        where: { 
-          active: true
-          name_contains_nocase: $searchTerm
-        }
-        orderBy: totalDownloads
-        orderDirection: desc
-      ) {
+    query SearchApps($text: String!, $first: Int!) {
+      appSearch(text: $text, first: $first) {
         id
-        slug
         name
-        latestManifestCid
-        priceWei
-        priceEth
-        totalDownloads
-        createdAt
+        description
+        packageName
+        categories
+        publisherName
+        iconCid
+        app {
+          id
+          slug
+          name
+          publisher {
+            id
+            address
+          }
+          latestManifestCid
+          priceWei
+          priceEth
+          totalDownloads
+          active
+          createdAt
+        }
       }
     }
   `;
 
-  const data = await query(queryString, { searchTerm, first });
-  return data.apps;
+  // Se piden más resultados porque las versiones antiguas se descartan
+  const data = await query(queryString, { text, first: first * 3 });
+
+  const seen = new Set();
+  const apps = [];
+  for (const { app, ...metadata } of data.appSearch || []) {
+    if (!app.active || app.latestManifestCid !== metadata.id || seen.has(app.id)) {
+      continue;
+    }
+    seen.add(app.id);
+    apps.push({ ...app, metadata });
+  }
+  return apps.slice(0, first);
+}
+
+/**
+ * Categorías de la taxonomía con el número de apps activas de cada una
+ * Las relaciones van por manifest: solo cuenta el manifest servido de cada app
+ * @returns {Promise<Array<{id: string, appCount: number}>>}
+ */
+export async function getCategories() {
+  const queryString = `
+    query GetCategories {
+      categories(first: 100) {
+        id
+        manifests(first: 1000) {
+          metadata {
+            id
+            app {
+              id
+              active
+              latestManifestCid
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await query(queryString);
+
+  return (data.categories || []).map((category) => {
+    const apps = new Set(
+      category.manifests
+        .map(({ metadata }) => metadata)
+        .filter(({ id, app }) => app.active && app.latestManifestCid === id)
+        .map(({ app }) => app.id)
+    );
+    return { id: category.id, appCount: apps.size };
+  });
+}
+
+/**
+ * Obtiene las apps activas de una categoría, las más descargadas primero
+ * @param {string} categoryId - Id de la taxonomía (games, finance...)
+ */
+export async function getAppsByCategory(categoryId) {
+  const queryString = `
+    query GetAppsByCategory($category: String!) {
+      appCategories(first: 1000, where: { category: $category }) {
+        metadata {
+          id
+          name
+          description
+          categories
+          publisherName
+          iconCid
+          app {
+            id
+            slug
+            name
+            publisher {
+              id
+              address
+            }
+            latestManifestCid
+            priceWei
+            priceEth
+            totalDownloads
+            active
+            createdAt
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await query(queryString, { category: categoryId });
+
+  const seen = new Set();
+  const apps = [];
+  for (const { metadata: { app, ...metadata } } of data.appCategories || []) {
+    if (!app.active || app.latestManifestCid !== metadata.id || seen.has(app.id)) {
+      continue;
+    }
+    seen.add(app.id);
+    apps.push({ ...app, metadata });
+  }
+  return apps.sort((a, b) => Number(b.totalDownloads) - Number(a.totalDownloads));
 }
 
 /**
@@ -155,17 +297,49 @@ export async function getPublisherApps(publisherAddress) {
         id
         address
         totalApps
+        totalDownloads
+        totalRevenue
+        profileCid
+        createdAt
         apps(orderBy: createdAt, orderDirection: desc) {
           id
           slug
           name
           latestManifestCid
+          priceWei
+          priceEth
           totalDownloads
+          totalPurchases
+          totalRevenue
           active
+          packageName
+          pendingPublisher
           createdAt
-          versions {
+          updatedAt
+          versions(orderBy: versionCode, orderDirection: asc) {
             versionCode
+            manifestCid
+            publishedAt
+            deprecated
+          }
+          ownershipTransfers(orderBy: timestamp, orderDirection: asc) {
+            from { id }
+            to { id }
+            recovered
+            timestamp
+          }
+        }
+        transfersOut(orderBy: timestamp, orderDirection: desc) {
+          id
+          app {
+            slug
+            name
+            publisher { id }
           }
+          to { id }
+          recovered
+          timestamp
+          transactionHash
         }
       }
     }
@@ -175,6 +349,73 @@ export async function getPublisherApps(publisherAddress) {
   return data.publisher;
 }
 
+/**
+ * Obtiene las apps cuya transferencia a un address está pendiente de aceptar
+ * @param {string} address - Publisher propuesto
+ * @returns {Promise<Array<{slug: string, name: string, publisher: {id: string}}>>}
+ */
+export async function getIncomingTransfers(address) {
+  const queryString = `
+    query GetIncomingTransfers($address: Bytes!) {
+      apps(where: { pendingPublisher: $address }, orderBy: updatedAt, orderDirection: desc) {
+        id
+        slug
+        name
+        publisher {
+          id
+        }
+        updatedAt
+      }
+    }
+  `;
+
+  const data = await query(queryString, { address: address.toLowerCase() });
+  return data.apps;
+}
+
+/**
+ * Obtiene las apps en las que un address es maintainer (no las que publica)
+ * @param {string} address
+ * @returns {Promise<Array<{role: 'VIEWER'|'RELEASER'|'ADMIN', app: Object}>>}
+ */
+export async function getMaintainedApps(address) {
+  const queryString = `
+    query GetMaintainedApps($account: Bytes!) {
+      maintainers(where: { account: $account }, orderBy: updatedAt, orderDirection: desc) {
+        role
+        app {
+          id
+          slug
+          name
+          latestManifestCid
+          priceWei
+          priceEth
+          totalDownloads
+          totalPurchases
+          totalRevenue
+          active
+          packageName
+          pendingPublisher
+          createdAt
+          updatedAt
+          publisher {
+            id
+          }
+          versions(orderBy: versionCode, orderDirection: asc) {
+            versionCode
+            manifestCid
+            publishedAt
+            deprecated
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await query(queryString, { account: address.toLowerCase() });
+  return data.maintainers;
+}
+
 /**
  * Obtiene compras de un usuario
  */
@@ -360,11 +601,168 @@ export async function getAppPriceHistory(appSlug) {
   return data.priceUpdates;
 }
 
+/**
+ * Obtiene las apps que declaran un package de Android y la que lo ha reclamado on-chain
+ * Cuenta los manifests de cualquier versión, no solo el servido
+ * @param {string} packageName
+ * @returns {Promise<{claim: {slug: string, name: string, signingCertSha256: string}|null,
+ *   apps: Array<{slug: string, name: string, publisher: string, createdAt: string}>}>}
+ *   apps: activas, de la más antigua a la más nueva
+ */
+export async function getPackageOwnership(packageName) {
+  const queryString = `
+    query GetPackageOwnership($package: String!) {
+      apps(first: 1, where: { packageName: $package }) {
+        slug
+        name
+        packageCertSha256
+      }
+      appMetadatas(first: 1000, where: { packageName: $package }) {
+        app {
+          slug
+          name
+          active
+          createdAt
+          publisher {
+            address
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await query(queryString, { package: packageName });
+  const [claimed] = data.apps || [];
+
+  const apps = new Map();
+  for (const { app } of data.appMetadatas || []) {
+    if (app.active && !apps.has(app.slug)) {
+      apps.set(app.slug, { slug: app.slug, name: app.name, publisher: app.publisher.address, createdAt: app.createdAt });
+    }
+  }
+
+  return {
+    claim: claimed
+      ? { slug: claimed.slug, name: claimed.name, signingCertSha256: claimed.packageCertSha256 }
+      : null,
+    apps: [...apps.values()].sort((a, b) => Number(a.createdAt) - Number(b.createdAt))
+  };
+}
+
+/**
+ * Normaliza un certificado de firma: hex en minúsculas sin ":" (como lo guarda el subgraph)
+ */
+function normalizeCert(cert) {
+  return (cert || '').toLowerCase().replace(/:/g, '');
+}
+
+/**
+ * Comprueba qué apps instaladas tienen actualización
+ * Cada package se resuelve a la app cuyo manifest servido lo declara. Si hay
+ * varias (cualquiera puede publicar un manifest con un package ajeno), solo
+ * vale la firmada con el mismo certificado que la instalada y, si aun así
+ * queda más de una, la que ha reclamado el package on-chain
+ * @param {Array<{package: string, versionCode: number, signingCertSha256?: string}>} installed
+ * @returns {Promise<Array<Object>>} - Un resultado por entrada, en el mismo orden;
+ *   status: 'update_available' | 'up_to_date' | 'not_found' | 'signature_mismatch' | 'ambiguous'
+ */
+export async function checkForUpdates(installed) {
+  // Apps cuyo manifest servido (App.metadata) declara alguno de los packages:
+  // los manifests de versiones antiguas no cuentan para el límite de la página
+  const queryString = `
+    query CheckForUpdates($packages: [String!]!, $first: Int!, $skip: Int!) {
+      apps(first: $first, skip: $skip, orderBy: id, where: { active: true, metadata_: { packageName_in: $packages } }) {
+        id
+        slug
+        name
+        packageName
+        latestVersion {
+          versionCode
+          manifestCid
+          deprecated
+        }
+        metadata {
+          id
+          packageName
+          versionName
+          apkCid
+          apkSha256
+          apkSize
+          signingCertSha256
+        }
+      }
+    }
+  `;
+
+  const packages = [...new Set(installed.map((entry) => entry.package))];
+  const pageSize = 1000;
+  const served = [];
+  for (let skip = 0; ; skip += pageSize) {
+    const data = await query(queryString, { packages, first: pageSize, skip });
+    const apps = data.apps || [];
+    // El contrato solo sirve una versión deprecada si lo están todas: no hay
+    // nada a lo que actualizar
+    served.push(...apps.filter((app) => app.latestVersion && !app.latestVersion.deprecated));
+    if (apps.length < pageSize) {
+      break;
+    }
+  }
+
+  return installed.map((entry) => {
+    const result = { package: entry.package, installedVersionCode: entry.versionCode };
+    let candidates = served.filter(({ metadata }) => metadata.packageName === entry.package);
+    if (candidates.length === 0) {
+      return { ...result, status: 'not_found' };
+    }
+
+    if (entry.signingCertSha256) {
+      const cert = normalizeCert(entry.signingCertSha256);
+      candidates = candidates.filter(({ metadata }) => metadata.signingCertSha256 === cert);
+      if (candidates.length === 0) {
+        return { ...result, status: 'signature_mismatch' };
+      }
+    }
+    if (candidates.length > 1) {
+      const claimant = candidates.filter((app) => app.packageName === entry.package);
+      if (claimant.length === 0) {
+        return { ...result, status: 'ambiguous', slugs: candidates.map((app) => app.slug) };
+      }
+      candidates = claimant;
+    }
+
+    const [app] = candidates;
+    const { latestVersion: version, metadata } = app;
+    const info = {
+      ...result,
+      slug: app.slug,
+      name: app.name,
+      versionCode: Number(version.versionCode),
+      versionName: metadata.versionName,
+    };
+    if (BigInt(version.versionCode) <= BigInt(entry.versionCode)) {
+      return { ...info, status: 'up_to_date' };
+    }
+    return {
+      ...info,
+      status: 'update_available',
+      manifestCid: version.manifestCid,
+      apkCid: metadata.apkCid,
+      apkSha256: metadata.apkSha256,
+      apkSize: Number(metadata.apkSize),
+      signingCertSha256: metadata.signingCertSha256,
+    };
+  });
+}
+
 export default {
   getAllApps,
   getAppBySlug,
   searchApps,
+  getCategories,
+  getAppsByCategory,
   getPublisherApps,
+  getIncomingTransfers,
+  getMaintainedApps,
   getUserPurchases,
   checkUserPurchase,
   getGlobalStats,
@@ -372,4 +770,6 @@ export default {
   getRecentApps,
   getFreeApps,
   getAppPriceHistory,
+  getPackageOwnership,
+  checkForUpdates,
 };
@@ -0,0 +1,309 @@
+/**
+ * Nodo Helia en el navegador (red P2P opcional)
+ * Se arranca la primera vez que se necesita (los módulos de libp2p pesan
+ * bastante y la mayoría de visitas no descargan nada). Pide los bloques por
+ * bitswap a otros navegadores y peers (WebRTC, WebSockets) y, si no los
+ * encuentra, a los gateways trustless. Cada bloque se comprueba contra su
+ * CID, así que da igual de dónde venga
+ *
+ * Mientras la pestaña sigue abierta, los últimos APKs descargados por aquí
+ * quedan fijados y anunciados para que otros usuarios los bajen de este nodo
+ */
+
+const P2P_ENABLED_KEY = 'dappstore:p2p:enabled';
+
+// APKs que se siguen sirviendo (los bloques viven en memoria)
+export const MAX_SEEDED = 3;
+
+let heliaPromise = null;
+let fsPromise = null;
+
+// Lecturas del blockstore hechas por este nodo (descargas, pins): no cuentan como compartidas
+let localReads = 0;
+
+/**
+ * @typedef {Object} P2PStatus
+ * @property {'off'|'idle'|'starting'|'online'|'error'} state
+ * @property {string|null} peerId
+ * @property {number} peers - Peers conectados
+ * @property {number} bytesShared - Bytes servidos a otros peers (aproximado)
+ * @property {Array<{cid: string, name: string, size: number}>} seeding - Lo más reciente primero
+ * @property {string|null} error
+ */
+
+/** @type {P2PStatus} */
+let status = {
+  state: isP2PEnabled() ? 'idle' : 'off',
+  peerId: null,
+  peers: 0,
+  bytesShared: 0,
+  seeding: [],
+  error: null
+};
+const listeners = new Set();
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  for (const listener of listeners) {
+    listener(status);
+  }
+}
+
+/**
+ * Comprobar si el usuario tiene activada la red P2P (activada por defecto)
+ * @returns {boolean}
+ */
+export function isP2PEnabled() {
+  try {
+    return localStorage.getItem(P2P_ENABLED_KEY) !== 'false';
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Activar o desactivar la red P2P (al desactivarla se para el nodo)
+ * @param {boolean} enabled
+ */
+export async function setP2PEnabled(enabled) {
+  try {
+    localStorage.setItem(P2P_ENABLED_KEY, String(enabled));
+  } catch {
+    // Sin localStorage: vale para esta sesión
+  }
+  if (!enabled) {
+    await stopHelia();
+  } else if (status.state === 'off') {
+    setStatus({ state: 'idle' });
+  }
+}
+
+/**
+ * Estado actual del nodo (el objeto cambia en cada actualización)
+ * @returns {P2PStatus}
+ */
+export function getP2PStatus() {
+  return status;
+}
+
+/**
+ * Avisar de cada cambio de estado
+ * @param {(status: P2PStatus) => void} listener
+ * @returns {() => void} - Quita el listener
+ */
+export function subscribeP2PStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Sumar los bytes de un bloque leído (según la versión de interface-blockstore,
+// get devuelve los bytes o un iterable de trozos)
+function countBlock(result) {
+  const add = (bytes) => {
+    setStatus({ bytesShared: status.bytesShared + bytes.byteLength });
+    return bytes;
+  };
+
+  if (result instanceof Uint8Array) {
+    return add(result);
+  }
+  if (typeof result?.then === 'function') {
+    return result.then(countBlock);
+  }
+  if (result && typeof result[Symbol.asyncIterator] === 'function') {
+    return (async function* () {
+      for await (const chunk of result) {
+        yield add(chunk);
+      }
+    })();
+  }
+  return result;
+}
+
+/**
+ * Blockstore en memoria que cuenta los bloques leídos por otros peers
+ * Bitswap sirve los bloques leyéndolos de aquí; las lecturas locales se
+ * marcan con localReads. Si coinciden con una descarga propia la cuenta
+ * se queda corta, por eso es aproximada
+ */
+async function createCountingBlockstore() {
+  const { MemoryBlockstore } = await import('blockstore-core/memory');
+  const blockstore = new MemoryBlockstore();
+
+  return new Proxy(blockstore, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (prop === 'get') {
+        return (cid, options) => {
+          const result = value.call(target, cid, options);
+          return localReads > 0 ? result : countBlock(result);
+        };
+      }
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * Obtener el nodo Helia compartido (lo arranca si hace falta)
+ * @returns {Promise<import('helia').Helia>}
+ * @throws {Error} si el usuario ha desactivado la red P2P
+ */
+export function getHelia() {
+  if (!isP2PEnabled()) {
+    return Promise.reject(new Error('Peer-to-peer downloads are disabled'));
+  }
+
+  if (!heliaPromise) {
+    setStatus({ state: 'starting', error: null });
+    heliaPromise = Promise.all([import('helia'), createCountingBlockstore()])
+      .then(([{ createHelia }, blockstore]) => createHelia({ blockstore }))
+      .then(async (helia) => {
+        // Desactivado mientras arrancaba
+        if (!isP2PEnabled()) {
+          await helia.stop();
+          throw new Error('Peer-to-peer downloads are disabled');
+        }
+
+        const updatePeers = () => setStatus({ peers: helia.libp2p.getPeers().length });
+        helia.libp2p.addEventListener('peer:connect', updatePeers);
+        helia.libp2p.addEventListener('peer:disconnect', updatePeers);
+
+        const peerId = helia.libp2p.peerId.toString();
+        setStatus({ state: 'online', peerId, peers: helia.libp2p.getPeers().length });
+        console.log('✅ Helia node started:', peerId);
+        return helia;
+      })
+      .catch((error) => {
+        console.error('❌ Could not start the Helia node:', error);
+        // Permitir reintentar en la siguiente descarga
+        heliaPromise = null;
+        fsPromise = null;
+        setStatus(isP2PEnabled() ? { state: 'error', error: error.message } : { state: 'off' });
+        throw error;
+      });
+  }
+  return heliaPromise;
+}
+
+/**
+ * API UnixFS sobre el nodo compartido
+ * @returns {Promise<import('@helia/unixfs').UnixFS>}
+ */
+export function getUnixFS() {
+  if (!fsPromise) {
+    fsPromise = Promise.all([getHelia(), import('@helia/unixfs')])
+      .then(([helia, { unixfs }]) => unixfs(helia))
+      .catch((error) => {
+        fsPromise = null;
+        throw error;
+      });
+  }
+  return fsPromise;
+}
+
+/**
+ * Parsear un CID en texto
+ * @param {string} cid
+ * @returns {Promise<import('multiformats/cid').CID>}
+ */
+export async function parseCID(cid) {
+  const { CID } = await import('multiformats/cid');
+  return CID.parse(cid);
+}
+
+/**
+ * Leer un archivo UnixFS verificando cada bloque contra su CID
+ * @param {string} cid - CID del archivo
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Byte desde el que empezar (para reanudar)
+ * @param {AbortSignal} [options.signal]
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* catVerified(cid, options = {}) {
+  const [fs, parsed] = await Promise.all([getUnixFS(), parseCID(cid)]);
+  localReads++;
+  try {
+    yield* fs.cat(parsed, { offset: options.offset || 0, signal: options.signal });
+  } finally {
+    localReads--;
+  }
+}
+
+/**
+ * Seguir sirviendo un archivo ya descargado por Helia mientras la pestaña
+ * esté abierta: se fija (para que el GC no borre sus bloques) y se anuncia
+ * en el DHT. Solo se guardan los MAX_SEEDED más recientes
+ * @param {string} cid
+ * @param {Object} [info] - Para mostrarlo en el estado
+ * @param {string} [info.name]
+ * @param {number} [info.size]
+ */
+export async function seedContent(cid, { name = '', size = 0 } = {}) {
+  if (!isP2PEnabled() || status.seeding.some((item) => item.cid === cid)) {
+    return;
+  }
+
+  const helia = await getHelia();
+  const parsed = await parseCID(cid);
+
+  // Los bloques ya están en el blockstore: pins.add solo recorre el DAG
+  localReads++;
+  try {
+    for await (const _ of helia.pins.add(parsed)) {
+      // Recorrer el generador hace el pin
+    }
+  } finally {
+    localReads--;
+  }
+  setStatus({ seeding: [{ cid, name, size }, ...status.seeding] });
+  console.log('🌱 Seeding', cid);
+
+  helia.routing.provide(parsed).catch((error) => {
+    console.warn(`⚠️ Could not announce ${cid}:`, error.message);
+  });
+
+  // Soltar los más antiguos para no acumular APKs en memoria
+  const evicted = status.seeding.slice(MAX_SEEDED);
+  if (evicted.length > 0) {
+    setStatus({ seeding: status.seeding.slice(0, MAX_SEEDED) });
+    for (const item of evicted) {
+      for await (const _ of helia.pins.rm(await parseCID(item.cid))) {
+        // Recorrer el generador quita el pin
+      }
+    }
+    await helia.gc();
+  }
+}
+
+/**
+ * Parar el nodo (deja de servir lo que estaba compartiendo)
+ */
+export async function stopHelia() {
+  const pending = heliaPromise;
+  heliaPromise = null;
+  fsPromise = null;
+  setStatus({ state: isP2PEnabled() ? 'idle' : 'off', peerId: null, peers: 0, seeding: [], error: null });
+
+  if (!pending) return;
+  try {
+    const helia = await pending;
+    await helia.stop();
+  } catch {
+    // Nunca llegó a arrancar
+  }
+}
+
+export default {
+  MAX_SEEDED,
+  isP2PEnabled,
+  setP2PEnabled,
+  getP2PStatus,
+  subscribeP2PStatus,
+  getHelia,
+  getUnixFS,
+  parseCID,
+  catVerified,
+  seedContent,
+  stopHelia
+};
@@ -4,15 +4,20 @@
  */
 
 import { create } from 'ipfs-http-client';
+import {
+  DEFAULT_GATEWAYS,
+  getRankedGateways,
+  recordGatewaySuccess,
+  recordGatewayFailure
+} from './gateways.js';
 
-// Configuración de gateways IPFS públicos
-const IPFS_GATEWAYS = [
-  'https://ipfs.io/ipfs/',
-  'https://gateway.pinata.cloud/ipfs/',
-  'https://cloudflare-ipfs.com/ipfs/',
-  'https://dweb.link/ipfs/',
-  'https://w3s.link/ipfs/'
-];
+// Gateways IPFS públicos por defecto (la lista completa, con los del
+// usuario y ordenada por salud, la da getRankedGateways)
+export const IPFS_GATEWAYS = DEFAULT_GATEWAYS;
+
+// Descargas: gateways que se piden a la vez y tiempo máximo de cada intento
+const RACE_WIDTH = 3;
+const GATEWAY_TIMEOUT_MS = 15000;
 
 // Configuración de Pinata
 const PINATA_API_KEY = import.meta.env.VITE_PINATA_API_KEY;
@@ -208,40 +213,146 @@ export async function uploadJSONToPinata(jsonData, metadata = {}) {
 }
 
 /**
- * Descargar archivo desde IPFS
+ * Pedir un CID a varios gateways en carrera
+ * Empieza con los RACE_WIDTH mejores según getRankedGateways; cada fallo o
+ * timeout lanza el siguiente de la lista. Gana la primera respuesta 2xx y el
+ * resto se cancela (sin contar como fallo). El timeout cubre hasta recibir
+ * las cabeceras: el body de un APK grande tarda lo que tenga que tardar.
  * @param {string} cid - CID del archivo
- * @param {Object} options - Opciones
- * @returns {Promise<Blob>}
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Cancela todos los intentos
+ * @param {Object} [options.headers] - Cabeceras de la petición
+ * @param {number} [options.timeout] - ms por intento (por defecto GATEWAY_TIMEOUT_MS)
+ * @param {number} [options.raceWidth] - Intentos simultáneos (por defecto RACE_WIDTH)
+ * @param {string[]} [options.exclude] - Gateways que no hay que probar
+ * @returns {Promise<{response: Response, gateway: string}>}
  */
-export async function downloadFromIPFS(cid, options = {}) {
-  const gatewayIndex = options.gatewayIndex || 0;
-  const gateway = IPFS_GATEWAYS[gatewayIndex] || IPFS_GATEWAYS[0];
-  const url = `${gateway}${cid}`;
+export function fetchFromIPFS(cid, options = {}) {
+  const {
+    signal,
+    headers = {},
+    timeout = GATEWAY_TIMEOUT_MS,
+    raceWidth = RACE_WIDTH,
+    exclude = []
+  } = options;
+  const queue = getRankedGateways().filter((gateway) => !exclude.includes(gateway));
+
+  return new Promise((resolve, reject) => {
+    // Intentos en curso: gateway → AbortController
+    const attempts = new Map();
+    let settled = false;
+    let lastError = new Error(`No IPFS gateway could serve ${cid}`);
+
+    const cancelAttempts = () => {
+      for (const controller of attempts.values()) {
+        controller.abort();
+      }
+      attempts.clear();
+    };
 
-  try {
-    const response = await fetch(url, {
-      signal: options.signal,
-      headers: options.headers || {}
-    });
+    const onAbort = () => {
+      settled = true;
+      cancelAttempts();
+      reject(signal.reason ?? new DOMException('Download aborted', 'AbortError'));
+    };
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const settle = () => {
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const startNext = () => {
+      const gateway = queue.shift();
+      if (!gateway) {
+        if (attempts.size === 0) {
+          settle();
+          reject(lastError);
+        }
+        return;
+      }
+
+      const controller = new AbortController();
+      attempts.set(gateway, controller);
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+      const start = performance.now();
+
+      fetch(`${gateway}${cid}`, { signal: controller.signal, headers })
+        .then((response) => {
+          clearTimeout(timer);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+          if (settled) {
+            controller.abort();
+            return;
+          }
+
+          attempts.delete(gateway);
+          settle();
+          cancelAttempts();
+          recordGatewaySuccess(gateway, Math.round(performance.now() - start));
+          resolve({ response, gateway });
+        })
+        .catch((error) => {
+          clearTimeout(timer);
+          attempts.delete(gateway);
+          // Cancelado porque ya ganó otro gateway o porque se abortó la descarga
+          if (settled) return;
+
+          lastError = timedOut ? new Error(`Gateway ${gateway} timed out after ${timeout} ms`) : error;
+          console.warn(`⚠️ Gateway ${gateway} failed for ${cid}:`, lastError.message);
+          recordGatewayFailure(gateway);
+          startNext();
+        });
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
     }
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    const blob = await response.blob();
-    console.log('✅ File downloaded from IPFS:', cid);
-    
-    return blob;
-  } catch (error) {
-    console.error(`❌ Error downloading from gateway ${gateway}:`, error);
-    
-    // Intentar con el siguiente gateway
-    if (gatewayIndex < IPFS_GATEWAYS.length - 1) {
-      console.log(`🔄 Trying next gateway...`);
-      return downloadFromIPFS(cid, { ...options, gatewayIndex: gatewayIndex + 1 });
+    const initial = Math.min(raceWidth, queue.length);
+    if (initial === 0) {
+      settle();
+      reject(lastError);
+      return;
+    }
+    for (let i = 0; i < initial; i++) {
+      startNext();
+    }
+  });
+}
+
+/**
+ * Descargar archivo desde IPFS
+ * Si el body se corta después de elegir gateway, se repite la carrera sin él
+ * @param {string} cid - CID del archivo
+ * @param {Object} options - Opciones de fetchFromIPFS
+ * @returns {Promise<Blob>}
+ */
+export async function downloadFromIPFS(cid, options = {}) {
+  const failed = [...(options.exclude || [])];
+
+  while (true) {
+    const { response, gateway } = await fetchFromIPFS(cid, { ...options, exclude: failed });
+
+    try {
+      const blob = await response.blob();
+      console.log(`✅ File downloaded from IPFS (${gateway}):`, cid);
+      return blob;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      console.warn(`⚠️ Download from ${gateway} interrupted, trying another gateway:`, error.message);
+      recordGatewayFailure(gateway);
+      failed.push(gateway);
     }
-    
-    throw error;
   }
 }
 
@@ -284,11 +395,12 @@ export function isValidCID(cid) {
 /**
  * Obtener URL de gateway para un CID
  * @param {string} cid - CID del archivo
- * @param {number} gatewayIndex - Índice del gateway a usar
+ * @param {number} gatewayIndex - Posición en getRankedGateways (0 = el más sano)
  * @returns {string}
  */
 export function getIPFSUrl(cid, gatewayIndex = 0) {
-  const gateway = IPFS_GATEWAYS[gatewayIndex] || IPFS_GATEWAYS[0];
+  const gateways = getRankedGateways();
+  const gateway = gateways[gatewayIndex] || gateways[0];
   return `${gateway}${cid}`;
 }
 
@@ -369,6 +481,7 @@ export default {
   uploadToIPFS,
   uploadToPinata,
   uploadJSONToPinata,
+  fetchFromIPFS,
   downloadFromIPFS,
   downloadJSONFromIPFS,
   isValidCID,
@@ -0,0 +1,325 @@
+/**
+ * Smart accounts (Safe y otras wallets que son un contrato)
+ * - Firmas EIP-1271: el contrato decide si una firma es suya con
+ *   isValidSignature, no hay clave privada de la que recuperar la address
+ * - Transacciones multisig: eth_sendTransaction devuelve el safeTxHash de
+ *   una propuesta, no el hash de una transacción. Hasta que los owners la
+ *   confirman y alguien la ejecuta no hay nada que esperar en la red, así
+ *   que se sigue su estado en el Safe Transaction Service
+ */
+
+import { ethers } from 'ethers';
+
+// Valor que devuelve isValidSignature(bytes32,bytes) cuando la firma es válida
+export const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+];
+
+// Lo que tienen todas las versiones de Safe y no otras smart accounts
+const SAFE_ABI = [
+  'function getThreshold() view returns (uint256)',
+  'function nonce() view returns (uint256)'
+];
+
+// Safe Transaction Service por chain ID (VITE_SAFE_TX_SERVICE_URL para otras redes)
+const SAFE_TX_SERVICE_URLS = {
+  1: 'https://safe-transaction-mainnet.safe.global',
+  10: 'https://safe-transaction-optimism.safe.global',
+  100: 'https://safe-transaction-gnosis-chain.safe.global',
+  137: 'https://safe-transaction-polygon.safe.global',
+  8453: 'https://safe-transaction-base.safe.global',
+  42161: 'https://safe-transaction-arbitrum.safe.global',
+  11155111: 'https://safe-transaction-sepolia.safe.global'
+};
+
+// Cada cuánto se pregunta por una propuesta pendiente
+const POLL_INTERVAL_MS = 5000;
+
+// Cuánto se sigue una propuesta antes de dejarla pendiente en la Safe
+const SAFE_TX_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Cuánto se espera a ver la propuesta (en el servicio o en la red): sin
+// Safe Transaction Service para la red no hay forma de seguirla
+const UNINDEXED_TIMEOUT_MS = 2 * 60 * 1000;
+
+// address (minúsculas) + chain → Promise<boolean>; el código de una cuenta no cambia
+const contractCache = new Map();
+const safeCache = new Map();
+
+/**
+ * Comprobar si una address es un contrato (smart account) y no una EOA
+ * @param {string} address
+ * @param {import('ethers').Provider} provider
+ * @returns {Promise<boolean>}
+ */
+export async function isContractAccount(address, provider) {
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (!contractCache.has(key)) {
+    const check = provider.getCode(address)
+      .then((code) => code !== '0x')
+      .catch((error) => {
+        // Un fallo de red no se cachea
+        contractCache.delete(key);
+        throw error;
+      });
+    contractCache.set(key, check);
+  }
+  return contractCache.get(key);
+}
+
+/**
+ * Comprobar si una address es una Safe
+ * Solo con una Safe eth_sendTransaction devuelve el safeTxHash de una
+ * propuesta; otras smart accounts (ERC-4337...) devuelven hashes que el Safe
+ * Transaction Service no conoce y se esperan como una transacción normal
+ * @param {string} address
+ * @param {import('ethers').Provider} provider
+ * @returns {Promise<boolean>}
+ */
+export async function isSafeAccount(address, provider) {
+  if (!await isContractAccount(address, provider)) {
+    return false;
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (!safeCache.has(key)) {
+    const safe = new ethers.Contract(address, SAFE_ABI, provider);
+    const check = safe.getThreshold()
+      .then(() => true)
+      .catch((error) => {
+        // Un contrato sin getThreshold revierte o no devuelve nada: no es una Safe
+        if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') return false;
+        safeCache.delete(key);
+        throw error;
+      });
+    safeCache.set(key, check);
+  }
+  return safeCache.get(key);
+}
+
+/**
+ * Comprobar una firma con EIP-1271
+ * @param {string} address - Contrato que supuestamente firmó
+ * @param {string} hash - Digest firmado (hashMessage, TypedDataEncoder.hash...)
+ * @param {string} signature
+ * @param {import('ethers').Provider} provider
+ * @returns {Promise<boolean>} false si no es un contrato o rechaza la firma
+ */
+export async function isValidContractSignature(address, hash, signature, provider) {
+  try {
+    if (!await isContractAccount(address, provider)) {
+      return false;
+    }
+    const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+    return (await wallet.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+  } catch (error) {
+    // Contratos sin isValidSignature revierten
+    console.warn(`⚠️ EIP-1271 check failed for ${address}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * URL del Safe Transaction Service de una red
+ * @param {number} chainId
+ * @returns {string|null}
+ */
+export function getSafeTxServiceUrl(chainId) {
+  return import.meta.env.VITE_SAFE_TX_SERVICE_URL || SAFE_TX_SERVICE_URLS[Number(chainId)] || null;
+}
+
+/**
+ * Leer una propuesta del Safe Transaction Service
+ * @returns {Promise<Object|null>} null si todavía no está indexada o falla la red
+ */
+async function fetchMultisigTransaction(serviceUrl, safeTxHash, signal) {
+  try {
+    const response = await fetch(`${serviceUrl}/api/v1/multisig-transactions/${safeTxHash}/`, { signal });
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.warn('⚠️ Could not read the multisig transaction:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Buscar la transacción que ejecutó la Safe con un nonce
+ * @returns {Promise<Object|null>} null si el servicio todavía no la tiene
+ */
+async function fetchExecutedTransaction(serviceUrl, safe, nonce, signal) {
+  try {
+    const response = await fetch(
+      `${serviceUrl}/api/v1/safes/${safe}/multisig-transactions/?nonce=${nonce}&executed=true`,
+      { signal }
+    );
+    if (!response.ok) return null;
+    const { results } = await response.json();
+    return results?.[0] || null;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.warn('⚠️ Could not read the Safe transactions:', error.message);
+    return null;
+  }
+}
+
+// setTimeout que se corta con el signal
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * @typedef {Object} MultisigStatus
+ * @property {'proposed'|'confirming'|'executing'|'executed'} state
+ * @property {string} safeTxHash
+ * @property {number} [confirmations] - Firmas de owners recogidas
+ * @property {number} [confirmationsRequired] - Threshold de la Safe
+ * @property {string} [transactionHash] - Transacción que la ejecutó
+ */
+
+/**
+ * Texto para mostrar el estado de una propuesta multisig
+ * @param {MultisigStatus} status
+ * @returns {string}
+ */
+export function describeMultisigStatus(status) {
+  switch (status.state) {
+    case 'proposed':
+      return 'Transaction proposed to the Safe. Waiting for the owners to confirm it...';
+    case 'confirming':
+      return status.confirmationsRequired
+        ? `Waiting for Safe owners (${status.confirmations}/${status.confirmationsRequired} confirmations)...`
+        : `Waiting for Safe owners (${status.confirmations} confirmations)...`;
+    case 'executing':
+      return 'Safe transaction executed, waiting for it to be mined...';
+    case 'executed':
+      return 'Safe transaction confirmed';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Esperar a que una propuesta multisig se ejecute y devolver su recibo
+ * Si el hash resulta ser de una transacción normal (una Safe 1/1 que
+ * ejecuta al momento), se espera a esa directamente
+ * Falla si la Safe ejecuta otra transacción con el mismo nonce (la propuesta
+ * se rechazó o se reemplazó), si no se ve la propuesta en UNINDEXED_TIMEOUT_MS
+ * o si no se ejecuta antes de timeoutMs. En los dos últimos casos, y al
+ * abortar, la propuesta sigue en la Safe: solo se deja de esperar
+ * @param {string} hash - Lo que devolvió eth_sendTransaction
+ * @param {Object} options
+ * @param {import('ethers').Provider} options.provider
+ * @param {number} options.chainId
+ * @param {(status: MultisigStatus) => void} [options.onStatus]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<import('ethers').TransactionReceipt>}
+ */
+export async function waitForSafeTransaction(hash, { provider, chainId, onStatus, signal, timeoutMs = SAFE_TX_TIMEOUT_MS }) {
+  const serviceUrl = getSafeTxServiceUrl(chainId);
+  const startedAt = Date.now();
+  let lastState = null;
+  let seen = false;
+
+  const report = (status) => {
+    const key = `${status.state}:${status.confirmations ?? ''}`;
+    if (key !== lastState) {
+      lastState = key;
+      onStatus?.({ safeTxHash: hash, ...status });
+    }
+  };
+
+  const waitForReceipt = async (transactionHash) => {
+    report({ state: 'executing', transactionHash });
+    const receipt = await provider.waitForTransaction(transactionHash);
+    if (receipt?.status === 0) {
+      throw new Error(`The transaction ${transactionHash} reverted`);
+    }
+    report({ state: 'executed', transactionHash });
+    return receipt;
+  };
+
+  report({ state: 'proposed' });
+
+  while (true) {
+    signal?.throwIfAborted();
+
+    if (await provider.getTransaction(hash).catch(() => null)) {
+      return waitForReceipt(hash);
+    }
+
+    const safeTx = serviceUrl ? await fetchMultisigTransaction(serviceUrl, hash, signal) : null;
+    if (safeTx?.isExecuted && safeTx.transactionHash) {
+      if (safeTx.isSuccessful === false) {
+        throw new Error(`The multisig transaction ${safeTx.transactionHash} was executed but reverted`);
+      }
+      return waitForReceipt(safeTx.transactionHash);
+    }
+
+    if (safeTx) {
+      seen = true;
+      report({
+        state: 'confirming',
+        confirmations: safeTx.confirmations?.length || 0,
+        confirmationsRequired: safeTx.confirmationsRequired
+      });
+
+      // Si el nonce de la Safe ya pasó el de la propuesta, se ejecutó otra en
+      // su lugar (un rechazo también es una transacción con ese nonce)
+      const safe = new ethers.Contract(safeTx.safe, SAFE_ABI, provider);
+      const currentNonce = await safe.nonce().catch(() => null);
+      if (currentNonce !== null && currentNonce > BigInt(safeTx.nonce)) {
+        // El servicio puede ir por detrás de la red: sin la transacción
+        // ejecutada todavía no se sabe cuál fue
+        const executed = await fetchExecutedTransaction(serviceUrl, safeTx.safe, safeTx.nonce, signal);
+        if (executed?.safeTxHash === hash && executed.transactionHash) {
+          return waitForReceipt(executed.transactionHash);
+        }
+        if (executed) {
+          throw new Error(`The Safe executed another transaction with nonce ${safeTx.nonce}, so this proposal was rejected or replaced and can no longer be executed`);
+        }
+      }
+    }
+
+    const elapsed = Date.now() - startedAt;
+    if (!seen && elapsed >= UNINDEXED_TIMEOUT_MS) {
+      throw new Error(serviceUrl
+        ? `The Safe Transaction Service does not know the proposal ${hash}. Check it in the Safe app`
+        : `There is no Safe Transaction Service for chain ${chainId} to follow the proposal ${hash}. Set VITE_SAFE_TX_SERVICE_URL or check it in the Safe app`);
+    }
+    if (elapsed >= timeoutMs) {
+      throw new Error(`The Safe proposal ${hash} was not executed within ${Math.round(timeoutMs / 60000)} minutes. It stays in the Safe and takes effect once its owners execute it`);
+    }
+
+    await sleep(POLL_INTERVAL_MS, signal);
+  }
+}
+
+export default {
+  ERC1271_MAGIC_VALUE,
+  isContractAccount,
+  isSafeAccount,
+  isValidContractSignature,
+  getSafeTxServiceUrl,
+  describeMultisigStatus,
+  waitForSafeTransaction
+};
@@ -0,0 +1,384 @@
+/**
+ * Capa de almacenamiento con proveedores intercambiables
+ * Proveedores: Kubo (nodo local de docker-compose, por defecto), Pinata,
+ * backend Filecoin y memoria (para tests)
+ *
+ * El proveedor se elige con VITE_STORAGE_PROVIDER (kubo | pinata | backend | memory)
+ */
+
+import { create } from 'ipfs-http-client';
+import {
+  uploadToPinata,
+  uploadJSONToPinata,
+  downloadFromIPFS
+} from './ipfs.js';
+import {
+  uploadFileToBackend,
+  uploadJSONToBackend,
+  uploadFileResumable,
+  downloadFromBackend
+} from './backend.js';
+import { catVerified, isP2PEnabled } from './helia.js';
+
+// A partir de este tamaño el backend recibe el archivo por trozos reanudables
+const RESUMABLE_THRESHOLD = 8 * 1024 * 1024;
+
+/**
+ * @typedef {Object} UploadResult
+ * @property {string} cid - Identificador del contenido (CID de IPFS o pieceCid de Filecoin)
+ * @property {number} size - Tamaño en bytes
+ * @property {string} [pieceCid] - Piece CID (solo backend Filecoin)
+ * @property {string} [datasetId] - Dataset de Synapse (solo backend Filecoin)
+ */
+
+/**
+ * @typedef {Object} UploadOptions
+ * @property {string} [name] - Nombre del archivo
+ * @property {Object} [keyvalues] - Metadata adicional (clave/valor)
+ * @property {Function} [onProgress] - Callback (bytesSubidos, bytesTotales) durante la subida
+ * @property {import('ethers').Signer} [signer] - Signer de la wallet (lo usa el backend)
+ * @property {boolean} [resumable] - Forzar subida por trozos reanudable (backend)
+ * @property {string} [sha256] - SHA-256 (hex) ya calculado, evita recalcularlo (backend)
+ */
+
+/**
+ * @typedef {Object} StorageProvider
+ * @property {string} name - Identificador del proveedor
+ * @property {(file: File|Blob, options?: UploadOptions) => Promise<UploadResult>} uploadFile
+ * @property {(data: Object, options?: UploadOptions) => Promise<UploadResult>} uploadJSON
+ * @property {(cid: string) => Promise<Blob|null>} [get] - Lectura directa; null si no lo tiene
+ */
+
+/**
+ * Convertir File/Blob/ArrayBuffer a Uint8Array
+ */
+async function toBytes(file) {
+  if (file instanceof Blob) {
+    return new Uint8Array(await file.arrayBuffer());
+  }
+  if (file instanceof ArrayBuffer) {
+    return new Uint8Array(file);
+  }
+  return file;
+}
+
+/**
+ * Proveedor Kubo (nodo IPFS local, API HTTP en el puerto 5001)
+ * @param {Object} config
+ * @param {string} [config.url] - URL de la API (ej: http://localhost:5001/api/v0)
+ * @returns {StorageProvider}
+ */
+export function createKuboProvider(config = {}) {
+  const url = config.url || import.meta.env.VITE_IPFS_API_URL || (
+    `${import.meta.env.VITE_IPFS_PROTOCOL || 'http'}://` +
+    `${import.meta.env.VITE_IPFS_HOST || 'localhost'}:` +
+    `${import.meta.env.VITE_IPFS_PORT || 5001}/api/v0`
+  );
+  const client = create({ url });
+
+  return {
+    name: 'kubo',
+
+    async uploadFile(file, options = {}) {
+      const content = await toBytes(file);
+      const result = await client.add(content, {
+        pin: true,
+        cidVersion: 1,
+        progress: (bytes) => options.onProgress?.(bytes, content.length)
+      });
+      console.log('✅ File uploaded to Kubo:', result.cid.toString());
+      return { cid: result.cid.toString(), size: content.length };
+    },
+
+    async uploadJSON(data) {
+      const content = new TextEncoder().encode(JSON.stringify(data));
+      const result = await client.add(content, { pin: true, cidVersion: 1 });
+      console.log('✅ JSON uploaded to Kubo:', result.cid.toString());
+      return { cid: result.cid.toString(), size: content.length };
+    },
+
+    async get(cid) {
+      const chunks = [];
+      for await (const chunk of client.cat(cid, { timeout: 10000 })) {
+        chunks.push(chunk);
+      }
+      return new Blob(chunks);
+    }
+  };
+}
+
+/**
+ * Proveedor Pinata (servicio de pinning, requiere VITE_PINATA_JWT o API keys)
+ * @returns {StorageProvider}
+ */
+export function createPinataProvider() {
+  return {
+    name: 'pinata',
+
+    async uploadFile(file, options = {}) {
+      const result = await uploadToPinata(file, {
+        name: options.name,
+        keyvalues: options.keyvalues
+      });
+      return { cid: result.cid, size: result.size };
+    },
+
+    async uploadJSON(data, options = {}) {
+      const result = await uploadJSONToPinata(data, {
+        name: options.name,
+        keyvalues: options.keyvalues
+      });
+      return { cid: result.cid, size: result.size };
+    }
+  };
+}
+
+/**
+ * Proveedor backend (sube a Filecoin a través de backend/ firmando con la wallet)
+ * Los archivos grandes van por trozos y se reanudan si se corta la conexión
+ * Las credenciales de almacenamiento se quedan en el servidor
+ * @returns {StorageProvider}
+ */
+export function createBackendProvider() {
+  return {
+    name: 'backend',
+
+    async uploadFile(file, options = {}) {
+      const upload = options.resumable || file.size > RESUMABLE_THRESHOLD
+        ? uploadFileResumable
+        : uploadFileToBackend;
+      const result = await upload(file, {
+        signer: options.signer,
+        name: options.name,
+        metadata: options.keyvalues,
+        sha256: options.sha256,
+        onProgress: options.onProgress
+      });
+      return { cid: result.pieceCid, size: result.size, pieceCid: result.pieceCid, datasetId: result.datasetId };
+    },
+
+    async uploadJSON(data, options = {}) {
+      const result = await uploadJSONToBackend(data, {
+        signer: options.signer,
+        name: options.name,
+        onProgress: options.onProgress
+      });
+      return { cid: result.pieceCid, size: result.size, pieceCid: result.pieceCid, datasetId: result.datasetId };
+    },
+
+    get: downloadFromBackend
+  };
+}
+
+/**
+ * CIDv1 (codec raw, sha2-256) en base32, calculado localmente
+ */
+async function computeRawCID(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const cidBytes = new Uint8Array([0x01, 0x55, 0x12, 0x20, ...digest]);
+
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  let output = 'b';
+  for (const byte of cidBytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Proveedor en memoria (tests y desarrollo sin red)
+ * El contenido solo vive mientras dure la página
+ * @returns {StorageProvider}
+ */
+export function createMemoryProvider() {
+  const store = new Map();
+
+  async function put(bytes, type) {
+    const cid = await computeRawCID(bytes);
+    store.set(cid, new Blob([bytes], { type }));
+    return { cid, size: bytes.length };
+  }
+
+  return {
+    name: 'memory',
+
+    async uploadFile(file, options = {}) {
+      const bytes = await toBytes(file);
+      options.onProgress?.(bytes.length, bytes.length);
+      return put(bytes, file.type || 'application/octet-stream');
+    },
+
+    async uploadJSON(data) {
+      return put(new TextEncoder().encode(JSON.stringify(data)), 'application/json');
+    },
+
+    async get(cid) {
+      return store.get(cid) || null;
+    }
+  };
+}
+
+// Factories por nombre
+export const STORAGE_PROVIDERS = {
+  kubo: createKuboProvider,
+  pinata: createPinataProvider,
+  backend: createBackendProvider,
+  memory: createMemoryProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Obtener el proveedor activo (se crea según VITE_STORAGE_PROVIDER la primera vez)
+ * @returns {StorageProvider}
+ */
+export function getStorageProvider() {
+  if (!activeProvider) {
+    const name = import.meta.env.VITE_STORAGE_PROVIDER || 'kubo';
+    const factory = STORAGE_PROVIDERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown storage provider "${name}". Use one of: ${Object.keys(STORAGE_PROVIDERS).join(', ')}`
+      );
+    }
+    activeProvider = factory();
+    console.log(`✅ Storage provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Reemplazar el proveedor activo (útil en tests)
+ * @param {StorageProvider} provider
+ */
+export function setStorageProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Subir archivo con el proveedor activo
+ * @param {File|Blob} file
+ * @param {UploadOptions} options
+ * @returns {Promise<UploadResult>}
+ */
+export async function uploadFile(file, options = {}) {
+  return getStorageProvider().uploadFile(file, options);
+}
+
+/**
+ * Subir JSON con el proveedor activo
+ * @param {Object} data
+ * @param {UploadOptions} options
+ * @returns {Promise<UploadResult>}
+ */
+export async function uploadJSON(data, options = {}) {
+  return getStorageProvider().uploadJSON(data, options);
+}
+
+/**
+ * Detectar Piece CIDs de Filecoin (v1 baga6ea4sea..., v2 bafkzcib...)
+ * Los gateways IPFS no los resuelven, hay que pedirlos al backend
+ * @param {string} cid
+ * @returns {boolean}
+ */
+export function isPieceCid(cid) {
+  return /^(baga6ea4sea|bafkzcib)/.test(cid);
+}
+
+/**
+ * Pedir un CID a la vez a Helia y a los gateways públicos: gana el primero
+ * que lo tenga entero y se cancela el otro. Sin red P2P, solo gateways
+ * @param {string} cid
+ * @returns {Promise<Blob>}
+ */
+async function downloadFromNetwork(cid) {
+  if (!isP2PEnabled()) {
+    return downloadFromIPFS(cid);
+  }
+
+  const controller = new AbortController();
+  const fromHelia = (async () => {
+    const chunks = [];
+    for await (const chunk of catVerified(cid, { signal: controller.signal })) {
+      chunks.push(chunk);
+    }
+    console.log('✅ File downloaded from IPFS peers:', cid);
+    return new Blob(chunks);
+  })();
+
+  try {
+    return await Promise.any([fromHelia, downloadFromIPFS(cid, { signal: controller.signal })]);
+  } catch (error) {
+    // Si fallan los dos, el error de los gateways es el más informativo
+    throw error.errors?.[1] ?? error;
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Descargar contenido: primero del proveedor activo, luego de la red IPFS
+ * Los Piece CIDs se piden al backend aunque el proveedor activo sea otro
+ * @param {string} cid
+ * @returns {Promise<Blob>}
+ */
+export async function downloadFile(cid) {
+  const provider = getStorageProvider();
+  if (provider.get) {
+    try {
+      const blob = await provider.get(cid);
+      if (blob) {
+        return blob;
+      }
+    } catch (error) {
+      console.warn(`⚠️ ${provider.name} could not serve ${cid}, trying the IPFS network:`, error.message);
+    }
+  }
+
+  if (isPieceCid(cid)) {
+    if (provider.name !== 'backend') {
+      const blob = await downloadFromBackend(cid);
+      if (blob) {
+        return blob;
+      }
+    }
+    throw new Error(`Piece CID ${cid} is not available from the backend`);
+  }
+
+  return downloadFromNetwork(cid);
+}
+
+/**
+ * Descargar y parsear JSON
+ * @param {string} cid
+ * @returns {Promise<Object>}
+ */
+export async function downloadJSON(cid) {
+  const blob = await downloadFile(cid);
+  return JSON.parse(await blob.text());
+}
+
+export default {
+  createKuboProvider,
+  createPinataProvider,
+  createBackendProvider,
+  createMemoryProvider,
+  STORAGE_PROVIDERS,
+  getStorageProvider,
+  setStorageProvider,
+  isPieceCid,
+  uploadFile,
+  uploadJSON,
+  downloadFile,
+  downloadJSON
+};
@@ -24,4 +24,28 @@ if (workbox) {
     ({url}) => url.pathname.startsWith('/api/'),
     new workbox.strategies.StaleWhileRevalidate({ cacheName: 'api-cache' })
   )
+
+  // Navegaciones (deep links como /app/:slug) - SPA fallback
+  // Todas las rutas sirven el mismo index.html, así que se guardan bajo una sola
+  // clave: cualquier página visitada online permite abrir cualquier otra offline.
+  workbox.routing.registerRoute(
+    new workbox.routing.NavigationRoute(
+      new workbox.strategies.NetworkFirst({
+        cacheName: 'pages',
+        networkTimeoutSeconds: 3,
+        plugins: [{ cacheKeyWillBeUsed: async () => '/index.html' }]
+      }),
+      // Rutas del backend, gateways IPFS y ficheros (/sw.js, /manifest.webmanifest...)
+      { denylist: [/^\/api\//, /^\/ipfs\//, /\/[^/]+\.[^/]+$/] }
+    )
+  )
+
+  // Sin red ni página en caché: index.html del precache (si el build lo incluye)
+  workbox.routing.setCatchHandler(async ({ request }) => {
+    if (request.mode === 'navigate') {
+      const fallback = await workbox.precaching.matchPrecache('/index.html')
+      if (fallback) return fallback
+    }
+    return Response.error()
+  })
 }
@@ -0,0 +1,743 @@
+/**
+ * Parser de APKs en el navegador
+ * Lee el ZIP, decodifica el AndroidManifest.xml binario (AXML) y resuelve
+ * las referencias a recursos contra resources.arsc (label e icono)
+ * También extrae los certificados de firma (esquemas v1, v2 y v3)
+ */
+
+import { calculateSHA256 } from '../services/ipfs.js';
+
+// Firmas del formato ZIP
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+// Tipos de chunk del formato binario de recursos de Android
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_TABLE_TYPE = 0x0002;
+const RES_XML_TYPE = 0x0003;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const RES_XML_END_ELEMENT_TYPE = 0x0103;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+const RES_TABLE_PACKAGE_TYPE = 0x0200;
+const RES_TABLE_TYPE_TYPE = 0x0201;
+
+// Flags de ResTable_type / ResTable_entry
+const TYPE_FLAG_SPARSE = 0x01;
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+const NO_ENTRY = 0xffffffff;
+
+// APK Signing Block (esquemas v2/v3), situado justo antes del directorio central
+const APK_SIG_BLOCK_MAGIC = 'APK Sig Block 42';
+const APK_SIGNATURE_SCHEME_V2_ID = 0x7109871a;
+const APK_SIGNATURE_SCHEME_V3_ID = 0xf05368c0;
+
+// Archivo de firma PKCS#7 del esquema v1 (JAR signing)
+const V1_SIGNATURE_FILE = /^META-INF\/[^/]+\.(RSA|DSA|EC)$/i;
+
+// Tipos de Res_value
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+const TYPE_INT_BOOLEAN = 0x12;
+
+// IDs de los atributos android:* que nos interesan (android.R.attr)
+const ATTR = {
+  label: 0x01010001,
+  icon: 0x01010002,
+  name: 0x01010003,
+  drawable: 0x01010199,
+  minSdkVersion: 0x0101020c,
+  versionCode: 0x0101021b,
+  versionName: 0x0101021c,
+  targetSdkVersion: 0x01010270
+};
+
+// Densidades especiales de ResTable_config
+const DENSITY_ANY = 0xfffe;
+const DENSITY_NONE = 0xffff;
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+const utf8Decoder = new TextDecoder('utf-8');
+const utf16Decoder = new TextDecoder('utf-16le');
+
+/**
+ * Leer un rango de bytes de un File/Blob sin cargar el archivo completo
+ */
+async function readBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+function dataViewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Leer el directorio central del ZIP
+ * @param {File|Blob} file - Archivo APK
+ * @returns {Promise<{entries: Map<string, Object>, centralDirectoryOffset: number}>}
+ */
+export async function readZipDirectory(file) {
+  // El EOCD ocupa 22 bytes más un comentario opcional de hasta 64KB
+  const tailSize = Math.min(file.size, 22 + 0xffff);
+  const tail = await readBytes(file, file.size - tailSize, file.size);
+  const tailView = dataViewOf(tail);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Invalid APK: ZIP end of central directory not found');
+  }
+
+  const entryCount = tailView.getUint16(eocd + 10, true);
+  const centralDirectorySize = tailView.getUint32(eocd + 12, true);
+  const centralDirectoryOffset = tailView.getUint32(eocd + 16, true);
+
+  if (centralDirectoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 APKs are not supported');
+  }
+
+  const directory = await readBytes(
+    file,
+    centralDirectoryOffset,
+    centralDirectoryOffset + centralDirectorySize
+  );
+  const view = dataViewOf(directory);
+  const entries = new Map();
+
+  let p = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(p, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Invalid APK: corrupt ZIP central directory');
+    }
+
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const name = utf8Decoder.decode(directory.subarray(p + 46, p + 46 + nameLength));
+
+    entries.set(name, {
+      name,
+      method: view.getUint16(p + 10, true),
+      compressedSize: view.getUint32(p + 20, true),
+      size: view.getUint32(p + 24, true),
+      localOffset: view.getUint32(p + 42, true)
+    });
+
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { entries, centralDirectoryOffset };
+}
+
+/**
+ * Extraer el contenido de una entrada del ZIP
+ * @param {File|Blob} file - Archivo APK
+ * @param {Object} entry - Entrada devuelta por readZipDirectory
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(file, entry) {
+  const header = await readBytes(file, entry.localOffset, entry.localOffset + 30);
+  const view = dataViewOf(header);
+
+  if (view.getUint32(0, true) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`Invalid APK: corrupt ZIP entry ${entry.name}`);
+  }
+
+  const dataStart = entry.localOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+  // 0 = stored, 8 = deflate
+  if (entry.method === 0) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+
+  if (entry.method === 8) {
+    const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method} (${entry.name})`);
+}
+
+/**
+ * Decodificar un ResStringPool (UTF-8 o UTF-16)
+ */
+function parseStringPool(view, start) {
+  const headerSize = view.getUint16(start + 2, true);
+  const stringCount = view.getUint32(start + 8, true);
+  const flags = view.getUint32(start + 16, true);
+  const stringsStart = view.getUint32(start + 20, true);
+  const isUtf8 = (flags & 0x100) !== 0;
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  const strings = new Array(stringCount);
+
+  for (let i = 0; i < stringCount; i++) {
+    let p = start + stringsStart + view.getUint32(start + headerSize + i * 4, true);
+
+    if (isUtf8) {
+      // Longitud en caracteres UTF-16 (se ignora) seguida de la longitud en bytes
+      p += (bytes[p] & 0x80) ? 2 : 1;
+      let length = bytes[p];
+      if (length & 0x80) {
+        length = ((length & 0x7f) << 8) | bytes[p + 1];
+        p += 2;
+      } else {
+        p += 1;
+      }
+      strings[i] = utf8Decoder.decode(bytes.subarray(p, p + length));
+    } else {
+      let length = view.getUint16(p, true);
+      if (length & 0x8000) {
+        length = ((length & 0x7fff) << 16) | view.getUint16(p + 2, true);
+        p += 4;
+      } else {
+        p += 2;
+      }
+      strings[i] = utf16Decoder.decode(bytes.subarray(p, p + length * 2));
+    }
+  }
+
+  return strings;
+}
+
+/**
+ * Decodificar un XML binario de Android (AXML)
+ * @param {Uint8Array} bytes - Contenido del XML compilado
+ * @returns {{root: Object, strings: string[]}} - Árbol de elementos {name, attributes, children}
+ */
+export function parseBinaryXml(bytes) {
+  const view = dataViewOf(bytes);
+
+  if (view.byteLength < 8 || view.getUint16(0, true) !== RES_XML_TYPE) {
+    throw new Error('Not a compiled Android XML document');
+  }
+
+  let strings = [];
+  let resourceIds = [];
+  const root = { name: '#document', attributes: [], children: [] };
+  const stack = [root];
+
+  let offset = view.getUint16(2, true);
+  while (offset + 8 <= view.byteLength) {
+    const type = view.getUint16(offset, true);
+    const headerSize = view.getUint16(offset + 2, true);
+    const size = view.getUint32(offset + 4, true);
+    if (size === 0) break;
+
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = parseStringPool(view, offset);
+    } else if (type === RES_XML_RESOURCE_MAP_TYPE) {
+      // Mapea índices del string pool a IDs de atributos (android.R.attr)
+      resourceIds = [];
+      for (let p = offset + headerSize; p < offset + size; p += 4) {
+        resourceIds.push(view.getUint32(p, true));
+      }
+    } else if (type === RES_XML_START_ELEMENT_TYPE) {
+      const ext = offset + headerSize;
+      const attributeStart = view.getUint16(ext + 8, true);
+      const attributeSize = view.getUint16(ext + 10, true);
+      const attributeCount = view.getUint16(ext + 12, true);
+      const attributes = [];
+
+      for (let i = 0; i < attributeCount; i++) {
+        const a = ext + attributeStart + i * attributeSize;
+        const nameIndex = view.getUint32(a + 4, true);
+        const rawIndex = view.getUint32(a + 8, true);
+
+        attributes.push({
+          name: strings[nameIndex] || '',
+          resourceId: resourceIds[nameIndex] || 0,
+          raw: rawIndex !== NO_ENTRY ? strings[rawIndex] : null,
+          type: view.getUint8(a + 15),
+          data: view.getUint32(a + 16, true)
+        });
+      }
+
+      const element = {
+        name: strings[view.getUint32(ext + 4, true)],
+        attributes,
+        children: []
+      };
+      stack[stack.length - 1].children.push(element);
+      stack.push(element);
+    } else if (type === RES_XML_END_ELEMENT_TYPE && stack.length > 1) {
+      stack.pop();
+    }
+
+    offset += size;
+  }
+
+  return { root, strings };
+}
+
+/**
+ * Leer los tipos de un paquete de resources.arsc
+ */
+function parseTablePackage(view, start, values) {
+  const headerSize = view.getUint16(start + 2, true);
+  const size = view.getUint32(start + 4, true);
+  const packageId = view.getUint32(start + 8, true);
+
+  let offset = start + headerSize;
+  while (offset + 8 <= start + size) {
+    const type = view.getUint16(offset, true);
+    const chunkHeaderSize = view.getUint16(offset + 2, true);
+    const chunkSize = view.getUint32(offset + 4, true);
+    if (chunkSize === 0) break;
+
+    if (type === RES_TABLE_TYPE_TYPE) {
+      const typeId = view.getUint8(offset + 8);
+      const flags = view.getUint8(offset + 9);
+      const entryCount = view.getUint32(offset + 12, true);
+      const entriesStart = view.getUint32(offset + 16, true);
+
+      // ResTable_config: language (char[2]) en +8, density en +14
+      const config = {
+        language: view.getUint16(offset + 20 + 8, true),
+        density: view.getUint16(offset + 20 + 14, true)
+      };
+
+      for (let i = 0; i < entryCount; i++) {
+        const indexPos = offset + chunkHeaderSize + i * 4;
+        let entryIndex = i;
+        let entryOffset;
+
+        if (flags & TYPE_FLAG_SPARSE) {
+          entryIndex = view.getUint16(indexPos, true);
+          entryOffset = view.getUint16(indexPos + 2, true) * 4;
+        } else {
+          entryOffset = view.getUint32(indexPos, true);
+          if (entryOffset === NO_ENTRY) continue;
+        }
+
+        const e = offset + entriesStart + entryOffset;
+        const entryFlags = view.getUint16(e + 2, true);
+        let valueType;
+        let valueData;
+
+        if (entryFlags & ENTRY_FLAG_COMPACT) {
+          valueType = entryFlags >> 8;
+          valueData = view.getUint32(e + 4, true);
+        } else if (entryFlags & ENTRY_FLAG_COMPLEX) {
+          // Estilos, arrays y plurales: no los necesitamos
+          continue;
+        } else {
+          const entrySize = view.getUint16(e, true);
+          valueType = view.getUint8(e + entrySize + 3);
+          valueData = view.getUint32(e + entrySize + 4, true);
+        }
+
+        const resId = ((packageId << 24) | (typeId << 16) | entryIndex) >>> 0;
+        if (!values.has(resId)) values.set(resId, []);
+        values.get(resId).push({ config, type: valueType, data: valueData });
+      }
+    }
+
+    offset += chunkSize;
+  }
+}
+
+/**
+ * Decodificar resources.arsc
+ * @param {Uint8Array} bytes - Contenido de resources.arsc
+ * @returns {{resolveString: Function, resolveFiles: Function}}
+ */
+export function parseResourceTable(bytes) {
+  const view = dataViewOf(bytes);
+
+  if (view.byteLength < 12 || view.getUint16(0, true) !== RES_TABLE_TYPE) {
+    throw new Error('Invalid resources.arsc');
+  }
+
+  let strings = [];
+  const values = new Map();
+
+  let offset = view.getUint16(2, true);
+  while (offset + 8 <= view.byteLength) {
+    const type = view.getUint16(offset, true);
+    const size = view.getUint32(offset + 4, true);
+    if (size === 0) break;
+
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = parseStringPool(view, offset);
+    } else if (type === RES_TABLE_PACKAGE_TYPE) {
+      parseTablePackage(view, offset, values);
+    }
+
+    offset += size;
+  }
+
+  // Resolver un ID a sus valores finales, siguiendo referencias
+  const resolve = (resId, depth = 0) => {
+    const out = [];
+    for (const value of values.get(resId) || []) {
+      if (value.type === TYPE_REFERENCE && depth < 8) {
+        out.push(...resolve(value.data, depth + 1));
+      } else {
+        out.push(value);
+      }
+    }
+    return out;
+  };
+
+  return {
+    /**
+     * Valor string de un recurso, priorizando la configuración por defecto
+     */
+    resolveString(resId) {
+      const candidates = resolve(resId).filter(v => v.type === TYPE_STRING);
+      const preferred = candidates.find(v => v.config.language === 0) || candidates[0];
+      return preferred ? strings[preferred.data] : null;
+    },
+
+    /**
+     * Rutas de archivo de un recurso (drawables/mipmaps) con su densidad
+     */
+    resolveFiles(resId) {
+      return resolve(resId)
+        .filter(v => v.type === TYPE_STRING)
+        .map(v => ({ path: strings[v.data], density: v.config.density }));
+    }
+  };
+}
+
+/**
+ * Buscar un atributo por ID de recurso (robusto frente a APKs ofuscados) o por nombre
+ */
+function findAttribute(element, resourceId, name) {
+  return (resourceId && element.attributes.find(a => a.resourceId === resourceId)) ||
+    element.attributes.find(a => a.name === name) ||
+    null;
+}
+
+/**
+ * Convertir el valor tipado de un atributo a un valor JS
+ */
+function attributeValue(attribute, strings, table) {
+  if (!attribute) return null;
+
+  switch (attribute.type) {
+    case TYPE_STRING:
+      return strings[attribute.data];
+    case TYPE_INT_DEC:
+    case TYPE_INT_HEX:
+      return attribute.data;
+    case TYPE_INT_BOOLEAN:
+      return attribute.data !== 0;
+    case TYPE_REFERENCE:
+      return table ? table.resolveString(attribute.data) : null;
+    default:
+      return attribute.raw;
+  }
+}
+
+/**
+ * Encontrar la activity (o activity-alias) con MAIN/LAUNCHER
+ */
+function findLauncherActivity(application, strings) {
+  const nameOf = (el) => attributeValue(findAttribute(el, ATTR.name, 'name'), strings, null);
+
+  return application.children.find(el =>
+    (el.name === 'activity' || el.name === 'activity-alias') &&
+    el.children.some(filter =>
+      filter.name === 'intent-filter' &&
+      filter.children.some(c => c.name === 'action' && nameOf(c) === 'android.intent.action.MAIN') &&
+      filter.children.some(c => c.name === 'category' && nameOf(c) === 'android.intent.category.LAUNCHER')
+    )
+  ) || null;
+}
+
+/**
+ * Ordenar candidatos de icono: primero imágenes raster, luego mayor densidad
+ */
+function rankIconFiles(files) {
+  const densityOf = (f) => (f.density === DENSITY_ANY || f.density === DENSITY_NONE ? 0 : f.density);
+  return files
+    .filter(f => f.path)
+    .sort((a, b) => {
+      const rasterA = a.path.endsWith('.xml') ? 0 : 1;
+      const rasterB = b.path.endsWith('.xml') ? 0 : 1;
+      return rasterB - rasterA || densityOf(b) - densityOf(a);
+    });
+}
+
+/**
+ * Extraer el icono del launcher como File
+ * Los adaptive icons (XML) se resuelven a su capa foreground si es raster
+ */
+async function extractIcon(file, entries, table, iconResId) {
+  if (!table || !iconResId) return null;
+
+  let candidates = rankIconFiles(table.resolveFiles(iconResId));
+
+  const best = candidates[0];
+  if (best && best.path.endsWith('.xml') && entries.has(best.path)) {
+    const { root } = parseBinaryXml(await readZipEntry(file, entries.get(best.path)));
+    const adaptive = root.children.find(c => c.name === 'adaptive-icon');
+    const foreground = adaptive?.children.find(c => c.name === 'foreground');
+    const drawable = foreground && findAttribute(foreground, ATTR.drawable, 'drawable');
+    if (drawable?.type === TYPE_REFERENCE) {
+      candidates = rankIconFiles(table.resolveFiles(drawable.data));
+    }
+  }
+
+  const raster = candidates.find(c => !c.path.endsWith('.xml') && entries.has(c.path));
+  if (!raster) return null;
+
+  const extension = raster.path.split('.').pop().toLowerCase();
+  const bytes = await readZipEntry(file, entries.get(raster.path));
+
+  return new File([bytes], `icon.${extension}`, {
+    type: IMAGE_TYPES[extension] || 'application/octet-stream'
+  });
+}
+
+/**
+ * Analizar un APK: package, versiones, SDKs, permisos, label e icono
+ * @param {File|Blob} file - Archivo APK
+ * @returns {Promise<Object>}
+ */
+export async function parseAPK(file) {
+  const { entries } = await readZipDirectory(file);
+
+  const manifestEntry = entries.get('AndroidManifest.xml');
+  if (!manifestEntry) {
+    throw new Error('Invalid APK: AndroidManifest.xml not found');
+  }
+
+  const { root, strings } = parseBinaryXml(await readZipEntry(file, manifestEntry));
+
+  const tableEntry = entries.get('resources.arsc');
+  const table = tableEntry ? parseResourceTable(await readZipEntry(file, tableEntry)) : null;
+
+  const manifest = root.children.find(c => c.name === 'manifest');
+  if (!manifest) {
+    throw new Error('Invalid APK: <manifest> element not found');
+  }
+
+  const valueOf = (el, resId, name) => el ? attributeValue(findAttribute(el, resId, name), strings, table) : null;
+
+  const usesSdk = manifest.children.find(c => c.name === 'uses-sdk');
+  const application = manifest.children.find(c => c.name === 'application');
+  const launcher = application ? findLauncherActivity(application, strings) : null;
+
+  const permissions = manifest.children
+    .filter(c => c.name === 'uses-permission' || c.name === 'uses-permission-sdk-23')
+    .map(c => valueOf(c, ATTR.name, 'name'))
+    .filter(Boolean);
+
+  // El label/icono de la activity launcher tiene prioridad sobre el de <application>
+  const label = valueOf(launcher, ATTR.label, 'label') || valueOf(application, ATTR.label, 'label');
+
+  const iconAttribute = (launcher && findAttribute(launcher, ATTR.icon, 'icon')) ||
+    (application && findAttribute(application, ATTR.icon, 'icon'));
+  const icon = iconAttribute?.type === TYPE_REFERENCE
+    ? await extractIcon(file, entries, table, iconAttribute.data)
+    : null;
+
+  const versionCode = valueOf(manifest, ATTR.versionCode, 'versionCode');
+  const minSdk = valueOf(usesSdk, ATTR.minSdkVersion, 'minSdkVersion');
+  const targetSdk = valueOf(usesSdk, ATTR.targetSdkVersion, 'targetSdkVersion');
+
+  return {
+    package: valueOf(manifest, 0, 'package'),
+    version: valueOf(manifest, ATTR.versionName, 'versionName'),
+    versionCode: versionCode !== null ? Number(versionCode) : null,
+    min_sdk: minSdk !== null ? String(minSdk) : null,
+    // Sin targetSdkVersion, Android usa el minSdkVersion
+    target_sdk: targetSdk !== null ? String(targetSdk) : (minSdk !== null ? String(minSdk) : null),
+    permissions: [...new Set(permissions)],
+    label,
+    icon
+  };
+}
+
+/**
+ * Leer los pares ID-valor del APK Signing Block
+ * @returns {Promise<Map<number, Uint8Array>|null>} - null si el APK no tiene bloque
+ */
+async function readSigningBlock(file, centralDirectoryOffset) {
+  if (centralDirectoryOffset < 32) return null;
+
+  // Footer: tamaño del bloque (uint64) + magic (16 bytes)
+  const footer = await readBytes(file, centralDirectoryOffset - 24, centralDirectoryOffset);
+  if (utf8Decoder.decode(footer.subarray(8)) !== APK_SIG_BLOCK_MAGIC) return null;
+
+  const blockSize = Number(dataViewOf(footer).getBigUint64(0, true));
+  const blockStart = centralDirectoryOffset - blockSize - 8;
+  if (blockStart < 0) {
+    throw new Error('Invalid APK: corrupt APK Signing Block');
+  }
+
+  const block = await readBytes(file, blockStart, centralDirectoryOffset);
+  const view = dataViewOf(block);
+  const pairs = new Map();
+
+  let p = 8;
+  while (p + 12 <= block.length - 24) {
+    const length = Number(view.getBigUint64(p, true));
+    pairs.set(view.getUint32(p + 8, true), block.subarray(p + 12, p + 8 + length));
+    p += 8 + length;
+  }
+
+  return pairs;
+}
+
+/**
+ * Leer un valor con prefijo de longitud (uint32 little-endian)
+ */
+function readLengthPrefixed(bytes, offset) {
+  const length = dataViewOf(bytes).getUint32(offset, true);
+  return {
+    value: bytes.subarray(offset + 4, offset + 4 + length),
+    next: offset + 4 + length
+  };
+}
+
+function readLengthPrefixedSequence(bytes) {
+  const items = [];
+  let p = 0;
+  while (p + 4 <= bytes.length) {
+    const { value, next } = readLengthPrefixed(bytes, p);
+    items.push(value);
+    p = next;
+  }
+  return items;
+}
+
+/**
+ * Certificados (DER) de un bloque v2/v3: uno por signer, el primero de cada cadena
+ * signer = signed data (digests, certificates, ...) + signatures + public key
+ */
+function certificatesFromSchemeBlock(value) {
+  const certificates = [];
+
+  for (const signer of readLengthPrefixedSequence(readLengthPrefixed(value, 0).value)) {
+    const signedData = readLengthPrefixed(signer, 0).value;
+    const digests = readLengthPrefixed(signedData, 0);
+    const [certificate] = readLengthPrefixedSequence(readLengthPrefixed(signedData, digests.next).value);
+    if (certificate) certificates.push(certificate);
+  }
+
+  return certificates;
+}
+
+/**
+ * Leer un nodo DER (tag, longitud y límites)
+ */
+function readDer(bytes, offset) {
+  let length = bytes[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0) {
+      throw new Error('Indefinite-length DER encoding is not supported');
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[offset + 2 + i];
+    }
+    headerLength += count;
+  }
+
+  return {
+    tag: bytes[offset],
+    start: offset,
+    contentStart: offset + headerLength,
+    end: offset + headerLength + length
+  };
+}
+
+function derChildren(bytes, node) {
+  const children = [];
+  let p = node.contentStart;
+  while (p < node.end) {
+    const child = readDer(bytes, p);
+    children.push(child);
+    p = child.end;
+  }
+  return children;
+}
+
+/**
+ * Certificados (DER) de un PKCS#7 SignedData del esquema v1
+ * ContentInfo { OID, [0] SignedData { version, digestAlgorithms, contentInfo, [0] certificates, ... } }
+ */
+function certificatesFromPkcs7(bytes) {
+  const contentInfo = readDer(bytes, 0);
+  const [, explicitContent] = derChildren(bytes, contentInfo);
+  if (!explicitContent) return [];
+
+  const [signedData] = derChildren(bytes, explicitContent);
+  const certificates = derChildren(bytes, signedData).find(node => node.tag === 0xa0);
+  if (!certificates) return [];
+
+  return derChildren(bytes, certificates).map(node => bytes.subarray(node.start, node.end));
+}
+
+/**
+ * Extraer los certificados de firma del APK
+ * El digest principal es el del esquema más moderno presente (v3 > v2 > v1),
+ * equivalente al "certificate SHA-256 digest" de apksigner
+ * @param {File|Blob} file - Archivo APK
+ * @returns {Promise<{sha256: string|null, scheme: string|null, digests: Object}>}
+ */
+export async function extractSigningCertificate(file) {
+  const { entries, centralDirectoryOffset } = await readZipDirectory(file);
+  const certificates = { v1: [], v2: [], v3: [] };
+
+  const pairs = await readSigningBlock(file, centralDirectoryOffset);
+  if (pairs?.has(APK_SIGNATURE_SCHEME_V2_ID)) {
+    certificates.v2 = certificatesFromSchemeBlock(pairs.get(APK_SIGNATURE_SCHEME_V2_ID));
+  }
+  if (pairs?.has(APK_SIGNATURE_SCHEME_V3_ID)) {
+    certificates.v3 = certificatesFromSchemeBlock(pairs.get(APK_SIGNATURE_SCHEME_V3_ID));
+  }
+
+  const v1Entry = [...entries.values()].find(entry => V1_SIGNATURE_FILE.test(entry.name));
+  if (v1Entry) {
+    try {
+      certificates.v1 = certificatesFromPkcs7(await readZipEntry(file, v1Entry));
+    } catch (error) {
+      console.warn('⚠️ Could not read v1 signature:', error.message);
+    }
+  }
+
+  const digests = {};
+  for (const scheme of Object.keys(certificates)) {
+    digests[scheme] = await Promise.all(certificates[scheme].map(cert => calculateSHA256(cert)));
+  }
+
+  const scheme = ['v3', 'v2', 'v1'].find(s => digests[s].length > 0) || null;
+
+  return {
+    sha256: scheme ? digests[scheme][0] : null,
+    scheme,
+    digests
+  };
+}
+
+export default {
+  readZipDirectory,
+  readZipEntry,
+  parseBinaryXml,
+  parseResourceTable,
+  parseAPK,
+  extractSigningCertificate
+};
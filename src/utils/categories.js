@@ -0,0 +1,65 @@
+/**
+ * Taxonomía de categorías del store
+ * Única lista válida para el campo categories de los manifests: la usan
+ * validateManifest, el formulario de publicación, los filtros y los iconos.
+ * El subgraph (subgraph/src/mapping.ts, CATEGORY_IDS) repite las ids y
+ * descarta las que no conoce: si se añade una aquí, hay que añadirla allí.
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string} id - Slug que se guarda en el manifest
+ * @property {string} name - Nombre para mostrar
+ * @property {string} icon - Emoji
+ * @property {string} color - Clases Tailwind del degradado (AppIcon)
+ */
+
+/** @type {Category[]} */
+export const CATEGORIES = [
+  { id: 'games', name: 'Games', icon: '🎮', color: 'from-purple-500 to-pink-500' },
+  { id: 'social', name: 'Social', icon: '💬', color: 'from-blue-500 to-cyan-500' },
+  { id: 'finance', name: 'Finance', icon: '💰', color: 'from-green-500 to-emerald-500' },
+  { id: 'productivity', name: 'Productivity', icon: '📊', color: 'from-orange-500 to-yellow-500' },
+  { id: 'tools', name: 'Tools', icon: '🔧', color: 'from-gray-500 to-slate-500' },
+  { id: 'entertainment', name: 'Entertainment', icon: '🎬', color: 'from-red-500 to-pink-500' },
+  { id: 'education', name: 'Education', icon: '🎓', color: 'from-sky-500 to-indigo-500' },
+  { id: 'multimedia', name: 'Multimedia', icon: '🎵', color: 'from-fuchsia-500 to-purple-500' },
+  { id: 'navigation', name: 'Navigation', icon: '🧭', color: 'from-teal-500 to-cyan-500' },
+  { id: 'security', name: 'Security', icon: '🔒', color: 'from-slate-600 to-gray-800' },
+  { id: 'health', name: 'Health', icon: '❤️', color: 'from-rose-500 to-red-500' },
+  { id: 'development', name: 'Development', icon: '💻', color: 'from-zinc-600 to-neutral-800' }
+];
+
+// Máximo de categorías por manifest (maxItems en manifest.schema.json)
+export const MAX_CATEGORIES = 5;
+
+// Para apps sin categoría o con una que no está en la taxonomía
+export const DEFAULT_CATEGORY = { id: 'other', name: 'Other', icon: '📱', color: 'from-indigo-500 to-purple-500' };
+
+const CATEGORIES_BY_ID = new Map(CATEGORIES.map((category) => [category.id, category]));
+
+/**
+ * Comprobar si una id pertenece a la taxonomía
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isKnownCategory(id) {
+  return CATEGORIES_BY_ID.has(id);
+}
+
+/**
+ * Categoría por id (DEFAULT_CATEGORY si no existe)
+ * @param {string} [id]
+ * @returns {Category}
+ */
+export function getCategory(id) {
+  return CATEGORIES_BY_ID.get(id) || DEFAULT_CATEGORY;
+}
+
+export default {
+  CATEGORIES,
+  MAX_CATEGORIES,
+  DEFAULT_CATEGORY,
+  isKnownCategory,
+  getCategory
+};
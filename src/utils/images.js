@@ -0,0 +1,151 @@
+/**
+ * Utilidades para preparar las imágenes de la ficha de una app
+ * (screenshots y feature graphic) antes de subirlas: comprueba tipo y
+ * dimensiones, las re-codifica a WebP y genera una miniatura
+ */
+
+// Formatos de entrada aceptados (la salida siempre es WebP)
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Tamaño máximo del fichero original
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// Máximo de screenshots por manifest (maxItems en manifest.schema.json)
+export const MAX_SCREENSHOTS = 8;
+
+/**
+ * Reglas de dimensiones por tipo de imagen (las mismas que Google Play)
+ * screenshot: lados entre 320 y 3840 px, el largo como mucho el doble del corto
+ * feature_graphic: exactamente 1024x500
+ */
+export const IMAGE_RULES = {
+  screenshot: { minSide: 320, maxSide: 3840, maxAspectRatio: 2, thumbnailSide: 480 },
+  feature_graphic: { width: 1024, height: 500, thumbnailSide: 512 }
+};
+
+const WEBP_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+
+/**
+ * Comprobar las dimensiones de una imagen
+ * @param {number} width
+ * @param {number} height
+ * @param {'screenshot'|'feature_graphic'} kind
+ * @returns {string|null} - Mensaje de error, o null si son válidas
+ */
+export function checkImageDimensions(width, height, kind) {
+  const rules = IMAGE_RULES[kind];
+  if (!rules) {
+    throw new Error(`Unknown image kind: ${kind}`);
+  }
+
+  if (rules.width) {
+    return width === rules.width && height === rules.height
+      ? null
+      : `must be exactly ${rules.width}x${rules.height} px (got ${width}x${height})`;
+  }
+
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  if (shortSide < rules.minSide) {
+    return `must be at least ${rules.minSide} px on each side (got ${width}x${height})`;
+  }
+  if (longSide > rules.maxSide) {
+    return `must be at most ${rules.maxSide} px on each side (got ${width}x${height})`;
+  }
+  if (longSide > shortSide * rules.maxAspectRatio) {
+    return `the long side can be at most ${rules.maxAspectRatio}x the short side (got ${width}x${height})`;
+  }
+  return null;
+}
+
+/**
+ * Dibujar un bitmap escalado y codificarlo a WebP
+ * Los navegadores que no saben codificar WebP devuelven PNG: eso se trata como error
+ */
+async function encodeWebP(bitmap, width, height, quality) {
+  let blob;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    blob = await canvas.convertToBlob({ type: 'image/webp', quality });
+  } else {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/webp', quality));
+  }
+
+  if (!blob || blob.type !== 'image/webp') {
+    throw new Error('This browser cannot encode WebP images');
+  }
+  return blob;
+}
+
+/**
+ * @typedef {Object} ProcessedImage
+ * @property {File} image - Imagen re-codificada a WebP (mismas dimensiones)
+ * @property {File} thumbnail - Miniatura WebP
+ * @property {number} width
+ * @property {number} height
+ * @property {string} mime_type - 'image/webp'
+ */
+
+/**
+ * Validar una imagen y prepararla para subir
+ * @param {File} file - Imagen elegida por el publisher
+ * @param {'screenshot'|'feature_graphic'} kind
+ * @returns {Promise<ProcessedImage>}
+ * @throws {Error} si el tipo, el tamaño o las dimensiones no son válidos
+ */
+export async function processImage(file, kind) {
+  if (!IMAGE_TYPES.includes(file.type)) {
+    throw new Error('must be a PNG, JPEG or WebP image');
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    throw new Error(`must be smaller than ${MAX_IMAGE_SIZE / 1024 / 1024} MB`);
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error('could not be decoded');
+  }
+
+  try {
+    const { width, height } = bitmap;
+    const dimensionError = checkImageDimensions(width, height, kind);
+    if (dimensionError) {
+      throw new Error(dimensionError);
+    }
+
+    const scale = Math.min(1, IMAGE_RULES[kind].thumbnailSide / Math.max(width, height));
+    const thumbWidth = Math.round(width * scale);
+    const thumbHeight = Math.round(height * scale);
+
+    const imageBlob = await encodeWebP(bitmap, width, height, WEBP_QUALITY);
+    const thumbnailBlob = await encodeWebP(bitmap, thumbWidth, thumbHeight, THUMBNAIL_QUALITY);
+
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    return {
+      image: new File([imageBlob], `${baseName}.webp`, { type: 'image/webp' }),
+      thumbnail: new File([thumbnailBlob], `${baseName}-thumb.webp`, { type: 'image/webp' }),
+      width,
+      height,
+      mime_type: 'image/webp'
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+export default {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_SCREENSHOTS,
+  IMAGE_RULES,
+  checkImageDimensions,
+  processImage
+};
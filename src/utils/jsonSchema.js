@@ -0,0 +1,196 @@
+/**
+ * Validador mínimo de JSON Schema (draft 2020-12)
+ * Solo implementa las palabras clave que usan los schemas de este repo:
+ * type, const, enum, required, properties, patternProperties,
+ * additionalProperties, items, minItems, maxItems, uniqueItems,
+ * minLength, maxLength, pattern, format (uri, date-time), minimum,
+ * maximum, anyOf y $ref locales (#/$defs/...)
+ */
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - JSON Pointer del valor inválido ('' es la raíz)
+ * @property {string} message - Descripción del error
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Escapar segmentos de JSON Pointer (RFC 6901)
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+const FORMATS = {
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  },
+  'date-time': (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+    !Number.isNaN(Date.parse(value))
+};
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(value, schema, path, root, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((branch) => {
+      const branchErrors = [];
+      validateNode(value, branch, path, root, branchErrors);
+      return branchErrors;
+    });
+    if (!branches.some((branchErrors) => branchErrors.length === 0)) {
+      // El error de la primera alternativa suele ser el más útil
+      errors.push(...branches[0]);
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          errors.push({ path: pointer(path, index), message: 'must not be a duplicate' });
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, pointer(path, index), root, errors));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: pointer(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      let matched = false;
+
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        validateNode(child, schema.properties[key], pointer(path, key), root, errors);
+      }
+
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern, 'u').test(key)) {
+          matched = true;
+          validateNode(child, patternSchema, pointer(path, key), root, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: pointer(path, key), message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          validateNode(child, schema.additionalProperties, pointer(path, key), root, errors);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validar un valor contra un JSON Schema
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - JSON Schema
+ * @returns {{valid: boolean, errors: SchemaError[]}}
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', schema, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Formatear un error como "ruta: mensaje"
+ * @param {SchemaError} error
+ * @returns {string}
+ */
+export function formatSchemaError(error) {
+  return `${error.path || '/'}: ${error.message}`;
+}
+
+export default {
+  validateSchema,
+  formatSchemaError
+};
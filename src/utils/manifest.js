@@ -2,22 +2,38 @@
  * Utilidades para crear, validar y firmar manifests de apps
  */
 
+import { ethers } from 'ethers';
 import { calculateSHA256 } from '../services/ipfs.js';
+import { isValidContractSignature } from '../services/safe.js';
+import { parseAPK, extractSigningCertificate } from './apk.js';
+import { validateSchema, formatSchemaError } from './jsonSchema.js';
+import manifestSchema from './manifest.schema.json';
+import { isKnownCategory } from './categories.js';
+
+// Versión actual del formato (ver manifest.schema.json)
+export const MANIFEST_VERSION = 2;
+export const DEFAULT_LOCALE = 'en';
 
 /**
- * Estructura de un manifest de app
+ * Estructura de un manifest de app (formato v2)
  * @typedef {Object} AppManifest
+ * @property {number} manifest_version - Versión del formato (2)
  * @property {string} name - Nombre de la app
  * @property {string} slug - Identificador único
  * @property {string} package - Package name (com.example.app)
- * @property {string} version - Versión semántica (1.0.0)
+ * @property {string} version - versionName de Android (1.0.0, 2.1-beta...)
  * @property {number} versionCode - Código de versión numérico
- * @property {string} description - Descripción
+ * @property {string} default_locale - Idioma de description (BCP 47)
+ * @property {string} description - Descripción en default_locale
+ * @property {Object<string, string>} localized_descriptions - Descripción por idioma (es-ES, fr...)
+ * @property {string} changelog - Novedades de esta versión
  * @property {string} apk_cid - CID del APK en IPFS
  * @property {string} apk_sha256 - Hash SHA-256 del APK
  * @property {number} apk_size - Tamaño del APK en bytes
+ * @property {string} signing_cert_sha256 - SHA-256 del certificado de firma del APK
  * @property {string} icon_cid - CID del icono en IPFS
- * @property {string[]} screenshots_cids - CIDs de screenshots
+ * @property {ManifestImage[]} screenshots - Screenshots
+ * @property {ManifestImage|null} feature_graphic - Banner de 1024x500 (null si no hay)
  * @property {string[]} permissions - Permisos de Android
  * @property {string} min_sdk - Versión mínima de Android
  * @property {string} target_sdk - Versión target de Android
@@ -26,11 +42,21 @@ import { calculateSHA256 } from '../services/ipfs.js';
  * @property {string} website - Website de la app
  * @property {string} source_code - URL del código fuente
  * @property {string} license - Licencia (MIT, GPL, etc)
- * @property {string[]} categories - Categorías
+ * @property {string[]} categories - Categorías (ids de la taxonomía, ver categories.js)
  * @property {string} created_at - Timestamp ISO
  * @property {string} signature - Firma EIP-712 del manifest
  */
 
+/**
+ * Imagen de la ficha (screenshot o feature graphic), ver images.js
+ * @typedef {Object} ManifestImage
+ * @property {string} cid - CID de la imagen (WebP)
+ * @property {string} [thumbnail_cid] - CID de la miniatura
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [mime_type]
+ */
+
 /**
  * Crear un manifest básico
  * @param {Object} appData - Datos de la app
@@ -39,27 +65,34 @@ import { calculateSHA256 } from '../services/ipfs.js';
  */
 export function createManifest(appData, apkInfo) {
   const manifest = {
+    manifest_version: MANIFEST_VERSION,
+
     // Información básica
     name: appData.name,
     slug: appData.slug,
     package: appData.package,
     version: appData.version,
-    versionCode: appData.versionCode,
+    versionCode: Number(appData.versionCode),
+    default_locale: appData.default_locale || DEFAULT_LOCALE,
     description: appData.description || '',
+    localized_descriptions: appData.localized_descriptions || {},
+    changelog: appData.changelog || '',
 
     // APK
     apk_cid: apkInfo.cid,
     apk_sha256: apkInfo.sha256,
     apk_size: apkInfo.size,
+    signing_cert_sha256: apkInfo.signing_cert_sha256 || '',
 
     // Assets
     icon_cid: appData.icon_cid || '',
-    screenshots_cids: appData.screenshots_cids || [],
+    screenshots: appData.screenshots || [],
+    feature_graphic: appData.feature_graphic || null,
 
     // Permisos y compatibilidad
     permissions: appData.permissions || [],
-    min_sdk: appData.min_sdk || '21',
-    target_sdk: appData.target_sdk || '34',
+    min_sdk: String(appData.min_sdk || '21'),
+    target_sdk: String(appData.target_sdk || '34'),
 
     // Publisher
     publisher: appData.publisher,
@@ -82,93 +115,147 @@ export function createManifest(appData, apkInfo) {
 }
 
 /**
- * Validar estructura de manifest
+ * Validar un manifest contra manifest.schema.json y la taxonomía de categorías
+ * Los manifests antiguos hay que pasarlos antes por migrateManifest
  * @param {Object} manifest - Manifest a validar
- * @returns {{valid: boolean, errors: string[]}}
+ * @param {Object} [options]
+ * @param {{slug: string, signingCertSha256: string}|null} [options.packageClaim] - Quién ha
+ *   reclamado on-chain el package del manifest (getPackageClaim); sin él no se comprueba
+ * @returns {{valid: boolean, errors: string[], details: import('./jsonSchema.js').SchemaError[]}}
+ *   errors: mensajes "ruta: error" (ej: "/screenshots/0/cid: must match pattern ...")
  */
-export function validateManifest(manifest) {
-  const errors = [];
-
-  // Campos requeridos
-  const requiredFields = [
-    'name', 'slug', 'package', 'version', 'versionCode',
-    'apk_cid', 'apk_sha256', 'apk_size', 'publisher'
-  ];
-
-  for (const field of requiredFields) {
-    if (!manifest[field]) {
-      errors.push(`Missing required field: ${field}`);
+export function validateManifest(manifest, options = {}) {
+  const { errors } = validateSchema(manifest, manifestSchema);
+
+  if (options.packageClaim !== undefined) {
+    const check = checkPackageClaim(manifest, options.packageClaim);
+    if (check.status === 'claimed_by_other') {
+      errors.push({ path: '/package', message: `"${manifest.package}" is already claimed by the app "${check.claim.slug}"` });
+    } else if (check.status === 'cert_mismatch') {
+      errors.push({ path: '/signing_cert_sha256', message: `does not match the certificate registered with "${manifest.package}"` });
     }
   }
 
-  // Validar slug (solo lowercase, números y guiones)
-  if (manifest.slug && !/^[a-z0-9-]+$/.test(manifest.slug)) {
-    errors.push('Slug must contain only lowercase letters, numbers, and hyphens');
+  // El schema solo comprueba el formato del slug; la lista válida es la taxonomía
+  if (Array.isArray(manifest?.categories)) {
+    manifest.categories.forEach((category, index) => {
+      if (typeof category === 'string' && !isKnownCategory(category)) {
+        errors.push({ path: `/categories/${index}`, message: `unknown category "${category}"` });
+      }
+    });
   }
 
-  // Validar package name
-  if (manifest.package && !/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/.test(manifest.package)) {
-    errors.push('Invalid package name format (e.g., com.example.app)');
-  }
+  return {
+    valid: errors.length === 0,
+    errors: errors.map(formatSchemaError),
+    details: errors
+  };
+}
 
-  // Validar versión semántica
-  if (manifest.version && !/^\d+\.\d+\.\d+$/.test(manifest.version)) {
-    errors.push('Version must follow semantic versioning (e.g., 1.0.0)');
-  }
+/**
+ * v1 → v2: sin manifest_version, screenshots_cids, version numérica
+ * (PublisherDashboard escribía el versionCode como version) y SDKs numéricos
+ */
+function migrateV1ToV2(manifest) {
+  const { screenshots_cids: screenshotCids = [], ...rest } = manifest;
 
-  // Validar versionCode
-  if (manifest.versionCode && (!Number.isInteger(manifest.versionCode) || manifest.versionCode < 1)) {
-    errors.push('Version code must be a positive integer');
-  }
+  const categories = typeof rest.categories === 'string'
+    ? rest.categories.split(',')
+    : rest.categories || [];
 
-  // Validar CIDs
-  const cidFields = ['apk_cid', 'icon_cid'];
-  for (const field of cidFields) {
-    if (manifest[field] && !isValidCID(manifest[field])) {
-      errors.push(`Invalid CID format: ${field}`);
-    }
-  }
+  return {
+    ...rest,
+    manifest_version: 2,
+    version: String(rest.version ?? rest.versionCode ?? ''),
+    versionCode: Number(rest.versionCode),
+    apk_size: Number(rest.apk_size),
+    default_locale: rest.default_locale || DEFAULT_LOCALE,
+    description: rest.description || '',
+    localized_descriptions: rest.localized_descriptions || {},
+    changelog: Array.isArray(rest.changelog) ? rest.changelog.join('\n') : rest.changelog || '',
+    screenshots: screenshotCids.filter(Boolean).map((cid) => ({ cid })),
+    min_sdk: rest.min_sdk != null ? String(rest.min_sdk) : '21',
+    target_sdk: rest.target_sdk != null ? String(rest.target_sdk) : '34',
+    // Eran texto libre: solo se conservan las que existen en la taxonomía
+    categories: [...new Set(categories.map(generateSlug).filter(isKnownCategory))]
+  };
+}
+
+// Migraciones por versión de origen: cada una sube exactamente una versión
+const MANIFEST_MIGRATIONS = {
+  1: migrateV1ToV2
+};
+
+/**
+ * Actualizar un manifest de una versión anterior al formato actual
+ * No modifica el original. La firma se copia tal cual: hay que verificarla
+ * sobre el manifest descargado, no sobre el migrado.
+ * @param {Object} manifest - Manifest tal y como se descargó
+ * @returns {AppManifest}
+ */
+export function migrateManifest(manifest) {
+  let current = { ...manifest };
+  let version = Number(current.manifest_version) || 1;
 
-  // Validar SHA-256
-  if (manifest.apk_sha256 && !/^[a-f0-9]{64}$/.test(manifest.apk_sha256)) {
-    errors.push('Invalid SHA-256 hash format');
+  if (version > MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported manifest version ${version} (this app understands up to ${MANIFEST_VERSION})`
+    );
   }
 
-  // Validar address de Ethereum
-  if (manifest.publisher && !/^0x[a-fA-F0-9]{40}$/.test(manifest.publisher)) {
-    errors.push('Invalid Ethereum address');
+  while (version < MANIFEST_VERSION) {
+    current = MANIFEST_MIGRATIONS[version](current);
+    version = current.manifest_version;
   }
 
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+  return current;
 }
 
 /**
- * Validar CID de IPFS
+ * Descripción en el idioma preferido del usuario
+ * Busca el idioma exacto (es-ES), luego el idioma base (es); si no hay, description
+ * @param {AppManifest} manifest - Manifest migrado
+ * @param {readonly string[]} [locales] - Idiomas preferidos (por defecto navigator.languages)
+ * @returns {string}
  */
-function isValidCID(cid) {
-  if (!cid || typeof cid !== 'string') return false;
-  const cidv0Regex = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
-  const cidv1Regex = /^b[a-z2-7]{58,}$/;
-  return cidv0Regex.test(cid) || cidv1Regex.test(cid);
+export function getLocalizedDescription(manifest, locales) {
+  if (!manifest) return '';
+
+  const preferred = locales || (typeof navigator !== 'undefined' ? navigator.languages : []);
+  const localized = manifest.localized_descriptions || {};
+  const defaultLanguage = (manifest.default_locale || DEFAULT_LOCALE).split('-')[0];
+
+  for (const locale of preferred) {
+    if (localized[locale]) {
+      return localized[locale];
+    }
+
+    const language = locale.split('-')[0];
+    if (language === defaultLanguage && manifest.description) {
+      return manifest.description;
+    }
+
+    const match = Object.keys(localized).find((key) => key.split('-')[0] === language);
+    if (match) {
+      return localized[match];
+    }
+  }
+
+  return manifest.description || '';
 }
 
+// Versión de la estructura EIP-712 con la que se firman los manifests nuevos
+export const SIGNATURE_VERSION = 2;
+
 /**
- * Crear mensaje para firma EIP-712
- * @param {AppManifest} manifest - Manifest a firmar
- * @param {string} chainId - Chain ID
- * @returns {Object} - Mensaje EIP-712
+ * Tipos EIP-712 por versión
+ * v1: solo identidad y APK (permisos, SDKs, icono... se podían cambiar sin romper la firma)
+ * v2: todos los campos relevantes para la seguridad, arrays incluidos.
+ *     Quedan fuera los textos (descripciones, changelog), created_at y lo que
+ *     solo es presentación: feature_graphic y las miniaturas de los screenshots
  */
-export function createEIP712Message(manifest, chainId = 1) {
-  const domain = {
-    name: 'DApp Store',
-    version: '1',
-    chainId: chainId
-  };
-
-  const types = {
+const EIP712_TYPES = {
+  1: {
     AppManifest: [
       { name: 'name', type: 'string' },
       { name: 'slug', type: 'string' },
@@ -179,9 +266,34 @@ export function createEIP712Message(manifest, chainId = 1) {
       { name: 'apk_sha256', type: 'string' },
       { name: 'publisher', type: 'address' }
     ]
-  };
+  },
+  2: {
+    AppManifest: [
+      { name: 'name', type: 'string' },
+      { name: 'slug', type: 'string' },
+      { name: 'package', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'versionCode', type: 'uint256' },
+      { name: 'apk_cid', type: 'string' },
+      { name: 'apk_sha256', type: 'string' },
+      { name: 'apk_size', type: 'uint256' },
+      { name: 'signing_cert_sha256', type: 'string' },
+      { name: 'icon_cid', type: 'string' },
+      { name: 'screenshots', type: 'string[]' },
+      { name: 'permissions', type: 'string[]' },
+      { name: 'min_sdk', type: 'uint256' },
+      { name: 'target_sdk', type: 'uint256' },
+      { name: 'license', type: 'string' },
+      { name: 'website', type: 'string' },
+      { name: 'source_code', type: 'string' },
+      { name: 'categories', type: 'string[]' },
+      { name: 'publisher', type: 'address' }
+    ]
+  }
+};
 
-  const message = {
+function createEIP712Values(manifest, signatureVersion) {
+  const values = {
     name: manifest.name,
     slug: manifest.slug,
     package: manifest.package,
@@ -192,10 +304,56 @@ export function createEIP712Message(manifest, chainId = 1) {
     publisher: manifest.publisher
   };
 
+  if (signatureVersion === 1) {
+    return values;
+  }
+
+  return {
+    ...values,
+    apk_size: manifest.apk_size,
+    signing_cert_sha256: manifest.signing_cert_sha256 || '',
+    icon_cid: manifest.icon_cid || '',
+    screenshots: (manifest.screenshots || []).map((screenshot) => screenshot.cid),
+    permissions: manifest.permissions || [],
+    min_sdk: manifest.min_sdk || 0,
+    target_sdk: manifest.target_sdk || 0,
+    license: manifest.license || '',
+    website: manifest.website || '',
+    source_code: manifest.source_code || '',
+    categories: manifest.categories || []
+  };
+}
+
+/**
+ * Crear mensaje para firma EIP-712
+ * El dominio incluye chainId y la address del contrato AppStore, así una
+ * firma no sirve en otra red ni en otro despliegue del contrato
+ * @param {AppManifest} manifest - Manifest a firmar
+ * @param {number} chainId - Chain ID
+ * @param {string} [verifyingContract] - Address del contrato AppStore (sin ella, dominio antiguo)
+ * @param {number} [signatureVersion] - Estructura de tipos (1 o 2, por defecto SIGNATURE_VERSION)
+ * @returns {Object} - Mensaje EIP-712
+ */
+export function createEIP712Message(manifest, chainId = 1, verifyingContract, signatureVersion = SIGNATURE_VERSION) {
+  const types = EIP712_TYPES[signatureVersion];
+  if (!types) {
+    throw new Error(`Unsupported manifest signature version: ${signatureVersion}`);
+  }
+
+  const domain = {
+    name: 'DApp Store',
+    version: String(signatureVersion),
+    chainId: chainId
+  };
+
+  if (verifyingContract) {
+    domain.verifyingContract = verifyingContract;
+  }
+
   return {
     domain,
     types,
-    message,
+    message: createEIP712Values(manifest, signatureVersion),
     primaryType: 'AppManifest'
   };
 }
@@ -204,12 +362,18 @@ export function createEIP712Message(manifest, chainId = 1) {
  * Firmar manifest con EIP-712
  * @param {AppManifest} manifest - Manifest a firmar
  * @param {Object} signer - Signer de ethers.js
- * @param {string} chainId - Chain ID
+ * @param {number} chainId - Chain ID
+ * @param {string} verifyingContract - Address del contrato AppStore
+ * @param {number} [signatureVersion] - 1 o 2 (por defecto SIGNATURE_VERSION)
  * @returns {Promise<string>} - Firma
  */
-export async function signManifest(manifest, signer, chainId) {
+export async function signManifest(manifest, signer, chainId, verifyingContract, signatureVersion = SIGNATURE_VERSION) {
+  if (!verifyingContract) {
+    throw new Error('AppStore contract address is required to sign a manifest');
+  }
+
   try {
-    const eip712Message = createEIP712Message(manifest, chainId);
+    const eip712Message = createEIP712Message(manifest, chainId, verifyingContract, signatureVersion);
     
     // Firmar con EIP-712
     const signature = await signer.signTypedData(
@@ -218,7 +382,13 @@ export async function signManifest(manifest, signer, chainId) {
       eip712Message.message
     );
 
-    console.log('✅ Manifest signed:', signature);
+    // Una Safe que firma on-chain (signMessage del contrato) devuelve "0x":
+    // la firma no existe hasta que se ejecuta esa transacción
+    if (!signature || signature === '0x') {
+      throw new Error('The wallet returned an empty signature. Smart accounts must sign off-chain so the signature can be stored in the manifest');
+    }
+
+    console.log(`✅ Manifest signed (v${signatureVersion}):`, signature);
     return signature;
   } catch (error) {
     console.error('❌ Error signing manifest:', error);
@@ -227,57 +397,319 @@ export async function signManifest(manifest, signer, chainId) {
 }
 
 /**
- * Verificar firma de manifest
- * @param {AppManifest} manifest - Manifest con firma
- * @param {string} chainId - Chain ID
- * @returns {Promise<{valid: boolean, recoveredAddress: string}>}
+ * Recuperar el firmante de un manifest para un dominio; null si la firma está mal formada
  */
-export async function verifyManifestSignature(manifest, chainId) {
+function recoverManifestSigner(manifest, chainId, verifyingContract, signatureVersion) {
   try {
-    const { ethers } = await import('ethers');
-    const eip712Message = createEIP712Message(manifest, chainId);
-    
-    // Recuperar address del firmante
-    const recoveredAddress = ethers.verifyTypedData(
+    const eip712Message = createEIP712Message(manifest, chainId, verifyingContract, signatureVersion);
+    return ethers.verifyTypedData(
       eip712Message.domain,
       eip712Message.types,
       eip712Message.message,
       manifest.signature
     );
+  } catch {
+    return null;
+  }
+}
 
-    const valid = recoveredAddress.toLowerCase() === manifest.publisher.toLowerCase();
+/**
+ * Buscar entre los firmantes aceptados un contrato que dé la firma por buena
+ * (EIP-1271), con los mismos dominios y en el mismo orden que las firmas de EOA
+ * @returns {Promise<{address: string, signatureVersion: number, legacy: boolean}|null>}
+ */
+async function findContractSigner(manifest, current, signers, { chainId, verifyingContract, provider }) {
+  const attempts = [
+    { payload: current, verifyingContract, signatureVersion: 2, legacy: false },
+    { payload: manifest, verifyingContract, signatureVersion: 1, legacy: false },
+    { payload: manifest, verifyingContract: undefined, signatureVersion: 1, legacy: true }
+  ];
 
-    console.log('✅ Signature verified:', { valid, recoveredAddress });
-    
-    return { valid, recoveredAddress };
-  } catch (error) {
-    console.error('❌ Error verifying signature:', error);
-    return { valid: false, recoveredAddress: null };
+  for (const attempt of attempts) {
+    let hash;
+    try {
+      const { domain, types, message } = createEIP712Message(attempt.payload, chainId, attempt.verifyingContract, attempt.signatureVersion);
+      hash = ethers.TypedDataEncoder.hash(domain, types, message);
+    } catch {
+      continue;
+    }
+
+    for (const address of signers) {
+      if (await isValidContractSignature(address, hash, manifest.signature, provider)) {
+        return { address: ethers.getAddress(address), signatureVersion: attempt.signatureVersion, legacy: attempt.legacy };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {Object} SignatureCheck
+ * @property {'verified'|'legacy'|'invalid'|'unsigned'} status
+ *   - verified: firmado por el publisher on-chain para esta red y este contrato
+ *   - legacy: firmado por el publisher on-chain con el dominio antiguo (sin verifyingContract)
+ *   - invalid: el firmante no es el publisher on-chain (o la firma es para otra red/contrato)
+ *   - unsigned: el manifest no tiene firma
+ * @property {boolean} valid - true si el firmante es el publisher (verified o legacy)
+ * @property {number|null} signatureVersion - Estructura EIP-712 que validó la firma (1 o 2)
+ * @property {string|null} recoveredAddress - Address que firmó (dominio actual)
+ * @property {string} expectedPublisher - Publisher contra el que se comprobó
+ * @property {string|null} previousPublisher - Publisher anterior que firmó el manifest (null si lo firmó el actual)
+ * @property {string|null} releaser - Maintainer (actual o el que publicó la versión) que firmó en lugar del publisher (null si lo firmó el publisher)
+ * @property {boolean} contractSigner - El firmante es un contrato (Safe...) y la firma se validó con EIP-1271
+ * @property {string} [reason] - Motivo cuando no es verified con la estructura actual
+ */
+
+/**
+ * Verificar firma de manifest
+ * Hay que pasarle el manifest tal y como se descargó (sin migrar) y el
+ * publisher que registra el contrato, no el que dice el propio manifest.
+ * Prueba la estructura v2 y después la v1, para que los manifests firmados
+ * antes de v2 sigan verificando (con la cobertura reducida de v1)
+ *
+ * Después de una transferencia, las versiones ya publicadas siguen firmadas
+ * por el publisher anterior: se aceptan si está en previousPublishers
+ * (getPreviousPublishers del contrato). Solo el publisher del momento pudo
+ * registrarlas, así que un publisher anterior no puede colar versiones nuevas
+ *
+ * También vale la firma de un releaser actual de la app (getMaintainers con
+ * rol releaser o admin) y la de la cuenta que publicó la versión on-chain
+ * (publishedBy de la versión en el contrato). El manifest sigue nombrando al
+ * publisher. Un releaser que pierde el rol, o al que borra recoverApp, sigue
+ * validando las versiones que publicó, pero ya no puede firmar otras
+ *
+ * Si el publisher o un releaser es un contrato (una Safe), no hay firmante
+ * que recuperar: con provider se le pregunta al contrato (EIP-1271
+ * isValidSignature) por el hash EIP-712 de cada estructura
+ * @param {AppManifest} manifest - Manifest con firma
+ * @param {Object} options
+ * @param {number} options.chainId - Chain ID donde está desplegado el contrato
+ * @param {string} options.verifyingContract - Address del contrato AppStore
+ * @param {string} options.expectedPublisher - Publisher de la app según getApp
+ * @param {string[]} [options.previousPublishers] - Publishers anteriores de la app
+ * @param {string[]} [options.releasers] - Maintainers que pueden publicar versiones
+ * @param {string} [options.versionPublisher] - Cuenta que publicó esta versión según el contrato
+ * @param {import('ethers').Provider} [options.provider] - Para las firmas de contratos (sin él solo valen EOAs)
+ * @returns {Promise<SignatureCheck>}
+ */
+export async function verifyManifestSignature(manifest, { chainId, verifyingContract, expectedPublisher, previousPublishers = [], releasers = [], versionPublisher, provider }) {
+  const named = manifest?.publisher?.toLowerCase();
+  const isPrevious = named !== expectedPublisher.toLowerCase()
+    && previousPublishers.some((address) => address.toLowerCase() === named);
+  // Quien tiene que haber firmado: el publisher actual o el anterior que nombra el manifest
+  const expected = isPrevious ? named : expectedPublisher.toLowerCase();
+  const signers = new Set([expected, ...releasers.map((address) => address.toLowerCase())]);
+  if (versionPublisher) {
+    signers.add(versionPublisher.toLowerCase());
+  }
+  const isSigner = (address) => !!address && signers.has(address.toLowerCase());
+  const releaserOf = (address) => (address.toLowerCase() === expected ? null : address);
+  const result = {
+    valid: false,
+    signatureVersion: null,
+    recoveredAddress: null,
+    expectedPublisher,
+    previousPublisher: isPrevious ? manifest.publisher : null,
+    releaser: null,
+    contractSigner: false
+  };
+
+  if (!manifest?.signature) {
+    return { ...result, status: 'unsigned', reason: 'The manifest is not signed' };
+  }
+
+  if (named !== expected) {
+    return {
+      ...result,
+      status: 'invalid',
+      reason: `The manifest names ${manifest.publisher} as publisher, but the app belongs to ${expectedPublisher}`
+    };
+  }
+
+  // La v2 necesita el formato de manifest actual (screenshots como objetos, SDKs...)
+  const current = migrateManifest(manifest);
+  const recoveredAddress = recoverManifestSigner(current, chainId, verifyingContract, 2);
+  if (isSigner(recoveredAddress)) {
+    console.log('✅ Manifest signature verified (v2):', recoveredAddress);
+    return {
+      ...result,
+      status: 'verified',
+      valid: true,
+      signatureVersion: 2,
+      recoveredAddress,
+      releaser: releaserOf(recoveredAddress)
+    };
+  }
+
+  const v1Signer = recoverManifestSigner(manifest, chainId, verifyingContract, 1);
+  if (isSigner(v1Signer)) {
+    console.log('✅ Manifest signature verified (v1):', v1Signer);
+    return {
+      ...result,
+      status: 'verified',
+      valid: true,
+      signatureVersion: 1,
+      recoveredAddress: v1Signer,
+      releaser: releaserOf(v1Signer),
+      reason: 'Signed with the v1 structure: permissions, SDKs, icon and screenshots are not covered'
+    };
+  }
+
+  // Manifests firmados antes de incluir verifyingContract en el dominio
+  const legacySigner = recoverManifestSigner(manifest, chainId, undefined, 1);
+  if (isSigner(legacySigner)) {
+    console.warn('⚠️ Manifest signed with the legacy EIP-712 domain');
+    return {
+      ...result,
+      status: 'legacy',
+      valid: true,
+      signatureVersion: 1,
+      recoveredAddress: legacySigner,
+      releaser: releaserOf(legacySigner),
+      reason: 'Signed by the publisher before manifests were bound to the AppStore contract'
+    };
   }
+
+  const contractSigner = provider
+    ? await findContractSigner(manifest, current, signers, { chainId, verifyingContract, provider })
+    : null;
+  if (contractSigner) {
+    console.log(`✅ Manifest signature verified by contract ${contractSigner.address} (v${contractSigner.signatureVersion})`);
+    return {
+      ...result,
+      status: contractSigner.legacy ? 'legacy' : 'verified',
+      valid: true,
+      signatureVersion: contractSigner.signatureVersion,
+      recoveredAddress: contractSigner.address,
+      releaser: releaserOf(contractSigner.address),
+      contractSigner: true,
+      ...(contractSigner.legacy && { reason: 'Signed by the publisher before manifests were bound to the AppStore contract' }),
+      ...(!contractSigner.legacy && contractSigner.signatureVersion === 1 && {
+        reason: 'Signed with the v1 structure: permissions, SDKs, icon and screenshots are not covered'
+      })
+    };
+  }
+
+  console.warn('❌ Manifest signature does not match the publisher:', recoveredAddress);
+  return {
+    ...result,
+    status: 'invalid',
+    recoveredAddress,
+    reason: recoveredAddress
+      ? 'The signature was not made by the app publisher or one of its releasers for this network and contract'
+      : 'The signature is malformed'
+  };
 }
 
 /**
- * Extraer información de un APK (simulado - requiere backend)
- * En producción, esto debería hacerse en el backend con herramientas como aapt2
+ * Extraer información de un APK
+ * Lee el AndroidManifest.xml binario y resources.arsc directamente en el navegador
  * @param {File} apkFile - Archivo APK
- * @returns {Promise<Object>}
+ * @returns {Promise<Object>} - package, versiones, SDKs, permisos, label, icono y certificado de firma
  */
 export async function extractAPKInfo(apkFile) {
-  // En producción, esto debería ser una llamada a un backend que use aapt2
-  // Por ahora, retornamos información básica
-  
-  const sha256 = await calculateSHA256(apkFile);
-  
+  const [sha256, info, certificate] = await Promise.all([
+    calculateSHA256(apkFile),
+    parseAPK(apkFile),
+    extractSigningCertificate(apkFile)
+  ]);
+
+  if (!info.package) {
+    throw new Error('Could not read package name from AndroidManifest.xml');
+  }
+
+  console.log('✅ APK parsed:', info.package, info.version, `(${info.versionCode})`);
+
   return {
     size: apkFile.size,
     sha256,
-    // Estos valores deberían venir del análisis del APK
-    package: 'com.example.app',
-    version: '1.0.0',
-    versionCode: 1,
-    min_sdk: '21',
-    target_sdk: '34',
-    permissions: []
+    ...info,
+    signing_cert_sha256: certificate.sha256,
+    signing_scheme: certificate.scheme
+  };
+}
+
+/**
+ * Comprobar que una versión está firmada con el mismo certificado que la primera
+ * Igual que Android, que rechaza actualizaciones firmadas con otra clave
+ * @param {AppManifest} manifest - Manifest de la versión a comprobar
+ * @param {AppManifest} firstManifest - Manifest de la primera versión de la app
+ * @returns {{match: boolean|null, expected: string|null, actual: string|null}} - match es null si falta algún certificado
+ */
+export function checkSigningCertificate(manifest, firstManifest) {
+  const expected = firstManifest?.signing_cert_sha256 || null;
+  const actual = manifest?.signing_cert_sha256 || null;
+
+  if (!expected || !actual) {
+    return { match: null, expected, actual };
+  }
+
+  return {
+    match: expected.toLowerCase() === actual.toLowerCase(),
+    expected,
+    actual
+  };
+}
+
+/**
+ * Normalizar un certificado de firma: hex en minúsculas, sin "0x" ni ":"
+ * (el contrato lo guarda como bytes32, el manifest como hex con o sin ":")
+ * @param {string} cert
+ * @returns {string}
+ */
+export function normalizeCertificate(cert) {
+  return (cert || '').toLowerCase().replace(/^0x/, '').replace(/:/g, '');
+}
+
+/**
+ * Comprobar un manifest contra el package reclamado on-chain
+ * El primer publisher que reclama un package name se queda con él; el resto
+ * de apps que lo declaran pueden estar suplantando a la original
+ * @param {AppManifest} manifest
+ * @param {{slug: string, signingCertSha256: string}|null} claim - Reclamación del package
+ *   (null o slug '' si nadie lo ha reclamado)
+ * @returns {{status: 'unclaimed'|'owned'|'claimed_by_other'|'cert_mismatch', claim: Object|null}}
+ *   owned: lo reclamó esta app (manifest.slug) con el mismo certificado
+ */
+export function checkPackageClaim(manifest, claim) {
+  if (!claim?.slug) {
+    return { status: 'unclaimed', claim: null };
+  }
+  if (claim.slug !== manifest.slug) {
+    return { status: 'claimed_by_other', claim };
+  }
+
+  const expected = normalizeCertificate(claim.signingCertSha256);
+  const actual = normalizeCertificate(manifest.signing_cert_sha256);
+  if (expected && actual && expected !== actual) {
+    return { status: 'cert_mismatch', claim };
+  }
+  return { status: 'owned', claim };
+}
+
+/**
+ * Comprobar el certificado con el que está firmado el APK descargado
+ * El SHA-256 del manifest solo prueba que el APK es el publicado; además
+ * tiene que estar firmado con la clave que se conoce para la app
+ * @param {string|null} apkCert - SHA-256 del certificado del APK (extractSigningCertificate)
+ * @param {Array<string|null>} pinned - Certificados esperados: el del manifest,
+ *   el de la primera versión, el registrado con el package... (se ignoran los vacíos)
+ * @returns {{match: boolean|null, expected: string[], actual: string|null}}
+ *   match null si no hay ningún certificado con el que comparar
+ */
+export function checkApkCertificate(apkCert, pinned) {
+  const expected = [...new Set(pinned.map(normalizeCertificate).filter(Boolean))];
+  const actual = apkCert ? normalizeCertificate(apkCert) : null;
+
+  if (expected.length === 0) {
+    return { match: null, expected, actual };
+  }
+
+  return {
+    match: !!actual && expected.every((cert) => cert === actual),
+    expected,
+    actual
   };
 }
 
@@ -345,12 +777,20 @@ export function generateSlug(name) {
 }
 
 export default {
+  MANIFEST_VERSION,
+  SIGNATURE_VERSION,
   createManifest,
   validateManifest,
+  migrateManifest,
+  getLocalizedDescription,
   createEIP712Message,
   signManifest,
   verifyManifestSignature,
   extractAPKInfo,
+  checkSigningCertificate,
+  normalizeCertificate,
+  checkPackageClaim,
+  checkApkCertificate,
   formatFileSize,
   validatePermissions,
   generateSlug
@@ -0,0 +1,146 @@
+/**
+ * Utilidades para crear, firmar y verificar perfiles de publisher
+ * El perfil es un JSON en IPFS (nombre, web, avatar) que el publisher
+ * referencia on-chain con setPublisherProfile
+ */
+
+import { ethers } from 'ethers';
+import { validateSchema, formatSchemaError } from './jsonSchema.js';
+import profileSchema from './profile.schema.json';
+
+// Versión actual del formato (ver profile.schema.json)
+export const PROFILE_VERSION = 1;
+
+/**
+ * @typedef {Object} PublisherProfile
+ * @property {number} profile_version - Versión del formato (1)
+ * @property {string} publisher - Address del publisher
+ * @property {string} display_name - Nombre público
+ * @property {string} website - Web (http/https) o ''
+ * @property {string} avatar_cid - CID del avatar en IPFS o ''
+ * @property {string} updated_at - Timestamp ISO
+ * @property {string} signature - Firma EIP-712 del publisher
+ */
+
+/**
+ * Tipos EIP-712 del perfil
+ * El dominio no lleva chainId ni contrato: el mismo perfil firmado se puede
+ * referenciar desde cualquier red, y lo que lo liga a un publisher es que
+ * solo él puede llamar a setPublisherProfile con su address
+ */
+const PROFILE_DOMAIN = {
+  name: 'DApp Store',
+  version: String(PROFILE_VERSION)
+};
+
+const PROFILE_TYPES = {
+  PublisherProfile: [
+    { name: 'publisher', type: 'address' },
+    { name: 'display_name', type: 'string' },
+    { name: 'website', type: 'string' },
+    { name: 'avatar_cid', type: 'string' },
+    { name: 'updated_at', type: 'string' }
+  ]
+};
+
+function createProfileValues(profile) {
+  return {
+    publisher: profile.publisher,
+    display_name: profile.display_name,
+    website: profile.website || '',
+    avatar_cid: profile.avatar_cid || '',
+    updated_at: profile.updated_at || ''
+  };
+}
+
+/**
+ * Crear un perfil sin firmar
+ * @param {Object} data
+ * @param {string} data.publisher - Address del publisher
+ * @param {string} data.displayName - Nombre público
+ * @param {string} [data.website] - Web
+ * @param {string} [data.avatarCid] - CID del avatar
+ * @returns {PublisherProfile}
+ */
+export function createProfile({ publisher, displayName, website = '', avatarCid = '' }) {
+  return {
+    profile_version: PROFILE_VERSION,
+    publisher,
+    display_name: displayName.trim(),
+    website: website.trim(),
+    avatar_cid: avatarCid,
+    updated_at: new Date().toISOString(),
+    signature: ''
+  };
+}
+
+/**
+ * Validar un perfil contra profile.schema.json
+ * @param {Object} profile
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateProfile(profile) {
+  const { valid, errors } = validateSchema(profile, profileSchema);
+  return { valid, errors: errors.map(formatSchemaError) };
+}
+
+/**
+ * Firmar un perfil con EIP-712
+ * @param {PublisherProfile} profile - Perfil a firmar
+ * @param {Object} signer - Signer de ethers.js (la address del perfil)
+ * @returns {Promise<string>} - Firma
+ */
+export async function signProfile(profile, signer) {
+  const signature = await signer.signTypedData(PROFILE_DOMAIN, PROFILE_TYPES, createProfileValues(profile));
+  console.log('✅ Profile signed:', signature);
+  return signature;
+}
+
+/**
+ * Verificar un perfil descargado
+ * Solo es válido si cumple el schema, está firmado por expectedPublisher
+ * y nombra a ese mismo publisher
+ * @param {Object} profile - Perfil tal y como se descargó
+ * @param {string} expectedPublisher - Address de la página de publisher
+ * @returns {{valid: boolean, recoveredAddress: string|null, reason?: string}}
+ */
+export function verifyProfile(profile, expectedPublisher) {
+  const { valid, errors } = validateProfile(profile);
+  if (!valid) {
+    return { valid: false, recoveredAddress: null, reason: `Invalid profile: ${errors[0]}` };
+  }
+
+  if (!profile.signature) {
+    return { valid: false, recoveredAddress: null, reason: 'The profile is not signed' };
+  }
+
+  if (profile.publisher.toLowerCase() !== expectedPublisher.toLowerCase()) {
+    return { valid: false, recoveredAddress: null, reason: 'The profile belongs to another publisher' };
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyTypedData(
+      PROFILE_DOMAIN,
+      PROFILE_TYPES,
+      createProfileValues(profile),
+      profile.signature
+    );
+  } catch {
+    return { valid: false, recoveredAddress: null, reason: 'The signature is malformed' };
+  }
+
+  if (recoveredAddress.toLowerCase() !== expectedPublisher.toLowerCase()) {
+    return { valid: false, recoveredAddress, reason: 'The profile was not signed by the publisher' };
+  }
+
+  return { valid: true, recoveredAddress };
+}
+
+export default {
+  PROFILE_VERSION,
+  createProfile,
+  validateProfile,
+  signProfile,
+  verifyProfile
+};
@@ -1,19 +1,58 @@
-import { BigInt, Bytes } from "@graphprotocol/graph-ts";
+import {
+  Address,
+  BigDecimal,
+  BigInt,
+  Bytes,
+  DataSourceContext,
+  JSONValue,
+  JSONValueKind,
+  TypedMap,
+  dataSource,
+  json,
+  store
+} from "@graphprotocol/graph-ts";
 import {
   AppRegistered,
   VersionPublished,
+  VersionDeprecated,
+  LatestVersionChanged,
   AppDownloaded,
-  AppStatusChanged
+  AppStatusChanged,
+  AppPurchased,
+  AppUpdated,
+  PublisherProfileUpdated,
+  PackageClaimed,
+  PackageReleased,
+  AppTransferProposed,
+  AppOwnershipTransferred,
+  MaintainerRoleChanged
 } from "../generated/AppStore/AppStore";
+import { AppManifest as AppManifestTemplate } from "../generated/templates";
 import {
   App,
+  AppCategory,
+  AppMetadata,
+  AppLookup,
   AppVersion,
   Publisher,
   User,
   Download,
-  GlobalStats
+  Purchase,
+  PriceUpdate,
+  OwnershipTransfer,
+  Maintainer,
+  GlobalStats,
+  Category
 } from "../generated/schema";
 
+// 1 ETH = 10^18 wei
+let WEI_PER_ETH = BigDecimal.fromString("1000000000000000000");
+
+// Helper: Convertir wei a ETH
+function weiToEth(wei: BigInt): BigDecimal {
+  return wei.toBigDecimal().div(WEI_PER_ETH);
+}
+
 // Helper: Obtener o crear GlobalStats
 function getOrCreateGlobalStats(): GlobalStats {
   let stats = GlobalStats.load("global");
@@ -23,6 +62,8 @@ function getOrCreateGlobalStats(): GlobalStats {
     stats.totalPublishers = BigInt.fromI32(0);
     stats.totalUsers = BigInt.fromI32(0);
     stats.totalDownloads = BigInt.fromI32(0);
+    stats.totalPurchases = BigInt.fromI32(0);
+    stats.totalRevenue = BigInt.fromI32(0);
     stats.updatedAt = BigInt.fromI32(0);
   }
   return stats;
@@ -36,6 +77,7 @@ function getOrCreatePublisher(address: Bytes, timestamp: BigInt): Publisher {
     publisher.address = address;
     publisher.totalApps = BigInt.fromI32(0);
     publisher.totalDownloads = BigInt.fromI32(0);
+    publisher.totalRevenue = BigInt.fromI32(0);
     publisher.createdAt = timestamp;
     
     // Actualizar stats globales
@@ -53,6 +95,9 @@ function getOrCreateUser(address: Bytes, timestamp: BigInt): User {
   if (user == null) {
     user = new User(address.toHexString());
     user.address = address;
+    user.totalDownloads = BigInt.fromI32(0);
+    user.totalPurchases = BigInt.fromI32(0);
+    user.totalSpent = BigInt.fromI32(0);
     user.createdAt = timestamp;
     
     // Actualizar stats globales
@@ -64,6 +109,101 @@ function getOrCreateUser(address: Bytes, timestamp: BigInt): User {
   return user;
 }
 
+// Helper: Resolver la App a partir del appKey (keccak256 del slug)
+function loadAppByKey(appKey: Bytes): App | null {
+  let lookup = AppLookup.load(appKey.toHexString());
+  if (lookup == null) {
+    return null;
+  }
+  return App.load(lookup.app);
+}
+
+// Helper: Los piece CIDs de Filecoin no se pueden pedir a IPFS
+function isIpfsCid(cid: string): bool {
+  return !cid.startsWith("baga6ea4sea") && !cid.startsWith("bafkzcib");
+}
+
+// Taxonomía de categorías: mismas ids que src/utils/categories.js
+// Las categorías de un manifest que no estén aquí no se indexan
+let CATEGORY_IDS: string[] = [
+  "games",
+  "social",
+  "finance",
+  "productivity",
+  "tools",
+  "entertainment",
+  "education",
+  "multimedia",
+  "navigation",
+  "security",
+  "health",
+  "development"
+];
+
+// Helper: Crear las entidades Category de la taxonomía que falten
+// Se hace desde un handler de eventos antes de crear el file data source del
+// manifest: los file data sources no pueden crear entidades que otro data
+// source vaya a volver a guardar. Se comprueban todas y no solo la primera
+// para que las categorías añadidas después a la taxonomía también existan
+// antes de que un AppCategory las enlace
+function ensureCategories(): void {
+  for (let i = 0; i < CATEGORY_IDS.length; i++) {
+    if (Category.load(CATEGORY_IDS[i]) == null) {
+      new Category(CATEGORY_IDS[i]).save();
+    }
+  }
+}
+
+// Helper: Leer un string de un objeto JSON ("" si falta o no es string)
+function jsonString(obj: TypedMap<string, JSONValue>, key: string): string {
+  let value = obj.get(key);
+  if (value && value.kind == JSONValueKind.STRING) {
+    return value.toString();
+  }
+  return "";
+}
+
+// Mayor entero que un f64 representa sin perder precisión (2^53 - 1)
+const MAX_SAFE_INTEGER: f64 = 9007199254740991;
+
+// Helper: Comprobar que un string son solo dígitos decimales
+function isDigits(text: string): boolean {
+  if (text.length == 0) {
+    return false;
+  }
+  for (let i = 0; i < text.length; i++) {
+    let c = text.charCodeAt(i);
+    if (c < 48 || c > 57) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Helper: Leer un entero no negativo de un objeto JSON (0 si falta o no lo es)
+// El manifest lo escribe cualquiera y toBigInt() aborta el handler con
+// decimales o exponentes: los números se leen con toF64(), que acepta
+// cualquier número JSON, y los strings solo si son dígitos
+function jsonInt(obj: TypedMap<string, JSONValue>, key: string): BigInt {
+  let value = obj.get(key);
+  if (!value) {
+    return BigInt.zero();
+  }
+  if (value.kind == JSONValueKind.NUMBER) {
+    let number = value.toF64();
+    if (number >= 0 && number <= MAX_SAFE_INTEGER && Math.floor(number) == number) {
+      return BigInt.fromU64(<u64>number);
+    }
+  } else if (value.kind == JSONValueKind.STRING) {
+    let text = value.toString();
+    // 78 dígitos bastan para cualquier uint256
+    if (text.length <= 78 && isDigits(text)) {
+      return BigInt.fromString(text);
+    }
+  }
+  return BigInt.zero();
+}
+
 // Evento: AppRegistered
 export function handleAppRegistered(event: AppRegistered): void {
   let app = new App(event.params.slug);
@@ -78,71 +218,397 @@ export function handleAppRegistered(event: AppRegistered): void {
   app.slug = event.params.slug;
   app.name = event.params.slug; // Se puede actualizar con datos del manifest
   app.latestManifestCid = event.params.manifestCid;
+  app.priceWei = event.params.priceWei;
+  app.priceEth = weiToEth(event.params.priceWei);
   app.totalDownloads = BigInt.fromI32(0);
+  app.totalPurchases = BigInt.fromI32(0);
+  app.totalRevenue = BigInt.fromI32(0);
   app.active = true;
   app.createdAt = event.block.timestamp;
   app.updatedAt = event.block.timestamp;
   app.save();
   
-  // Crear primera versión
-  let version = new AppVersion(event.params.slug + "-1");
+  // Mapeo appKey -> slug para el resto de eventos
+  // La primera versión la crea handleVersionPublished (registerApp emite ambos eventos)
+  let lookup = new AppLookup(event.params.appKey.toHexString());
+  lookup.app = app.id;
+  lookup.save();
+  
+  // Actualizar stats globales
+  let stats = getOrCreateGlobalStats();
+  stats.totalApps = stats.totalApps.plus(BigInt.fromI32(1));
+  stats.updatedAt = event.block.timestamp;
+  stats.save();
+}
+
+// Evento: VersionPublished
+export function handleVersionPublished(event: VersionPublished): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  // uint256: el contrato acepta cualquier valor, no cabe siempre en un Int
+  let version = new AppVersion(app.id + "-" + event.params.versionCode.toString());
   version.app = app.id;
-  version.versionCode = 1;
+  version.versionCode = event.params.versionCode;
   version.manifestCid = event.params.manifestCid;
   version.publishedAt = event.block.timestamp;
-  version.publishedBy = event.params.publisher;
+  // Quien llamó al contrato: con una Safe es la Safe, no el owner que ejecutó la transacción
+  version.publishedBy = event.params.publishedBy;
   version.deprecated = false;
   version.save();
   
+  app.latestManifestCid = event.params.manifestCid;
   app.latestVersion = version.id;
+  app.metadata = event.params.manifestCid;
+  app.updatedAt = event.block.timestamp;
   app.save();
   
-  // Actualizar stats globales
-  let stats = getOrCreateGlobalStats();
-  stats.totalApps = stats.totalApps.plus(BigInt.fromI32(1));
-  stats.updatedAt = event.block.timestamp;
-  stats.save();
+  // Descargar el manifest para indexar su contenido (handleAppManifest)
+  if (isIpfsCid(event.params.manifestCid)) {
+    ensureCategories();
+    let context = new DataSourceContext();
+    context.setString("app", app.id);
+    AppManifestTemplate.createWithContext(event.params.manifestCid, context);
+  }
 }
 
-// Evento: VersionPublished
-export function handleVersionPublished(event: VersionPublished): void {
-  // El evento incluye appKey (bytes32), manifestCid, y versionCode
-  // Necesitamos encontrar la app por el appKey
-  // Como el ID de la app es el slug, y el appKey es keccak256(slug),
-  // no podemos recuperar directamente el slug del appKey
-  // Solución: mantener un mapeo adicional o iterar (no ideal)
-  // Por ahora, este handler queda limitado sin un mapeo adicional
+// Evento: VersionDeprecated
+export function handleVersionDeprecated(event: VersionDeprecated): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  let version = AppVersion.load(app.id + "-" + event.params.versionCode.toString());
+  if (version == null) {
+    return;
+  }
+  
+  version.deprecated = true;
+  version.save();
   
-  // TODO: Implementar mapeo appKey -> slug si es necesario
-  // Alternativamente, cambiar el ID de App a usar appKey en lugar de slug
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: LatestVersionChanged
+// Se emite al deprecar la versión servida o al hacer rollback
+export function handleLatestVersionChanged(event: LatestVersionChanged): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  app.latestManifestCid = event.params.manifestCid;
+  app.latestVersion = app.id + "-" + event.params.versionCode.toString();
+  app.metadata = event.params.manifestCid;
+  app.updatedAt = event.block.timestamp;
+  app.save();
 }
 
 // Evento: AppDownloaded
 export function handleAppDownloaded(event: AppDownloaded): void {
-  // NOTA: Este evento usa appKey (bytes32) que es keccak256(slug)
-  // Sin un mapeo adicional appKey->slug, no podemos vincular fácilmente
-  // la descarga con la App específica
-  // 
-  // Solución temporal: Registrar la descarga sin vincularla a la app
-  // TODO: Implementar mapeo appKey -> slug en handleAppRegistered
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
   
   // Crear o actualizar user
   let user = getOrCreateUser(event.params.downloader, event.block.timestamp);
+  user.totalDownloads = user.totalDownloads.plus(BigInt.fromI32(1));
   user.save();
   
+  // Registrar la descarga
+  let download = new Download(
+    event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+  );
+  download.app = app.id;
+  download.user = user.id;
+  download.timestamp = event.block.timestamp;
+  download.transactionHash = event.transaction.hash;
+  download.save();
+  
+  // Actualizar contadores de app y publisher
+  app.totalDownloads = app.totalDownloads.plus(BigInt.fromI32(1));
+  app.updatedAt = event.block.timestamp;
+  app.save();
+  
+  let publisher = Publisher.load(app.publisher);
+  if (publisher != null) {
+    publisher.totalDownloads = publisher.totalDownloads.plus(BigInt.fromI32(1));
+    publisher.save();
+  }
+  
   // Actualizar stats globales
   let stats = getOrCreateGlobalStats();
   stats.totalDownloads = stats.totalDownloads.plus(BigInt.fromI32(1));
   stats.updatedAt = event.block.timestamp;
   stats.save();
-  
-  // NOTA: No podemos crear la entidad Download sin vincularla a una App
-  // porque app es un campo requerido. Necesitamos el mapeo appKey->slug
 }
 
 // Evento: AppStatusChanged
 export function handleAppStatusChanged(event: AppStatusChanged): void {
-  // Similar a otros handlers, necesitamos resolver appKey -> slug
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  app.active = event.params.active;
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: AppPurchased
+// La descarga asociada llega en el AppDownloaded que emite la misma transacción
+export function handleAppPurchased(event: AppPurchased): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  let price = event.params.price;
+  let fee = event.params.platformFee;
+  
+  let user = getOrCreateUser(event.params.buyer, event.block.timestamp);
+  user.totalPurchases = user.totalPurchases.plus(BigInt.fromI32(1));
+  user.totalSpent = user.totalSpent.plus(price);
+  user.save();
+  
+  let purchase = new Purchase(
+    event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+  );
+  purchase.app = app.id;
+  purchase.buyer = user.id;
+  purchase.price = price;
+  purchase.platformFee = fee;
+  purchase.timestamp = event.block.timestamp;
+  purchase.transactionHash = event.transaction.hash;
+  purchase.save();
+  
+  app.totalPurchases = app.totalPurchases.plus(BigInt.fromI32(1));
+  app.totalRevenue = app.totalRevenue.plus(price);
+  app.updatedAt = event.block.timestamp;
+  app.save();
+  
+  let publisher = Publisher.load(app.publisher);
+  if (publisher != null) {
+    publisher.totalRevenue = publisher.totalRevenue.plus(price.minus(fee));
+    publisher.save();
+  }
+  
+  // Actualizar stats globales
+  let stats = getOrCreateGlobalStats();
+  stats.totalPurchases = stats.totalPurchases.plus(BigInt.fromI32(1));
+  stats.totalRevenue = stats.totalRevenue.plus(price);
+  stats.updatedAt = event.block.timestamp;
+  stats.save();
+}
+
+// Evento: AppUpdated (cambio de precio)
+export function handleAppUpdated(event: AppUpdated): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  let update = new PriceUpdate(
+    event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+  );
+  update.app = app.id;
+  update.oldPrice = event.params.oldPrice;
+  update.newPrice = event.params.newPrice;
+  update.timestamp = event.block.timestamp;
+  update.transactionHash = event.transaction.hash;
+  update.save();
+  
+  app.priceWei = event.params.newPrice;
+  app.priceEth = weiToEth(event.params.newPrice);
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: PublisherProfileUpdated
+// El contrato solo lo permite a quien ya registró una app, así que el Publisher existe
+export function handlePublisherProfileUpdated(event: PublisherProfileUpdated): void {
+  let publisher = Publisher.load(event.params.publisher.toHexString());
+  if (publisher == null) {
+    return;
+  }
+  
+  let profileCid = event.params.profileCid;
+  if (profileCid.length > 0) {
+    publisher.profileCid = profileCid;
+  } else {
+    publisher.profileCid = null;
+  }
+  publisher.profileUpdatedAt = event.block.timestamp;
+  publisher.save();
+}
+
+// Evento: PackageClaimed
+// Con registerAppWithPackage llega después de AppRegistered, así que la App existe
+export function handlePackageClaimed(event: PackageClaimed): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  app.packageName = event.params.packageName;
+  app.packageCertSha256 = event.params.signingCertSha256.toHexString().slice(2);
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: PackageReleased (reassignPackage del owner)
+// Si se reasigna a otra app, después llega su PackageClaimed
+export function handlePackageReleased(event: PackageReleased): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  app.packageName = null;
+  app.packageCertSha256 = null;
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: AppTransferProposed (address(0) = propuesta cancelada)
+export function handleAppTransferProposed(event: AppTransferProposed): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
   
-  // TODO: Implementar mapeo appKey -> slug si es necesario
+  if (event.params.pendingPublisher == Address.zero()) {
+    app.pendingPublisher = null;
+  } else {
+    app.pendingPublisher = event.params.pendingPublisher;
+  }
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Evento: AppOwnershipTransferred (aceptada por el nuevo publisher o recuperada por el owner)
+// Las descargas y el revenue ya acumulados se quedan en el publisher anterior
+export function handleAppOwnershipTransferred(event: AppOwnershipTransferred): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  let previous = getOrCreatePublisher(event.params.previousPublisher, event.block.timestamp);
+  previous.totalApps = previous.totalApps.minus(BigInt.fromI32(1));
+  previous.save();
+  
+  let next = getOrCreatePublisher(event.params.newPublisher, event.block.timestamp);
+  next.totalApps = next.totalApps.plus(BigInt.fromI32(1));
+  next.save();
+  
+  let transfer = new OwnershipTransfer(
+    event.transaction.hash.toHexString() + "-" + event.logIndex.toString()
+  );
+  transfer.app = app.id;
+  transfer.from = previous.id;
+  transfer.to = next.id;
+  transfer.recovered = event.params.recovered;
+  transfer.timestamp = event.block.timestamp;
+  transfer.transactionHash = event.transaction.hash;
+  transfer.save();
+  
+  app.publisher = next.id;
+  app.pendingPublisher = null;
+  app.updatedAt = event.block.timestamp;
+  app.save();
+}
+
+// Roles de AppStore.MaintainerRole, por su valor (0 = None)
+const MAINTAINER_ROLES = ["", "VIEWER", "RELEASER", "ADMIN"];
+
+// Evento: MaintainerRoleChanged (role 0 = maintainer eliminado)
+export function handleMaintainerRoleChanged(event: MaintainerRoleChanged): void {
+  let app = loadAppByKey(event.params.appKey);
+  if (app == null) {
+    return;
+  }
+  
+  let id = app.id + "-" + event.params.maintainer.toHexString();
+  let role = event.params.role;
+  if (role == 0 || role >= MAINTAINER_ROLES.length) {
+    store.remove("Maintainer", id);
+    return;
+  }
+  
+  let maintainer = new Maintainer(id);
+  maintainer.app = app.id;
+  maintainer.account = event.params.maintainer;
+  maintainer.role = MAINTAINER_ROLES[role];
+  maintainer.addedBy = event.params.changedBy;
+  maintainer.updatedAt = event.block.timestamp;
+  maintainer.save();
+}
+
+// File data source: contenido de un manifest (plantilla AppManifest)
+// Los manifests que no son JSON válido se ignoran; la app sigue con su slug
+export function handleAppManifest(content: Bytes): void {
+  let parsed = json.try_fromBytes(content);
+  if (parsed.isError || parsed.value.kind != JSONValueKind.OBJECT) {
+    return;
+  }
+  let manifest = parsed.value.toObject();
+  
+  let metadata = new AppMetadata(dataSource.stringParam());
+  metadata.app = dataSource.context().getString("app");
+  metadata.name = jsonString(manifest, "name");
+  metadata.description = jsonString(manifest, "description");
+  metadata.packageName = jsonString(manifest, "package");
+  metadata.publisherName = jsonString(manifest, "publisher_name");
+  metadata.iconCid = jsonString(manifest, "icon_cid");
+  metadata.versionName = jsonString(manifest, "version");
+  let versionCode = jsonInt(manifest, "versionCode");
+  metadata.versionCode = versionCode.isI32() ? versionCode.toI32() : 0;
+  metadata.apkCid = jsonString(manifest, "apk_cid");
+  metadata.apkSha256 = jsonString(manifest, "apk_sha256").toLowerCase();
+  metadata.apkSize = jsonInt(manifest, "apk_size");
+  // Mismo formato que comprueban los clientes al buscar actualizaciones
+  metadata.signingCertSha256 = jsonString(manifest, "signing_cert_sha256").toLowerCase().replaceAll(":", "");
+  
+  // v2: array de slugs; v1: a veces un string separado por comas
+  let rawList: string[] = [];
+  let rawCategories = manifest.get("categories");
+  if (rawCategories && rawCategories.kind == JSONValueKind.ARRAY) {
+    let items = rawCategories.toArray();
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].kind == JSONValueKind.STRING) {
+        rawList.push(items[i].toString());
+      }
+    }
+  } else if (rawCategories && rawCategories.kind == JSONValueKind.STRING) {
+    let parts = rawCategories.toString().split(",");
+    for (let i = 0; i < parts.length; i++) {
+      rawList.push(parts[i]);
+    }
+  }
+  
+  // Solo las categorías de la taxonomía, sin repetir (en v1 eran texto libre)
+  let categories: string[] = [];
+  for (let i = 0; i < rawList.length; i++) {
+    let category = rawList[i].trim().toLowerCase().replaceAll(" ", "-");
+    if (CATEGORY_IDS.includes(category) && !categories.includes(category)) {
+      categories.push(category);
+    }
+  }
+  metadata.categories = categories;
+  metadata.categoriesText = categories.join(" ");
+  metadata.save();
+  
+  // Relación muchos a muchos manifest ↔ categoría
+  for (let i = 0; i < categories.length; i++) {
+    let link = new AppCategory(metadata.id + "-" + categories[i]);
+    link.metadata = metadata.id;
+    link.category = categories[i];
+    link.save();
+  }
 }